@@ -0,0 +1,92 @@
+// Optional assignment cost categories (flights, housing, relocation, insurance)
+// Shared by the browser app and the DOM-free cost engine (js/cost-engine.js)
+//
+// Amounts are budget estimates in EUR, overridable per estimate. Frequencies:
+//   'one-time' - charged once per assignment
+//   'monthly'  - charged for every month on assignment
+//   'trip'     - charged per home-leave trip (one trip every `everyMonths` months)
+//
+// taxFlag names the tax-rules.json flag deciding whether the cost is a taxable
+// benefit in the host country. A 'partial' flag taxes cash allowances only.
+const assignmentCostDefaults = {
+    version: '2026.1',
+
+    categories: {
+        flights: {
+            label: 'Flights (outbound & return)',
+            frequency: 'one-time',
+            amount: 1200,
+            taxFlag: 'relocationTaxable',
+            cashAllowance: false
+        },
+        housing: {
+            label: 'Accommodation',
+            frequency: 'monthly',
+            amount: 1800,
+            taxFlag: 'relocationTaxable',
+            cashAllowance: false
+        },
+        homeLeave: {
+            label: 'Home-leave trips',
+            frequency: 'trip',
+            everyMonths: 3,
+            amount: 1000,
+            taxFlag: 'relocationTaxable',
+            cashAllowance: false
+        },
+        relocationAllowance: {
+            label: 'Relocation allowance',
+            frequency: 'one-time',
+            amount: 2000,
+            taxFlag: 'relocationTaxable',
+            cashAllowance: true
+        },
+        insurance: {
+            label: 'Medical & travel insurance',
+            frequency: 'monthly',
+            amount: 120,
+            taxFlag: null,
+            cashAllowance: false
+        },
+        shipment: {
+            label: 'Shipment of personal effects',
+            frequency: 'one-time',
+            amount: 1500,
+            taxFlag: 'relocationTaxable',
+            cashAllowance: false
+        }
+    },
+
+    // Host country amounts replacing the category defaults
+    countries: {
+        Brazil: { flights: 1600, housing: 1400, homeLeave: 1400 },
+        USA: { flights: 1400, housing: 3200, homeLeave: 1200, insurance: 250 },
+        Germany: { flights: 400, housing: 1600, homeLeave: 350 },
+        UK: { flights: 450, housing: 2600, homeLeave: 400 },
+        UAE: { flights: 900, housing: 2800, homeLeave: 800 },
+        Singapore: { flights: 1300, housing: 3500, homeLeave: 1200 },
+        Australia: { flights: 2000, housing: 2600, homeLeave: 1900 },
+        Mexico: { flights: 1300, housing: 1300, homeLeave: 1200 },
+        India: { flights: 900, housing: 1100, homeLeave: 800 },
+        SouthAfrica: { flights: 1200, housing: 1200, homeLeave: 1100 },
+        Norway: { flights: 450, housing: 2400, homeLeave: 400 },
+        Sweden: { flights: 300, housing: 1900, homeLeave: 250 },
+        Netherlands: { flights: 400, housing: 2300, homeLeave: 350 },
+        France: { flights: 450, housing: 2200, homeLeave: 400 },
+        Italy: { flights: 450, housing: 1800, homeLeave: 400 },
+        Spain: { flights: 450, housing: 1700, homeLeave: 400 },
+        Poland: { flights: 350, housing: 1300, homeLeave: 300 },
+        Canada: { flights: 1300, housing: 2600, homeLeave: 1100, insurance: 200 },
+        Chile: { flights: 1700, housing: 1400, homeLeave: 1500 },
+        Japan: { flights: 1400, housing: 2500, homeLeave: 1200 },
+        SouthKorea: { flights: 1300, housing: 2200, homeLeave: 1100 },
+        China: { flights: 1200, housing: 2000, homeLeave: 1000 },
+        Indonesia: { flights: 1300, housing: 1500, homeLeave: 1100 },
+        SaudiArabia: { flights: 900, housing: 2400, homeLeave: 800 },
+        Qatar: { flights: 900, housing: 2600, homeLeave: 800 }
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = assignmentCostDefaults;
+}
@@ -0,0 +1,289 @@
+// Host country configuration (rates, treaty status)
+// Shared by the browser app and the DOM-free cost engine (js/cost-engine.js)
+// Display names and currencies come from data/country-registry.js (filled in below)
+// Exchange rates are populated by fetchExchangeRates() on page load
+const countryConfig = {
+    Brazil: {
+        exchangeRate: 6.0,          // Default, updated by fetchExchangeRates()
+        taxRate: 0.25,              // 25% non-resident flat rate
+        deduction: 0,
+        socialSec: 0.35,            // 35% total (employer ~27.5% + employee ~7.5%)
+        employerSocialSec: 0.275,   // 27.5% employer (INSS 20% + FGTS 8% + RAT/SAT ~1.5% avg)
+        employeeSocialSec: 0.075,   // 7.5% employee INSS (progressive 7.5-14%, using lowest bracket avg)
+        socialSecCap: null,         // No cap for employers
+        employeeSocialSecRate: 0.11, // Legacy: Employee INSS rate (up to 14% progressive)
+        employeeSocialSecCap: 8475.55, // BRL monthly salary ceiling - above this, contribution is capped
+        hasTreatyWithFinland: false,
+        noTreatyWarning: true,
+        socialSecSource: '<a href="https://taxsummaries.pwc.com/brazil/individual/other-taxes" target="_blank" rel="noopener noreferrer" class="text-cozm-teal hover:underline">PwC INSS rates 2025</a>',
+        socialSecSourceUrl: 'https://taxsummaries.pwc.com/brazil/individual/other-taxes',
+        socialSecNote: 'Finland has NO totalization agreement with Brazil. Dual social security contributions (Finnish + Brazilian INSS) are typically required. Under Wärtsilä policy, the company covers host country contributions.'
+    },
+    USA: {
+        exchangeRate: 1.08,
+        taxRate: 0.24,              // Approximate federal marginal rate
+        deduction: 14600,           // Standard deduction (single, 2025)
+        socialSec: 0.153,           // 15.3% total (employer 7.65% + employee 7.65%)
+        employerSocialSec: 0.0765,  // 7.65% (Social Security 6.2% + Medicare 1.45%)
+        employeeSocialSec: 0.0765,  // 7.65% (Social Security 6.2% + Medicare 1.45%)
+        socialSecCap: 176100,       // USD annual cap for Social Security
+        hasTreatyWithFinland: true
+    },
+    Germany: {
+        exchangeRate: 1.0,
+        taxRate: 0.30,              // Approximate effective rate
+        deduction: 0,
+        socialSec: 0.40,            // ~40% total (employer ~20% + employee ~20%)
+        employerSocialSec: 0.20,    // ~20% (pension, health, unemployment, care insurance)
+        employeeSocialSec: 0.20,    // ~20% (pension, health, unemployment, care insurance)
+        socialSecCap: 90600,        // EUR annual cap (2025)
+        hasTreatyWithFinland: true  // EU regulation
+    },
+    UK: {
+        exchangeRate: 0.85,
+        taxRate: 0.20,              // Basic rate
+        deduction: 12570,           // Personal allowance (GBP); flat-rate fallback only, the brackets start with it
+        socialSec: 0.268,           // NI: employer 13.8% + employee 12% (above threshold)
+        employerSocialSec: 0.138,   // 13.8% employer NI
+        employeeSocialSec: 0.12,    // 12% employee NI (above threshold)
+        socialSecCap: null,         // No cap for employer NI
+        hasTreatyWithFinland: true
+    },
+    UAE: {
+        exchangeRate: 3.97,
+        taxRate: 0,                 // No personal income tax
+        deduction: 0,
+        socialSec: 0,           // No social security for expats
+        hasTreatyWithFinland: false,
+        noTreatyWarning: false      // No warning needed - no SS anyway
+    },
+    Singapore: {
+        exchangeRate: 1.45,
+        taxRate: 0.22,              // Approximate marginal rate
+        deduction: 0,
+        socialSec: 0.37,            // CPF: employer 17% + employee 20% (varies by age)
+        employerSocialSec: 0.17,    // 17% employer CPF
+        employeeSocialSec: 0.20,    // 20% employee CPF
+        socialSecCap: 6800,         // SGD monthly cap (ordinary wage ceiling)
+        hasTreatyWithFinland: false,
+        noTreatyWarning: true,
+        socialSecSource: '<a href="https://www.cpf.gov.sg/employer/cpf-contribution-calculator" target="_blank" rel="noopener noreferrer" class="text-cozm-teal hover:underline">CPF rates 2025</a>',
+        socialSecSourceUrl: 'https://www.cpf.gov.sg/employer/cpf-contribution-calculator'
+    },
+    Australia: {
+        exchangeRate: 1.65,
+        taxRate: 0.30,              // Non-resident rate
+        deduction: 0,
+        socialSec: 0.115,           // Super guarantee 11.5% (employer only, 2024-25)
+        employerSocialSec: 0.115,   // 11.5% employer only (Superannuation Guarantee)
+        employeeSocialSec: 0,       // 0% mandatory employee contribution
+        socialSecCap: 62500,        // AUD quarterly cap
+        hasTreatyWithFinland: true
+    },
+    Mexico: {
+        exchangeRate: 18.5,
+        taxRate: 0.30,              // Approximate marginal rate
+        deduction: 0,
+        socialSec: 0.35,            // ~35% total IMSS contributions
+        employerSocialSec: 0.275,   // ~27.5% employer IMSS
+        employeeSocialSec: 0.075,   // ~7.5% employee IMSS
+        socialSecCap: null,
+        hasTreatyWithFinland: false,
+        noTreatyWarning: true,
+        socialSecSource: '<a href="https://taxsummaries.pwc.com/mexico/individual/other-taxes" target="_blank" rel="noopener noreferrer" class="text-cozm-teal hover:underline">PwC IMSS rates 2025</a>',
+        socialSecSourceUrl: 'https://taxsummaries.pwc.com/mexico/individual/other-taxes'
+    },
+    India: {
+        exchangeRate: 90.0,
+        taxRate: 0.30,              // Surcharge band
+        deduction: 0,
+        socialSec: 0.24,            // PF: employer 12% + employee 12%
+        employerSocialSec: 0.12,    // 12% employer EPF + EPS
+        employeeSocialSec: 0.12,    // 12% employee EPF
+        socialSecCap: 15000,        // INR monthly cap for PF
+        hasTreatyWithFinland: true
+    },
+    SouthAfrica: {
+        exchangeRate: 19.5,
+        taxRate: 0.31,              // Approximate marginal rate
+        deduction: 0,
+        socialSec: 0.02,            // UIF: 1% employer + 1% employee
+        employerSocialSec: 0.01,    // 1% employer UIF
+        employeeSocialSec: 0.01,    // 1% employee UIF
+        socialSecCap: 17712,        // ZAR monthly cap
+        hasTreatyWithFinland: false,
+        noTreatyWarning: true,
+        socialSecSource: '<a href="https://www.sars.gov.za/" target="_blank" rel="noopener noreferrer" class="text-cozm-teal hover:underline">SARS UIF rates</a>',
+        socialSecSourceUrl: 'https://www.sars.gov.za/'
+    },
+    Norway: {
+        exchangeRate: 11.75,
+        taxRate: 0.397,             // Top rate: 22% ordinary income + 17.7% bracket tax
+        deduction: 0,
+        socialSec: 0.218,           // Employer 14.1% + employee 7.7%
+        employerSocialSec: 0.141,   // 14.1% employer NIC (zone 1)
+        employeeSocialSec: 0.077,   // 7.7% employee national insurance
+        socialSecCap: null,
+        hasTreatyWithFinland: true  // EEA (EU Regulation 883/2004)
+    },
+    Sweden: {
+        exchangeRate: 11.05,
+        taxRate: 0.5241,            // Average municipal 32.41% + 20% state tax
+        deduction: 0,
+        socialSec: 0.3842,          // Employer 31.42% + employee 7% pension fee
+        employerSocialSec: 0.3142,  // 31.42% arbetsgivaravgifter
+        employeeSocialSec: 0.07,    // 7% general pension contribution
+        socialSecCap: null,
+        hasTreatyWithFinland: true  // EU regulation
+    },
+    Netherlands: {
+        exchangeRate: 1.0,
+        taxRate: 0.495,             // Top box 1 rate
+        deduction: 0,
+        socialSec: 0.1557,          // Employer insurances (national insurance is in the tax brackets)
+        employerSocialSec: 0.1557,  // WW/WIA 9.06% + Zvw 6.51%
+        employeeSocialSec: 0,
+        socialSecCap: 75864,        // EUR annual maximum premium wage (2025)
+        hasTreatyWithFinland: true  // EU regulation
+    },
+    France: {
+        exchangeRate: 1.0,
+        taxRate: 0.45,              // Top rate
+        deduction: 0,
+        socialSec: 0.56,            // ~56% total (employer ~42% + employee ~14%)
+        employerSocialSec: 0.42,    // ~42% employer social charges
+        employeeSocialSec: 0.14,    // ~14% employee charges incl. CSG/CRDS
+        socialSecCap: 47100,        // EUR annual social security ceiling (PASS 2025)
+        hasTreatyWithFinland: true  // EU regulation
+    },
+    Italy: {
+        exchangeRate: 1.0,
+        taxRate: 0.43,              // Top IRPEF rate (regional and municipal surcharges extra)
+        deduction: 0,
+        socialSec: 0.3877,          // Employer ~29.58% + employee 9.19%
+        employerSocialSec: 0.2958,  // ~29.58% employer INPS
+        employeeSocialSec: 0.0919,  // 9.19% employee INPS
+        socialSecCap: 120607,       // EUR annual pension ceiling (2025)
+        hasTreatyWithFinland: true  // EU regulation
+    },
+    Spain: {
+        exchangeRate: 1.0,
+        taxRate: 0.47,              // Top combined state + regional rate
+        deduction: 0,
+        socialSec: 0.3887,          // Employer 32.4% + employee 6.47%
+        employerSocialSec: 0.324,   // ~32.4% employer (common contingencies, unemployment, FOGASA, training, MEI)
+        employeeSocialSec: 0.0647,  // 6.47% employee
+        socialSecCap: 4909.50,      // EUR monthly maximum contribution base (2025)
+        hasTreatyWithFinland: true  // EU regulation
+    },
+    Poland: {
+        exchangeRate: 4.22,
+        taxRate: 0.32,              // Upper PIT rate
+        deduction: 0,
+        socialSec: 0.3419,          // ~34% total (employer ~20.5% + employee ~13.7%; health extra)
+        employerSocialSec: 0.2048,  // ~20.48% employer ZUS
+        employeeSocialSec: 0.1371,  // 13.71% employee ZUS (health insurance extra)
+        socialSecCap: 260190,       // PLN annual pension/disability ceiling (2025)
+        hasTreatyWithFinland: true  // EU regulation
+    },
+    Canada: {
+        exchangeRate: 1.62,
+        taxRate: 0.43,              // Top federal rate + average provincial rate
+        deduction: 0,
+        socialSec: 0.1584,          // CPP + EI, employer and employee
+        employerSocialSec: 0.0825,  // CPP 5.95% + EI 2.30%
+        employeeSocialSec: 0.0759,  // CPP 5.95% + EI 1.64%
+        socialSecCap: 71300,        // CAD annual maximum pensionable earnings (2025)
+        hasTreatyWithFinland: true
+    },
+    Chile: {
+        exchangeRate: 1090,
+        taxRate: 0.40,              // Top rate of the single second-category tax
+        deduction: 0,
+        socialSec: 0.2458,          // Employee AFP, health and unemployment + employer charges
+        employerSocialSec: 0.0582,  // Unemployment 2.4% + SIS 1.49% + accident 0.93% + pension reform 1%
+        employeeSocialSec: 0.1876,  // AFP 10% + commission ~1.16% + health 7% + unemployment 0.6%
+        socialSecCap: 3400000,      // CLP monthly taxable ceiling (87.8 UF)
+        hasTreatyWithFinland: true
+    },
+    Japan: {
+        exchangeRate: 183.5,
+        taxRate: 0.2042,            // Non-resident flat rate (incl. reconstruction surtax)
+        deduction: 0,
+        socialSec: 0.3016,          // Pension, health and employment insurance, employer + employee
+        employerSocialSec: 0.1546,  // Pension 9.15% + health ~5% + employment/child 1.31%
+        employeeSocialSec: 0.1470,  // Pension 9.15% + health ~5% + employment 0.55%
+        socialSecCap: 650000,       // JPY monthly pension standard remuneration ceiling
+        hasTreatyWithFinland: true
+    },
+    SouthKorea: {
+        exchangeRate: 1690,
+        taxRate: 0.209,             // Flat 19% election for foreign workers + 10% local tax
+        deduction: 0,
+        socialSec: 0.2005,          // Pension, health, employment insurance, employer + employee
+        employerSocialSec: 0.1065,  // Pension 4.5% + health/LTC 4.0% + employment/accident 2.15%
+        employeeSocialSec: 0.0940,  // Pension 4.5% + health/LTC 4.0% + employment 0.9%
+        socialSecCap: 6170000,      // KRW monthly pension ceiling
+        hasTreatyWithFinland: true
+    },
+    China: {
+        exchangeRate: 8.45,
+        taxRate: 0.45,              // Top IIT rate
+        deduction: 60000,           // CNY 60,000 a year (CNY 5,000 a month) basic deduction
+        socialSec: 0.365,           // ~36.5% total (employer ~26% + employee 10.5%)
+        employerSocialSec: 0.26,    // Pension 16%, medical ~9%, unemployment, injury
+        employeeSocialSec: 0.105,   // Pension 8%, medical 2%, unemployment 0.5%
+        socialSecCap: 37302,        // CNY monthly contribution base ceiling (Shanghai 2025)
+        hasTreatyWithFinland: true  // Pension and unemployment only
+    },
+    Indonesia: {
+        exchangeRate: 19500,
+        taxRate: 0.20,              // Non-resident withholding (Art. 26)
+        deduction: 54000000,        // IDR 54m non-taxable income (PTKP, single)
+        socialSec: 0.1489,          // BPJS employer ~10.89% + employee 4%
+        employerSocialSec: 0.1089,  // JHT 3.7%, JKK ~0.89%, JKM 0.3%, JP 2%, health 4%
+        employeeSocialSec: 0.04,    // JHT 2%, JP 1%, health 1%
+        socialSecCap: 12000000,     // IDR monthly health contribution ceiling
+        hasTreatyWithFinland: false,
+        noTreatyWarning: true,
+        socialSecSource: '<a href="https://www.bpjsketenagakerjaan.go.id/" target="_blank" rel="noopener noreferrer" class="text-cozm-teal hover:underline">BPJS Ketenagakerjaan rates 2025</a>',
+        socialSecSourceUrl: 'https://www.bpjsketenagakerjaan.go.id/',
+        socialSecNote: 'Finland has NO social security agreement with Indonesia. Foreign employees working over six months must join BPJS, so home and host contributions are both due.'
+    },
+    SaudiArabia: {
+        exchangeRate: 4.39,
+        taxRate: 0,                 // No personal income tax on employment income
+        deduction: 0,
+        socialSec: 0.02,            // GOSI occupational hazards only for non-Saudis
+        employerSocialSec: 0.02,    // 2% employer occupational hazards
+        employeeSocialSec: 0,
+        socialSecCap: 45000,        // SAR monthly contribution wage ceiling
+        hasTreatyWithFinland: false,
+        noTreatyWarning: true,
+        socialSecSource: '<a href="https://www.gosi.gov.sa/" target="_blank" rel="noopener noreferrer" class="text-cozm-teal hover:underline">GOSI contribution rates</a>',
+        socialSecSourceUrl: 'https://www.gosi.gov.sa/',
+        socialSecNote: 'Finland has NO social security agreement with Saudi Arabia. Only the 2% employer occupational hazards contribution applies to non-Saudi employees.'
+    },
+    Qatar: {
+        exchangeRate: 4.27,
+        taxRate: 0,                 // No personal income tax on employment income
+        deduction: 0,
+        socialSec: 0,               // Social insurance applies to Qatari nationals only
+        hasTreatyWithFinland: false,
+        noTreatyWarning: false      // No warning needed - no SS for expats
+    }
+};
+
+// Names and currencies from the country registry
+(function applyCountryRegistry(registry) {
+    Object.keys(countryConfig).forEach(key => {
+        const entry = registry[key];
+        if (!entry) return;
+        countryConfig[key].name = entry.name;
+        countryConfig[key].currency = entry.currency;
+    });
+})(typeof countryRegistry !== 'undefined' ? countryRegistry : require('./country-registry.js'));
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = countryConfig;
+}
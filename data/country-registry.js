@@ -0,0 +1,156 @@
+// Country registry: the one list of countries the calculator knows about
+// Shared by the browser app and the DOM-free cost engine (js/cost-engine.js)
+//
+// Keys are the country keys every other data file uses (country-config.js,
+// js/tax-rules.json, per-diem-data.js, social-security-rules.js,
+// assignment-costs.js). roles says where a country can appear:
+//   'host' - assignment destination (needs tax, social security, per diem,
+//            assignment cost and exchange rate data)
+//   'home' - employing country (needs homeTax in js/tax-rules.json and a
+//            per diem regime in per-diem-data.js)
+// eea marks EU/EEA members (A1 certificates, no work permit between members).
+// aliases are extra spellings matched by bulk upload and voice commands.
+//
+// Adding a host country: add it here, then to each data file above and the
+// bundled exchange rates. CostEngine.checkCountryCoverage lists what is missing.
+const countryRegistry = {
+    Finland: {
+        iso2: 'FI', iso3: 'FIN', name: 'Finland', currency: 'EUR',
+        roles: ['home'], eea: true,
+        aliases: ['suomi']
+    },
+    Portugal: {
+        iso2: 'PT', iso3: 'PRT', name: 'Portugal', currency: 'EUR',
+        roles: ['home'], eea: true,
+        aliases: []
+    },
+    Brazil: {
+        iso2: 'BR', iso3: 'BRA', name: 'Brazil', currency: 'BRL',
+        roles: ['host'], eea: false,
+        aliases: ['brasil']
+    },
+    USA: {
+        iso2: 'US', iso3: 'USA', name: 'United States', currency: 'USD',
+        roles: ['host'], eea: false,
+        aliases: ['united states of america', 'america', 'u.s.a.']
+    },
+    Germany: {
+        iso2: 'DE', iso3: 'DEU', name: 'Germany', currency: 'EUR',
+        roles: ['host', 'home'], eea: true,
+        aliases: ['deutschland']
+    },
+    UK: {
+        iso2: 'GB', iso3: 'GBR', name: 'United Kingdom', currency: 'GBP',
+        roles: ['host', 'home'], eea: false,
+        aliases: ['britain', 'great britain', 'england', 'scotland', 'wales', 'u.k.']
+    },
+    UAE: {
+        iso2: 'AE', iso3: 'ARE', name: 'United Arab Emirates', currency: 'AED',
+        roles: ['host'], eea: false,
+        aliases: ['emirates', 'dubai', 'abu dhabi']
+    },
+    Singapore: {
+        iso2: 'SG', iso3: 'SGP', name: 'Singapore', currency: 'SGD',
+        roles: ['host'], eea: false,
+        aliases: []
+    },
+    Australia: {
+        iso2: 'AU', iso3: 'AUS', name: 'Australia', currency: 'AUD',
+        roles: ['host'], eea: false,
+        aliases: []
+    },
+    Mexico: {
+        iso2: 'MX', iso3: 'MEX', name: 'Mexico', currency: 'MXN',
+        roles: ['host'], eea: false,
+        aliases: ['méxico']
+    },
+    India: {
+        iso2: 'IN', iso3: 'IND', name: 'India', currency: 'INR',
+        roles: ['host', 'home'], eea: false,
+        aliases: []
+    },
+    SouthAfrica: {
+        iso2: 'ZA', iso3: 'ZAF', name: 'South Africa', currency: 'ZAR',
+        roles: ['host'], eea: false,
+        aliases: []
+    },
+    Norway: {
+        iso2: 'NO', iso3: 'NOR', name: 'Norway', currency: 'NOK',
+        roles: ['host'], eea: true,
+        aliases: ['norge']
+    },
+    Sweden: {
+        iso2: 'SE', iso3: 'SWE', name: 'Sweden', currency: 'SEK',
+        roles: ['host', 'home'], eea: true,
+        aliases: ['sverige']
+    },
+    Netherlands: {
+        iso2: 'NL', iso3: 'NLD', name: 'Netherlands', currency: 'EUR',
+        roles: ['host'], eea: true,
+        aliases: ['the netherlands', 'holland', 'nederland']
+    },
+    France: {
+        iso2: 'FR', iso3: 'FRA', name: 'France', currency: 'EUR',
+        roles: ['host'], eea: true,
+        aliases: []
+    },
+    Italy: {
+        iso2: 'IT', iso3: 'ITA', name: 'Italy', currency: 'EUR',
+        roles: ['host'], eea: true,
+        aliases: ['italia']
+    },
+    Spain: {
+        iso2: 'ES', iso3: 'ESP', name: 'Spain', currency: 'EUR',
+        roles: ['host'], eea: true,
+        aliases: ['españa', 'espana']
+    },
+    Poland: {
+        iso2: 'PL', iso3: 'POL', name: 'Poland', currency: 'PLN',
+        roles: ['host'], eea: true,
+        aliases: ['polska']
+    },
+    Canada: {
+        iso2: 'CA', iso3: 'CAN', name: 'Canada', currency: 'CAD',
+        roles: ['host'], eea: false,
+        aliases: []
+    },
+    Chile: {
+        iso2: 'CL', iso3: 'CHL', name: 'Chile', currency: 'CLP',
+        roles: ['host'], eea: false,
+        aliases: []
+    },
+    Japan: {
+        iso2: 'JP', iso3: 'JPN', name: 'Japan', currency: 'JPY',
+        roles: ['host'], eea: false,
+        aliases: ['nippon']
+    },
+    SouthKorea: {
+        iso2: 'KR', iso3: 'KOR', name: 'South Korea', currency: 'KRW',
+        roles: ['host'], eea: false,
+        aliases: ['korea', 'republic of korea']
+    },
+    China: {
+        iso2: 'CN', iso3: 'CHN', name: 'China', currency: 'CNY',
+        roles: ['host'], eea: false,
+        aliases: ['prc', "people's republic of china", 'mainland china']
+    },
+    Indonesia: {
+        iso2: 'ID', iso3: 'IDN', name: 'Indonesia', currency: 'IDR',
+        roles: ['host'], eea: false,
+        aliases: []
+    },
+    SaudiArabia: {
+        iso2: 'SA', iso3: 'SAU', name: 'Saudi Arabia', currency: 'SAR',
+        roles: ['host'], eea: false,
+        aliases: ['saudi', 'ksa', 'kingdom of saudi arabia']
+    },
+    Qatar: {
+        iso2: 'QA', iso3: 'QAT', name: 'Qatar', currency: 'QAR',
+        roles: ['host'], eea: false,
+        aliases: ['doha']
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = countryRegistry;
+}
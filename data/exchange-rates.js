@@ -0,0 +1,40 @@
+// Bundled ECB reference rates (units of currency per 1 EUR)
+// Documented offline fallback when the Frankfurter API cannot be reached:
+// estimates then use these rates and record this date and source.
+// Refresh from https://www.ecb.europa.eu/stats/policy_and_exchange_rates/euro_reference_exchange_rates/
+// when the rate table is updated, and bump the version.
+// AED, CLP, QAR and SAR have no ECB reference rate; they are converted from
+// the USD rate.
+const bundledExchangeRates = {
+    version: '2026.1',
+    date: '2026-01-02',
+    source: 'ECB reference rates (bundled)',
+    sourceUrl: 'https://www.ecb.europa.eu/stats/policy_and_exchange_rates/euro_reference_exchange_rates/html/index.en.html',
+    rates: {
+        EUR: 1,
+        AED: 4.3031,
+        AUD: 1.7583,
+        BRL: 6.4321,
+        CAD: 1.6182,
+        CLP: 1090.4,
+        CNY: 8.4478,
+        GBP: 0.8714,
+        IDR: 19512,
+        INR: 105.32,
+        JPY: 183.52,
+        KRW: 1690.8,
+        MXN: 21.124,
+        NOK: 11.753,
+        PLN: 4.2215,
+        QAR: 4.2654,
+        SAR: 4.3943,
+        SEK: 11.048,
+        SGD: 1.5089,
+        USD: 1.1718,
+        ZAR: 19.458
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = bundledExchangeRates;
+}
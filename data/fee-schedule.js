@@ -0,0 +1,68 @@
+// Admin fee schedule (visas, permits, filings and provider fees) by host country
+// Shared by the browser app and the DOM-free cost engine (js/cost-engine.js)
+//
+// Amounts are in EUR. Each item has a frequency:
+//   'one-time' - charged once per assignment
+//   'monthly'  - charged for every month on assignment
+//   'annual'   - charged per year, pro-rated by assignment length
+//
+// Items are resolved in layers, later layers replacing earlier items with the same id:
+//   default -> countries[host] -> eea (home and host both members)
+//     -> countries[host].routes[home] -> countries[host].durationBands
+// Setting an item's amount to 0 removes the cost (e.g. no visa needed within the EU).
+// The EU/EEA members come from data/country-registry.js (filled in below).
+const feeSchedule = {
+    version: '2026.1',
+    effectiveDate: '2026-01-01',
+
+    default: {
+        provider: 'Standard mobility provider estimate',
+        items: [
+            { id: 'visa', label: 'Visa', category: 'visa', frequency: 'one-time', amount: 200 },
+            { id: 'workPermit', label: 'Work permit', category: 'workPermit', frequency: 'one-time', amount: 1000 },
+            { id: 'taxSocialSecRegistration', label: 'Tax & social security registration', category: 'other', frequency: 'one-time', amount: 500 },
+            { id: 'taxReports', label: 'Monthly tax reports', category: 'other', frequency: 'annual', amount: 200 },
+            { id: 'taxReturn', label: 'Annual tax return', category: 'other', frequency: 'annual', amount: 300 },
+            { id: 'serviceProvider', label: 'Service provider fee', category: 'other', frequency: 'annual', amount: 1000 }
+        ]
+    },
+
+    // EU/EEA citizens work in other member states without a visa or work permit
+    eea: {
+        members: [],
+        items: [
+            { id: 'visa', amount: 0, note: 'Not required for EU/EEA citizens' },
+            { id: 'workPermit', amount: 0, note: 'Not required for EU/EEA citizens' }
+        ]
+    },
+
+    countries: {
+        Brazil: {
+            // Foreign employees are on the local payroll, reported every month through eSocial
+            items: [
+                { id: 'taxReports', label: 'Monthly payroll and tax reporting (eSocial)', frequency: 'monthly', amount: 50 }
+            ]
+        },
+        USA: {
+            // Short installation and commissioning visits run on a B-1 business visa
+            durationBands: [
+                {
+                    maxMonths: 3,
+                    items: [
+                        { id: 'visa', amount: 170, note: 'B-1 business visitor visa' },
+                        { id: 'workPermit', amount: 0, note: 'Not required for B-1 equipment installation' }
+                    ]
+                }
+            ]
+        }
+    }
+};
+
+// EU/EEA members from the country registry
+(function applyCountryRegistry(registry) {
+    feeSchedule.eea.members = Object.keys(registry).filter(key => registry[key].eea);
+})(typeof countryRegistry !== 'undefined' ? countryRegistry : require('./country-registry.js'));
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = feeSchedule;
+}
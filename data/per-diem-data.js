@@ -1,9 +1,32 @@
 // Per diem configuration data (rates, overrides, and sources)
+// Shared by the browser app and the DOM-free cost engine (js/cost-engine.js)
+//
+// Keyed by home country (lowercase registry key): the employing country's
+// regime sets the tax-free daily allowance. CostEngine.resolvePerDiem reads:
+//   regime         - 'destination-table' (rates by host) or 'flat' (flatRate everywhere)
+//   currency       - currency of the rates (converted to EUR with the estimate's rates)
+//   rates          - host -> full-day rate, or { full, partial } where the source
+//                    publishes its own partial-day rate
+//   cityOverrides  - host -> city -> rate ("Standard (Other)" is the country rate)
+//   defaultRate    - rate for hosts the table does not list
+//   partialDay     - { share, rule }: partial-day rate as a share of the full rate
+//                    (used when rates give no partial value)
+//   mealDeductions - { type: 'per-meal', breakfast, lunch, dinner, rule }: each meal
+//                    provided removes that share of the full-day rate, or
+//                    { type: 'meal-count', meals, payableShare, rule }: from `meals`
+//                    meals provided only payableShare of the day's rate is tax-free
+//   longStay       - [{ afterMonths, share, rule }]: share of the rate still tax-free
+//                    after that many months at the same place of work
+//   citation       - the legal basis, kept with every estimate
 const perDiemConfig = {
     finland: {
+        regime: 'destination-table',
+        label: 'Finland foreign per diem',
         year: 2026,
+        currency: 'EUR',
         sourceName: 'Finnish Tax Admin 2026',
         sourceUrl: 'https://www.vero.fi/syventavat-vero-ohjeet/paatokset/2025/verohallinnon-paatos-verovapaista-matkakustannusten-korvauksista-vuonna-2026/',
+        citation: 'Verohallinnon päätös verovapaista matkakustannusten korvauksista vuonna 2026 (VH/5679/00.01.00/2025)',
         rates: {
             Brazil: 72,
             USA: 86,
@@ -14,7 +37,22 @@ const perDiemConfig = {
             Australia: 72,
             Mexico: 74,
             India: 57,
-            SouthAfrica: 53
+            SouthAfrica: 53,
+            Norway: 73,
+            Sweden: 64,
+            Netherlands: 83,
+            France: 78,
+            Italy: 76,
+            Spain: 70,
+            Poland: 68,
+            Canada: 83,
+            Chile: 60,
+            Japan: 66,
+            SouthKorea: 80,
+            China: 74,
+            Indonesia: 59,
+            SaudiArabia: 80,
+            Qatar: 75
         },
         cityOverrides: {
             USA: {
@@ -29,14 +67,265 @@ const perDiemConfig = {
                 "Edinburgh": 89
             }
         },
-        defaultRate: 54
+        defaultRate: 54,
+        partialDay: {
+            share: 0.5,
+            rule: 'Last day abroad: over 10 hours earns the full rate, 2-10 hours half the foreign per diem'
+        },
+        mealDeductions: {
+            type: 'meal-count',
+            meals: 2,
+            payableShare: 0.5,
+            rule: 'Two free meals (or a meal included in the fare) halve the foreign per diem'
+        }
     },
     portugal: {
+        regime: 'flat',
+        label: 'Portugal ajudas de custo',
         year: 2025,
+        currency: 'EUR',
         sourceName: 'DGAEP ajudas de custo (missao oficial no estrangeiro, nivel remuneratorio 18+)',
         sourceUrl: 'https://www.dgaep.gov.pt/stap/infoPageTabelas.cfm?objid=C63BAF54-E6CE-49C1-BBF1-C5AC0AF36C68&KeepThis=true#:~:text=Com%20remunera%C3%A7%C3%B5es%20base%20superiores%20ao%20valor%20do%20n%C3%ADvel%20remunerat%C3%B3rio%2018%20-%20148%2C91%20%E2%82%AC',
-        flatRate: 148.91
+        citation: 'Decreto-Lei n.º 106/98 and Portaria n.º 1553-D/2008 (nível remuneratório 18+)',
+        flatRate: 148.91,
+        basisText: 'Portugal flat rate (Level 18+), destination-independent',
+        partialDay: {
+            share: 0.5,
+            rule: 'Departure after 13:00 or return before 13:00: half the daily allowance'
+        }
+    },
+    germany: {
+        regime: 'destination-table',
+        label: 'Germany Auslandstagegelder',
+        year: 2025,
+        currency: 'EUR',
+        sourceName: 'BMF Auslandsreisekosten',
+        sourceUrl: 'https://www.bundesfinanzministerium.de/Content/DE/Downloads/BMF_Schreiben/Steuerarten/Lohnsteuer/2024-12-02-steuerliche-behandlung-reisekosten-reisekostenverguetungen-2025.html',
+        citation: 'BMF-Schreiben vom 2. Dezember 2024 (Auslandsreisekosten ab 1. Januar 2025), §9 Abs. 4a EStG',
+        // { full: 24 hours away, partial: arrival/departure day or more than 8 hours }
+        rates: {
+            Brazil: { full: 46, partial: 31 },
+            USA: { full: 59, partial: 40 },
+            UK: { full: 52, partial: 35 },
+            UAE: { full: 65, partial: 44 },
+            Singapore: { full: 71, partial: 48 },
+            Australia: { full: 57, partial: 38 },
+            Mexico: { full: 48, partial: 32 },
+            India: { full: 32, partial: 21 },
+            SouthAfrica: { full: 29, partial: 20 },
+            Norway: { full: 75, partial: 50 },
+            Sweden: { full: 66, partial: 44 },
+            Netherlands: { full: 47, partial: 32 },
+            France: { full: 53, partial: 36 },
+            Italy: { full: 42, partial: 28 },
+            Spain: { full: 34, partial: 23 },
+            Poland: { full: 34, partial: 23 },
+            Canada: { full: 54, partial: 36 },
+            Chile: { full: 44, partial: 29 },
+            Japan: { full: 50, partial: 33 },
+            SouthKorea: { full: 48, partial: 32 },
+            China: { full: 50, partial: 33 },
+            Indonesia: { full: 45, partial: 30 },
+            SaudiArabia: { full: 56, partial: 37 },
+            Qatar: { full: 56, partial: 37 }
+        },
+        cityOverrides: {
+            USA: {
+                "Standard (Other)": { full: 59, partial: 40 },
+                "New York": { full: 66, partial: 44 },
+                "Washington D.C.": { full: 66, partial: 44 },
+                "Los Angeles": { full: 64, partial: 43 }
+            },
+            UK: {
+                "Standard (Other)": { full: 52, partial: 35 },
+                "London": { full: 66, partial: 44 }
+            },
+            France: {
+                "Standard (Other)": { full: 53, partial: 36 },
+                "Paris": { full: 58, partial: 39 }
+            },
+            China: {
+                "Standard (Other)": { full: 50, partial: 33 },
+                "Shanghai": { full: 58, partial: 39 }
+            }
+        },
+        // Countries the BMF table does not list take the Luxembourg rate
+        defaultRate: { full: 63, partial: 42 },
+        partialDay: {
+            rule: 'Arrival and departure days, and days away over 8 hours without an overnight stay, use the partial rate'
+        },
+        mealDeductions: {
+            type: 'per-meal',
+            breakfast: 0.2,
+            lunch: 0.4,
+            dinner: 0.4,
+            rule: 'Meals provided by the employer reduce the full-day rate by 20% (breakfast) and 40% (lunch, dinner)'
+        },
+        longStay: [
+            { afterMonths: 3, share: 0, rule: 'Tax-free for the first three months at the same place of work (§9 Abs. 4a Satz 6 EStG)' }
+        ]
+    },
+    uk: {
+        regime: 'destination-table',
+        label: 'UK overseas scale rates',
+        year: 2025,
+        currency: 'GBP',
+        sourceName: 'HMRC scale rate expenses payments (outside the UK)',
+        sourceUrl: 'https://www.gov.uk/government/publications/scale-rate-expenses-payments-employee-travelling-outside-the-uk',
+        citation: 'HMRC benchmark scale rates for overseas travel, ITEPA 2003 s.289A and the Income Tax (Approved Expenses) Regulations 2015',
+        // GBP equivalents of { full: 24-hour rate, partial: 10-hour rate }
+        rates: {
+            Brazil: { full: 48, partial: 24 },
+            USA: { full: 75, partial: 35 },
+            Germany: { full: 55, partial: 28 },
+            UAE: { full: 65, partial: 33 },
+            Singapore: { full: 55, partial: 28 },
+            Australia: { full: 55, partial: 28 },
+            Mexico: { full: 45, partial: 22 },
+            India: { full: 35, partial: 18 },
+            SouthAfrica: { full: 38, partial: 19 },
+            Norway: { full: 75, partial: 38 },
+            Sweden: { full: 60, partial: 30 },
+            Netherlands: { full: 60, partial: 30 },
+            France: { full: 60, partial: 30 },
+            Italy: { full: 55, partial: 28 },
+            Spain: { full: 50, partial: 25 },
+            Poland: { full: 40, partial: 20 },
+            Canada: { full: 60, partial: 30 },
+            Chile: { full: 45, partial: 22 },
+            Japan: { full: 65, partial: 33 },
+            SouthKorea: { full: 60, partial: 30 },
+            China: { full: 50, partial: 25 },
+            Indonesia: { full: 40, partial: 20 },
+            SaudiArabia: { full: 60, partial: 30 },
+            Qatar: { full: 65, partial: 33 }
+        },
+        cityOverrides: {
+            USA: {
+                "Standard (Other)": { full: 75, partial: 35 },
+                "New York": { full: 85, partial: 40 }
+            },
+            France: {
+                "Standard (Other)": { full: 60, partial: 30 },
+                "Paris": { full: 70, partial: 35 }
+            }
+        },
+        defaultRate: { full: 50, partial: 25 },
+        partialDay: {
+            rule: 'Away 10-24 hours: the 10-hour rate (a lower 5-hour rate applies below 10 hours)'
+        },
+        mealDeductions: {
+            type: 'per-meal',
+            breakfast: 0.2,
+            lunch: 0.3,
+            dinner: 0.5,
+            rule: 'Meals provided are deducted at their share of the 24-hour rate (breakfast 20%, lunch 30%, dinner 50%)'
+        }
+    },
+    india: {
+        regime: 'destination-table',
+        label: 'India foreign tour daily allowance',
+        year: 2025,
+        currency: 'USD',
+        sourceName: 'Ministry of External Affairs - Daily allowance for official tours abroad',
+        sourceUrl: 'https://www.mea.gov.in/',
+        citation: 'Income-tax Act 1961 s.10(14)(i) and Rule 2BB(1)(b), at the Government of India foreign tour daily allowance rates',
+        rates: {
+            Brazil: 60,
+            USA: 75,
+            Germany: 65,
+            UK: 70,
+            UAE: 60,
+            Singapore: 65,
+            Australia: 70,
+            Mexico: 55,
+            SouthAfrica: 50,
+            Norway: 75,
+            Sweden: 70,
+            Netherlands: 65,
+            France: 70,
+            Italy: 65,
+            Spain: 60,
+            Poland: 55,
+            Canada: 70,
+            Chile: 55,
+            Japan: 75,
+            SouthKorea: 65,
+            China: 60,
+            Indonesia: 50,
+            SaudiArabia: 65,
+            Qatar: 65
+        },
+        defaultRate: 55,
+        partialDay: {
+            share: 0.7,
+            rule: 'Absence of 6-12 hours: 70% of the daily allowance (under 6 hours: 30%)'
+        },
+        mealDeductions: {
+            type: 'meal-count',
+            meals: 3,
+            payableShare: 0.5,
+            rule: 'Free board and lodging: half the daily allowance'
+        }
+    },
+    sweden: {
+        regime: 'destination-table',
+        label: 'Sweden utlandstraktamente (normalbelopp)',
+        year: 2026,
+        currency: 'SEK',
+        sourceName: 'Skatteverket - Normalbelopp för utlandstraktamente',
+        sourceUrl: 'https://www.skatteverket.se/',
+        citation: 'Skatteverkets föreskrifter om traktamenten vid tjänsteresa utomlands (beskattningsåret 2026), 12 kap. 8-12 §§ inkomstskattelagen',
+        rates: {
+            Brazil: 682,
+            USA: 1012,
+            Germany: 793,
+            UK: 942,
+            UAE: 961,
+            Singapore: 966,
+            Australia: 827,
+            Mexico: 699,
+            India: 641,
+            SouthAfrica: 521,
+            Norway: 1028,
+            Netherlands: 874,
+            France: 930,
+            Italy: 810,
+            Spain: 766,
+            Poland: 622,
+            Canada: 920,
+            Chile: 620,
+            Japan: 808,
+            SouthKorea: 873,
+            China: 766,
+            Indonesia: 586,
+            SaudiArabia: 911,
+            Qatar: 962
+        },
+        // Övriga länder och områden
+        defaultRate: 688,
+        partialDay: {
+            share: 0.5,
+            rule: 'Departure after 12:00 or return before 19:00: half the normal amount'
+        },
+        mealDeductions: {
+            type: 'per-meal',
+            breakfast: 0.15,
+            lunch: 0.35,
+            dinner: 0.35,
+            rule: 'Free meals reduce the normal amount by 15% (breakfast) and 35% (lunch, dinner)'
+        },
+        longStay: [
+            { afterMonths: 3, share: 0.7, rule: 'After three months at the same place: 70% of the normal amount' },
+            { afterMonths: 24, share: 0.5, rule: 'After two years: 50% of the normal amount' }
+        ]
     }
 };
 
-window.perDiemConfig = perDiemConfig;
+if (typeof window !== 'undefined') {
+    window.perDiemConfig = perDiemConfig;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = perDiemConfig;
+}
@@ -0,0 +1,145 @@
+// Effective-dated rule set versions (tax, social security, per diem, admin fees)
+// Shared by the browser app and the DOM-free cost engine (js/cost-engine.js)
+//
+// Each domain names the version its bundled file holds (`current`) and lists
+// superseded versions (`history`) as the values that differed from the bundled
+// file, nested the way that file nests them. Objects merge into the bundled data;
+// arrays and plain values replace it.
+//   taxRules       - js/tax-rules.json (keyed by country)
+//   socialSecurity - data/social-security-rules.js
+//   perDiem        - data/per-diem-data.js
+//   feeSchedule    - data/fee-schedule.js
+//
+// effectiveFrom / effectiveTo are inclusive 'YYYY-MM-DD' dates (effectiveTo null =
+// open-ended). Where a version's values take effect on different dates by country
+// (UK tax years start on 6 April), `jurisdictions` gives that country's own dates;
+// each country's versions should follow on without gaps. Tax and social security
+// are resolved per host tax year for the host (and home contributions for the home
+// country), per diem per day for the home country and admin fees at the assignment
+// start. Dates before the oldest version use the oldest one and are reported as not
+// covered.
+//
+// When a bundled file changes, move the values it replaces into `history` under the
+// old id and give `current` a new id, so saved estimates can be recomputed exactly.
+const ruleSets = {
+    taxRules: {
+        label: 'Tax rules',
+        current: { id: '2025.1', effectiveFrom: '2025-01-01', effectiveTo: null },
+        history: [
+            {
+                id: '2024.1',
+                effectiveFrom: '2024-01-01',
+                effectiveTo: '2024-12-31',
+                changes: {
+                    USA: {
+                        taxBrackets: [
+                            { min: 0, max: 11600, rate: 0.10 },
+                            { min: 11600, max: 47150, rate: 0.12 },
+                            { min: 47150, max: 100525, rate: 0.22 },
+                            { min: 100525, max: 191950, rate: 0.24 },
+                            { min: 191950, max: 243725, rate: 0.32 },
+                            { min: 243725, max: 609350, rate: 0.35 },
+                            { min: 609350, max: null, rate: 0.37 }
+                        ],
+                        taxSource: 'IRS Revenue Procedure 2023-34 (2024 Tax Brackets)',
+                        taxSourceUrl: 'https://www.irs.gov/pub/irs-drop/rp-23-34.pdf'
+                    },
+                    Germany: {
+                        taxBrackets: [
+                            { min: 0, max: 11784, rate: 0 },
+                            { min: 11784, max: 17005, rate: 0.14 },
+                            { min: 17005, max: 66760, rate: 0.2397 },
+                            { min: 66760, max: 277825, rate: 0.42 },
+                            { min: 277825, max: null, rate: 0.45 }
+                        ],
+                        taxSource: 'German Income Tax Act (EStG) §32a, 2024 tariff',
+                        taxSourceUrl: 'https://www.gesetze-im-internet.de/estg/__32a.html'
+                    }
+                }
+            }
+        ]
+    },
+
+    socialSecurity: {
+        label: 'Social security rules',
+        // Bundled file: UK 2025/26 NI rates (from 6 April 2025), US 2025 wage base and
+        // German 2025 ceilings (from 1 January 2025)
+        current: {
+            id: '2026.1',
+            effectiveFrom: '2025-01-01',
+            effectiveTo: null,
+            jurisdictions: { UK: { effectiveFrom: '2025-04-06', effectiveTo: null } }
+        },
+        history: [
+            {
+                // UK 2024/25 NI rates, US 2024 wage base and German 2024 ceilings
+                id: '2024.1',
+                effectiveFrom: '2024-01-01',
+                effectiveTo: '2024-12-31',
+                jurisdictions: { UK: { effectiveFrom: '2024-04-06', effectiveTo: '2025-04-05' } },
+                changes: {
+                    countries: {
+                        UK: {
+                            contributions: [
+                                { id: 'ni-employer', label: 'Employer NI (Class 1 secondary)', payer: 'employer', rate: 0.138, threshold: 758, period: 'monthly' },
+                                { id: 'ni-main', label: 'Employee NI (main rate)', payer: 'employee', rate: 0.08, threshold: 1048, ceiling: 4189, period: 'monthly' },
+                                { id: 'ni-upper', label: 'Employee NI (above upper earnings limit)', payer: 'employee', rate: 0.02, threshold: 4189, period: 'monthly' }
+                            ],
+                            source: 'HMRC - Rates and thresholds 2024/25',
+                            sourceUrl: 'https://www.gov.uk/guidance/rates-and-thresholds-for-employers-2024-to-2025'
+                        },
+                        USA: {
+                            contributions: [
+                                { id: 'oasdi-employer', label: 'Social Security (OASDI)', payer: 'employer', rate: 0.062, ceiling: 168600, period: 'annual' },
+                                { id: 'medicare-employer', label: 'Medicare', payer: 'employer', rate: 0.0145, period: 'annual' },
+                                { id: 'oasdi', label: 'Social Security (OASDI)', payer: 'employee', rate: 0.062, ceiling: 168600, period: 'annual' },
+                                { id: 'medicare', label: 'Medicare', payer: 'employee', rate: 0.0145, period: 'annual' },
+                                { id: 'additional-medicare', label: 'Additional Medicare', payer: 'employee', rate: 0.009, threshold: 200000, period: 'annual' }
+                            ]
+                        },
+                        Germany: {
+                            contributions: [
+                                { id: 'pension-employer', label: 'Pension insurance', payer: 'employer', rate: 0.093, ceiling: 90600, period: 'annual' },
+                                { id: 'unemployment-employer', label: 'Unemployment insurance', payer: 'employer', rate: 0.013, ceiling: 90600, period: 'annual' },
+                                { id: 'health-employer', label: 'Health insurance', payer: 'employer', rate: 0.0815, ceiling: 62100, period: 'annual' },
+                                { id: 'care-employer', label: 'Long-term care insurance', payer: 'employer', rate: 0.017, ceiling: 62100, period: 'annual' },
+                                { id: 'pension', label: 'Pension insurance', payer: 'employee', rate: 0.093, ceiling: 90600, period: 'annual' },
+                                { id: 'unemployment', label: 'Unemployment insurance', payer: 'employee', rate: 0.013, ceiling: 90600, period: 'annual' },
+                                { id: 'health', label: 'Health insurance', payer: 'employee', rate: 0.0815, ceiling: 62100, period: 'annual' },
+                                { id: 'care', label: 'Long-term care insurance (childless)', payer: 'employee', rate: 0.023, ceiling: 62100, period: 'annual' }
+                            ],
+                            source: 'Federal Ministry of Labour - Contribution ceilings 2024'
+                        }
+                    }
+                }
+            }
+        ]
+    },
+
+    perDiem: {
+        label: 'Per diem rates',
+        // Bundled file, by home country: Finnish and Swedish 2026 rates, the others'
+        // latest published (2025) rates
+        current: {
+            id: '2026.1',
+            effectiveFrom: '2025-01-01',
+            effectiveTo: null,
+            jurisdictions: {
+                Finland: { effectiveFrom: '2026-01-01', effectiveTo: null },
+                Sweden: { effectiveFrom: '2026-01-01', effectiveTo: null }
+            }
+        },
+        history: []
+    },
+
+    feeSchedule: {
+        label: 'Admin fee schedule',
+        // Matches feeSchedule.version / effectiveDate
+        current: { id: '2026.1', effectiveFrom: '2026-01-01', effectiveTo: null },
+        history: []
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ruleSets;
+}
@@ -0,0 +1,387 @@
+// Social security contribution rules by country
+// Shared by the browser app and the DOM-free cost engine (js/cost-engine.js)
+//
+// Each contribution applies `rate` to earnings above `threshold` and up to
+// `ceiling` (both optional), measured per `period`: 'monthly', 'quarterly' or
+// 'annual' (annual periods follow the country's tax year). Amounts are in the
+// country's currency (see data/country-config.js; Finland and Portugal use EUR).
+//
+// agreements lists certificates of coverage (A1 / CoC) by home country, then host
+// country. While a certificate is valid the employee stays insured at home only.
+const socialSecurityRules = {
+    version: '2026.1',
+
+    countries: {
+        Brazil: {
+            contributions: [
+                { id: 'employer', label: 'INSS, FGTS and RAT/SAT', payer: 'employer', rate: 0.275, period: 'monthly' },
+                { id: 'inss', label: 'INSS', payer: 'employee', rate: 0.075, ceiling: 8475.55, period: 'monthly' }
+            ],
+            source: 'PwC Worldwide Tax Summaries - Brazil',
+            sourceUrl: 'https://taxsummaries.pwc.com/brazil/individual/other-taxes'
+        },
+        USA: {
+            contributions: [
+                { id: 'oasdi-employer', label: 'Social Security (OASDI)', payer: 'employer', rate: 0.062, ceiling: 176100, period: 'annual' },
+                { id: 'medicare-employer', label: 'Medicare', payer: 'employer', rate: 0.0145, period: 'annual' },
+                { id: 'oasdi', label: 'Social Security (OASDI)', payer: 'employee', rate: 0.062, ceiling: 176100, period: 'annual' },
+                { id: 'medicare', label: 'Medicare', payer: 'employee', rate: 0.0145, period: 'annual' },
+                { id: 'additional-medicare', label: 'Additional Medicare', payer: 'employee', rate: 0.009, threshold: 200000, period: 'annual' }
+            ],
+            source: 'SSA - Contribution and benefit base',
+            sourceUrl: 'https://www.ssa.gov/oact/cola/cbb.html'
+        },
+        Germany: {
+            contributions: [
+                { id: 'pension-employer', label: 'Pension insurance', payer: 'employer', rate: 0.093, ceiling: 96600, period: 'annual' },
+                { id: 'unemployment-employer', label: 'Unemployment insurance', payer: 'employer', rate: 0.013, ceiling: 96600, period: 'annual' },
+                { id: 'health-employer', label: 'Health insurance', payer: 'employer', rate: 0.0855, ceiling: 66150, period: 'annual' },
+                { id: 'care-employer', label: 'Long-term care insurance', payer: 'employer', rate: 0.018, ceiling: 66150, period: 'annual' },
+                { id: 'pension', label: 'Pension insurance', payer: 'employee', rate: 0.093, ceiling: 96600, period: 'annual' },
+                { id: 'unemployment', label: 'Unemployment insurance', payer: 'employee', rate: 0.013, ceiling: 96600, period: 'annual' },
+                { id: 'health', label: 'Health insurance', payer: 'employee', rate: 0.0855, ceiling: 66150, period: 'annual' },
+                { id: 'care', label: 'Long-term care insurance (childless)', payer: 'employee', rate: 0.024, ceiling: 66150, period: 'annual' }
+            ],
+            source: 'Federal Ministry of Labour - Contribution ceilings 2025',
+            sourceUrl: 'https://www.bmas.de/DE/Soziales/Sozialversicherung/sozialversicherung.html'
+        },
+        UK: {
+            contributions: [
+                { id: 'ni-employer', label: 'Employer NI (Class 1 secondary)', payer: 'employer', rate: 0.15, threshold: 417, period: 'monthly' },
+                { id: 'ni-main', label: 'Employee NI (main rate)', payer: 'employee', rate: 0.08, threshold: 1048, ceiling: 4189, period: 'monthly' },
+                { id: 'ni-upper', label: 'Employee NI (above upper earnings limit)', payer: 'employee', rate: 0.02, threshold: 4189, period: 'monthly' }
+            ],
+            source: 'HMRC - Rates and thresholds 2025/26',
+            sourceUrl: 'https://www.gov.uk/guidance/rates-and-thresholds-for-employers-2025-to-2026'
+        },
+        UAE: {
+            // Pension contributions apply to GCC nationals only
+            contributions: [],
+            source: 'UAE General Pension and Social Security Authority',
+            sourceUrl: 'https://gpssa.gov.ae/'
+        },
+        Singapore: {
+            note: 'CPF applies to Singapore citizens and permanent residents',
+            contributions: [
+                { id: 'cpf-employer', label: 'CPF (employer)', payer: 'employer', rate: 0.17, ceiling: 6800, period: 'monthly' },
+                { id: 'cpf', label: 'CPF (employee)', payer: 'employee', rate: 0.20, ceiling: 6800, period: 'monthly' }
+            ],
+            source: 'CPF Board - Contribution rates',
+            sourceUrl: 'https://www.cpf.gov.sg/employer/cpf-contribution-calculator'
+        },
+        Australia: {
+            contributions: [
+                { id: 'super-guarantee', label: 'Superannuation Guarantee', payer: 'employer', rate: 0.115, ceiling: 62500, period: 'quarterly' }
+            ],
+            source: 'ATO - Maximum super contribution base',
+            sourceUrl: 'https://www.ato.gov.au/tax-rates-and-codes/key-superannuation-rates-and-thresholds/super-guarantee'
+        },
+        Mexico: {
+            contributions: [
+                { id: 'imss-employer', label: 'IMSS, INFONAVIT and SAR', payer: 'employer', rate: 0.275, ceiling: 85986, period: 'monthly' },
+                { id: 'imss', label: 'IMSS', payer: 'employee', rate: 0.075, ceiling: 85986, period: 'monthly' }
+            ],
+            note: 'Ceiling of 25 UMA per day (2025)',
+            source: 'PwC Worldwide Tax Summaries - Mexico',
+            sourceUrl: 'https://taxsummaries.pwc.com/mexico/individual/other-taxes'
+        },
+        India: {
+            contributions: [
+                { id: 'epf-employer', label: 'EPF and EPS (employer)', payer: 'employer', rate: 0.12, ceiling: 15000, period: 'monthly' },
+                { id: 'epf', label: 'EPF (employee)', payer: 'employee', rate: 0.12, ceiling: 15000, period: 'monthly' }
+            ],
+            source: 'EPFO - Contribution rates',
+            sourceUrl: 'https://www.epfindia.gov.in/'
+        },
+        SouthAfrica: {
+            contributions: [
+                { id: 'uif-employer', label: 'UIF (employer)', payer: 'employer', rate: 0.01, ceiling: 17712, period: 'monthly' },
+                { id: 'uif', label: 'UIF (employee)', payer: 'employee', rate: 0.01, ceiling: 17712, period: 'monthly' }
+            ],
+            source: 'SARS - Unemployment Insurance Fund',
+            sourceUrl: 'https://www.sars.gov.za/types-of-tax/unemployment-insurance-fund/'
+        },
+        Norway: {
+            contributions: [
+                { id: 'nic-employer', label: 'Employer NIC (zone 1)', payer: 'employer', rate: 0.141, period: 'annual' },
+                { id: 'national-insurance', label: 'National insurance', payer: 'employee', rate: 0.077, period: 'annual' }
+            ],
+            source: 'Norwegian Tax Administration - National insurance contributions',
+            sourceUrl: 'https://www.skatteetaten.no/en/rates/national-insurance-contributions/'
+        },
+        Sweden: {
+            contributions: [
+                { id: 'employer-contributions', label: 'Employer contributions (arbetsgivaravgifter)', payer: 'employer', rate: 0.3142, period: 'annual' },
+                { id: 'pension-contribution', label: 'General pension contribution', payer: 'employee', rate: 0.07, ceiling: 650442, period: 'annual' }
+            ],
+            note: 'The employee pension contribution is offset by a tax reduction for residents',
+            source: 'Swedish Tax Agency - Employer contributions',
+            sourceUrl: 'https://www.skatteverket.se/'
+        },
+        Netherlands: {
+            contributions: [
+                { id: 'employee-insurances', label: 'Employee insurances (WW, WIA)', payer: 'employer', rate: 0.0906, ceiling: 75864, period: 'annual' },
+                { id: 'zvw-employer', label: 'Health insurance (Zvw)', payer: 'employer', rate: 0.0651, ceiling: 75864, period: 'annual' }
+            ],
+            note: 'Employee national insurance premiums are included in the box 1 tax rates',
+            source: 'Dutch Tax Administration - Employee insurance and Zvw rates 2025',
+            sourceUrl: 'https://www.belastingdienst.nl/'
+        },
+        France: {
+            contributions: [
+                { id: 'capped-employer', label: 'Old-age insurance, capped (employer)', payer: 'employer', rate: 0.0855, ceiling: 47100, period: 'annual' },
+                { id: 'uncapped-employer', label: 'Health, family, unemployment and other charges (employer)', payer: 'employer', rate: 0.335, period: 'annual' },
+                { id: 'capped', label: 'Old-age insurance, capped', payer: 'employee', rate: 0.069, ceiling: 47100, period: 'annual' },
+                { id: 'uncapped', label: 'Supplementary pension, CSG and CRDS', payer: 'employee', rate: 0.12, period: 'annual' }
+            ],
+            note: 'Ceilings use the annual social security ceiling (PASS 2025)',
+            source: 'URSSAF - Contribution rates',
+            sourceUrl: 'https://www.urssaf.fr/'
+        },
+        Italy: {
+            contributions: [
+                { id: 'inps-employer', label: 'INPS (employer)', payer: 'employer', rate: 0.2958, ceiling: 120607, period: 'annual' },
+                { id: 'inps', label: 'INPS (employee)', payer: 'employee', rate: 0.0919, ceiling: 120607, period: 'annual' }
+            ],
+            note: 'Ceiling applies to employees first insured from 1996',
+            source: 'INPS - Contribution rates 2025',
+            sourceUrl: 'https://www.inps.it/'
+        },
+        Spain: {
+            contributions: [
+                { id: 'ss-employer', label: 'Social security (employer)', payer: 'employer', rate: 0.324, ceiling: 4909.50, period: 'monthly' },
+                { id: 'ss', label: 'Social security (employee)', payer: 'employee', rate: 0.0647, ceiling: 4909.50, period: 'monthly' }
+            ],
+            source: 'Seguridad Social - Contribution bases and rates 2025',
+            sourceUrl: 'https://www.seg-social.es/'
+        },
+        Poland: {
+            contributions: [
+                { id: 'zus-capped-employer', label: 'Pension and disability (employer)', payer: 'employer', rate: 0.1626, ceiling: 260190, period: 'annual' },
+                { id: 'zus-employer', label: 'Accident, Labour Fund and FGŚP (employer)', payer: 'employer', rate: 0.0422, period: 'annual' },
+                { id: 'zus-capped', label: 'Pension and disability', payer: 'employee', rate: 0.1126, ceiling: 260190, period: 'annual' },
+                { id: 'zus-sickness', label: 'Sickness insurance', payer: 'employee', rate: 0.0245, period: 'annual' },
+                { id: 'health', label: 'Health insurance', payer: 'employee', rate: 0.0777, period: 'annual' }
+            ],
+            note: 'Health insurance is 9% of pay after the employee ZUS contributions',
+            source: 'ZUS - Contribution rates 2025',
+            sourceUrl: 'https://www.zus.pl/'
+        },
+        Canada: {
+            contributions: [
+                { id: 'cpp-employer', label: 'CPP (employer)', payer: 'employer', rate: 0.0595, threshold: 3500, ceiling: 71300, period: 'annual' },
+                { id: 'cpp2-employer', label: 'CPP2 (employer)', payer: 'employer', rate: 0.04, threshold: 71300, ceiling: 81200, period: 'annual' },
+                { id: 'ei-employer', label: 'Employment Insurance (employer)', payer: 'employer', rate: 0.02296, ceiling: 65700, period: 'annual' },
+                { id: 'cpp', label: 'CPP', payer: 'employee', rate: 0.0595, threshold: 3500, ceiling: 71300, period: 'annual' },
+                { id: 'cpp2', label: 'CPP2', payer: 'employee', rate: 0.04, threshold: 71300, ceiling: 81200, period: 'annual' },
+                { id: 'ei', label: 'Employment Insurance', payer: 'employee', rate: 0.0164, ceiling: 65700, period: 'annual' }
+            ],
+            note: 'Outside Quebec (QPP and QPIP apply there)',
+            source: 'Canada Revenue Agency - CPP and EI rates 2025',
+            sourceUrl: 'https://www.canada.ca/en/revenue-agency/services/tax/businesses/topics/payroll/payroll-deductions-contributions/canada-pension-plan-cpp/cpp-contribution-rates-maximums-exemptions.html'
+        },
+        Chile: {
+            contributions: [
+                { id: 'employer', label: 'Unemployment, SIS, accident and employer pension', payer: 'employer', rate: 0.0582, ceiling: 3400000, period: 'monthly' },
+                { id: 'afp-health', label: 'AFP pension, commission and health', payer: 'employee', rate: 0.1816, ceiling: 3400000, period: 'monthly' },
+                { id: 'unemployment', label: 'Unemployment insurance', payer: 'employee', rate: 0.006, ceiling: 5100000, period: 'monthly' }
+            ],
+            note: 'Foreign technical staff insured at home may be exempt from AFP (Law 18.156)',
+            source: 'Superintendencia de Pensiones - Contribution rates',
+            sourceUrl: 'https://www.spensiones.cl/'
+        },
+        Japan: {
+            contributions: [
+                { id: 'pension-employer', label: 'Employees\' pension insurance (employer)', payer: 'employer', rate: 0.0915, ceiling: 650000, period: 'monthly' },
+                { id: 'health-employer', label: 'Health insurance (employer)', payer: 'employer', rate: 0.05, ceiling: 1390000, period: 'monthly' },
+                { id: 'employment-employer', label: 'Employment insurance and child support (employer)', payer: 'employer', rate: 0.0131, period: 'monthly' },
+                { id: 'pension', label: 'Employees\' pension insurance', payer: 'employee', rate: 0.0915, ceiling: 650000, period: 'monthly' },
+                { id: 'health', label: 'Health insurance', payer: 'employee', rate: 0.05, ceiling: 1390000, period: 'monthly' },
+                { id: 'employment', label: 'Employment insurance', payer: 'employee', rate: 0.0055, period: 'monthly' }
+            ],
+            note: 'Health insurance rate varies by prefecture and insurer',
+            source: 'Japan Pension Service - Contribution rates',
+            sourceUrl: 'https://www.nenkin.go.jp/international/'
+        },
+        SouthKorea: {
+            contributions: [
+                { id: 'pension-employer', label: 'National pension (employer)', payer: 'employer', rate: 0.045, ceiling: 6170000, period: 'monthly' },
+                { id: 'health-employer', label: 'Health and long-term care insurance (employer)', payer: 'employer', rate: 0.04004, period: 'monthly' },
+                { id: 'employment-employer', label: 'Employment and industrial accident insurance (employer)', payer: 'employer', rate: 0.0215, period: 'monthly' },
+                { id: 'pension', label: 'National pension', payer: 'employee', rate: 0.045, ceiling: 6170000, period: 'monthly' },
+                { id: 'health', label: 'Health and long-term care insurance', payer: 'employee', rate: 0.04004, period: 'monthly' },
+                { id: 'employment', label: 'Employment insurance', payer: 'employee', rate: 0.009, period: 'monthly' }
+            ],
+            source: 'National Pension Service - Contribution rates',
+            sourceUrl: 'https://www.nps.or.kr/eng/'
+        },
+        China: {
+            contributions: [
+                { id: 'social-insurance-employer', label: 'Pension, medical, unemployment and injury (employer)', payer: 'employer', rate: 0.26, ceiling: 37302, period: 'monthly' },
+                { id: 'social-insurance', label: 'Pension, medical and unemployment', payer: 'employee', rate: 0.105, ceiling: 37302, period: 'monthly' }
+            ],
+            note: 'Rates and the contribution base ceiling vary by city (Shanghai 2025 shown); housing fund not included',
+            source: 'Ministry of Human Resources and Social Security - Social insurance for foreigners',
+            sourceUrl: 'https://www.mohrss.gov.cn/'
+        },
+        Indonesia: {
+            contributions: [
+                { id: 'bpjs-employer', label: 'BPJS JHT, JKK and JKM (employer)', payer: 'employer', rate: 0.0489, period: 'monthly' },
+                { id: 'jp-employer', label: 'BPJS pension (JP, employer)', payer: 'employer', rate: 0.02, ceiling: 10547400, period: 'monthly' },
+                { id: 'health-employer', label: 'BPJS health (employer)', payer: 'employer', rate: 0.04, ceiling: 12000000, period: 'monthly' },
+                { id: 'jht', label: 'BPJS old-age savings (JHT)', payer: 'employee', rate: 0.02, period: 'monthly' },
+                { id: 'jp', label: 'BPJS pension (JP)', payer: 'employee', rate: 0.01, ceiling: 10547400, period: 'monthly' },
+                { id: 'health', label: 'BPJS health', payer: 'employee', rate: 0.01, ceiling: 12000000, period: 'monthly' }
+            ],
+            note: 'Mandatory for foreign employees working in Indonesia for six months or more',
+            source: 'BPJS Ketenagakerjaan - Contribution rates',
+            sourceUrl: 'https://www.bpjsketenagakerjaan.go.id/'
+        },
+        SaudiArabia: {
+            note: 'Pension and unemployment insurance apply to Saudi nationals only',
+            contributions: [
+                { id: 'occupational-hazards', label: 'GOSI occupational hazards', payer: 'employer', rate: 0.02, ceiling: 45000, period: 'monthly' }
+            ],
+            source: 'General Organization for Social Insurance (GOSI)',
+            sourceUrl: 'https://www.gosi.gov.sa/'
+        },
+        Qatar: {
+            // Social insurance applies to Qatari nationals only
+            contributions: [],
+            source: 'General Retirement and Social Insurance Authority',
+            sourceUrl: 'https://www.grsia.gov.qa/'
+        },
+
+        // Home countries only
+        Finland: {
+            note: 'Approximate 2025 rates; TyEL employer rate varies by pension provider',
+            contributions: [
+                { id: 'tyel-employer', label: 'TyEL pension (employer)', payer: 'employer', rate: 0.1734, period: 'annual' },
+                { id: 'unemployment-employer', label: 'Unemployment insurance (employer)', payer: 'employer', rate: 0.008, period: 'annual' },
+                { id: 'health-employer', label: 'Health insurance (employer)', payer: 'employer', rate: 0.0187, period: 'annual' },
+                { id: 'tyel', label: 'TyEL pension (employee)', payer: 'employee', rate: 0.0715, period: 'annual' },
+                { id: 'unemployment', label: 'Unemployment insurance (employee)', payer: 'employee', rate: 0.0059, period: 'annual' },
+                { id: 'health', label: 'Health insurance (employee)', payer: 'employee', rate: 0.0135, period: 'annual' }
+            ],
+            source: 'Finnish Centre for Pensions - Contribution rates',
+            sourceUrl: 'https://www.etk.fi/en/the-pension-system/pension-security/financing/contribution-rates/'
+        },
+        Portugal: {
+            contributions: [
+                { id: 'tsu-employer', label: 'TSU (employer)', payer: 'employer', rate: 0.2375, period: 'monthly' },
+                { id: 'tsu', label: 'TSU (employee)', payer: 'employee', rate: 0.11, period: 'monthly' }
+            ],
+            source: 'Segurança Social - Contribution rates',
+            sourceUrl: 'https://www.seg-social.pt/taxas-contributivas'
+        }
+    },
+
+    agreements: {
+        Finland: {
+            Germany: { certificate: 'A1 (EU Regulation 883/2004)', maxMonths: 24 },
+            UK: { certificate: 'A1 (EU-UK Trade and Cooperation Agreement)', maxMonths: 24 },
+            USA: { certificate: 'Certificate of Coverage (Finland-US agreement)', maxMonths: 60 },
+            Australia: { certificate: 'Certificate of Coverage (Finland-Australia agreement)', maxMonths: 48 },
+            India: { certificate: 'Certificate of Coverage (Finland-India agreement)', maxMonths: 60 },
+            Norway: { certificate: 'A1 (EU Regulation 883/2004)', maxMonths: 24 },
+            Sweden: { certificate: 'A1 (EU Regulation 883/2004)', maxMonths: 24 },
+            Netherlands: { certificate: 'A1 (EU Regulation 883/2004)', maxMonths: 24 },
+            France: { certificate: 'A1 (EU Regulation 883/2004)', maxMonths: 24 },
+            Italy: { certificate: 'A1 (EU Regulation 883/2004)', maxMonths: 24 },
+            Spain: { certificate: 'A1 (EU Regulation 883/2004)', maxMonths: 24 },
+            Poland: { certificate: 'A1 (EU Regulation 883/2004)', maxMonths: 24 },
+            Canada: { certificate: 'Certificate of Coverage (Finland-Canada agreement)', maxMonths: 24 },
+            Chile: { certificate: 'Certificate of Coverage (Finland-Chile agreement)', maxMonths: 24 },
+            Japan: { certificate: 'Certificate of Coverage (Finland-Japan agreement)', maxMonths: 60 },
+            SouthKorea: { certificate: 'Certificate of Coverage (Finland-Korea agreement)', maxMonths: 60 },
+            China: { certificate: 'Certificate of Coverage (Finland-China agreement, pension and unemployment)', maxMonths: 60 },
+            source: 'Kela - International social security agreements',
+            sourceUrl: 'https://www.kela.fi/international-legislation'
+        },
+        Portugal: {
+            Germany: { certificate: 'A1 (EU Regulation 883/2004)', maxMonths: 24 },
+            UK: { certificate: 'A1 (EU-UK Trade and Cooperation Agreement)', maxMonths: 24 },
+            USA: { certificate: 'Certificate of Coverage (Portugal-US agreement)', maxMonths: 60 },
+            Norway: { certificate: 'A1 (EU Regulation 883/2004)', maxMonths: 24 },
+            Sweden: { certificate: 'A1 (EU Regulation 883/2004)', maxMonths: 24 },
+            Netherlands: { certificate: 'A1 (EU Regulation 883/2004)', maxMonths: 24 },
+            France: { certificate: 'A1 (EU Regulation 883/2004)', maxMonths: 24 },
+            Italy: { certificate: 'A1 (EU Regulation 883/2004)', maxMonths: 24 },
+            Spain: { certificate: 'A1 (EU Regulation 883/2004)', maxMonths: 24 },
+            Poland: { certificate: 'A1 (EU Regulation 883/2004)', maxMonths: 24 },
+            Japan: { certificate: 'Certificate of Coverage (Portugal-Japan agreement)', maxMonths: 60 },
+            source: 'Segurança Social - International agreements',
+            sourceUrl: 'https://www.seg-social.pt/acordos-internacionais'
+        },
+        Germany: {
+            UK: { certificate: 'A1 (EU-UK Trade and Cooperation Agreement)', maxMonths: 24 },
+            USA: { certificate: 'Certificate of Coverage (Germany-US agreement)', maxMonths: 60 },
+            India: { certificate: 'Certificate of Coverage (Germany-India agreement)', maxMonths: 48 },
+            Brazil: { certificate: 'Certificate of Coverage (Germany-Brazil agreement)', maxMonths: 24 },
+            Norway: { certificate: 'A1 (EU Regulation 883/2004)', maxMonths: 24 },
+            Sweden: { certificate: 'A1 (EU Regulation 883/2004)', maxMonths: 24 },
+            Netherlands: { certificate: 'A1 (EU Regulation 883/2004)', maxMonths: 24 },
+            France: { certificate: 'A1 (EU Regulation 883/2004)', maxMonths: 24 },
+            Italy: { certificate: 'A1 (EU Regulation 883/2004)', maxMonths: 24 },
+            Spain: { certificate: 'A1 (EU Regulation 883/2004)', maxMonths: 24 },
+            Poland: { certificate: 'A1 (EU Regulation 883/2004)', maxMonths: 24 },
+            Canada: { certificate: 'Certificate of Coverage (Germany-Canada agreement)', maxMonths: 60 },
+            Japan: { certificate: 'Certificate of Coverage (Germany-Japan agreement)', maxMonths: 60 },
+            SouthKorea: { certificate: 'Certificate of Coverage (Germany-Korea agreement)', maxMonths: 24 },
+            China: { certificate: 'Certificate of Coverage (Germany-China agreement)', maxMonths: 48 },
+            source: 'Deutsche Verbindungsstelle Krankenversicherung - Ausland',
+            sourceUrl: 'https://www.dvka.de/'
+        },
+        UK: {
+            Germany: { certificate: 'A1 (EU-UK Trade and Cooperation Agreement)', maxMonths: 24 },
+            USA: { certificate: 'Certificate of Coverage (UK-US agreement)', maxMonths: 60 },
+            Norway: { certificate: 'A1 (UK-EEA EFTA Convention)', maxMonths: 24 },
+            Sweden: { certificate: 'A1 (EU-UK Trade and Cooperation Agreement)', maxMonths: 24 },
+            Netherlands: { certificate: 'A1 (EU-UK Trade and Cooperation Agreement)', maxMonths: 24 },
+            France: { certificate: 'A1 (EU-UK Trade and Cooperation Agreement)', maxMonths: 24 },
+            Italy: { certificate: 'A1 (EU-UK Trade and Cooperation Agreement)', maxMonths: 24 },
+            Spain: { certificate: 'A1 (EU-UK Trade and Cooperation Agreement)', maxMonths: 24 },
+            Poland: { certificate: 'A1 (EU-UK Trade and Cooperation Agreement)', maxMonths: 24 },
+            Canada: { certificate: 'Certificate of Coverage (UK-Canada agreement)', maxMonths: 60 },
+            Japan: { certificate: 'Certificate of Coverage (UK-Japan agreement)', maxMonths: 60 },
+            SouthKorea: { certificate: 'Certificate of Coverage (UK-Korea agreement)', maxMonths: 60 },
+            source: 'HMRC - National Insurance if you work abroad',
+            sourceUrl: 'https://www.gov.uk/national-insurance-if-you-go-abroad'
+        },
+        India: {
+            Germany: { certificate: 'Certificate of Coverage (India-Germany agreement)', maxMonths: 48 },
+            Australia: { certificate: 'Certificate of Coverage (India-Australia agreement)', maxMonths: 48 },
+            Norway: { certificate: 'Certificate of Coverage (India-Norway agreement)', maxMonths: 60 },
+            Sweden: { certificate: 'Certificate of Coverage (India-Sweden agreement)', maxMonths: 24 },
+            Netherlands: { certificate: 'Certificate of Coverage (India-Netherlands agreement)', maxMonths: 60 },
+            France: { certificate: 'Certificate of Coverage (India-France agreement)', maxMonths: 60 },
+            Canada: { certificate: 'Certificate of Coverage (India-Canada agreement)', maxMonths: 60 },
+            Japan: { certificate: 'Certificate of Coverage (India-Japan agreement)', maxMonths: 60 },
+            SouthKorea: { certificate: 'Certificate of Coverage (India-Korea agreement)', maxMonths: 60 },
+            source: 'EPFO - International workers',
+            sourceUrl: 'https://www.epfindia.gov.in/site_en/IWU.php'
+        },
+        Sweden: {
+            Germany: { certificate: 'A1 (EU Regulation 883/2004)', maxMonths: 24 },
+            UK: { certificate: 'A1 (EU-UK Trade and Cooperation Agreement)', maxMonths: 24 },
+            USA: { certificate: 'Certificate of Coverage (Sweden-US agreement)', maxMonths: 60 },
+            India: { certificate: 'Certificate of Coverage (Sweden-India agreement)', maxMonths: 24 },
+            Norway: { certificate: 'A1 (EU Regulation 883/2004)', maxMonths: 24 },
+            Netherlands: { certificate: 'A1 (EU Regulation 883/2004)', maxMonths: 24 },
+            France: { certificate: 'A1 (EU Regulation 883/2004)', maxMonths: 24 },
+            Italy: { certificate: 'A1 (EU Regulation 883/2004)', maxMonths: 24 },
+            Spain: { certificate: 'A1 (EU Regulation 883/2004)', maxMonths: 24 },
+            Poland: { certificate: 'A1 (EU Regulation 883/2004)', maxMonths: 24 },
+            Canada: { certificate: 'Certificate of Coverage (Sweden-Canada agreement)', maxMonths: 60 },
+            Chile: { certificate: 'Certificate of Coverage (Sweden-Chile agreement)', maxMonths: 24 },
+            Japan: { certificate: 'Certificate of Coverage (Sweden-Japan agreement)', maxMonths: 60 },
+            SouthKorea: { certificate: 'Certificate of Coverage (Sweden-Korea agreement)', maxMonths: 60 },
+            source: 'Försäkringskassan - Working abroad',
+            sourceUrl: 'https://www.forsakringskassan.se/'
+        }
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = socialSecurityRules;
+}
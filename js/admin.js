@@ -1,10 +1,22 @@
 // Admin Panel Module for FSE Cost Calculator
-// User management for superusers
+// User management and country rules editing for superusers
+
+// Fields of a js/tax-rules.json country entry that the rules editor maintains
+const EDITABLE_TAX_FIELDS = [
+    'taxBrackets', 'taxBracketsPeriod',
+    'nonResidentRate', 'nonResidentBrackets', 'nonResidentBracketsPeriod', 'useResidentBracketsForNonResident',
+    'defaultRate', 'standardDeduction', 'taxSource', 'taxSourceUrl'
+];
+const CONTRIBUTION_PERIODS = ['monthly', 'quarterly', 'annual'];
 
 class AdminManager {
     constructor() {
         this.supabase = null;
         this.currentUser = null;
+        this.bundledTaxRules = {};
+        this.rulesCountry = null;
+        this.rulesDraft = null;
+        this.rulesPublished = null;
     }
 
     async init() {
@@ -32,6 +44,7 @@ class AdminManager {
 
         this.updateUserDisplay();
         await this.loadUsers();
+        await this.initRulesEditor();
         return true;
     }
 
@@ -209,6 +222,360 @@ class AdminManager {
         }
     }
 
+    // ===== COUNTRY RULES =====
+
+    async initRulesEditor() {
+        try {
+            const response = await fetch('js/tax-rules.json');
+            if (!response.ok) throw new Error(`Failed to load tax rules: ${response.status}`);
+            this.bundledTaxRules = await response.json();
+        } catch (err) {
+            console.error('Error loading bundled tax rules:', err);
+            this.showError('Failed to load the bundled tax rules.');
+            return;
+        }
+
+        const select = document.getElementById('rules-country');
+        if (!select) return;
+        const countries = Object.keys(countryRegistry).filter(country => this.bundledTaxRules[country]?.taxBrackets);
+        select.innerHTML = countries.map(country => `<option value="${country}">${countryRegistry[country].name}</option>`).join('');
+        await this.selectRulesCountry(countries[0]);
+    }
+
+    // Bundled rules in the shape stored in country_rules
+    bundledCountryRules(country) {
+        const tax = {};
+        EDITABLE_TAX_FIELDS.forEach(field => {
+            if (this.bundledTaxRules[country]?.[field] !== undefined) tax[field] = this.bundledTaxRules[country][field];
+        });
+        // The bundled default rate and deduction live in data/country-config.js
+        if (tax.defaultRate === undefined && countryConfig[country]?.taxRate !== undefined) tax.defaultRate = countryConfig[country].taxRate;
+        if (tax.standardDeduction === undefined && countryConfig[country]?.deduction !== undefined) tax.standardDeduction = countryConfig[country].deduction;
+        const ss = socialSecurityRules.countries[country] || {};
+        return {
+            tax,
+            socialSecurity: { contributions: ss.contributions || [], source: ss.source || '', sourceUrl: ss.sourceUrl || '' },
+            notes: ''
+        };
+    }
+
+    // Load the country's draft and published rules; edit the draft, else the published or bundled rules
+    async selectRulesCountry(country) {
+        this.rulesCountry = country;
+        this.clearRulesErrors();
+
+        try {
+            const { data: rows, error } = await this.supabase
+                .from('country_rules')
+                .select('*')
+                .eq('country', country)
+                .in('status', ['draft', 'published']);
+
+            if (error) throw error;
+            this.rulesDraft = rows.find(row => row.status === 'draft') || null;
+            this.rulesPublished = rows.find(row => row.status === 'published') || null;
+        } catch (err) {
+            console.error('Error loading country rules:', err);
+            this.showError('Failed to load country rules; showing the bundled rules.');
+            this.rulesDraft = null;
+            this.rulesPublished = null;
+        }
+
+        const row = this.rulesDraft || this.rulesPublished;
+        this.renderRulesEditor(row
+            ? { tax: row.tax_rules, socialSecurity: row.social_security, notes: row.notes || '' }
+            : this.bundledCountryRules(country));
+        this.renderRulesState();
+    }
+
+    renderRulesState() {
+        const badge = document.getElementById('rules-state');
+        const detail = document.getElementById('rules-state-detail');
+        const discardBtn = document.getElementById('rules-discard-btn');
+        const published = this.rulesPublished
+            ? `Published ${this.formatDate(this.rulesPublished.published_at)}`
+            : 'Calculator uses the bundled rules';
+
+        if (badge) {
+            badge.className = `badge ${this.rulesDraft ? 'badge-warning' : this.rulesPublished ? 'badge-success' : 'badge-info'}`;
+            badge.textContent = this.rulesDraft ? 'Draft' : this.rulesPublished ? 'Published' : 'Bundled';
+        }
+        if (detail) {
+            detail.textContent = this.rulesDraft
+                ? `Editing a draft saved ${this.formatDate(this.rulesDraft.updated_at)}. ${published}.`
+                : `${published}. Saving creates a draft; the calculator picks up changes once published.`;
+        }
+        if (discardBtn) discardBtn.classList.toggle('hidden', !this.rulesDraft);
+    }
+
+    renderRulesEditor({ tax, socialSecurity, notes }) {
+        const setValue = (id, value) => {
+            const el = document.getElementById(id);
+            if (el) el.value = value ?? '';
+        };
+
+        setValue('rules-tax-period', tax.taxBracketsPeriod || 'tax-year');
+        this.renderBracketRows('rules-tax-brackets', tax.taxBrackets || []);
+
+        let mode = 'none';
+        if (tax.nonResidentBrackets) mode = 'brackets';
+        else if (tax.useResidentBracketsForNonResident) mode = 'resident';
+        else if (tax.nonResidentRate !== undefined) mode = 'flat';
+        setValue('rules-nonresident-mode', mode);
+        setValue('rules-nonresident-rate', tax.nonResidentRate);
+        setValue('rules-nonresident-period', tax.nonResidentBracketsPeriod || 'tax-year');
+        this.renderBracketRows('rules-nonresident-brackets', tax.nonResidentBrackets || [{ min: 0, max: null, rate: 0 }]);
+        this.updateNonResidentFields();
+
+        // Rows saved before these fields existed fall back to the bundled values
+        const bundledTax = this.bundledCountryRules(this.rulesCountry).tax;
+        setValue('rules-default-rate', tax.defaultRate ?? bundledTax.defaultRate);
+        setValue('rules-standard-deduction', tax.standardDeduction ?? bundledTax.standardDeduction);
+
+        setValue('rules-tax-source', tax.taxSource);
+        setValue('rules-tax-source-url', tax.taxSourceUrl);
+        this.renderContributionRows(socialSecurity.contributions || []);
+        setValue('rules-ss-source', socialSecurity.source);
+        setValue('rules-ss-source-url', socialSecurity.sourceUrl);
+        setValue('rules-notes', notes);
+    }
+
+    updateNonResidentFields() {
+        const mode = document.getElementById('rules-nonresident-mode')?.value;
+        document.getElementById('rules-nonresident-rate-group')?.classList.toggle('hidden', mode !== 'flat');
+        document.getElementById('rules-nonresident-period-group')?.classList.toggle('hidden', mode !== 'brackets');
+        document.getElementById('rules-nonresident-brackets-group')?.classList.toggle('hidden', mode !== 'brackets');
+    }
+
+    renderBracketRows(tbodyId, brackets) {
+        const tbody = document.getElementById(tbodyId);
+        if (!tbody) return;
+
+        tbody.innerHTML = brackets.map((bracket, index) => `
+            <tr>
+                <td><input class="form-input" type="number" min="0" step="0.01" data-field="min" value="${bracket.min ?? ''}"></td>
+                <td><input class="form-input" type="number" min="0" step="0.01" data-field="max" value="${bracket.max ?? ''}" placeholder="No maximum"></td>
+                <td><input class="form-input" type="number" min="0" max="1" step="0.0001" data-field="rate" value="${bracket.rate ?? ''}"></td>
+                <td style="text-align: right;">
+                    <button class="action-btn deny" style="background: white; border: 1.5px solid #991b1b; color: #991b1b; padding: 6px 12px; border-radius: 8px; font-weight: 600;" onclick="adminManager.removeBracketRow('${tbodyId}', ${index})">Remove</button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    readBracketRows(tbodyId) {
+        const number = value => value === '' ? null : Number(value);
+        return [...document.querySelectorAll(`#${tbodyId} tr`)].map(row => {
+            const field = name => row.querySelector(`[data-field="${name}"]`).value.trim();
+            return { min: number(field('min')), max: number(field('max')), rate: number(field('rate')) };
+        });
+    }
+
+    // New brackets start where the last one ended, which then needs a maximum
+    addBracketRow(tbodyId) {
+        const brackets = this.readBracketRows(tbodyId);
+        const last = brackets[brackets.length - 1];
+        brackets.push({ min: last ? last.max : 0, max: null, rate: last ? last.rate : 0 });
+        this.renderBracketRows(tbodyId, brackets);
+    }
+
+    removeBracketRow(tbodyId, index) {
+        const brackets = this.readBracketRows(tbodyId);
+        brackets.splice(index, 1);
+        this.renderBracketRows(tbodyId, brackets);
+    }
+
+    renderContributionRows(contributions) {
+        const tbody = document.getElementById('rules-contributions');
+        if (!tbody) return;
+
+        if (contributions.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="8">
+                        <div class="empty-state">
+                            <p>No contributions for foreign employees</p>
+                        </div>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        const option = (value, selected) => `<option value="${value}"${value === selected ? ' selected' : ''}>${value}</option>`;
+        tbody.innerHTML = contributions.map((contribution, index) => `
+            <tr data-contribution>
+                <td><input class="form-input" type="text" data-field="id" value="${this.escapeAttr(contribution.id)}"></td>
+                <td><input class="form-input" type="text" data-field="label" value="${this.escapeAttr(contribution.label)}"></td>
+                <td><select class="form-input" data-field="payer">${['employer', 'employee'].map(payer => option(payer, contribution.payer)).join('')}</select></td>
+                <td><input class="form-input" type="number" min="0" max="1" step="0.0001" data-field="rate" value="${contribution.rate ?? ''}"></td>
+                <td><input class="form-input" type="number" min="0" step="0.01" data-field="threshold" value="${contribution.threshold ?? ''}" placeholder="None"></td>
+                <td><input class="form-input" type="number" min="0" step="0.01" data-field="ceiling" value="${contribution.ceiling ?? ''}" placeholder="None"></td>
+                <td><select class="form-input" data-field="period">${CONTRIBUTION_PERIODS.map(period => option(period, contribution.period)).join('')}</select></td>
+                <td style="text-align: right;">
+                    <button class="action-btn deny" style="background: white; border: 1.5px solid #991b1b; color: #991b1b; padding: 6px 12px; border-radius: 8px; font-weight: 600;" onclick="adminManager.removeContributionRow(${index})">Remove</button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    // Optional amounts are left out when blank, as in data/social-security-rules.js
+    readContributionRows() {
+        return [...document.querySelectorAll('#rules-contributions tr[data-contribution]')].map(row => {
+            const field = name => row.querySelector(`[data-field="${name}"]`).value.trim();
+            const contribution = {
+                id: field('id'),
+                label: field('label'),
+                payer: field('payer'),
+                rate: field('rate') === '' ? null : Number(field('rate')),
+                period: field('period')
+            };
+            if (field('threshold') !== '') contribution.threshold = Number(field('threshold'));
+            if (field('ceiling') !== '') contribution.ceiling = Number(field('ceiling'));
+            return contribution;
+        });
+    }
+
+    addContributionRow() {
+        const contributions = this.readContributionRows();
+        contributions.push({ id: '', label: '', payer: 'employer', rate: 0, period: 'monthly' });
+        this.renderContributionRows(contributions);
+    }
+
+    removeContributionRow(index) {
+        const contributions = this.readContributionRows();
+        contributions.splice(index, 1);
+        this.renderContributionRows(contributions);
+    }
+
+    readRulesEditor() {
+        const value = id => document.getElementById(id)?.value.trim() || '';
+        const tax = {
+            taxBrackets: this.readBracketRows('rules-tax-brackets'),
+            taxBracketsPeriod: value('rules-tax-period'),
+            taxSource: value('rules-tax-source'),
+            taxSourceUrl: value('rules-tax-source-url')
+        };
+        if (value('rules-default-rate') !== '') tax.defaultRate = Number(value('rules-default-rate'));
+        if (value('rules-standard-deduction') !== '') tax.standardDeduction = Number(value('rules-standard-deduction'));
+
+        const mode = value('rules-nonresident-mode');
+        if (mode === 'flat') {
+            tax.nonResidentRate = value('rules-nonresident-rate') === '' ? null : Number(value('rules-nonresident-rate'));
+        } else if (mode === 'brackets') {
+            tax.nonResidentBrackets = this.readBracketRows('rules-nonresident-brackets');
+            tax.nonResidentBracketsPeriod = value('rules-nonresident-period');
+        } else if (mode === 'resident') {
+            tax.useResidentBracketsForNonResident = true;
+        }
+
+        return {
+            tax,
+            socialSecurity: {
+                contributions: this.readContributionRows(),
+                source: value('rules-ss-source'),
+                sourceUrl: value('rules-ss-source-url')
+            },
+            notes: value('rules-notes')
+        };
+    }
+
+    // Validate with the cost engine's checks; returns the rules or null when invalid
+    readValidRules() {
+        const rules = this.readRulesEditor();
+        const errors = CostEngine.validateCountryRules(rules);
+        const list = document.getElementById('rules-errors');
+        if (list) {
+            list.innerHTML = errors.map(error => `<li>${this.escapeAttr(error)}</li>`).join('');
+            list.classList.toggle('hidden', errors.length === 0);
+        }
+        if (errors.length) {
+            this.showError('Fix the highlighted rule errors first.');
+            return null;
+        }
+        return rules;
+    }
+
+    clearRulesErrors() {
+        const list = document.getElementById('rules-errors');
+        if (list) {
+            list.innerHTML = '';
+            list.classList.add('hidden');
+        }
+    }
+
+    // Create or update the country's draft; returns the saved row
+    async saveRulesDraft({ quiet = false } = {}) {
+        const rules = this.readValidRules();
+        if (!rules) return null;
+
+        const fields = { tax_rules: rules.tax, social_security: rules.socialSecurity, notes: rules.notes || null };
+        try {
+            const query = this.rulesDraft
+                ? this.supabase.from('country_rules').update(fields).eq('id', this.rulesDraft.id)
+                : this.supabase.from('country_rules').insert({ country: this.rulesCountry, status: 'draft', ...fields });
+            const { data: draft, error } = await query.select().single();
+
+            if (error) throw error;
+
+            this.rulesDraft = draft;
+            this.renderRulesState();
+            if (!quiet) this.showSuccess(`Draft saved for ${this.rulesCountry}`);
+            return draft;
+        } catch (err) {
+            console.error('Error saving country rules draft:', err);
+            this.showError('Failed to save the draft');
+            return null;
+        }
+    }
+
+    async publishRules() {
+        if (!confirm(`Publish these rules for ${this.rulesCountry}? Calculators pick them up on their next load.`)) {
+            return;
+        }
+
+        const draft = await this.saveRulesDraft({ quiet: true });
+        if (!draft) return;
+
+        try {
+            const { error } = await this.supabase.rpc('publish_country_rules', { draft_id: draft.id });
+
+            if (error) throw error;
+
+            this.showSuccess(`Rules published for ${this.rulesCountry}`);
+            await this.selectRulesCountry(this.rulesCountry);
+        } catch (err) {
+            console.error('Error publishing country rules:', err);
+            // The database re-checks the rules and lists any errors in the message
+            this.showError(`Failed to publish the rules: ${this.escapeAttr(err.message || '')}`);
+        }
+    }
+
+    async discardRulesDraft() {
+        if (!this.rulesDraft || !confirm(`Discard the draft for ${this.rulesCountry}?`)) {
+            return;
+        }
+
+        try {
+            const { error } = await this.supabase
+                .from('country_rules')
+                .delete()
+                .eq('id', this.rulesDraft.id);
+
+            if (error) throw error;
+
+            this.showSuccess('Draft discarded');
+            await this.selectRulesCountry(this.rulesCountry);
+        } catch (err) {
+            console.error('Error discarding country rules draft:', err);
+            this.showError('Failed to discard the draft');
+        }
+    }
+
+    escapeAttr(value) {
+        return String(value ?? '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
     async signOut() {
         try {
             await this.supabase.auth.signOut();
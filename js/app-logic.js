@@ -4,144 +4,6 @@
 // Tax rules loaded from JSON (will be fetched on page load)
 let taxRules = null;
 
-// Country configuration with social security rates, treaty status, and display names
-// Exchange rates are populated by fetchExchangeRates() on page load
-const countryConfig = {
-    Brazil: {
-        name: 'Brazil',
-        currency: 'BRL',
-        exchangeRate: 6.0,          // Default, updated by fetchExchangeRates()
-        taxRate: 0.25,              // 25% non-resident flat rate
-        deduction: 0,
-        socialSec: 0.35,            // 35% total (employer ~27.5% + employee ~7.5%)
-        employerSocialSec: 0.275,   // 27.5% employer (INSS 20% + FGTS 8% + RAT/SAT ~1.5% avg)
-        employeeSocialSec: 0.075,   // 7.5% employee INSS (progressive 7.5-14%, using lowest bracket avg)
-        socialSecCap: null,         // No cap for employers
-        employeeSocialSecRate: 0.11, // Legacy: Employee INSS rate (up to 14% progressive)
-        employeeSocialSecCap: 8475.55, // BRL monthly salary ceiling - above this, contribution is capped
-        hasTreatyWithFinland: false,
-        noTreatyWarning: true,
-        socialSecSource: '<a href="https://taxsummaries.pwc.com/brazil/individual/other-taxes" target="_blank" rel="noopener noreferrer" class="text-cozm-teal hover:underline">PwC INSS rates 2025</a>',
-        socialSecSourceUrl: 'https://taxsummaries.pwc.com/brazil/individual/other-taxes',
-        socialSecNote: 'Finland has NO totalization agreement with Brazil. Dual social security contributions (Finnish + Brazilian INSS) are typically required. Under Wärtsilä policy, the company covers host country contributions.'
-    },
-    USA: {
-        name: 'United States',
-        currency: 'USD',
-        exchangeRate: 1.08,
-        taxRate: 0.24,              // Approximate federal marginal rate
-        deduction: 14600,           // Standard deduction (single, 2025)
-        socialSec: 0.153,           // 15.3% total (employer 7.65% + employee 7.65%)
-        employerSocialSec: 0.0765,  // 7.65% (Social Security 6.2% + Medicare 1.45%)
-        employeeSocialSec: 0.0765,  // 7.65% (Social Security 6.2% + Medicare 1.45%)
-        socialSecCap: 176100,       // USD annual cap for Social Security
-        hasTreatyWithFinland: true
-    },
-    Germany: {
-        name: 'Germany',
-        currency: 'EUR',
-        exchangeRate: 1.0,
-        taxRate: 0.30,              // Approximate effective rate
-        deduction: 0,
-        socialSec: 0.40,            // ~40% total (employer ~20% + employee ~20%)
-        employerSocialSec: 0.20,    // ~20% (pension, health, unemployment, care insurance)
-        employeeSocialSec: 0.20,    // ~20% (pension, health, unemployment, care insurance)
-        socialSecCap: 90600,        // EUR annual cap (2025)
-        hasTreatyWithFinland: true  // EU regulation
-    },
-    UK: {
-        name: 'United Kingdom',
-        currency: 'GBP',
-        exchangeRate: 0.85,
-        taxRate: 0.20,              // Basic rate
-        deduction: 12570,           // Personal allowance (GBP)
-        socialSec: 0.268,           // NI: employer 13.8% + employee 12% (above threshold)
-        employerSocialSec: 0.138,   // 13.8% employer NI
-        employeeSocialSec: 0.12,    // 12% employee NI (above threshold)
-        socialSecCap: null,         // No cap for employer NI
-        hasTreatyWithFinland: true
-    },
-    UAE: {
-        name: 'United Arab Emirates',
-        currency: 'AED',
-        exchangeRate: 3.97,
-        taxRate: 0,                 // No personal income tax
-        deduction: 0,
-        socialSec: 0,           // No social security for expats
-        hasTreatyWithFinland: false,
-        noTreatyWarning: false      // No warning needed - no SS anyway
-    },
-    Singapore: {
-        name: 'Singapore',
-        currency: 'SGD',
-        exchangeRate: 1.45,
-        taxRate: 0.22,              // Approximate marginal rate
-        deduction: 0,
-        socialSec: 0.37,            // CPF: employer 17% + employee 20% (varies by age)
-        employerSocialSec: 0.17,    // 17% employer CPF
-        employeeSocialSec: 0.20,    // 20% employee CPF
-        socialSecCap: 6800,         // SGD monthly cap (ordinary wage ceiling)
-        hasTreatyWithFinland: false,
-        noTreatyWarning: true,
-        socialSecSource: '<a href="https://www.cpf.gov.sg/employer/cpf-contribution-calculator" target="_blank" rel="noopener noreferrer" class="text-cozm-teal hover:underline">CPF rates 2025</a>',
-        socialSecSourceUrl: 'https://www.cpf.gov.sg/employer/cpf-contribution-calculator'
-    },
-    Australia: {
-        name: 'Australia',
-        currency: 'AUD',
-        exchangeRate: 1.65,
-        taxRate: 0.30,              // Non-resident rate
-        deduction: 0,
-        socialSec: 0.115,           // Super guarantee 11.5% (employer only, 2024-25)
-        employerSocialSec: 0.115,   // 11.5% employer only (Superannuation Guarantee)
-        employeeSocialSec: 0,       // 0% mandatory employee contribution
-        socialSecCap: 62500,        // AUD quarterly cap
-        hasTreatyWithFinland: true
-    },
-    Mexico: {
-        name: 'Mexico',
-        currency: 'MXN',
-        exchangeRate: 18.5,
-        taxRate: 0.30,              // Approximate marginal rate
-        deduction: 0,
-        socialSec: 0.35,            // ~35% total IMSS contributions
-        employerSocialSec: 0.275,   // ~27.5% employer IMSS
-        employeeSocialSec: 0.075,   // ~7.5% employee IMSS
-        socialSecCap: null,
-        hasTreatyWithFinland: false,
-        noTreatyWarning: true,
-        socialSecSource: '<a href="https://taxsummaries.pwc.com/mexico/individual/other-taxes" target="_blank" rel="noopener noreferrer" class="text-cozm-teal hover:underline">PwC IMSS rates 2025</a>',
-        socialSecSourceUrl: 'https://taxsummaries.pwc.com/mexico/individual/other-taxes'
-    },
-    India: {
-        name: 'India',
-        currency: 'INR',
-        exchangeRate: 90.0,
-        taxRate: 0.30,              // Surcharge band
-        deduction: 0,
-        socialSec: 0.24,            // PF: employer 12% + employee 12%
-        employerSocialSec: 0.12,    // 12% employer EPF + EPS
-        employeeSocialSec: 0.12,    // 12% employee EPF
-        socialSecCap: 15000,        // INR monthly cap for PF
-        hasTreatyWithFinland: true
-    },
-    SouthAfrica: {
-        name: 'South Africa',
-        currency: 'ZAR',
-        exchangeRate: 19.5,
-        taxRate: 0.31,              // Approximate marginal rate
-        deduction: 0,
-        socialSec: 0.02,            // UIF: 1% employer + 1% employee
-        employerSocialSec: 0.01,    // 1% employer UIF
-        employeeSocialSec: 0.01,    // 1% employee UIF
-        socialSecCap: 17712,        // ZAR monthly cap
-        hasTreatyWithFinland: false,
-        noTreatyWarning: true,
-        socialSecSource: '<a href="https://www.sars.gov.za/" target="_blank" rel="noopener noreferrer" class="text-cozm-teal hover:underline">SARS UIF rates</a>',
-        socialSecSourceUrl: 'https://www.sars.gov.za/'
-    }
-};
-
 // Load tax rules from JSON file
 async function loadTaxRules() {
     try {
@@ -158,45 +20,287 @@ async function loadTaxRules() {
     }
 }
 
+// Rules published from the admin panel, keyed by country: { id, publishedAt }
+let publishedCountryRules = {};
+
+// Bundled tax and social security entries of countries with published rules, kept so an
+// estimate saved under earlier published rules (or none) can be recomputed under them
+const bundledCountryRules = {};
+
+// Non-resident fields are replaced as a set, so switching e.g. from brackets
+// to a flat rate in the admin panel does not leave the old brackets in force
+const NON_RESIDENT_TAX_FIELDS = ['nonResidentRate', 'nonResidentBrackets', 'nonResidentBracketsPeriod', 'useResidentBracketsForNonResident'];
+
+// Overlay published country rules (Supabase country_rules) on the bundled tax and
+// social security files. Unreachable or invalid rules leave the bundled ones in place.
+async function loadPublishedCountryRules() {
+    const supabase = getSupabaseClient();
+    if (!supabase) return;
+
+    try {
+        const { data, error } = await supabase
+            .from('country_rules')
+            .select('id, country, tax_rules, social_security, published_at')
+            .eq('status', 'published');
+        if (error) throw error;
+
+        publishedCountryRules = {};
+        (data || []).forEach(row => {
+            bundledCountryRules[row.country] = bundledCountryRules[row.country] || {
+                tax: taxRules[row.country],
+                socialSecurity: socialSecurityRules.countries[row.country]
+            };
+            const { tax, socialSecurity } = overlayCountryRules(row);
+
+            const errors = CostEngine.validateCountryRules({ tax, socialSecurity });
+            if (errors.length) {
+                console.warn(`[RULES] Ignoring published rules for ${row.country}:`, errors);
+                return;
+            }
+            taxRules[row.country] = tax;
+            socialSecurityRules.countries[row.country] = socialSecurity;
+            publishedCountryRules[row.country] = { id: row.id, publishedAt: row.published_at };
+        });
+        console.log('[RULES] Published country rules loaded:', Object.keys(publishedCountryRules));
+    } catch (error) {
+        console.warn('[RULES] Using bundled rules; could not load published country rules:', error);
+    }
+}
+
+// A country_rules row laid over the country's bundled tax and social security entries
+function overlayCountryRules(row) {
+    const bundled = bundledCountryRules[row.country] || {
+        tax: taxRules[row.country],
+        socialSecurity: socialSecurityRules.countries[row.country]
+    };
+    const base = { ...(bundled.tax || {}) };
+    NON_RESIDENT_TAX_FIELDS.forEach(field => delete base[field]);
+    return {
+        tax: { ...base, ...row.tax_rules },
+        socialSecurity: { ...(bundled.socialSecurity || {}), ...row.social_security }
+    };
+}
+
+// Published or archived country_rules row, by id or (estimates saved before the id
+// was recorded) by its publish time
+async function fetchCountryRulesRow(country, { id, publishedAt }) {
+    const supabase = getSupabaseClient();
+    if (!supabase) return null;
+
+    let query = supabase
+        .from('country_rules')
+        .select('id, country, tax_rules, social_security, published_at')
+        .eq('country', country);
+    query = id ? query.eq('id', id) : query.eq('published_at', publishedAt);
+    const { data, error } = await query.maybeSingle();
+    if (error) throw error;
+    return data;
+}
+
+// Engine rules with the host's tax and social security as they stood when the
+// estimate was saved: the country_rules row it used, or the bundled entries.
+// rules is null when that row can no longer be loaded.
+async function getSavedEstimateRules(estimate) {
+    const hostCountry = estimate.inputs?.hostCountry || estimate.host_country;
+    const saved = estimate.rule_versions || {};
+    const current = publishedCountryRules[hostCountry];
+    if (!saved.countryRules || saved.countryRules === (current?.publishedAt || 'bundled')) {
+        return getEngineRules();
+    }
+
+    let countryRules = bundledCountryRules[hostCountry];
+    if (saved.countryRules !== 'bundled') {
+        const row = await fetchCountryRulesRow(hostCountry, { id: saved.countryRulesId, publishedAt: saved.countryRules });
+        if (!row) return null;
+        countryRules = overlayCountryRules(row);
+        if (CostEngine.validateCountryRules(countryRules).length) return null;
+    }
+    if (!countryRules) return null;
+
+    const rules = getEngineRules();
+    return {
+        ...rules,
+        taxRules: { ...rules.taxRules, [hostCountry]: countryRules.tax },
+        socialSecurity: {
+            ...rules.socialSecurity,
+            countries: { ...rules.socialSecurity.countries, [hostCountry]: countryRules.socialSecurity }
+        }
+    };
+}
+
 // Exchange rates cache
 let exchangeRates = {};
 
-// Fetch exchange rates from API and update countryConfig
-async function fetchExchangeRates() {
+// Budget rates pinned per currency ({ rate, pinnedOn }), persisted so estimates reproduce
+const PINNED_RATES_STORAGE_KEY = 'fse-pinned-exchange-rates';
+let pinnedExchangeRates = loadPinnedExchangeRates();
+
+// Settings and pinned rates of a shared link or a reopened saved estimate, held in
+// memory only so the user's own settings and pins are left as they were. Changing a
+// setting or pin drops them.
+const estimateOverrides = { settings: null, pinnedRates: {} };
+
+// Fetch ECB rates from the Frankfurter API and update countryConfig.
+// rateDate (YYYY-MM-DD) selects historical rates; empty fetches the latest.
+// Falls back to the bundled rate table (data/exchange-rates.js) when offline.
+async function fetchExchangeRates(rateDate = '') {
     try {
         // Use Frankfurter API (free, no API key required)
-        const response = await fetch('https://api.frankfurter.app/latest?from=EUR');
+        const response = await fetch(`https://api.frankfurter.app/${rateDate || 'latest'}?from=EUR`);
         if (!response.ok) {
             throw new Error(`Failed to fetch exchange rates: ${response.status}`);
         }
         const data = await response.json();
-        exchangeRates = data.rates;
-        exchangeRates.EUR = 1; // Add EUR as base
-
-        // Update countryConfig with live rates
-        const currencyMap = {
-            Brazil: 'BRL', USA: 'USD', Germany: 'EUR', UK: 'GBP',
-            UAE: 'AED', Singapore: 'SGD', Australia: 'AUD',
-            Mexico: 'MXN', India: 'INR', SouthAfrica: 'ZAR'
-        };
-        for (const [country, currency] of Object.entries(currencyMap)) {
-            if (countryConfig[country] && exchangeRates[currency]) {
-                countryConfig[country].exchangeRate = exchangeRates[currency];
-            }
-        }
-
-        // Update cache for display
+        // The ECB does not publish every host currency (AED, CLP, QAR, SAR): those keep
+        // the bundled rate and are recorded as such (see getExchangeRateContext)
+        const bundledRates = typeof bundledExchangeRates !== 'undefined' ? bundledExchangeRates.rates : {};
+        exchangeRates = { ...bundledRates, ...data.rates, EUR: 1 };
+        exchangeRatesCache.liveCurrencies = ['EUR', ...Object.keys(data.rates)];
+
+        // Update cache for display. ECB publishes on working days only, so
+        // data.date can be earlier than the requested date.
         exchangeRatesCache.rates = exchangeRates;
         exchangeRatesCache.lastFetched = new Date().toISOString();
         exchangeRatesCache.date = data.date;
         exchangeRatesCache.source = 'ECB via Frankfurter API';
 
-        console.log('[FOREX] Exchange rates loaded:', Object.keys(exchangeRates).length, 'currencies');
+        console.log('[FOREX] Exchange rates loaded:', Object.keys(exchangeRates).length, 'currencies', data.date);
     } catch (error) {
         console.error('[FOREX] Error fetching exchange rates:', error);
-        // Keep default rates in countryConfig
-        exchangeRatesCache.source = 'Fallback rates';
-        exchangeRatesCache.date = 'static';
+        exchangeRatesCache.liveCurrencies = null;
+        if (typeof bundledExchangeRates !== 'undefined') {
+            exchangeRates = { ...bundledExchangeRates.rates };
+            exchangeRatesCache.rates = exchangeRates;
+            exchangeRatesCache.date = bundledExchangeRates.date;
+            exchangeRatesCache.source = bundledExchangeRates.source;
+        } else {
+            // Keep default rates in countryConfig
+            exchangeRatesCache.source = 'Fallback rates';
+            exchangeRatesCache.date = 'static';
+        }
+    }
+
+    exchangeRatesCache.requestedDate = rateDate;
+    applyExchangeRates();
+}
+
+// Update countryConfig with the fetched rates, pinned budget rates taking precedence
+function applyExchangeRates() {
+    const rates = getEffectiveExchangeRates();
+    Object.values(countryConfig).forEach(config => {
+        const rate = rates[config.currency];
+        if (rate) config.exchangeRate = rate;
+    });
+}
+
+// Fetched rates overlaid with pinned budget rates, keyed by currency
+function getEffectiveExchangeRates() {
+    const rates = { ...exchangeRates };
+    Object.entries({ ...pinnedExchangeRates, ...estimateOverrides.pinnedRates }).forEach(([currency, pinned]) => {
+        rates[currency] = pinned.rate;
+    });
+    return rates;
+}
+
+// Pinned rate in force for a currency: the open estimate's, else the user's own
+function getPinnedRate(currency) {
+    return estimateOverrides.pinnedRates[currency] || pinnedExchangeRates[currency] || null;
+}
+
+// Rates for per diem tables kept in another currency (GBP, SEK, USD): the effective
+// rates over the bundled table, so a conversion rate exists before the fetch returns
+function getPerDiemExchangeRates() {
+    const bundled = typeof bundledExchangeRates !== 'undefined' ? bundledExchangeRates.rates : {};
+    return { ...bundled, ...getEffectiveExchangeRates() };
+}
+
+// Rate date and source recorded with a calculation for the host currency
+function getExchangeRateContext(hostCountry) {
+    const currency = countryConfig[hostCountry]?.currency;
+    const pinned = getPinnedRate(currency);
+    if (pinned) {
+        return { date: pinned.pinnedOn, source: 'Pinned budget rate', pinned: true };
+    }
+    const live = exchangeRatesCache.liveCurrencies;
+    if (live && currency && !live.includes(currency)) {
+        return { date: '', source: 'Bundled default rate, not in the ECB feed', pinned: false };
+    }
+    return {
+        date: exchangeRatesCache.date || 'static',
+        source: exchangeRatesCache.source,
+        pinned: false
+    };
+}
+
+function loadPinnedExchangeRates() {
+    try {
+        return JSON.parse(localStorage.getItem(PINNED_RATES_STORAGE_KEY)) || {};
+    } catch (e) {
+        console.warn('Failed to load pinned exchange rates:', e);
+        return {};
+    }
+}
+
+function savePinnedExchangeRates() {
+    try {
+        localStorage.setItem(PINNED_RATES_STORAGE_KEY, JSON.stringify(pinnedExchangeRates));
+    } catch (e) {
+        console.warn('Failed to save pinned exchange rates:', e);
+    }
+}
+
+// Pin a budget rate for the host currency; an empty value unpins it
+function setPinnedExchangeRate(value) {
+    const currency = countryConfig[document.getElementById('hostCountry')?.value]?.currency;
+    if (!currency || currency === 'EUR') return;
+
+    const rate = parseFloat(value);
+    delete estimateOverrides.pinnedRates[currency];
+    if (value === '' || !Number.isFinite(rate) || rate <= 0) {
+        delete pinnedExchangeRates[currency];
+    } else {
+        pinnedExchangeRates[currency] = { rate, pinnedOn: new Date().toISOString().split('T')[0] };
+    }
+    savePinnedExchangeRates();
+    applyExchangeRates();
+    renderExchangeRateControls();
+    recalculateIfNeeded();
+}
+
+// Re-fetch rates when the rate date picker changes
+async function onRateDateChange() {
+    const rateDate = document.getElementById('rateDate')?.value || '';
+    await fetchExchangeRates(rateDate);
+    // Re-resolves per diem tables kept in another currency, then recalculates
+    updateCountryInfo();
+}
+
+// Show the host currency's rate, date and source beside the rate inputs
+function renderExchangeRateControls() {
+    const hostCountry = document.getElementById('hostCountry')?.value;
+    const config = countryConfig[hostCountry];
+    if (!config) return;
+
+    const rateDateInput = document.getElementById('rateDate');
+    if (rateDateInput) rateDateInput.max = new Date().toISOString().split('T')[0];
+
+    const currencyLabel = document.getElementById('pinnedRateCurrency');
+    if (currencyLabel) currencyLabel.textContent = config.currency;
+
+    const pinnedInput = document.getElementById('pinnedRate');
+    const pinned = getPinnedRate(config.currency);
+    if (pinnedInput) {
+        pinnedInput.disabled = config.currency === 'EUR';
+        pinnedInput.value = pinned ? pinned.rate : '';
+        pinnedInput.placeholder = config.currency === 'EUR' ? 'No conversion' : config.exchangeRate.toFixed(4);
+    }
+
+    const statusEl = document.getElementById('exchangeRateStatus');
+    if (statusEl) {
+        const context = getExchangeRateContext(hostCountry);
+        statusEl.textContent = config.currency === 'EUR'
+            ? 'Host currency is EUR'
+            : `1 EUR = ${config.exchangeRate.toFixed(4)} ${config.currency} (${context.source}${context.date ? `, ${context.date}` : ''})`;
     }
 }
 
@@ -205,39 +309,40 @@ function getExchangeRate(currency) {
     return exchangeRates[currency] || 1;
 }
 
-// Calculate progressive tax using bracket-by-bracket method
-function calculateProgressiveTax(income, brackets, returnBreakdown = false) {
-    let tax = 0;
-    const breakdown = [];
-
-    for (const bracket of brackets) {
-        if (income > bracket.min) {
-            const maxBracket = bracket.max || Infinity;
-            const taxableInBracket = Math.min(income, maxBracket) - bracket.min;
-            const taxInBracket = taxableInBracket * bracket.rate;
-            tax += taxInBracket;
-
-            // Store breakdown for display
-            breakdown.push({
-                min: bracket.min,
-                max: bracket.max,
-                rate: bracket.rate,
-                taxableAmount: taxableInBracket,
-                taxAmount: taxInBracket
-            });
-        }
-    }
+// ===== COUNTRY REGISTRY =====
+// Country dropdowns, name matching and coverage checks read data/country-registry.js
 
-    if (returnBreakdown) {
-        return { total: tax, breakdown: breakdown };
-    }
-    return tax;
+// Registry keys with a role ('host' or 'home'), in registry order
+function getCountryKeys(role) {
+    return Object.keys(countryRegistry).filter(key => countryRegistry[key].roles.includes(role));
+}
+
+// Fill the home and host country dropdowns, keeping any value already selected
+function renderCountryOptions() {
+    const selects = { homeCountry: 'home', hostCountry: 'host', screenHostCountry: 'host' };
+    Object.entries(selects).forEach(([id, role]) => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        const current = select.value;
+        select.innerHTML = getCountryKeys(role)
+            .map(key => `<option value="${key}">${countryRegistry[key].name}</option>`)
+            .join('');
+        if (current && countryRegistry[current]?.roles.includes(role)) select.value = current;
+    });
 }
 
-// Determine if assignment triggers tax residency (183-day rule)
-function isResidentForTax(assignmentMonths) {
-    const days = assignmentMonths * 30;
-    return days >= 183;
+// Warn in the console when a data file is missing a registry country (or has an unknown one)
+function checkBundledCountryCoverage() {
+    const errors = CostEngine.checkCountryCoverage(countryRegistry, {
+        countries: countryConfig,
+        taxRules,
+        perDiemRates: (window.perDiemConfig || {}).finland?.rates,
+        perDiemRegimes: window.perDiemConfig,
+        socialSecurity: socialSecurityRules,
+        assignmentCosts: assignmentCostDefaults,
+        exchangeRates: typeof bundledExchangeRates !== 'undefined' ? bundledExchangeRates.rates : undefined
+    });
+    if (errors.length) console.warn('[COUNTRIES] Country data is incomplete:', errors);
 }
 
 // ===== SETTINGS MANAGEMENT =====
@@ -248,7 +353,11 @@ const SETTINGS_STORAGE_KEY = 'fse-calculator-settings';
 // Default settings
 const defaultSettings = {
     includeSSNoAgreement: true,   // Include host SS when NO reciprocal agreement (default: ON)
-    includeSSWithAgreement: false // Include host SS when agreement EXISTS (default: OFF)
+    includeSSWithAgreement: false, // Include host SS when agreement EXISTS (default: OFF)
+    taxGrossUp: false,            // Gross up company-paid host tax (tax equalisation)
+    hypotheticalHomeTax: false,   // Deduct hypothetical home tax withheld from the employee
+    includeHomeTax: true,         // Include residual home tax left after treaty relief
+    includeHomeSocialSecurity: false // Add home contributions payable during the posting
 };
 
 // Load settings from localStorage
@@ -267,10 +376,15 @@ function loadSettings() {
 
 // Save settings to localStorage
 function saveSettings() {
+    estimateOverrides.settings = null;
     try {
         const settings = {
             includeSSNoAgreement: document.getElementById('settingSSNoAgreement')?.checked ?? defaultSettings.includeSSNoAgreement,
-            includeSSWithAgreement: document.getElementById('settingSSWithAgreement')?.checked ?? defaultSettings.includeSSWithAgreement
+            includeSSWithAgreement: document.getElementById('settingSSWithAgreement')?.checked ?? defaultSettings.includeSSWithAgreement,
+            taxGrossUp: document.getElementById('settingTaxGrossUp')?.checked ?? defaultSettings.taxGrossUp,
+            hypotheticalHomeTax: document.getElementById('settingHypotheticalTax')?.checked ?? defaultSettings.hypotheticalHomeTax,
+            includeHomeTax: document.getElementById('settingIncludeHomeTax')?.checked ?? defaultSettings.includeHomeTax,
+            includeHomeSocialSecurity: document.getElementById('settingHomeSocialSecurity')?.checked ?? defaultSettings.includeHomeSocialSecurity
         };
         localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
         console.log('[SETTINGS] Saved:', settings);
@@ -279,14 +393,22 @@ function saveSettings() {
     }
 }
 
-// Apply saved settings to UI toggles
+// Apply the settings in force to UI toggles
 function applySettingsToUI() {
-    const settings = loadSettings();
+    const settings = getSettings();
     const noAgreementToggle = document.getElementById('settingSSNoAgreement');
     const withAgreementToggle = document.getElementById('settingSSWithAgreement');
+    const grossUpToggle = document.getElementById('settingTaxGrossUp');
+    const hypotheticalTaxToggle = document.getElementById('settingHypotheticalTax');
+    const homeTaxToggle = document.getElementById('settingIncludeHomeTax');
+    const homeSocialSecurityToggle = document.getElementById('settingHomeSocialSecurity');
 
     if (noAgreementToggle) noAgreementToggle.checked = settings.includeSSNoAgreement;
     if (withAgreementToggle) withAgreementToggle.checked = settings.includeSSWithAgreement;
+    if (grossUpToggle) grossUpToggle.checked = settings.taxGrossUp;
+    if (hypotheticalTaxToggle) hypotheticalTaxToggle.checked = settings.hypotheticalHomeTax;
+    if (homeTaxToggle) homeTaxToggle.checked = settings.includeHomeTax;
+    if (homeSocialSecurityToggle) homeSocialSecurityToggle.checked = settings.includeHomeSocialSecurity;
 
     console.log('[SETTINGS] Applied to UI:', settings);
 }
@@ -332,9 +454,9 @@ function recalculateIfNeeded() {
     }
 }
 
-// Get current settings for use in calculations
+// Get current settings for use in calculations (a shared link's, while one is open)
 function getSettings() {
-    return loadSettings();
+    return { ...loadSettings(), ...(estimateOverrides.settings || {}) };
 }
 
 // Show social security popup when "No Reciprocal Agreement" badge is clicked
@@ -426,17 +548,29 @@ function showSocialSecurityPopup(event) {
 let exchangeRatesCache = {
     rates: {},
     lastFetched: null,
-    source: 'ECB via Frankfurter API'
+    source: 'ECB via Frankfurter API',
+    // Currencies in the last successful API response (null when it failed)
+    liveCurrencies: null
 };
 
 // Chart instance (for cleanup/re-render)
 let costChartInstance = null;
+let fxChartInstance = null;
+const thresholdChartInstances = {};
+// Calculation the thresholds panel was last filled for
+let costThresholdsFor = null;
+
+// Historical 12-month low/high rates, keyed by "currency@end date" (failed fetches are not kept)
+const fxHistoryCache = {};
 
 // Current currency display
 let currentDisplayCurrency = 'EUR';
 let lastCalculationData = null;
 let currentPerDiemContext = null;
 
+// User overrides of fee schedule line items, keyed by "home->host" route then item id
+const adminFeeOverrides = {};
+
 // ... [rest of the file] ...
 
 // Update country info display and per diem
@@ -462,20 +596,6 @@ function updateCountryInfo() {
         }
     }
 
-    // 2. Determine Per Diem Rate based on Home Country
-    const perDiemData = window.perDiemConfig || {};
-    const finlandConfig = perDiemData.finland;
-    const portugalConfig = perDiemData.portugal;
-    const hostCountryName = config.name || hostCountry;
-
-    let perDiemRate = 0;
-    let sourceName = '';
-    let sourceUrl = '';
-    let sourceYear = '';
-    let basisText = '';
-    const warnings = [];
-    let usesFallback = false;
-
     // Check for existing city selector or create it
     let cityContainer = document.getElementById('citySelectorContainer');
     if (!cityContainer) {
@@ -512,135 +632,109 @@ function updateCountryInfo() {
 
     const citySelect = document.getElementById('hostCity');
 
-    if (homeCountry === 'Portugal') {
-        // Portugal Logic: Flat rate regardless of destination
-        if (portugalConfig) {
-            perDiemRate = portugalConfig.flatRate;
-            sourceName = portugalConfig.sourceName;
-            sourceUrl = portugalConfig.sourceUrl;
-            sourceYear = portugalConfig.year;
-            basisText = 'Portugal flat rate (Level 18+), destination-independent';
-
-            if (portugalConfig.sourceNote) {
-                warnings.push(portugalConfig.sourceNote);
-            }
-        } else {
-            warnings.push('Portugal per diem configuration missing.');
-        }
-
-        // Hide city selector for Portugal (irrelevant for per diem)
-        cityContainer.classList.add('hidden');
-    } else if (homeCountry === 'Finland') {
-        // Finland Logic: Destination-based rates
-        if (finlandConfig) {
-            sourceName = finlandConfig.sourceName;
-            sourceUrl = finlandConfig.sourceUrl;
-            sourceYear = finlandConfig.year;
-
-            // Check if Host Country has city specifics
-            const overrides = finlandConfig.cityOverrides?.[hostCountry];
-            if (overrides && citySelect) {
-                // Show City Selector
-                if (citySelect.getAttribute('data-country') !== hostCountry) {
-                    citySelect.setAttribute('data-country', hostCountry);
-                    const cityKeys = Object.keys(overrides);
-                    const sortedKeys = cityKeys.sort((a, b) => {
-                        if (a === 'Standard (Other)') return -1;
-                        if (b === 'Standard (Other)') return 1;
-                        return a.localeCompare(b);
-                    });
-
-                    citySelect.replaceChildren();
-                    sortedKeys.forEach((city) => {
-                        const option = document.createElement('option');
-                        option.value = city;
-                        option.textContent = city;
-                        citySelect.appendChild(option);
-                    });
-                }
+    // 2. Resolve the per diem under the home country's regime (data/per-diem-data.js)
+    const hostCountryName = config.name || hostCountry;
+    const resolveRoutePerDiem = hostCity => CostEngine.resolvePerDiem(window.perDiemConfig || {}, homeCountry, hostCountry, {
+        hostCity,
+        hostName: hostCountryName,
+        exchangeRates: getPerDiemExchangeRates()
+    });
 
-                cityContainer.classList.remove('hidden');
+    // The city list depends on both the regime and the destination
+    const route = `${homeCountry}->${hostCountry}`;
+    const sameRoute = citySelect.getAttribute('data-route') === route;
+    let perDiem = resolveRoutePerDiem(sameRoute ? citySelect.value : '');
+
+    if (perDiem.cities) {
+        if (!sameRoute) {
+            citySelect.setAttribute('data-route', route);
+            const sortedKeys = Object.keys(perDiem.cities).sort((a, b) => {
+                if (a === 'Standard (Other)') return -1;
+                if (b === 'Standard (Other)') return 1;
+                return a.localeCompare(b);
+            });
 
-                const defaultCity = overrides['Standard (Other)'] ? 'Standard (Other)' : Object.keys(overrides)[0];
-                if (!citySelect.value) {
-                    citySelect.value = defaultCity;
-                }
+            citySelect.replaceChildren();
+            sortedKeys.forEach((city) => {
+                const option = document.createElement('option');
+                option.value = city;
+                option.textContent = city;
+                citySelect.appendChild(option);
+            });
+        }
 
-                const selectedCity = citySelect.value || defaultCity;
-                perDiemRate = overrides[selectedCity] ?? finlandConfig.defaultRate;
-                basisText = `Finland destination rate for ${hostCountryName}${selectedCity !== 'Standard (Other)' ? ` (${selectedCity})` : ''}`;
-            } else {
-                // No city specifics, use standard country rate
-                cityContainer.classList.add('hidden');
-                perDiemRate = finlandConfig.rates?.[hostCountry];
-                if (!perDiemRate) {
-                    perDiemRate = finlandConfig.defaultRate;
-                    usesFallback = true;
-                    warnings.push(`No Finland per diem configured for ${hostCountryName}; using default domestic rate.`);
-                }
-                basisText = `Finland destination rate for ${hostCountryName}`;
-            }
-        } else {
-            warnings.push('Finland per diem configuration missing.');
+        if (!sameRoute || !citySelect.value) {
+            citySelect.value = perDiem.cities['Standard (Other)'] ? 'Standard (Other)' : Object.keys(perDiem.cities)[0];
+            perDiem = resolveRoutePerDiem(citySelect.value);
         }
+        cityContainer.classList.remove('hidden');
     } else {
-        // Unknown home country: prefer explicit warning and safe fallback
-        if (finlandConfig) {
-            perDiemRate = finlandConfig.defaultRate;
-            sourceName = finlandConfig.sourceName;
-            sourceUrl = finlandConfig.sourceUrl;
-            sourceYear = finlandConfig.year;
-            basisText = `Default Finland domestic rate (home country "${homeCountry}" not configured)`;
-            usesFallback = true;
-            warnings.push(`Home country "${homeCountry}" not configured for per diem rules.`);
-        } else {
-            warnings.push(`Home country "${homeCountry}" not configured for per diem rules.`);
-        }
-
+        // No city rates for this route
+        citySelect.removeAttribute('data-route');
+        citySelect.replaceChildren();
         cityContainer.classList.add('hidden');
     }
 
-    // 3. Update Input Field
+    // 3. Update Input Field: the statutory rate, unless the allowance was edited
+    // for this route and city (the excess above the rate is taxed as salary)
     const perDiemInput = document.getElementById('dailyAllowance');
     if (perDiemInput) {
-        perDiemInput.value = perDiemRate;
-        perDiemInput.disabled = true; // Always auto-calculated
+        const allowanceRoute = `${route}:${citySelect.value || ''}`;
+        if (perDiemInput.dataset.edited !== 'true' || perDiemInput.dataset.route !== allowanceRoute) {
+            perDiemInput.value = perDiem.rate;
+            delete perDiemInput.dataset.edited;
+        }
+        perDiemInput.dataset.route = allowanceRoute;
     }
 
-    // 4. Update Source Link
+    // 4. Update Source Link and the regime's day rules
     const perDiemInfo = document.getElementById('perDiemInfo');
     if (perDiemInfo) {
-        const sourceLabel = sourceName ? `${sourceName}${sourceYear ? ` (${sourceYear})` : ''}` : 'Source pending verification';
-        const sourceMarkup = sourceUrl
-            ? `<a href="${sourceUrl}" target="_blank" rel="noopener noreferrer" class="text-cozm-teal hover:underline">${sourceLabel}</a>`
+        const sourceLabel = perDiem.sourceName
+            ? `${perDiem.sourceName}${perDiem.sourceYear ? ` (${perDiem.sourceYear})` : ''}`
+            : 'Source pending verification';
+        const sourceMarkup = perDiem.sourceUrl
+            ? `<a href="${perDiem.sourceUrl}" target="_blank" rel="noopener noreferrer" class="text-cozm-teal hover:underline">${sourceLabel}</a>`
             : `<span class="text-gray-500">${sourceLabel}</span>`;
-        const warningMarkup = warnings.length
-            ? `<span class="block mt-1 text-cozm-gold">${warnings.join(' ')}</span>`
+        const localRate = perDiem.currency !== 'EUR'
+            ? ` (${perDiem.localRate.toLocaleString('en-GB')} ${perDiem.currency})`
+            : '';
+        const ruleLines = [
+            perDiem.partialDayRule && `Partial days: ${formatCurrencyDecimal(perDiem.partialRate)}. ${perDiem.partialDayRule}.`,
+            perDiem.mealDeductions && `Meals provided: ${perDiem.mealDeductions.rule}.`,
+            ...perDiem.longStay.map(step => `Long stays: ${step.rule}.`)
+        ].filter(Boolean);
+        const warningMarkup = perDiem.warnings.length
+            ? `<span class="block mt-1 text-cozm-gold">${perDiem.warnings.join(' ')}</span>`
             : '';
 
         perDiemInfo.innerHTML = `
-            <span class="block">Basis: ${basisText || 'Per diem basis to be confirmed'}.</span>
-            <span class="block">Daily allowance locked at ${formatCurrencyDecimal(perDiemRate)}.</span>
+            <span class="block">Basis: ${perDiem.basisText || 'Per diem basis to be confirmed'}.</span>
+            <span class="block">Tax-free rate ${formatCurrencyDecimal(perDiem.rate)}${localRate}; any allowance above it is taxed as salary.</span>
+            ${ruleLines.map(line => `<span class="block text-gray-500">${line}</span>`).join('')}
             <span class="block">Source: ${sourceMarkup}</span>
+            ${perDiem.citation ? `<span class="block text-gray-500">${perDiem.citation}</span>` : ''}
             ${warningMarkup}
         `;
     }
 
+    const { cities, ...perDiemContext } = perDiem;
     currentPerDiemContext = {
         homeCountry,
         hostCountry,
-        hostCity: citySelect?.value || '',
-        rate: perDiemRate,
-        sourceName,
-        sourceUrl,
-        sourceYear,
-        basisText,
-        warnings,
-        usesFallback
+        hostCity: citySelect.value || '',
+        ...perDiemContext
     };
 
     // Update local currency label in toggle button
     updateLocalCurrencyLabel();
+    renderExchangeRateControls();
+
+    // Optional cost defaults and taxability follow the host country
+    renderAssignmentCostInputs();
+
+    // Residency warning depends on the host country's test
+    updateInputWarnings();
 
     // If currently displaying local currency, refresh the display
     if (currentDisplayCurrency === 'LOCAL' && lastCalculationData) {
@@ -668,6 +762,7 @@ function updateInputWarnings() {
     const monthlySalaryEl = document.getElementById('monthlySalary');
     const assignmentLengthEl = document.getElementById('assignmentLength');
     const workingDaysEl = document.getElementById('workingDays');
+    const dailyAllowanceEl = document.getElementById('dailyAllowance');
 
     const salaryWarningEl = document.getElementById('monthlySalaryWarning');
     const assignmentWarningEl = document.getElementById('assignmentLengthWarning');
@@ -687,12 +782,42 @@ function updateInputWarnings() {
     if (assignmentLengthEl) {
         const assignmentMonths = parseFloat(assignmentLengthEl.value);
         let assignmentWarning = '';
-        if (Number.isFinite(assignmentMonths) && (assignmentMonths * 30) >= 183) {
-            assignmentWarning = 'This duration is likely to trigger tax residency (183-day rule).';
+        if (Number.isFinite(assignmentMonths)) {
+            const hostCountry = document.getElementById('hostCountry')?.value;
+            const dates = CostEngine.resolveAssignmentDates(
+                document.getElementById('startDate')?.value,
+                document.getElementById('endDate')?.value,
+                assignmentMonths
+            );
+            const residency = CostEngine.determineTaxResidency(taxRules?.[hostCountry], dates, assignmentMonths);
+            if (residency.isResident && residency.triggeredOn) {
+                const hostName = countryConfig[hostCountry]?.name || hostCountry;
+                assignmentWarning = `Likely tax resident in ${hostName} from ${residency.triggeredOn} (${residency.test}).`;
+            } else if (residency.isResident) {
+                assignmentWarning = 'This duration is likely to trigger tax residency (183-day rule).';
+            }
         }
         setWarningMessage(assignmentWarningEl, assignmentWarning);
     }
 
+    const startDateEl = document.getElementById('startDate');
+    const endDateEl = document.getElementById('endDate');
+    if (startDateEl && endDateEl && assignmentLengthEl) {
+        let endDateWarning = '';
+        const start = CostEngine.parseISODate(startDateEl.value);
+        const end = CostEngine.parseISODate(endDateEl.value);
+        if (start && end && end < start) {
+            endDateWarning = 'End date is before the start date; the selected duration will be used instead.';
+        } else if (start && end) {
+            const expected = CostEngine.resolveAssignmentDates(startDateEl.value, '', parseFloat(assignmentLengthEl.value) || 6);
+            const driftDays = Math.abs(expected.days - CostEngine.daysBetween(start, end));
+            if (driftDays > 15) {
+                endDateWarning = 'End date differs from the selected duration. Salary uses the duration; residency and daily costs use the dates.';
+            }
+        }
+        setWarningMessage(document.getElementById('endDateWarning'), endDateWarning);
+    }
+
     if (workingDaysEl) {
         let workingDays = parseFloat(workingDaysEl.value);
         let workingDaysWarning = '';
@@ -710,22 +835,69 @@ function updateInputWarnings() {
         }
         setWarningMessage(workingDaysWarningEl, workingDaysWarning);
     }
+
+    if (dailyAllowanceEl) {
+        const allowance = parseFloat(dailyAllowanceEl.value);
+        const statutoryRate = currentPerDiemContext?.rate || 0;
+        let allowanceWarning = '';
+        if (!Number.isFinite(allowance) || allowance < 0) {
+            allowanceWarning = 'Daily allowance must be €0 or more.';
+        } else if (statutoryRate > 0 && allowance - statutoryRate > 0.005) {
+            allowanceWarning = `Above the tax-free rate of ${formatCurrencyDecimal(statutoryRate)}; the excess of ${formatCurrencyDecimal(allowance - statutoryRate)}/day is taxed as salary.`;
+        }
+        setWarningMessage(document.getElementById('dailyAllowanceWarning'), allowanceWarning);
+    }
+}
+
+// Set the end date from the start date and selected duration
+function syncEndDate() {
+    const startDateEl = document.getElementById('startDate');
+    const endDateEl = document.getElementById('endDate');
+    const assignmentMonths = parseInt(document.getElementById('assignmentLength')?.value) || 6;
+    if (!startDateEl || !endDateEl) return;
+
+    const dates = CostEngine.resolveAssignmentDates(startDateEl.value, '', assignmentMonths);
+    if (dates) {
+        endDateEl.value = CostEngine.formatISODate(dates.end);
+    }
 }
 
 function attachInputWarningListeners() {
     const monthlySalaryEl = document.getElementById('monthlySalary');
     const assignmentLengthEl = document.getElementById('assignmentLength');
     const workingDaysEl = document.getElementById('workingDays');
+    const dailyAllowanceEl = document.getElementById('dailyAllowance');
+    const startDateEl = document.getElementById('startDate');
+    const endDateEl = document.getElementById('endDate');
 
     if (monthlySalaryEl) {
         monthlySalaryEl.addEventListener('input', updateInputWarnings);
     }
     if (assignmentLengthEl) {
-        assignmentLengthEl.addEventListener('change', updateInputWarnings);
+        assignmentLengthEl.addEventListener('change', () => {
+            syncEndDate();
+            updateInputWarnings();
+        });
+    }
+    if (startDateEl) {
+        startDateEl.addEventListener('change', () => {
+            syncEndDate();
+            updateInputWarnings();
+        });
+    }
+    if (endDateEl) {
+        endDateEl.addEventListener('change', updateInputWarnings);
     }
     if (workingDaysEl) {
         workingDaysEl.addEventListener('input', updateInputWarnings);
     }
+    if (dailyAllowanceEl) {
+        // An edited allowance is kept until the route or city changes
+        dailyAllowanceEl.addEventListener('input', () => {
+            dailyAllowanceEl.dataset.edited = 'true';
+            updateInputWarnings();
+        });
+    }
 }
 
 function setupTooltipAccessibility() {
@@ -766,34 +938,94 @@ function copyEstimateSummary() {
         `Monthly Salary: ${formatCurrency(lastCalculationData.monthlySalary)}`,
         `Daily Allowance: ${formatCurrencyDecimal(lastCalculationData.dailyAllowance)}${perDiemBasis}`,
         `Per Diem Total: ${formatCurrency(lastCalculationData.totalPerDiem || lastCalculationData.totalAllowances)}`,
-        `Tax: ${formatCurrency(lastCalculationData.taxAmountEUR)}`,
+        ...(lastCalculationData.perDiemPlan
+            ? [`Per Diem Days: ${formatPerDiemPlanDays(lastCalculationData.perDiemPlan)}`]
+            : []),
+        ...(lastCalculationData.perDiemTaxableExcess > 0
+            ? [`Per Diem Split: tax-free ${formatCurrency(lastCalculationData.perDiemTaxFree)}, taxable excess ${formatCurrency(lastCalculationData.perDiemTaxableExcess)} (taxed as salary)`]
+            : []),
+        `Tax: ${formatCurrency(lastCalculationData.taxCostEUR ?? lastCalculationData.taxAmountEUR)}`,
+        ...(lastCalculationData.homeTax
+            ? [`Residual ${homeCountry} Tax: ${formatCurrency(lastCalculationData.residualHomeTaxEUR)} (${lastCalculationData.homeTax.reliefMethod}${lastCalculationData.homeTax.included ? '' : ', not included'})`]
+            : []),
         `Social Security: ${formatCurrency(lastCalculationData.totalSocialSecurity || lastCalculationData.socialSecurityCost)}`,
         `Admin Fees: ${formatCurrency(lastCalculationData.totalAdminFees)}`,
+        ...(lastCalculationData.totalAssignmentCosts
+            ? [`Travel, Housing & Relocation: ${formatCurrency(lastCalculationData.totalAssignmentCosts)}`]
+            : []),
         `Additional Cost Total: ${formatCurrency(lastCalculationData.additionalCostTotal)}`,
-        `Assignment Cost Total: ${formatCurrency(lastCalculationData.grandTotal)}`
+        `Assignment Cost Total: ${formatCurrency(lastCalculationData.grandTotal)}`,
+        `Exchange Rate: 1 EUR = ${lastCalculationData.exchangeRate.toFixed(4)} ${lastCalculationData.config.currency} (${lastCalculationData.exchangeRateSource || 'Country defaults'}, ${lastCalculationData.exchangeRateDate || 'static'})`
     ];
 
-    const summaryText = summaryLines.join('\n');
+    copyTextToClipboard(summaryLines.join('\n'), 'Estimate summary copied to clipboard.', 'Unable to copy summary. Please try again.');
+}
+
+// Copy text, falling back to a hidden textarea where the Clipboard API is unavailable
+function copyTextToClipboard(text, successMessage, errorMessage) {
     if (navigator.clipboard?.writeText) {
-        navigator.clipboard.writeText(summaryText)
-            .then(() => showToast('Estimate summary copied to clipboard.', 'success'))
-            .catch(() => showToast('Unable to copy summary. Please try again.', 'error'));
+        navigator.clipboard.writeText(text)
+            .then(() => showToast(successMessage, 'success'))
+            .catch(() => showToast(errorMessage, 'error'));
     } else {
         const textArea = document.createElement('textarea');
-        textArea.value = summaryText;
+        textArea.value = text;
         document.body.appendChild(textArea);
         textArea.select();
         try {
             document.execCommand('copy');
-            showToast('Estimate summary copied to clipboard.', 'success');
+            showToast(successMessage, 'success');
         } catch (e) {
-            showToast('Unable to copy summary. Please try again.', 'error');
+            showToast(errorMessage, 'error');
         } finally {
             document.body.removeChild(textArea);
         }
     }
 }
 
+// Export the current estimate to XLSX (summary, assignee and workings sheets)
+function exportEstimateXlsx() {
+    if (!lastCalculationData) {
+        showToast('Generate an estimate first to export it.', 'error');
+        return;
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    downloadEstimateWorkbook(
+        [{ name: 'Estimate', result: lastCalculationData }],
+        `fse_estimate_${lastCalculationData.hostCountry}_${date}.xlsx`,
+        { settings: getSettings(), generatedOn: date }
+    );
+    showToast('Estimate exported to Excel.', 'success');
+}
+
+// Download a PDF report of the current estimate for sign-off
+async function exportEstimatePdf() {
+    if (!lastCalculationData) {
+        showToast('Generate an estimate first to create a report.', 'error');
+        return;
+    }
+    if (!window.jspdf) {
+        showToast('PDF library failed to load. Please refresh and try again.', 'error');
+        return;
+    }
+
+    try {
+        const generatedOn = new Date().toISOString().slice(0, 10);
+        const doc = buildEstimateReport(lastCalculationData, {
+            preparedBy: window.currentUser?.email || 'Unknown user',
+            generatedOn,
+            hash: await hashEstimate(lastCalculationData),
+            chartImage: getCostChartImage()
+        });
+        doc.save(`fse_estimate_${lastCalculationData.hostCountry}_${generatedOn}.pdf`);
+        showToast('PDF report downloaded.', 'success');
+    } catch (error) {
+        console.error('[PDF] Error building report:', error);
+        showToast('Unable to create the PDF report.', 'error');
+    }
+}
+
 function runPerDiemSanityChecks() {
     const homeCountryEl = document.getElementById('homeCountry');
     const hostCountryEl = document.getElementById('hostCountry');
@@ -805,13 +1037,16 @@ function runPerDiemSanityChecks() {
     const originalState = {
         homeCountry: homeCountryEl.value,
         hostCountry: hostCountryEl.value,
-        hostCity: document.getElementById('hostCity')?.value || ''
+        hostCity: document.getElementById('hostCity')?.value || '',
+        dailyAllowanceOverride: readDailyAllowanceOverride()
     };
 
     const scenarios = [
         { homeCountry: 'Finland', hostCountry: 'USA', hostCity: 'Standard (Other)', expected: 86 },
         { homeCountry: 'Finland', hostCountry: 'USA', hostCity: 'New York', expected: 122 },
-        { homeCountry: 'Portugal', hostCountry: 'Brazil', hostCity: '', expected: 148.91 }
+        { homeCountry: 'Portugal', hostCountry: 'Brazil', hostCity: '', expected: 148.91 },
+        { homeCountry: 'Germany', hostCountry: 'USA', hostCity: 'New York', expected: 66 },
+        { homeCountry: 'Germany', hostCountry: 'Brazil', hostCity: '', expected: 46 }
     ];
 
     const results = [];
@@ -828,7 +1063,8 @@ function runPerDiemSanityChecks() {
             }
         }
 
-        const allowanceValue = parseFloat(document.getElementById('dailyAllowance')?.value);
+        // The statutory rate, whatever allowance has been typed over it
+        const allowanceValue = currentPerDiemContext?.rate;
         const pass = Number.isFinite(allowanceValue) && Math.abs(allowanceValue - scenario.expected) < 0.01;
         results.push({
             scenario: `${scenario.homeCountry} -> ${scenario.hostCountry}${scenario.hostCity ? ` (${scenario.hostCity})` : ''}`,
@@ -848,6 +1084,7 @@ function runPerDiemSanityChecks() {
             updateCountryInfo();
         }
     }
+    applyDailyAllowanceOverride(originalState.dailyAllowanceOverride);
 
     updateInputWarnings();
 
@@ -859,21 +1096,15 @@ window.runPerDiemSanityChecks = runPerDiemSanityChecks;
 
 // Tab switching
 function switchTab(tab) {
-    const singleTab = document.getElementById('tab-single');
-    const bulkTab = document.getElementById('tab-bulk');
-    const singleForm = document.getElementById('form-single');
-    const bulkForm = document.getElementById('form-bulk');
-
-    if (tab === 'single') {
-        if (singleTab) singleTab.className = 'tab-active px-4 py-2 text-sm transition-all';
-        if (bulkTab) bulkTab.className = 'tab-inactive px-4 py-2 text-sm transition-all';
-        if (singleForm) singleForm.classList.remove('hidden');
-        if (bulkForm) bulkForm.classList.add('hidden');
-    } else {
-        if (singleTab) singleTab.className = 'tab-inactive px-4 py-2 text-sm transition-all';
-        if (bulkTab) bulkTab.className = 'tab-active px-4 py-2 text-sm transition-all';
-        if (singleForm) singleForm.classList.add('hidden');
-        if (bulkForm) bulkForm.classList.remove('hidden');
+    ['single', 'bulk', 'estimates'].forEach(name => {
+        const tabEl = document.getElementById(`tab-${name}`);
+        const formEl = document.getElementById(`form-${name}`);
+        if (tabEl) tabEl.className = `${name === tab ? 'tab-active' : 'tab-inactive'} px-4 py-2 text-sm transition-all`;
+        if (formEl) formEl.classList.toggle('hidden', name !== tab);
+    });
+
+    if (tab === 'estimates') {
+        loadSavedEstimates();
     }
 }
 
@@ -913,6 +1144,11 @@ function toggleWorkings() {
     if (arrow) arrow.style.transform = panel.classList.contains('hidden') ? '' : 'rotate(90deg)';
 }
 
+// Text safe to place in innerHTML (names, uploaded cells, error messages)
+function escapeHtml(value) {
+    return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
 // Format currency with accounting brackets for negative numbers
 function formatCurrency(amount, currency = '€') {
     const isNegative = amount < 0;
@@ -930,326 +1166,456 @@ function formatCurrencyDecimal(amount, currency = '€') {
 
 // Format currency with local symbol
 function formatLocalCurrency(amount, countryKey) {
-    const config = countryConfig[countryKey];
-    const symbol = config.currencySymbol || config.currency + ' ';
+    const symbol = getCurrencySymbol(countryKey);
     const isNegative = amount < 0;
     const absAmount = Math.abs(amount);
     const formatted = symbol + absAmount.toLocaleString('en-GB', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
     return isNegative ? `(${formatted})` : formatted;
 }
 
-// Calculate costs
-// NEW METHODOLOGY (Jan 2026):
-// 1. Salary for period (EUR)
-// 2. Per Diem (EUR) - tax-exempt, NOT included in tax/SS calculations
-// 3. Admin Fees (EUR) - employer costs, NOT included in employee taxable income
-// 4. Subtotal in EUR
-// 5. Convert salary to local currency
-// 6. Apply deductions (if any)
-// 7. Calculate tax on SALARY ONLY (not per diem, not admin fees)
-// 8. Calculate Social Security on SALARY ONLY:
-//    - Employer SS (uncapped for Brazil)
-//    - Employee SS (capped for Brazil)
-// 9. Total cost for period
-// 10. Daily cost
-function calculateCosts() {
-    const monthlySalary = parseFloat(document.getElementById('monthlySalary').value) || 0;
-    const assignmentLength = parseInt(document.getElementById('assignmentLength').value) || 6;
-    const dailyAllowance = parseFloat(document.getElementById('dailyAllowance').value) || 0;
-    const workingDaysPerMonth = parseInt(document.getElementById('workingDays').value) || 25;
-    const hostCountry = document.getElementById('hostCountry').value;
-    const config = countryConfig[hostCountry];
-
-    // Calculate totals
-    const totalWorkingDays = workingDaysPerMonth * assignmentLength;
-    const totalCalendarDays = assignmentLength * 30; // Approximate
-
-    // ===== STEP 1: SALARY =====
-    const grossSalary = monthlySalary * assignmentLength;
-
-    // ===== STEP 2: PER DIEM (Tax-exempt) =====
-    // Per diem is NOT included in tax or social security calculations
-    // when properly documented (tied to actual business travel, reasonable amounts)
-    const totalPerDiem = dailyAllowance * totalWorkingDays;
-
-    // ===== STEP 3: ADMIN FEES (Employer costs) =====
-    // Admin fees are employer costs, NOT included in employee's taxable income
-    const monthlyTaxReports = 200;
-    const yearlyTaxReturns = 300;
-    const workPermitFee = 1000;
-    const visaFee = 200;
-    const taxSocialSecReg = 500;
-    const serviceProviderFee = 1000;
-
-    // Pro-rate annual fees based on assignment length
-    const annualFees = (monthlyTaxReports + yearlyTaxReturns + serviceProviderFee) * (assignmentLength / 12);
-    const oneTimeFees = workPermitFee + visaFee + taxSocialSecReg;
-    const totalAdminFees = annualFees + oneTimeFees;
-
-    // ===== STEP 4: SUBTOTAL IN EUR =====
-    const subtotalEUR = grossSalary + totalPerDiem + totalAdminFees;
-
-    // Get tax rules and exchange rate
-    const countryTaxRules = taxRules ? taxRules[hostCountry] : null;
-    const isResident = isResidentForTax(assignmentLength);
-    const exchangeRate = config.exchangeRate;
-
-    // ===== STEP 5: CONVERT SALARY TO LOCAL CURRENCY =====
-    // Only salary is converted for tax calculation (per diem is tax-exempt)
-    const salaryLocal = grossSalary * exchangeRate;
-
-    // ===== STEP 6: APPLY DEDUCTIONS =====
-    const standardDeduction = config.deduction || 0;
-    const taxableIncomeLocal = Math.max(0, salaryLocal - standardDeduction);
-    const taxableIncomeEUR = taxableIncomeLocal / exchangeRate;
-
-    // ===== STEP 7: CALCULATE TAX ON SALARY ONLY =====
-    let taxAmountLocal = 0;
-    let taxCalculationMethod = '';
-    let effectiveTaxRate = 0;
-    let taxBracketBreakdown = []; // Detailed bracket-by-bracket breakdown
-
-    // Determine which rule to apply
-    let bracketsToUse = null;
-    let flatRateToUse = null;
-
-    if (countryTaxRules) {
-        if (isResident) {
-            if (countryTaxRules.taxBrackets) {
-                bracketsToUse = countryTaxRules.taxBrackets;
-                taxCalculationMethod = 'Progressive brackets (Resident)';
-            } else {
-                // Resident but no brackets? Fallback to config flat rate (unlikely for these countries)
-                flatRateToUse = config.taxRate;
-                taxCalculationMethod = `Flat rate (${(flatRateToUse * 100).toFixed(0)}%)`;
-            }
-        } else {
-            // Non-Resident
-            if (countryTaxRules.nonResidentBrackets) {
-                bracketsToUse = countryTaxRules.nonResidentBrackets;
-                taxCalculationMethod = 'Progressive brackets (Non-Resident)';
-            } else if (countryTaxRules.useResidentBracketsForNonResident && countryTaxRules.taxBrackets) {
-                bracketsToUse = countryTaxRules.taxBrackets;
-                taxCalculationMethod = 'Progressive brackets (Non-Resident - Same as Resident)';
-            } else if (countryTaxRules.nonResidentRate !== undefined) {
-                flatRateToUse = countryTaxRules.nonResidentRate;
-                taxCalculationMethod = `Non-Resident Flat Rate (${(flatRateToUse * 100).toFixed(0)}%)`;
-            } else if (countryTaxRules.taxBrackets) {
-                // Fallback: If only taxBrackets exist and nothing else specified, assume they apply?
-                // Or assume flat rate from config?
-                // The safest fallback for our updated JSON structure is to use config.taxRate if we don't match above
-                flatRateToUse = config.taxRate;
-                taxCalculationMethod = `Flat rate (${(flatRateToUse * 100).toFixed(0)}%)`;
-            } else {
-                flatRateToUse = config.taxRate;
-                taxCalculationMethod = `Flat rate (${(flatRateToUse * 100).toFixed(0)}%)`;
-            }
-        }
-    } else {
-        flatRateToUse = config.taxRate;
-        taxCalculationMethod = `Flat rate (${(flatRateToUse * 100).toFixed(0)}%)`;
-    }
+// Currency prefix for a country's local amounts (home-only countries use EUR)
+function getCurrencySymbol(countryKey) {
+    const config = countryConfig[countryKey];
+    if (!config) return '€';
+    return config.currencySymbol || config.currency + ' ';
+}
 
-    if (bracketsToUse) {
-        const taxResult = calculateProgressiveTax(taxableIncomeLocal, bracketsToUse, true);
-        taxAmountLocal = taxResult.total;
-        taxBracketBreakdown = taxResult.breakdown;
-        effectiveTaxRate = taxableIncomeLocal > 0 ? (taxAmountLocal / taxableIncomeLocal) * 100 : 0;
-    } else {
-        taxAmountLocal = taxableIncomeLocal * flatRateToUse;
-        effectiveTaxRate = flatRateToUse * 100;
-        taxBracketBreakdown = [{
-            min: 0,
-            max: null,
-            rate: flatRateToUse,
-            taxableAmount: taxableIncomeLocal,
-            taxAmount: taxAmountLocal
-        }];
-    }
-
-    const taxAmountEUR = taxAmountLocal / exchangeRate;
-    const taxPerDayLocal = taxAmountLocal / totalCalendarDays;
-    const taxPerDayEUR = taxAmountEUR / totalCalendarDays;
-
-    // ===== STEP 8: CALCULATE SOCIAL SECURITY ON SALARY ONLY =====
-    // Per diem is NOT subject to social security when properly documented
-    // Social security is calculated separately for employer and employee
-    // SETTINGS: User can toggle whether to include host SS based on agreement status
-
-    let employerSocialSec = 0;
-    let employeeSocialSec = 0;
-    let socialSecIncluded = true; // Track whether SS is included in calculation
-    let socialSecExclusionReason = null;
-
-    // Check settings to determine if host SS should be included
-    const settings = getSettings();
-    const hasAgreement = !config.noTreatyWarning; // noTreatyWarning=true means NO agreement
-
-    if (hasAgreement && !settings.includeSSWithAgreement) {
-        // Agreement exists, but user has toggled OFF host SS for agreement countries
-        socialSecIncluded = false;
-        socialSecExclusionReason = 'Excluded (A1/CoC exemption assumed)';
-    } else if (!hasAgreement && !settings.includeSSNoAgreement) {
-        // No agreement, but user has toggled OFF host SS for non-agreement countries
-        socialSecIncluded = false;
-        socialSecExclusionReason = 'Excluded by user setting';
-    }
-
-    if (socialSecIncluded) {
-        if (config.employerSocialSec !== undefined) {
-            // Use new separate rates
-            // Employer SS: typically uncapped
-            employerSocialSec = grossSalary * config.employerSocialSec;
-
-            // Employee SS: may be capped (e.g., Brazil INSS capped at BRL 8,157.41/month)
-            if (config.employeeSocialSecCap) {
-                // Calculate monthly employee SS with cap
-                const monthlySalaryLocal = monthlySalary * exchangeRate;
-                const cappedMonthlySS = Math.min(
-                    monthlySalaryLocal * config.employeeSocialSec,
-                    config.employeeSocialSecCap
-                );
-                // Convert back to EUR and multiply by assignment length
-                employeeSocialSec = (cappedMonthlySS / exchangeRate) * assignmentLength;
-            } else {
-                employeeSocialSec = grossSalary * config.employeeSocialSec;
-            }
-        } else {
-            // Fallback to old combined rate (split 50/50 for display)
-            const totalSS = grossSalary * config.socialSec;
-            employerSocialSec = totalSS * 0.7; // Employer typically pays more
-            employeeSocialSec = totalSS * 0.3;
-        }
-    }
+// Workings rows for a per diem day plan: days paid and tax-free amount by day type
+const PER_DIEM_DAY_LABELS = { travel: 'Travel Days (partial rate)', working: 'Working Days', rest: 'Rest Days' };
 
-    const totalSocialSecurity = employerSocialSec + employeeSocialSec;
-
-    // Legacy variable for backwards compatibility
-    const socialSecurityCost = totalSocialSecurity;
-    const totalAllowances = totalPerDiem; // Rename for legacy compatibility
-
-    // ===== STEP 9: GRAND TOTALS =====
-    // Grand Total = Salary + Per Diem + Admin Fees + Tax + Social Security (full cost)
-    const grandTotal = grossSalary + totalPerDiem + totalAdminFees + taxAmountEUR + totalSocialSecurity;
-
-    // Additional Cost Total = Per Diem + Admin Fees + Tax + Social Security (excludes salary)
-    // This is the incremental cost due to the international assignment
-    const additionalCostTotal = totalPerDiem + totalAdminFees + taxAmountEUR + totalSocialSecurity;
-
-    // ===== STEP 10: DAILY COST =====
-    // Daily additional cost (not including salary)
-    const costPerDay = additionalCostTotal / totalCalendarDays;
-
-    // Store calculation data for currency switching and display
-    lastCalculationData = {
-        // Core cost components
-        grossSalary,
-        totalPerDiem,
-        totalAdminFees,
-        taxAmountEUR,
-        totalSocialSecurity,
-        employerSocialSec,
-        employeeSocialSec,
-        grandTotal,
-        additionalCostTotal,
-        costPerDay,
-
-        // Input values
-        monthlySalary,
-        assignmentLength,
-        dailyAllowance,
-        totalWorkingDays,
-        totalCalendarDays,
-        perDiemSourceName: currentPerDiemContext?.sourceName || '',
-        perDiemSourceUrl: currentPerDiemContext?.sourceUrl || '',
-        perDiemSourceYear: currentPerDiemContext?.sourceYear || '',
-        perDiemBasisText: currentPerDiemContext?.basisText || '',
-        perDiemWarnings: currentPerDiemContext?.warnings || [],
-
-        // Tax calculation details
-        taxableIncomeEUR,
-        taxableIncomeLocal,
-        salaryLocal,
-        taxAmountLocal,
-        taxPerDayLocal,
-        taxPerDayEUR,
-        effectiveTaxRate,
-        taxCalculationMethod,
-        taxBracketBreakdown,
-        exchangeRate,
-
-        // Configuration
-        config,
-        hostCountry,
-        countryTaxRules,
-        isResident,
+function renderPerDiemPlanRows(plan) {
+    return plan.lines.map(line => `
+                        <tr><td>${PER_DIEM_DAY_LABELS[line.type]} × ${line.days}${line.type === 'rest' && !plan.includeRestDays ? ' (not paid)' : ''}</td><td>${formatCurrency(line.paid)} (tax-free ${formatCurrency(line.taxFree)})</td></tr>`).join('');
+}
 
-        // Social Security settings status
-        socialSecIncluded,
-        socialSecExclusionReason,
-        hasAgreement,
+// "2 travel, 132 working, 47 rest" (rest days marked when they are not paid)
+function formatPerDiemPlanDays(plan) {
+    return `${plan.travelDays} travel, ${plan.workingDays} working, ${plan.restDays} rest${plan.includeRestDays ? '' : ' (unpaid)'}`;
+}
 
-        // Legacy compatibility
-        socialSecurityCost,
-        totalAllowances
+// Read calculator form inputs into a plain cost engine input object
+function readCalculatorInput() {
+    const input = {
+        homeCountry: document.getElementById('homeCountry').value,
+        hostCountry: document.getElementById('hostCountry').value,
+        monthlySalary: parseFloat(document.getElementById('monthlySalary').value) || 0,
+        assignmentLength: parseInt(document.getElementById('assignmentLength').value) || 6,
+        dailyAllowance: parseFloat(document.getElementById('dailyAllowance').value) || 0,
+        workingDaysPerMonth: parseInt(document.getElementById('workingDays').value) || 25,
+        startDate: document.getElementById('startDate')?.value || '',
+        endDate: document.getElementById('endDate')?.value || '',
+        settings: getSettings(),
+        perDiemContext: currentPerDiemContext,
+        perDiemPlan: toPerDiemPlanInput(readPerDiemPlanState()),
+        feeOverrides: getAdminFeeOverrides(),
+        assignmentCosts: readAssignmentCostSelections(),
+        exchangeRates: getEffectiveExchangeRates(),
+        exchangeRateContext: getExchangeRateContext(document.getElementById('hostCountry').value)
     };
+    return { ...input, perDiemPeriods: getPerDiemPeriods(input) };
+}
 
-    // Expose to window for voice assistant access
-    window.lastCalculationData = lastCalculationData;
+// Per diem day planner as entered (kept with saved estimates and shared links)
+function readPerDiemPlanState() {
+    const isChecked = id => !!document.getElementById(id)?.checked;
+    return {
+        enabled: isChecked('perDiemPlanEnabled'),
+        travelDays: parseInt(document.getElementById('perDiemTravelDays')?.value) || 0,
+        includeRestDays: isChecked('perDiemRestDays'),
+        meals: {
+            breakfast: isChecked('perDiemMealBreakfast'),
+            lunch: isChecked('perDiemMealLunch'),
+            dinner: isChecked('perDiemMealDinner')
+        }
+    };
+}
 
-    // Get home country for display
-    const homeCountry = document.getElementById('homeCountry').value;
+// Engine perDiemPlan for a planner state; null pays per diem on working days only
+function toPerDiemPlanInput(state) {
+    if (!state?.enabled) return null;
+    const { enabled, ...plan } = state;
+    return plan;
+}
 
-    // Update Assignment Summary Card
-    const setEl = (id, text) => {
+// Put a planner state into the form. States saved before the planner existed have
+// none and pay working days only, so reopened estimates keep their totals.
+function applyPerDiemPlanState(state) {
+    const plan = state || { enabled: false };
+    const setChecked = (id, checked) => {
         const el = document.getElementById(id);
-        if (el) el.textContent = text;
+        if (el) el.checked = !!checked;
     };
+    setChecked('perDiemPlanEnabled', plan.enabled);
+    const travelDaysEl = document.getElementById('perDiemTravelDays');
+    if (travelDaysEl && plan.travelDays !== undefined) travelDaysEl.value = plan.travelDays;
+    if (plan.includeRestDays !== undefined) setChecked('perDiemRestDays', plan.includeRestDays);
+    if (plan.meals) {
+        setChecked('perDiemMealBreakfast', plan.meals.breakfast);
+        setChecked('perDiemMealLunch', plan.meals.lunch);
+        setChecked('perDiemMealDinner', plan.meals.dinner);
+    }
+    updatePerDiemPlanInputs();
+}
 
-    setEl('summaryDuration', `${assignmentLength} months`);
-    setEl('summaryOrigin', homeCountry);
-    setEl('summaryDestination', config.name);
-    setEl('summarySalary', formatCurrency(monthlySalary) + '/month');
-    setEl('chartPeriodLabel', `(${assignmentLength} months)`);
-
-    // Update Salary breakdown group
-    setEl('summaryGrossSalary', formatCurrency(grossSalary));
-    setEl('detailMonthlySalary', formatCurrency(monthlySalary));
-    setEl('detailSalaryDuration', `${assignmentLength} months`);
+// Planner details only apply while calendar days are counted
+function updatePerDiemPlanInputs() {
+    const enabled = !!document.getElementById('perDiemPlanEnabled')?.checked;
+    ['perDiemTravelDays', 'perDiemRestDays', 'perDiemMealBreakfast', 'perDiemMealLunch', 'perDiemMealDinner']
+        .forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.disabled = !enabled;
+        });
+}
 
-    // Update Summary View - main totals
-    setEl('summaryTax', formatCurrency(taxAmountEUR));
-    setEl('summarySocialSec', formatCurrency(socialSecurityCost));
-    setEl('summaryAllowances', formatCurrency(totalAllowances));
-    setEl('summaryAdminFees', formatCurrency(totalAdminFees));
-    setEl('summaryPerDay', formatCurrencyDecimal(costPerDay));
-    // Show additional cost (excludes salary) as the main total
-    setEl('summaryTotal', formatCurrency(additionalCostTotal));
-    setEl('chartCenterTotal', formatCurrency(additionalCostTotal));
+// Per diem rate for each per diem rule version the assignment dates cross (empty when
+// the current version covers them all). The current version keeps the form's rate,
+// including any city rate; earlier versions use that version's rate for the route.
+// statutoryRate is the regime's rate in each version, for the day planner.
+function getPerDiemPeriods(input, pinnedIds = null) {
+    const dates = CostEngine.resolveAssignmentDates(input.startDate, input.endDate, input.assignmentLength);
+    if (!dates || !ruleSets?.perDiem) return [];
+
+    const periods = CostEngine.splitByRuleVersions(
+        ruleSets.perDiem,
+        CostEngine.formatISODate(dates.start),
+        CostEngine.formatISODate(dates.end),
+        pinnedIds,
+        input.homeCountry
+    );
+    if (periods.length === 1 && periods[0].version === ruleSets.perDiem.current) return [];
+
+    const allowanceEdited = Math.abs(input.dailyAllowance - (input.perDiemContext?.rate ?? input.dailyAllowance)) > 0.005;
+
+    return periods.map(period => {
+        if (period.version === ruleSets.perDiem.current) {
+            return { ...period, rate: input.dailyAllowance, statutoryRate: input.perDiemContext?.rate || input.dailyAllowance };
+        }
+        const { rate } = getDefaultPerDiem(input.homeCountry, input.hostCountry, {
+            perDiemData: CostEngine.applyRuleVersion(window.perDiemConfig, period.version),
+            hostCity: input.perDiemContext?.hostCity
+        });
+        // An edited allowance is paid throughout; the older version only sets its tax-free rate
+        return { ...period, rate: allowanceEdited ? input.dailyAllowance : rate, statutoryRate: rate };
+    });
+}
 
-    // Update chart legend values (4 additional cost components - excludes salary)
-    setEl('legendPerdiem', formatCurrency(totalAllowances));
-    setEl('legendAdmin', formatCurrency(totalAdminFees));
-    setEl('legendTax', formatCurrency(taxAmountEUR));
-    setEl('legendSocial', formatCurrency(socialSecurityCost));
+// Daily allowance typed over the statutory rate, or null when it follows the route
+function readDailyAllowanceOverride() {
+    const allowanceEl = document.getElementById('dailyAllowance');
+    if (allowanceEl?.dataset.edited !== 'true') return null;
+    const allowance = parseFloat(allowanceEl.value);
+    return Number.isFinite(allowance) ? allowance : null;
+}
 
-    // Update breakdown group details
-    // Tax details with full bracket-by-bracket breakdown
-    setEl('detailTaxableIncome', formatLocalCurrency(taxableIncomeLocal, hostCountry));
-    setEl('detailTaxMethod', taxCalculationMethod);
-    setEl('detailTaxTotal', formatLocalCurrency(taxAmountLocal, hostCountry));
-    setEl('detailTaxRate', `(${effectiveTaxRate.toFixed(1)}% effective)`);
+// States without an override (saved before allowances could be edited) use the statutory rate
+function applyDailyAllowanceOverride(override) {
+    const allowanceEl = document.getElementById('dailyAllowance');
+    if (!allowanceEl) return;
+    if (Number.isFinite(override)) {
+        allowanceEl.value = override;
+        allowanceEl.dataset.edited = 'true';
+    } else if (allowanceEl.dataset.edited) {
+        allowanceEl.value = currentPerDiemContext?.rate ?? allowanceEl.value;
+        delete allowanceEl.dataset.edited;
+    }
+}
 
-    // Render tax bracket breakdown
-    const taxBreakdownEl = document.getElementById('taxBracketBreakdown');
-    if (taxBreakdownEl && taxBracketBreakdown.length > 0) {
-        const currencySymbol = config.currencySymbol || '€';
-        const formatLocal = (val) => currencySymbol + val.toLocaleString('en-GB', { minimumFractionDigits: 0, maximumFractionDigits: 0 });
+// Calculator form state as entered (not the derived engine input); used to reopen saved estimates
+function readFormState() {
+    return {
+        homeCountry: document.getElementById('homeCountry').value,
+        hostCountry: document.getElementById('hostCountry').value,
+        hostCity: document.getElementById('hostCity')?.value || '',
+        monthlySalary: parseFloat(document.getElementById('monthlySalary').value) || 0,
+        assignmentLength: parseInt(document.getElementById('assignmentLength').value) || 6,
+        startDate: document.getElementById('startDate')?.value || '',
+        endDate: document.getElementById('endDate')?.value || '',
+        workingDaysPerMonth: parseInt(document.getElementById('workingDays').value) || 25,
+        dailyAllowanceOverride: readDailyAllowanceOverride(),
+        assignmentCosts: readAssignmentCostState(),
+        feeOverrides: { ...getAdminFeeOverrides() },
+        perDiemPlan: readPerDiemPlanState()
+    };
+}
+
+// Put a saved form state back into the calculator (settings stay as the user has them)
+function applyFormState(state) {
+    const setValue = (id, value) => {
+        const el = document.getElementById(id);
+        if (el && value !== undefined && value !== null) el.value = value;
+    };
+
+    setValue('homeCountry', state.homeCountry);
+    setValue('hostCountry', state.hostCountry);
+    updateCountryInfo();
+    if (state.hostCity && document.getElementById('hostCity')) {
+        setValue('hostCity', state.hostCity);
+        updateCountryInfo();
+    }
+
+    const lengthEl = document.getElementById('assignmentLength');
+    if (lengthEl && state.assignmentLength && ![...lengthEl.options].some(option => option.value === String(state.assignmentLength))) {
+        lengthEl.add(new Option(`${state.assignmentLength} months`, state.assignmentLength));
+    }
+    setValue('assignmentLength', state.assignmentLength);
+    setValue('monthlySalary', state.monthlySalary);
+    setValue('startDate', state.startDate);
+    setValue('endDate', state.endDate);
+    setValue('workingDays', state.workingDaysPerMonth);
+    applyDailyAllowanceOverride(state.dailyAllowanceOverride);
+    applyPerDiemPlanState(state.perDiemPlan);
+
+    Object.entries(state.assignmentCosts || {}).forEach(([id, cost]) => {
+        const includeEl = document.getElementById(`costInclude-${id}`);
+        const amountEl = document.getElementById(`costAmount-${id}`);
+        if (includeEl) includeEl.checked = !!cost.include;
+        if (amountEl && cost.edited) {
+            amountEl.value = cost.amount;
+            amountEl.dataset.edited = 'true';
+        }
+    });
+
+    const overrides = getAdminFeeOverrides();
+    Object.keys(overrides).forEach(itemId => delete overrides[itemId]);
+    Object.assign(overrides, state.feeOverrides || {});
+
+    updateInputWarnings();
+}
+
+// Optional cost inputs for the host country; keeps ticked items and edited amounts
+function renderAssignmentCostInputs() {
+    const container = document.getElementById('assignmentCostInputs');
+    const hostCountry = document.getElementById('hostCountry')?.value;
+    if (!container || typeof assignmentCostDefaults === 'undefined') return;
+
+    const previous = readAssignmentCostState();
+    const hostRules = taxRules?.[hostCountry];
+
+    container.innerHTML = Object.entries(assignmentCostDefaults.categories).map(([id, category]) => {
+        const countryAmount = assignmentCostDefaults.countries[hostCountry]?.[id] ?? category.amount;
+        const state = previous[id];
+        const amount = state?.edited ? state.amount : countryAmount;
+        const unit = category.frequency === 'monthly' ? '/month'
+            : category.frequency === 'trip' ? `/trip (every ${category.everyMonths} months)` : 'one-time';
+        const taxable = CostEngine.isTaxableBenefit(category.taxFlag, hostRules, category.cashAllowance);
+        return `
+            <div class="flex items-center gap-2">
+                <input type="checkbox" id="costInclude-${id}" ${state?.include ? 'checked' : ''}
+                    onchange="recalculateIfNeeded()">
+                <label for="costInclude-${id}" class="text-sm flex-1">${category.label}${taxable ? ' <span class="text-cozm-gold text-xs">(taxable)</span>' : ''}</label>
+                <input type="number" id="costAmount-${id}" min="0" step="50" value="${amount}"
+                    data-edited="${state?.edited ? 'true' : 'false'}" aria-label="${category.label} amount (EUR)"
+                    class="input-field w-24 py-1 text-right"
+                    oninput="this.dataset.edited = 'true'" onchange="recalculateIfNeeded()">
+                <span class="text-xs text-gray-500 w-20">${unit}</span>
+            </div>
+        `;
+    }).join('');
+}
+
+// Ticked state and amounts currently shown in the optional cost inputs
+function readAssignmentCostState() {
+    const state = {};
+    if (typeof assignmentCostDefaults === 'undefined') return state;
+    for (const id of Object.keys(assignmentCostDefaults.categories)) {
+        const includeEl = document.getElementById(`costInclude-${id}`);
+        const amountEl = document.getElementById(`costAmount-${id}`);
+        if (!includeEl || !amountEl) continue;
+        state[id] = {
+            include: includeEl.checked,
+            amount: parseFloat(amountEl.value),
+            edited: amountEl.dataset.edited === 'true'
+        };
+    }
+    return state;
+}
+
+// Ticked optional costs as cost engine selections (category id -> { amount })
+function readAssignmentCostSelections() {
+    return toAssignmentCostSelections(readAssignmentCostState());
+}
+
+function toAssignmentCostSelections(costState) {
+    const selections = {};
+    for (const [id, state] of Object.entries(costState)) {
+        if (!state.include) continue;
+        selections[id] = Number.isFinite(state.amount) && state.amount >= 0 ? { amount: state.amount } : {};
+    }
+    return selections;
+}
+
+// Selected optional costs in the Travel, Housing & Relocation breakdown
+function renderAssignmentCostItems(calc) {
+    const container = document.getElementById('assignmentCostItems');
+    if (!container) return;
+
+    if (!calc.assignmentCostItems.length) {
+        container.innerHTML = `
+            <div class="detail-row">
+                <span class="detail-label">None selected</span>
+                <span class="detail-value">-</span>
+            </div>
+        `;
+        return;
+    }
+
+    container.innerHTML = calc.assignmentCostItems.map(item => `
+        <div class="detail-row">
+            <span class="detail-label">${item.label}${item.taxable ? ' <span class="text-cozm-gold">(taxable)</span>' : ''}</span>
+            <span class="detail-value">${item.quantity === 1 ? '' : `${formatCurrency(item.amount)} × ${item.quantity} = `}${formatCurrency(item.total)}</span>
+        </div>
+    `).join('');
+}
+
+// Fee overrides for the route currently selected in the form
+function getAdminFeeOverrides() {
+    const route = `${document.getElementById('homeCountry').value}->${document.getElementById('hostCountry').value}`;
+    return adminFeeOverrides[route] || (adminFeeOverrides[route] = {});
+}
+
+// Override one fee schedule line item; an empty value restores the schedule amount
+function setAdminFeeOverride(itemId, value) {
+    const overrides = getAdminFeeOverrides();
+    const amount = parseFloat(value);
+    if (value === '' || !Number.isFinite(amount) || amount < 0) {
+        delete overrides[itemId];
+    } else {
+        overrides[itemId] = amount;
+    }
+    recalculateIfNeeded();
+}
+
+function resetAdminFeeOverrides() {
+    const overrides = getAdminFeeOverrides();
+    Object.keys(overrides).forEach(itemId => delete overrides[itemId]);
+    recalculateIfNeeded();
+}
+
+// "one-time", "/month", "/year"
+function formatFeeUnit(item) {
+    if (item.frequency === 'monthly') return '/month';
+    if (item.frequency === 'annual') return '/year';
+    return 'one-time';
+}
+
+// "one-time", "€200/month", "€300/year"
+function formatFeeFrequency(item) {
+    const unit = formatFeeUnit(item);
+    return unit === 'one-time' ? unit : `${formatCurrency(item.amount)}${unit}`;
+}
+
+// Editable fee schedule line items in the Admin Fees breakdown
+function renderAdminFeeItems(calc) {
+    const container = document.getElementById('adminFeeItems');
+    if (!container) return;
+
+    const anyOverridden = calc.adminFeeItems.some(item => item.overridden);
+    container.innerHTML = calc.adminFeeItems.map(item => `
+        <div class="detail-row">
+            <span class="detail-label">${item.label}${item.note ? ` <span class="text-gray-400">(${item.note})</span>` : ''}</span>
+            <span class="detail-value flex items-center gap-2">
+                <input type="number" min="0" step="10" value="${item.amount}" aria-label="${item.label} amount (EUR)"
+                    class="input-field w-24 py-1 text-right${item.overridden ? ' border-amber-400' : ''}"
+                    onchange="setAdminFeeOverride('${item.id}', this.value)">
+                <span class="text-gray-500 text-xs">${formatFeeUnit(item)}</span>
+                <span>${formatCurrency(item.total)}</span>
+            </span>
+        </div>
+    `).join('') + (anyOverridden ? `
+        <div class="detail-row">
+            <span class="detail-label text-amber-600">Custom amounts in use</span>
+            <button type="button" class="detail-value text-cozm-teal hover:underline" onclick="resetAdminFeeOverrides()">Reset to schedule</button>
+        </div>
+    ` : '');
+}
+
+// Rule data handed to the cost engine
+function getEngineRules() {
+    return {
+        countries: countryConfig,
+        taxRules,
+        feeSchedule,
+        assignmentCosts: assignmentCostDefaults,
+        socialSecurity: socialSecurityRules,
+        ruleSets
+    };
+}
+
+// Calculate costs
+// Runs the cost engine (js/cost-engine.js) on the form inputs and renders the result
+function calculateCosts() {
+    lastCalculationData = CostEngine.estimateAssignmentCost(readCalculatorInput(), getEngineRules());
+
+    const {
+        grossSalary, totalPerDiem, totalAdminFees, adminFeesBreakdown, totalAssignmentCosts, taxAmountEUR, taxCostEUR, taxEqualisation,
+        totalSocialSecurity, employerSocialSec, employeeSocialSec, grandTotal, additionalCostTotal, costPerDay,
+        monthlySalary, assignmentLength, dailyAllowance, totalWorkingDays,
+        taxableIncomeEUR, taxableIncomeLocal, taxAmountLocal, effectiveTaxRate, taxCalculationMethod,
+        taxBracketBreakdown, exchangeRate, config, hostCountry, countryTaxRules, isResident,
+        socialSecIncluded, socialSecExclusionReason, hasAgreement, socialSecurityCost, totalAllowances
+    } = lastCalculationData;
+
+    // Expose to window for voice assistant access
+    window.lastCalculationData = lastCalculationData;
+
+    // Get home country for display
+    const homeCountry = lastCalculationData.homeCountry;
+
+    // Update Assignment Summary Card
+    const setEl = (id, text) => {
+        const el = document.getElementById(id);
+        if (el) el.textContent = text;
+    };
+
+    setEl('summaryDuration', `${assignmentLength} months`);
+    setEl('summaryOrigin', homeCountry);
+    setEl('summaryDestination', config.name);
+    setEl('summarySalary', formatCurrency(monthlySalary) + '/month');
+    setEl('chartPeriodLabel', `(${assignmentLength} months)`);
+
+    // Update Salary breakdown group
+    setEl('summaryGrossSalary', formatCurrency(grossSalary));
+    setEl('detailMonthlySalary', formatCurrency(monthlySalary));
+    setEl('detailSalaryDuration', `${assignmentLength} months`);
+
+    // Update Summary View - main totals
+    setEl('summaryTax', formatCurrency(taxCostEUR));
+    setEl('summarySocialSec', formatCurrency(socialSecurityCost));
+    setEl('summaryAllowances', formatCurrency(totalAllowances));
+    setEl('summaryAdminFees', formatCurrency(totalAdminFees));
+    setEl('summaryPerDay', formatCurrencyDecimal(costPerDay));
+    // Show additional cost (excludes salary) as the main total
+    setEl('summaryTotal', formatCurrency(additionalCostTotal));
+    setEl('chartCenterTotal', formatCurrency(additionalCostTotal));
+
+    // Update chart legend values (4 additional cost components - excludes salary)
+    setEl('legendPerdiem', formatCurrency(totalAllowances));
+    setEl('legendAdmin', formatCurrency(totalAdminFees));
+    setEl('legendAssignment', formatCurrency(totalAssignmentCosts));
+    setEl('legendTax', formatCurrency(taxCostEUR));
+    setEl('legendSocial', formatCurrency(socialSecurityCost));
+
+    // Update breakdown group details
+    // Tax details with full bracket-by-bracket breakdown
+    setEl('detailTaxableIncome', formatLocalCurrency(taxableIncomeLocal, hostCountry));
+    setEl('detailTaxMethod', taxCalculationMethod);
+    setEl('detailTaxResidency', formatResidencyStatus(lastCalculationData.residency));
+    setEl('detailTaxTotal', formatLocalCurrency(taxAmountLocal, hostCountry));
+    setEl('detailTaxRate', `(${effectiveTaxRate.toFixed(1)}% effective)`);
+
+    // Render tax bracket breakdown
+    const taxBreakdownEl = document.getElementById('taxBracketBreakdown');
+    if (taxBreakdownEl && taxBracketBreakdown.length > 0) {
+        const currencySymbol = getCurrencySymbol(hostCountry);
+        const formatLocal = (val) => currencySymbol + val.toLocaleString('en-GB', { minimumFractionDigits: 0, maximumFractionDigits: 0 });
+
+        // Monthly thresholds are shown per month; amounts are totals for the assignment
+        const periodSuffix = lastCalculationData.taxBracketPeriod === 'monthly' ? ' /month' : '';
 
         let breakdownHtml = '';
         for (const bracket of taxBracketBreakdown) {
             const minFormatted = formatLocal(bracket.min);
-            const maxFormatted = bracket.max ? formatLocal(bracket.max) : '∞';
+            const maxFormatted = (bracket.max ? formatLocal(bracket.max) : '∞') + periodSuffix;
             const ratePercent = (bracket.rate * 100).toFixed(0) + '%';
             const taxFormatted = formatLocal(bracket.taxAmount);
 
@@ -1264,6 +1630,20 @@ function calculateCosts() {
         taxBreakdownEl.innerHTML = breakdownHtml;
     }
 
+    // Tax equalisation workings (gross-up and hypothetical home tax)
+    const equalisationEl = document.getElementById('taxEqualisationBreakdown');
+    if (equalisationEl) {
+        equalisationEl.innerHTML = formatTaxEqualisationRows(taxEqualisation, hostCountry, homeCountry);
+        equalisationEl.classList.toggle('hidden', !equalisationEl.innerHTML);
+    }
+
+    // Home country tax after treaty relief
+    const homeTaxEl = document.getElementById('homeTaxBreakdown');
+    if (homeTaxEl) {
+        homeTaxEl.innerHTML = formatHomeTaxRows(lastCalculationData);
+        homeTaxEl.classList.toggle('hidden', !homeTaxEl.innerHTML);
+    }
+
     const taxSourceEl = document.getElementById('detailTaxSource');
     if (taxSourceEl) {
         const sourceUrl = countryTaxRules?.taxSourceUrl || config.taxSourceUrl || '#';
@@ -1271,65 +1651,50 @@ function calculateCosts() {
         taxSourceEl.innerHTML = `<a href="${sourceUrl}" target="_blank" rel="noopener noreferrer" class="text-cozm-teal hover:underline">${sourceName}</a>`;
     }
 
-    // Social Security details - detailed breakdown with calculations
-    const employerSSRate = (config.employerSocialSec || 0) * 100;
-    const employeeSSRate = (config.employeeSocialSec || 0) * 100;
-    const totalSSRate = employerSSRate + employeeSSRate;
-    const currencySymbol = config.currencySymbol || '€';
+    // Social Security details - contributions with thresholds and ceilings applied
+    const ssBase = grossSalary + (lastCalculationData.perDiemTaxableExcess || 0) + lastCalculationData.taxableBenefits;
+    const currencySymbol = getCurrencySymbol(hostCountry);
 
     // Contribution base
-    setEl('detailSSBase', formatCurrency(grossSalary));
+    setEl('detailSSBase', formatCurrency(ssBase));
 
     // Local valuation (if different currency)
     const ssLocalRow = document.getElementById('detailSSLocalRow');
-    if (exchangeRate && exchangeRate !== 1 && currencySymbol !== '€') {
-        const localBase = grossSalary * exchangeRate;
+    if (exchangeRate && exchangeRate !== 1) {
+        const localBase = ssBase * exchangeRate;
         setEl('detailSSLocalValue', currencySymbol + Math.round(localBase).toLocaleString('en-GB'));
         if (ssLocalRow) ssLocalRow.style.display = 'flex';
     } else {
         if (ssLocalRow) ssLocalRow.style.display = 'none';
     }
 
-    // Agreement status
+    // Agreement status and certificate of coverage
     const agreementStatus = hasAgreement ? 'Reciprocal agreement with home country' : 'No reciprocal agreement';
     setEl('detailSSAgreement', agreementStatus);
-
-    // Employer rate and calculation
-    setEl('detailEmployerSSRate', employerSSRate.toFixed(1) + '%');
-    const employerCalcRow = document.getElementById('detailEmployerSSCalcRow');
-    if (employerSSRate > 0 && socialSecIncluded) {
-        const employerCalcText = `${formatCurrency(grossSalary)} × ${employerSSRate.toFixed(1)}% = ${formatCurrency(employerSocialSec)}`;
-        setEl('detailEmployerSSCalc', employerCalcText);
-        if (employerCalcRow) employerCalcRow.style.display = 'flex';
-    } else {
-        if (employerCalcRow) employerCalcRow.style.display = 'none';
-    }
-
-    // Employee rate and calculation
-    setEl('detailEmployeeSSRate', employeeSSRate.toFixed(1) + '%');
-    const employeeCalcRow = document.getElementById('detailEmployeeSSCalcRow');
-    if (employeeSSRate > 0 && socialSecIncluded) {
-        const employeeCalcText = `${formatCurrency(grossSalary)} × ${employeeSSRate.toFixed(1)}% = ${formatCurrency(employeeSocialSec)}`;
-        setEl('detailEmployeeSSCalc', employeeCalcText);
-        if (employeeCalcRow) employeeCalcRow.style.display = 'flex';
+    const certificateRow = document.getElementById('detailSSCertificateRow');
+    if (lastCalculationData.socialSecurityCertificate) {
+        setEl('detailSSCertificate', formatCertificateCoverage(lastCalculationData));
+        if (certificateRow) certificateRow.classList.remove('hidden');
     } else {
-        if (employeeCalcRow) employeeCalcRow.style.display = 'none';
+        if (certificateRow) certificateRow.classList.add('hidden');
     }
 
-    // SS cap note (for countries like Brazil with monthly caps)
-    const ssCapRow = document.getElementById('detailSSCapRow');
-    if (config.employeeSocialSecCap && socialSecIncluded) {
-        setEl('detailSSCapNote', `Monthly cap of ${currencySymbol}${config.employeeSocialSecCap.toLocaleString('en-GB')}`);
-        if (ssCapRow) ssCapRow.classList.remove('hidden');
-    } else {
-        if (ssCapRow) ssCapRow.classList.add('hidden');
-    }
+    // Effective rates on the contribution base (ceilings and thresholds lower them)
+    setEl('detailEmployerSSRate', (ssBase > 0 ? (employerSocialSec / ssBase) * 100 : 0).toFixed(1) + '%');
+    setEl('detailEmployeeSSRate', (ssBase > 0 ? (employeeSocialSec / ssBase) * 100 : 0).toFixed(1) + '%');
+    renderSocialSecurityItems(lastCalculationData);
 
     // Update employer/employee totals
     setEl('detailEmployerSS', formatCurrency(employerSocialSec));
     setEl('detailEmployeeSS', formatCurrency(employeeSocialSec));
     setEl('detailSocialTotal', formatCurrency(totalSocialSecurity));
 
+    const homeSSEl = document.getElementById('homeSocialSecurityBreakdown');
+    if (homeSSEl) {
+        homeSSEl.innerHTML = formatHomeSocialSecurityRows(lastCalculationData);
+        homeSSEl.classList.toggle('hidden', !homeSSEl.innerHTML);
+    }
+
     // Social Security warning with clickable link to source
     const socialWarningEl = document.getElementById('detailSocialWarning');
     const socialWarningRow = document.getElementById('detailSocialWarningRow');
@@ -1343,7 +1708,7 @@ function calculateCosts() {
         // Update the label to show "Status" instead of "Warning"
         const warningLabel = socialWarningRow?.querySelector('.detail-label');
         if (warningLabel) warningLabel.textContent = 'Status';
-    } else if (config.noTreatyWarning) {
+    } else if (!hasAgreement) {
         if (socialWarningEl) {
             const ssSourceUrl = config.socialSecSourceUrl || 'https://www.kela.fi/international-legislation';
             socialWarningEl.innerHTML = `<a href="${ssSourceUrl}" target="_blank" rel="noopener noreferrer" class="text-amber-600 hover:underline">No Reciprocal Agreement ⚠️</a>`;
@@ -1357,20 +1722,43 @@ function calculateCosts() {
     }
 
     // Per Diem details
+    const perDiemPlan = lastCalculationData.perDiemPlan;
     setEl('detailPerDiemRate', formatCurrency(dailyAllowance));
-    setEl('detailWorkingDays', totalWorkingDays.toString());
+    setEl('detailPerDiemDaysLabel', perDiemPlan ? 'Days Paid' : 'Working Days');
+    setEl('detailWorkingDays', perDiemPlan ? formatPerDiemPlanDays(perDiemPlan) : totalWorkingDays.toString());
+    setEl('detailPerDiemTaxFree', formatCurrency(lastCalculationData.perDiemTaxFree));
+    setEl('detailPerDiemTaxable', formatCurrency(lastCalculationData.perDiemTaxableExcess));
+    setEl('perDiemExemptBadge', lastCalculationData.perDiemTaxableExcess > 0 ? 'Partly Taxable' : 'Tax Exempt');
+    setEl('detailPerDiemNote', lastCalculationData.perDiemTaxableExcess > 0
+        ? 'Taxable excess is taxed as salary (tax and social security)'
+        : 'Not subject to tax or social security');
+    setEl('perDiemPlanSummary', perDiemPlan
+        ? `${perDiemPlan.calendarDays} calendar days on site: ${formatPerDiemPlanDays(perDiemPlan)}. Tax-free ${formatCurrency(perDiemPlan.taxFree)}, taxable excess ${formatCurrency(perDiemPlan.taxableExcess)}.`
+        : `Per diem paid on ${totalWorkingDays} working days.`);
 
     // Admin fee details
-    setEl('detailVisaFee', formatCurrency(visaFee));
-    setEl('detailWorkPermit', formatCurrency(workPermitFee));
+    setEl('detailVisaFee', formatCurrency(adminFeesBreakdown.visa));
+    setEl('detailWorkPermit', formatCurrency(adminFeesBreakdown.workPermit));
+    setEl('detailFeeSchedule', `${lastCalculationData.feeProvider} (v${lastCalculationData.feeScheduleVersion})`);
+    renderAdminFeeItems(lastCalculationData);
+
+    // Travel, housing and relocation details
+    setEl('summaryAssignmentCosts', formatCurrency(totalAssignmentCosts));
+    setEl('detailTaxableBenefits', formatCurrency(lastCalculationData.taxableBenefits));
+    renderAssignmentCostItems(lastCalculationData);
 
     // Render donut chart with 4 additional cost components (excludes salary)
-    renderCostChart(totalPerDiem, totalAdminFees, taxAmountEUR, totalSocialSecurity, additionalCostTotal);
+    // A hypothetical tax larger than host tax is a saving; keep the doughnut slice at zero
+    renderCostChart(totalPerDiem, totalAdminFees, Math.max(0, taxCostEUR), totalSocialSecurity, additionalCostTotal, totalAssignmentCosts);
+    renderFxSensitivity();
+    renderCostThresholds();
+    renderRuleSetVersions(lastCalculationData);
+    if (pinnedScenarios.length) renderScenarioComparison();
 
     // Show/hide social security badge based on treaty status
     const socialSecBadge = document.getElementById('socialSecBadge');
     if (socialSecBadge) {
-        if (config.noTreatyWarning) {
+        if (!hasAgreement) {
             socialSecBadge.classList.remove('hidden');
             socialSecBadge.href = config.socialSecSourceUrl || 'https://www.kela.fi/international-legislation';
         } else {
@@ -1393,8 +1781,7 @@ function calculateCosts() {
     setElementText('detailSocialSecTotal', formatCurrency(socialSecurityCost));
 
     // Exchange rate with source and date
-    const rateDate = exchangeRatesCache.date || 'static fallback';
-    setElementText('exchangeRateInfo', `1 EUR = ${exchangeRate.toFixed(3)} ${config.currency} (${exchangeRatesCache.source}, ${rateDate})`);
+    setElementText('exchangeRateInfo', `1 EUR = ${exchangeRate.toFixed(3)} ${config.currency} (${lastCalculationData.exchangeRateSource}${lastCalculationData.exchangeRateDate ? `, ${lastCalculationData.exchangeRateDate}` : ''})`);
 
     // Tax rate info with citation
     setElementText('taxRateInfo', config.taxRate === 0 ? 'Tax-free jurisdiction' : taxCalculationMethod);
@@ -1404,11 +1791,12 @@ function calculateCosts() {
     if (countryTaxRules && countryTaxRules.taxBrackets && isResident) {
         setElementText('detailDeduction', 'Built into brackets');
     } else {
-        setElementText('detailDeduction', config.deduction > 0 ? formatLocalCurrency(-config.deduction, hostCountry) : 'N/A');
+        const deduction = countryTaxRules?.standardDeduction ?? config.deduction;
+        setElementText('detailDeduction', deduction > 0 ? formatLocalCurrency(-deduction, hostCountry) : 'N/A');
     }
 
     // Grand totals (optional elements)
-    setElementText('grandTax', formatCurrency(taxAmountEUR));
+    setElementText('grandTax', formatCurrency(taxCostEUR));
     setElementText('grandSocialSec', formatCurrency(socialSecurityCost));
     setElementText('grandAllowances', formatCurrency(totalAllowances));
     setElementText('grandAdmin', formatCurrency(totalAdminFees));
@@ -1416,38 +1804,7 @@ function calculateCosts() {
     setElementText('grandPerDay', formatCurrencyDecimal(costPerDay));
 
     // Update calculation workings section
-    updateCalculationWorkings({
-        monthlySalary,
-        assignmentLength,
-        dailyAllowance,
-        totalWorkingDays,
-        totalCalendarDays,
-        grossSalary,
-        totalPerDiem,
-        totalAllowances,
-        taxableIncomeEUR,
-        taxableIncomeLocal,
-        salaryLocal,
-        exchangeRate,
-        taxAmountLocal,
-        taxAmountEUR,
-        taxPerDayLocal,
-        taxPerDayEUR,
-        taxCalculationMethod,
-        effectiveTaxRate,
-        socialSecurityCost,
-        employerSocialSec,
-        employeeSocialSec,
-        totalSocialSecurity,
-        totalAdminFees,
-        subtotalEUR,
-        grandTotal,
-        costPerDay,
-        hostCountry,
-        config,
-        countryTaxRules,
-        isResident
-    });
+    updateCalculationWorkings(lastCalculationData);
 
     // Show results section
     document.getElementById('resultsSection').classList.remove('hidden');
@@ -1456,6 +1813,157 @@ function calculateCosts() {
     document.getElementById('resultsSection').scrollIntoView({ behavior: 'smooth', block: 'start' });
 }
 
+// Detail rows for the tax equalisation workings; empty when neither mode is on
+function formatTaxEqualisationRows(equalisation, hostCountry, homeCountry) {
+    if (!equalisation || (!equalisation.grossUp && !equalisation.hypotheticalTax)) return '';
+
+    const row = (label, value) => `
+        <div class="detail-row">
+            <span class="detail-label">${label}</span>
+            <span class="detail-value">${value}</span>
+        </div>
+    `;
+
+    let html = '';
+    if (equalisation.grossUp) {
+        const iterations = `${equalisation.grossUpIterations} iteration${equalisation.grossUpIterations === 1 ? '' : 's'}`;
+        html += row('Tax Gross-Up', `${formatLocalCurrency(equalisation.grossUpLocal, hostCountry)} added to taxable income`);
+        html += row('Gross-Up Iterations', equalisation.grossUpConverged ? iterations : `${iterations} (did not converge)`);
+    }
+    if (equalisation.hypotheticalTax) {
+        const hypo = equalisation.hypotheticalTax;
+        html += row(`Hypothetical ${homeCountry} Tax`, `−${formatCurrency(hypo.taxAmountEUR)} (${hypo.effectiveTaxRate.toFixed(1)}% effective)`);
+    }
+    html += row('<strong>Company Tax Cost</strong>', `<strong>${formatCurrency(equalisation.taxCostEUR)}</strong>`);
+    return html;
+}
+
+// Detail rows for home country tax and treaty relief; empty when the home country has no rules
+function formatHomeTaxRows(calc) {
+    const homeTax = calc.homeTax;
+    if (!homeTax) return '';
+
+    const row = (label, value) => `
+        <div class="detail-row">
+            <span class="detail-label">${label}</span>
+            <span class="detail-value">${value}</span>
+        </div>
+    `;
+
+    let html = row(`${homeTax.country} Tax (before relief)`, formatCurrency(homeTax.homeTaxEUR));
+    html += row('Relief', formatHomeTaxRelief(homeTax));
+    if (homeTax.foreignTaxCreditEUR > 0) {
+        html += row('Foreign Tax Credit', `−${formatCurrency(homeTax.foreignTaxCreditEUR)}`);
+    }
+    html += row(`Residual ${homeTax.country} Tax`, formatCurrency(homeTax.residualHomeTaxEUR) + (homeTax.included ? '' : ' (not included)'));
+    html += row('<strong>Combined Tax Burden</strong>', `<strong>${formatCurrency(calc.combinedTaxEUR)}</strong>`);
+    return html;
+}
+
+// Contribution rows for the results panel, split by payer
+function renderSocialSecurityItems(calc) {
+    const currencySymbol = getCurrencySymbol(calc.hostCountry);
+    const rows = calc.socialSecurityContributions;
+
+    ['employer', 'employee'].forEach(payer => {
+        const container = document.getElementById(payer === 'employer' ? 'detailEmployerSSItems' : 'detailEmployeeSSItems');
+        if (!container) return;
+        container.innerHTML = rows.filter(row => row.payer === payer).map(row => `
+            <div class="detail-row ss-calculation-row">
+                <span class="detail-label detail-calc">${row.label}</span>
+                <span class="detail-value detail-calc">${formatContributionCalc(row, currencySymbol)}</span>
+            </div>
+        `).join('');
+    });
+
+    const ssCapRow = document.getElementById('detailSSCapRow');
+    const ceilings = formatContributionCeilings(rows, currencySymbol);
+    if (ceilings) {
+        const capNoteEl = document.getElementById('detailSSCapNote');
+        if (capNoteEl) capNoteEl.textContent = ceilings;
+        if (ssCapRow) ssCapRow.classList.remove('hidden');
+    } else {
+        if (ssCapRow) ssCapRow.classList.add('hidden');
+    }
+}
+
+// Home contributions payable during the posting (results panel)
+function formatHomeSocialSecurityRows(calc) {
+    const home = calc.homeSocialSecurity;
+    if (!home || !home.contributions.length) return '';
+
+    const currencySymbol = getCurrencySymbol(home.country);
+    const row = (label, value, className = 'detail-row') => `
+        <div class="${className}">
+            <span class="detail-label">${label}</span>
+            <span class="detail-value">${value}</span>
+        </div>
+    `;
+
+    let html = row(`${home.country} Contributions (home)`, `${parseFloat(home.months.toFixed(1))} months`);
+    html += home.contributions.map(contribution => `
+        <div class="detail-row ss-calculation-row">
+            <span class="detail-label detail-calc">${contribution.label}</span>
+            <span class="detail-value detail-calc">${formatContributionCalc(contribution, currencySymbol)}</span>
+        </div>
+    `).join('');
+    html += row(
+        `<strong>Home Contributions</strong>`,
+        `<strong>${formatCurrency(home.total)}</strong>${home.included ? '' : ' (not included)'}`,
+        'detail-row ss-total-row'
+    );
+    return html;
+}
+
+// Contribution base, rate and amount, e.g. "$105,600 × 6.2% = €9,120"
+function formatContributionCalc(contribution, currencySymbol) {
+    const base = currencySymbol + Math.round(contribution.baseLocal).toLocaleString('en-GB');
+    const threshold = contribution.threshold
+        ? ` (above ${currencySymbol}${contribution.threshold.toLocaleString('en-GB')})`
+        : '';
+    return `${base}${threshold} × ${parseFloat((contribution.rate * 100).toFixed(2))}% = ${formatCurrency(contribution.amountEUR)}`;
+}
+
+// Ceilings that limited a contribution, e.g. "Social Security (OASDI) ($176,100 per year)"
+function formatContributionCeilings(contributions, currencySymbol) {
+    const periods = { monthly: 'month', quarterly: 'quarter', annual: 'year' };
+    const ceilings = contributions
+        .filter(contribution => contribution.capped)
+        .map(contribution => `${contribution.label} (${currencySymbol}${contribution.ceiling.toLocaleString('en-GB')} per ${periods[contribution.period]})`);
+    return Array.from(new Set(ceilings)).join(', ');
+}
+
+// Certificate and how long it covers the posting, e.g. "A1 (EU Regulation 883/2004), up to 24 months"
+function formatCertificateCoverage(calc) {
+    const certificate = calc.socialSecurityCertificate;
+    const text = `${certificate.certificate}, up to ${certificate.maxMonths} months`;
+    return calc.socialSecurityCoveredMonths < calc.assignmentLength
+        ? `${text}; host contributions from month ${certificate.maxMonths + 1}`
+        : text;
+}
+
+// Describe how home tax is relieved, e.g. "Credit method (treaty), dual resident"
+function formatHomeTaxRelief(homeTax) {
+    const labels = {
+        credit: 'Credit method',
+        exemption: 'Exemption method',
+        'six-month rule': 'Six-month rule exemption',
+        'non-resident': 'Not home resident'
+    };
+    const label = labels[homeTax.reliefMethod] || homeTax.reliefMethod;
+    if (homeTax.reliefMethod === 'non-resident') return label;
+    return `${label} (${homeTax.treaty ? 'treaty' : 'no treaty'})${homeTax.dualResident ? ', dual resident' : ''}`;
+}
+
+// Describe the residency decision, e.g. "Resident from 2026-09-29 (UK statutory residence test)"
+function formatResidencyStatus(residency) {
+    if (!residency) return 'Not assessed';
+    if (!residency.isResident) return `Non-resident (${residency.test})`;
+    return residency.triggeredOn
+        ? `Resident from ${residency.triggeredOn} (${residency.test})`
+        : `Resident (${residency.test})`;
+}
+
 // Update cost breakdown bar visualisation
 function updateCostBreakdownBar(tax, social, perdiem, admin, total) {
     if (total <= 0) return;
@@ -1503,12 +2011,13 @@ function toggleBreakdownGroup(groupId) {
     const group = document.getElementById('group-' + groupId);
     if (group) {
         group.classList.toggle('expanded');
+        if (groupId === 'thresholds') renderCostThresholds();
     }
 }
 
 // Render donut chart using Chart.js
-// Shows 4 additional cost components: Per Diem, Admin Fees, Tax, Social Security (excludes salary)
-function renderCostChart(perdiem, admin, tax, social, total) {
+// Shows additional cost components: Per Diem, Admin Fees, Travel & Housing, Tax, Social Security (excludes salary)
+function renderCostChart(perdiem, admin, tax, social, total, assignment = 0) {
     const ctx = document.getElementById('costChart');
     if (!ctx) return;
 
@@ -1517,14 +2026,15 @@ function renderCostChart(perdiem, admin, tax, social, total) {
         costChartInstance.destroy();
     }
 
-    // Chart data - 4 additional cost components (salary excluded)
+    // Chart data - additional cost components (salary excluded)
     const data = {
-        labels: ['Per Diem', 'Admin Fees', 'Tax', 'Social Security'],
+        labels: ['Per Diem', 'Admin Fees', 'Travel & Housing', 'Tax', 'Social Security'],
         datasets: [{
-            data: [perdiem, admin, tax, social],
+            data: [perdiem, admin, assignment, tax, social],
             backgroundColor: [
                 '#83849E', // Per Diem - Grey
                 '#BD8941', // Admin Fees - Gold
+                '#D9C4A0', // Travel & Housing - Sand
                 '#181C31', // Tax - Dark Navy
                 '#3FAFBE'  // Social Security - Light Teal
             ],
@@ -1577,72 +2087,433 @@ function renderCostChart(perdiem, admin, tax, social, total) {
     });
 }
 
-// Switch currency display (EUR/LOCAL)
-function switchCurrency(currency) {
-    currentDisplayCurrency = currency;
+// Fetch the 12-month low and high ECB rate for a currency up to endDate
+async function fetchFxHistory(currency, endDate) {
+    const startDate = CostEngine.formatISODate(CostEngine.addMonths(CostEngine.parseISODate(endDate), -12));
+    try {
+        const response = await fetch(`https://api.frankfurter.app/${startDate}..${endDate}?from=EUR&to=${currency}`);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch rate history: ${response.status}`);
+        }
+        const data = await response.json();
+        const rates = Object.values(data.rates).map(day => day[currency]).filter(Boolean);
+        if (!rates.length) {
+            throw new Error(`No rate history for ${currency}`);
+        }
+        return { min: Math.min(...rates), max: Math.max(...rates), from: startDate, to: endDate };
+    } catch (error) {
+        console.error('[FOREX] Error fetching rate history:', error);
+        return { error: true, from: startDate, to: endDate };
+    }
+}
 
-    // Update toggle buttons
-    document.querySelectorAll('.currency-btn').forEach(btn => {
-        btn.classList.remove('active');
+// Re-run the current estimate under FX moves and show the EUR total range.
+// Historical low/high scenarios are added once the rate history has loaded.
+function renderFxSensitivity() {
+    const group = document.getElementById('group-fx');
+    if (!group || !lastCalculationData) return;
+
+    const currency = lastCalculationData.config.currency;
+    if (currency === 'EUR') {
+        group.classList.add('hidden');
+        return;
+    }
+    group.classList.remove('hidden');
+
+    const endDate = document.getElementById('rateDate')?.value || CostEngine.formatISODate(new Date());
+    const historyKey = `${currency}@${endDate}`;
+    const history = fxHistoryCache[historyKey];
+    if (!history) {
+        fxHistoryCache[historyKey] = { pending: true };
+        fetchFxHistory(currency, endDate).then(result => {
+            fxHistoryCache[historyKey] = result;
+            if (lastCalculationData?.config.currency === currency) renderFxSensitivity();
+            // A failure is shown once but not kept, so the next calculation retries
+            if (result.error) delete fxHistoryCache[historyKey];
+        });
+    }
+
+    const sensitivity = CostEngine.estimateFxSensitivity(readCalculatorInput(), getEngineRules(), {
+        historicalRates: history && history.min ? history : null
     });
-    const activeBtn = document.getElementById('currency-' + currency.toLowerCase());
-    if (activeBtn) activeBtn.classList.add('active');
 
-    // Re-render with last calculation data if available
-    if (lastCalculationData) {
-        updateDisplayValues(lastCalculationData);
+    const historyStatus = document.getElementById('fxHistoryStatus');
+    if (historyStatus) {
+        if (!history || history.pending) {
+            historyStatus.textContent = 'Loading 12-month rate history…';
+        } else if (history.error) {
+            historyStatus.textContent = '12-month rate history unavailable; showing fixed moves only.';
+        } else {
+            historyStatus.textContent = `12-month range ${history.from} to ${history.to} (ECB via Frankfurter API)`;
+        }
     }
-}
 
-// Get current host country currency info
-function getLocalCurrencyInfo() {
-    const hostCountry = document.getElementById('hostCountry')?.value || 'Brazil';
-    const config = countryConfig[hostCountry] || countryConfig.Brazil;
-    return {
-        currency: config.currency,
-        symbol: config.currencySymbol,
-        rate: config.exchangeRate
-    };
+    const summaryRange = document.getElementById('summaryFxRange');
+    if (summaryRange) {
+        summaryRange.textContent = `${formatCurrency(sensitivity.minTotal)} – ${formatCurrency(sensitivity.maxTotal)}`;
+    }
+
+    const rowsEl = document.getElementById('fxSensitivityRows');
+    if (rowsEl) {
+        rowsEl.innerHTML = `
+            <div class="detail-row">
+                <span class="detail-label"><strong>Current (1 EUR = ${sensitivity.base.exchangeRate.toFixed(4)} ${currency})</strong></span>
+                <span class="detail-value"><strong>${formatCurrency(sensitivity.base.grandTotal)}</strong></span>
+            </div>
+        ` + sensitivity.scenarios.map(scenario => `
+            <div class="detail-row">
+                <span class="detail-label">${scenario.label}${formatFxFlags(scenario)}</span>
+                <span class="detail-value">${formatCurrency(scenario.grandTotal)} (${scenario.deltaEUR >= 0 ? '+' : '−'}${formatCurrency(Math.abs(scenario.deltaEUR))})</span>
+            </div>
+        `).join('');
+    }
+
+    renderFxSensitivityChart(sensitivity);
 }
 
-// Update the local currency label when host country changes
-function updateLocalCurrencyLabel() {
-    const localInfo = getLocalCurrencyInfo();
-    const label = document.getElementById('localCurrencyLabel');
-    if (label) {
-        label.textContent = localInfo.currency;
+// Flags for a scenario that changes the top tax bracket or the ceilings hit
+function formatFxFlags(scenario) {
+    const flags = [];
+    if (scenario.bracketFlip) {
+        flags.push(scenario.topBracketRate === null
+            ? 'tax bracket changes'
+            : `top tax bracket ${(scenario.topBracketRate * 100).toFixed(1)}%`);
+    }
+    if (scenario.capFlip) {
+        flags.push('social security ceiling changes');
     }
+    return flags.length ? `<br><span class="fx-flag">⚠ ${flags.join(', ')}</span>` : '';
 }
 
-// Update display values based on currency
-function updateDisplayValues(calc) {
-    let conversionRate, symbol;
+// Bar chart of the assignment total per FX scenario, using the doughnut's tooltip style
+function renderFxSensitivityChart(sensitivity) {
+    const ctx = document.getElementById('fxSensitivityChart');
+    if (!ctx) return;
 
-    if (currentDisplayCurrency === 'LOCAL') {
-        const localInfo = getLocalCurrencyInfo();
-        conversionRate = localInfo.rate;
-        symbol = localInfo.symbol;
-    } else {
-        // Default to EUR
-        conversionRate = 1;
-        symbol = '€';
+    // Destroy existing chart if present
+    if (fxChartInstance) {
+        fxChartInstance.destroy();
     }
 
-    // Recalculate values with currency conversion
-    const salary = calc.grossSalary * conversionRate;
-    const perdiem = (calc.totalPerDiem || calc.totalAllowances) * conversionRate;
-    const admin = calc.totalAdminFees * conversionRate;
-    const tax = calc.taxAmountEUR * conversionRate;
-    const social = (calc.totalSocialSecurity || calc.socialSecurityCost) * conversionRate;
-    // Additional cost total (excludes salary)
-    const additionalTotal = calc.additionalCostTotal * conversionRate;
-    const perDay = calc.costPerDay * conversionRate;
-
-    // Update summary totals
-    const setEl = (id, text) => {
-        const el = document.getElementById(id);
-        if (el) el.textContent = text;
-    };
+    // Current rate sits between the weakening and strengthening moves
+    const moves = sensitivity.scenarios.filter(scenario => !scenario.id.startsWith('historical'));
+    const historical = sensitivity.scenarios.filter(scenario => scenario.id.startsWith('historical'));
+    const bars = [
+        ...moves.filter(scenario => scenario.move < 0),
+        { label: 'Current', grandTotal: sensitivity.base.grandTotal, isBase: true },
+        ...moves.filter(scenario => scenario.move > 0),
+        ...historical
+    ];
+
+    const data = {
+        labels: bars.map(bar => bar.label),
+        datasets: [{
+            data: bars.map(bar => bar.grandTotal),
+            backgroundColor: bars.map(bar => {
+                if (bar.isBase) return '#181C31';                    // Current - Dark Navy
+                if (bar.bracketFlip || bar.capFlip) return '#BD8941'; // Flagged - Gold
+                return '#3FAFBE';                                     // Scenario - Light Teal
+            }),
+            borderWidth: 0
+        }]
+    };
+
+    const options = {
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+            y: {
+                beginAtZero: false,
+                ticks: {
+                    callback: value => `€${Math.round(value / 1000).toLocaleString('en-GB')}k`
+                }
+            },
+            x: {
+                ticks: { font: { size: 10 } }
+            }
+        },
+        plugins: {
+            legend: {
+                display: false
+            },
+            tooltip: {
+                backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                padding: 12,
+                callbacks: {
+                    label: function (context) {
+                        return `€${context.raw.toLocaleString('en-GB', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}`;
+                    }
+                }
+            }
+        }
+    };
+
+    fxChartInstance = new Chart(ctx.getContext('2d'), {
+        type: 'bar',
+        data: data,
+        options: options
+    });
+}
+
+// Re-run the estimate over 1-24 months and a salary range, and label where the cost jumps.
+// The sweep runs dozens of estimates, so it only runs while the panel is open, once
+// per calculation (calculateCosts clears costThresholdsFor).
+function renderCostThresholds() {
+    const summaryCount = document.getElementById('summaryThresholdCount');
+    const isOpen = document.getElementById('group-thresholds')?.classList.contains('expanded');
+    if (!lastCalculationData || costThresholdsFor === lastCalculationData) return;
+    if (!isOpen) {
+        if (summaryCount) summaryCount.textContent = 'Open to calculate';
+        return;
+    }
+    costThresholdsFor = lastCalculationData;
+
+    const input = readCalculatorInput();
+    let thresholds;
+    try {
+        thresholds = CostEngine.findCostThresholds(input, getEngineRules());
+    } catch (error) {
+        console.error('[THRESHOLDS] Sweep failed:', error);
+        if (summaryCount) summaryCount.textContent = 'Unavailable';
+        renderThresholdEvents('thresholdDurationEvents', [], `Unable to calculate thresholds: ${escapeHtml(error.message)}`);
+        const salaryEvents = document.getElementById('thresholdSalaryEvents');
+        if (salaryEvents) salaryEvents.innerHTML = '';
+        Object.keys(thresholdChartInstances).forEach(canvasId => {
+            thresholdChartInstances[canvasId].destroy();
+            delete thresholdChartInstances[canvasId];
+        });
+        return;
+    }
+    const { durations, salaries } = thresholds;
+
+    const count = durations.events.length + salaries.events.length;
+    if (summaryCount) {
+        summaryCount.textContent = count ? `${count} cost jump${count === 1 ? '' : 's'}` : 'None';
+    }
+
+    const salaryHeading = document.getElementById('thresholdSalaryHeading');
+    if (salaryHeading) {
+        salaryHeading.textContent = `By monthly salary (${input.assignmentLength} month${input.assignmentLength === 1 ? '' : 's'})`;
+    }
+
+    renderThresholdEvents('thresholdDurationEvents', durations.events, 'No cost jumps between 1 and 24 months.');
+    renderThresholdEvents('thresholdSalaryEvents', salaries.events,
+        `No cost jumps between ${formatCurrency(salaries.range.min)} and ${formatCurrency(salaries.range.max)} a month.`);
+
+    renderThresholdChart('thresholdDurationChart', durations, value => `${value} mo`);
+    renderThresholdChart('thresholdSalaryChart', salaries, value => `€${(value / 1000).toLocaleString('en-GB')}k`);
+}
+
+function renderThresholdEvents(containerId, events, emptyText) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    if (!events.length) {
+        container.innerHTML = `<p class="text-[11px] text-gray-500">${emptyText}</p>`;
+        return;
+    }
+    container.innerHTML = events.map(event => `
+        <div class="detail-row">
+            <span class="detail-label">${event.label}${event.detail ? `<br><span class="fx-flag">${event.detail}</span>` : ''}</span>
+            <span class="detail-value">${event.stepEUR >= 0 ? '+' : '−'}${formatCurrency(Math.abs(event.stepEUR))}</span>
+        </div>
+    `).join('');
+}
+
+// Line chart of total (left axis) and daily (right axis) cost, with gold points at each cost jump
+function renderThresholdChart(canvasId, sweep, formatValue) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return;
+
+    // Destroy existing chart if present
+    if (thresholdChartInstances[canvasId]) {
+        thresholdChartInstances[canvasId].destroy();
+    }
+
+    const eventIndexes = new Set(sweep.events.map(event => event.index));
+    const pointColors = sweep.points.map((point, index) => eventIndexes.has(index) ? '#BD8941' : 'transparent');
+    const pointRadius = sweep.points.map((point, index) => eventIndexes.has(index) ? 4 : 0);
+
+    const data = {
+        labels: sweep.points.map(point => formatValue(point.value)),
+        datasets: [{
+            label: 'Total additional cost',
+            data: sweep.points.map(point => Math.round(point.additionalCostTotal)),
+            borderColor: '#181C31',
+            backgroundColor: '#181C31',
+            pointBackgroundColor: pointColors,
+            pointBorderColor: pointColors,
+            pointRadius,
+            borderWidth: 2,
+            yAxisID: 'y'
+        }, {
+            label: 'Daily cost',
+            data: sweep.points.map(point => Math.round(point.costPerDay)),
+            borderColor: '#3FAFBE',
+            backgroundColor: '#3FAFBE',
+            pointRadius: 0,
+            borderWidth: 2,
+            borderDash: [4, 3],
+            yAxisID: 'yDaily'
+        }]
+    };
+
+    const options = {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: {
+            mode: 'index',
+            intersect: false
+        },
+        scales: {
+            y: {
+                ticks: {
+                    callback: value => `€${Math.round(value / 1000).toLocaleString('en-GB')}k`
+                }
+            },
+            yDaily: {
+                position: 'right',
+                grid: { drawOnChartArea: false },
+                ticks: {
+                    callback: value => `€${value.toLocaleString('en-GB')}/d`
+                }
+            },
+            x: {
+                ticks: { font: { size: 10 }, maxRotation: 0, autoSkip: true }
+            }
+        },
+        plugins: {
+            legend: {
+                labels: { boxWidth: 12, font: { size: 10 } }
+            },
+            tooltip: {
+                backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                padding: 12,
+                callbacks: {
+                    label: function (context) {
+                        return `${context.dataset.label}: €${context.raw.toLocaleString('en-GB')}`;
+                    },
+                    afterBody: function (items) {
+                        const index = items[0]?.dataIndex;
+                        return sweep.events.filter(event => event.index === index).map(event => event.label);
+                    }
+                }
+            }
+        }
+    };
+
+    thresholdChartInstances[canvasId] = new Chart(ctx.getContext('2d'), {
+        type: 'line',
+        data: data,
+        options: options
+    });
+}
+
+// Rule set versions behind the estimate, with effective dates and any dates no version covers
+function renderRuleSetVersions(calc) {
+    const container = document.getElementById('ruleSetVersionRows');
+    const summary = document.getElementById('summaryRuleSets');
+    const versions = calc.ruleSetVersions;
+    if (summary) {
+        summary.textContent = versions
+            ? `${calc.ruleSetWarnings.length ? '⚠️ ' : ''}Tax ${versions.taxRules.join(' / ') || '-'}`
+            : 'Bundled';
+    }
+    if (!container) return;
+    if (!versions) {
+        container.innerHTML = '<p class="text-[11px] text-gray-500">Calculated with the bundled rule files.</p>';
+        return;
+    }
+
+    const describe = (domain, id) => {
+        const sets = ruleSets[domain];
+        const version = [sets.current, ...sets.history].find(item => item.id === id);
+        if (!version) return id;
+        // Dates for the country the domain was resolved for: home for per diem, host otherwise
+        const dates = CostEngine.ruleVersionDates(version, domain === 'perDiem' ? calc.homeCountry : calc.hostCountry);
+        return `${id} (from ${dates.effectiveFrom}${dates.effectiveTo ? ` to ${dates.effectiveTo}` : ''})`;
+    };
+    const rows = Object.keys(RULE_SET_SHORT_LABELS)
+        .filter(domain => versions[domain]?.length)
+        .map(domain => `
+            <div class="detail-row">
+                <span class="detail-label">${ruleSets[domain].label}</span>
+                <span class="detail-value">${versions[domain].map(id => describe(domain, id)).join('<br>')}</span>
+            </div>
+        `);
+    const warnings = calc.ruleSetWarnings.map(warning => `
+        <p class="text-[11px] text-cozm-gold mt-1">${warning}</p>
+    `);
+    container.innerHTML = rows.join('') + warnings.join('');
+}
+
+// Switch currency display (EUR/LOCAL)
+function switchCurrency(currency) {
+    currentDisplayCurrency = currency;
+
+    // Update toggle buttons
+    document.querySelectorAll('.currency-btn').forEach(btn => {
+        btn.classList.remove('active');
+    });
+    const activeBtn = document.getElementById('currency-' + currency.toLowerCase());
+    if (activeBtn) activeBtn.classList.add('active');
+
+    // Re-render with last calculation data if available
+    if (lastCalculationData) {
+        updateDisplayValues(lastCalculationData);
+    }
+}
+
+// Get current host country currency info
+function getLocalCurrencyInfo() {
+    const hostCountry = document.getElementById('hostCountry')?.value || 'Brazil';
+    const config = countryConfig[hostCountry] || countryConfig.Brazil;
+    return {
+        currency: config.currency,
+        symbol: config.currencySymbol,
+        rate: config.exchangeRate
+    };
+}
+
+// Update the local currency label when host country changes
+function updateLocalCurrencyLabel() {
+    const localInfo = getLocalCurrencyInfo();
+    const label = document.getElementById('localCurrencyLabel');
+    if (label) {
+        label.textContent = localInfo.currency;
+    }
+}
+
+// Update display values based on currency
+function updateDisplayValues(calc) {
+    let conversionRate, symbol;
+
+    if (currentDisplayCurrency === 'LOCAL') {
+        const localInfo = getLocalCurrencyInfo();
+        conversionRate = localInfo.rate;
+        symbol = localInfo.symbol;
+    } else {
+        // Default to EUR
+        conversionRate = 1;
+        symbol = '€';
+    }
+
+    // Recalculate values with currency conversion
+    const salary = calc.grossSalary * conversionRate;
+    const perdiem = (calc.totalPerDiem || calc.totalAllowances) * conversionRate;
+    const admin = calc.totalAdminFees * conversionRate;
+    const assignment = (calc.totalAssignmentCosts || 0) * conversionRate;
+    const tax = (calc.taxCostEUR ?? calc.taxAmountEUR) * conversionRate;
+    const social = (calc.totalSocialSecurity || calc.socialSecurityCost) * conversionRate;
+    // Additional cost total (excludes salary)
+    const additionalTotal = calc.additionalCostTotal * conversionRate;
+    const perDay = calc.costPerDay * conversionRate;
+
+    // Update summary totals
+    const setEl = (id, text) => {
+        const el = document.getElementById(id);
+        if (el) el.textContent = text;
+    };
 
     // Show additional cost (excludes salary) as the main total
     setEl('summaryTotal', formatCurrency(additionalTotal, symbol));
@@ -1655,15 +2526,17 @@ function updateDisplayValues(calc) {
     setEl('summarySocialSec', formatCurrency(social, symbol));
     setEl('summaryAllowances', formatCurrency(perdiem, symbol));
     setEl('summaryAdminFees', formatCurrency(admin, symbol));
+    setEl('summaryAssignmentCosts', formatCurrency(assignment, symbol));
 
     // Update chart legend (only 4 additional cost components)
     setEl('legendTax', formatCurrency(tax, symbol));
     setEl('legendSocial', formatCurrency(social, symbol));
     setEl('legendPerdiem', formatCurrency(perdiem, symbol));
     setEl('legendAdmin', formatCurrency(admin, symbol));
+    setEl('legendAssignment', formatCurrency(assignment, symbol));
 
     // Re-render chart with 4 additional cost components (excludes salary)
-    renderCostChart(perdiem, admin, tax, social, additionalTotal);
+    renderCostChart(perdiem, admin, Math.max(0, tax), social, additionalTotal, assignment);
 }
 
 // Update the detailed calculation workings display with collapsible sections
@@ -1673,7 +2546,6 @@ function updateCalculationWorkings(calc) {
     const workingsContainer = document.getElementById('calculationWorkings');
     if (!workingsContainer) return;
 
-    const rateDate = exchangeRatesCache.date || 'static fallback';
     const taxSource = calc.countryTaxRules ? calc.countryTaxRules.taxSource : 'Default rates';
     const taxSourceUrl = calc.countryTaxRules ? calc.countryTaxRules.taxSourceUrl : '#';
     const perDiemSourceLabel = calc.perDiemSourceName
@@ -1683,15 +2555,73 @@ function updateCalculationWorkings(calc) {
         ? `<a href="${calc.perDiemSourceUrl}" target="_blank" rel="noopener noreferrer" class="text-cozm-teal hover:underline">${perDiemSourceLabel}</a>`
         : `<span class="text-gray-500">${perDiemSourceLabel}</span>`;
 
-    // Calculate employer and employee SS rates for display
-    const employerSSRate = ((calc.config.employerSocialSec || 0) * 100).toFixed(1);
-    const employeeSSRate = ((calc.config.employeeSocialSec || 0) * 100).toFixed(1);
-    const totalSSRate = (parseFloat(employerSSRate) + parseFloat(employeeSSRate)).toFixed(1);
-
-    // Check if employee SS is capped
-    const hasSSCap = calc.config.employeeSocialSecCap ? true : false;
-    const ssCapNote = hasSSCap ?
-        `Employee INSS capped at ${calc.config.currencySymbol}${calc.config.employeeSocialSecCap.toLocaleString('en-GB')}/month` : '';
+    // Salary plus whatever else the host taxes: per diem above the tax-free rate and taxable benefits
+    const perDiemTaxableExcess = calc.perDiemTaxableExcess || 0;
+    const taxableBenefitsText = `taxable benefits of ${formatCurrency(calc.taxableBenefits)}${calc.taxableVisaFees > 0 ? ' (incl. visa & permit fees)' : ''}`;
+    const taxableBaseText = [
+        'Salary',
+        perDiemTaxableExcess > 0 && `taxable excess per diem of ${formatCurrency(perDiemTaxableExcess)}`,
+        calc.taxableBenefits > 0 && taxableBenefitsText
+    ].filter(Boolean).join(' + ');
+    const perDiemBaseNote = perDiemTaxableExcess > 0 ? 'per diem up to the tax-free rate exempt' : 'per diem exempt';
+
+    // Social security contributions by payer, with ceilings that applied
+    const ssCurrencySymbol = getCurrencySymbol(calc.hostCountry);
+    const contributionRows = (contributions, payer, currencySymbol) => contributions
+        .filter(contribution => contribution.payer === payer)
+        .map(contribution => `<tr><td>${contribution.label}</td><td>${formatContributionCalc(contribution, currencySymbol)}</td></tr>`)
+        .join('') || '<tr><td>None</td><td>-</td></tr>';
+    const ssCeilings = formatContributionCeilings(calc.socialSecurityContributions, ssCurrencySymbol);
+    const certificate = calc.socialSecurityCertificate;
+    const homeSS = calc.homeSocialSecurity;
+    const homeSSRows = homeSS && homeSS.contributions.length ? `
+                        <tr class="section-header"><td colspan="2">${homeSS.country} Contributions (home)</td></tr>
+                        <tr><td>Months Payable</td><td>${parseFloat(homeSS.months.toFixed(1))}</td></tr>
+                        ${homeSS.contributions.map(contribution => `<tr><td>${contribution.label}</td><td>${formatContributionCalc(contribution, getCurrencySymbol(homeSS.country))}</td></tr>`).join('')}
+                        ${homeSS.note ? `<tr><td>Note</td><td>${homeSS.note}</td></tr>` : ''}
+                        <tr><td>Home Contributions</td><td>${formatCurrency(homeSS.total)}${homeSS.included ? '' : ' (not included)'}</td></tr>` : '';
+
+    // Tax equalisation workings: gross-up iterations and hypothetical home tax
+    const equalisation = calc.taxEqualisation;
+    const hypotheticalTax = equalisation?.hypotheticalTax;
+    const equalisationRows = equalisation && (equalisation.grossUp || hypotheticalTax) ? `
+                        <tr class="section-header"><td colspan="2">Tax Equalisation</td></tr>
+                        ${equalisation.grossUp ? `
+                        <tr><td>Company-Paid Tax Added to Income</td><td>${formatLocalCurrency(equalisation.grossUpLocal, calc.hostCountry)}${hypotheticalTax ? ' (host tax less hypothetical tax)' : ''}</td></tr>
+                        <tr><td>Gross-Up Iterations</td><td>${equalisation.grossUpIterations}${equalisation.grossUpConverged ? '' : ' (did not converge)'}</td></tr>` : ''}
+                        ${hypotheticalTax ? `
+                        <tr><td>Hypothetical ${calc.homeCountry} Tax</td><td>${formatCurrency(hypotheticalTax.taxAmountEUR)} (${hypotheticalTax.effectiveTaxRate.toFixed(1)}% effective)</td></tr>
+                        <tr><td>Home Tax Method</td><td>${hypotheticalTax.method}</td></tr>
+                        <tr><td>Home Tax Source</td><td>${hypotheticalTax.sourceUrl ? `<a href="${hypotheticalTax.sourceUrl}" target="_blank" rel="noopener noreferrer" class="text-cozm-teal hover:underline">${hypotheticalTax.source}</a>` : hypotheticalTax.source}</td></tr>` : ''}
+                        <tr class="subtotal-row"><td>Company Tax Cost (EUR)</td><td>${formatCurrency(equalisation.taxCostEUR)}</td></tr>` : '';
+
+    // Home country tax and treaty relief
+    const homeTax = calc.homeTax;
+    const homeTaxRows = homeTax ? `
+                        <tr class="section-header"><td colspan="2">Home Country Tax - ${homeTax.country}</td></tr>
+                        <tr><td>Home Tax Method</td><td>${homeTax.method}</td></tr>
+                        <tr><td>Tax Before Relief (EUR)</td><td>${formatCurrency(homeTax.homeTaxEUR)} (${homeTax.effectiveTaxRate.toFixed(1)}% effective)</td></tr>
+                        <tr><td>Relief</td><td>${formatHomeTaxRelief(homeTax)}${homeTax.reliefNote ? `<br><span class="text-gray-500">${homeTax.reliefNote}</span>` : ''}</td></tr>
+                        <tr><td>Foreign Tax Credit (EUR)</td><td>${formatCurrency(homeTax.foreignTaxCreditEUR)}</td></tr>
+                        <tr><td>Relief Source</td><td>${homeTax.sourceUrl ? `<a href="${homeTax.sourceUrl}" target="_blank" rel="noopener noreferrer" class="text-cozm-teal hover:underline">${homeTax.source}</a>` : homeTax.source}</td></tr>
+                        <tr><td>Residual Home Tax (EUR)</td><td>${formatCurrency(homeTax.residualHomeTaxEUR)}${homeTax.included ? '' : ' (not included in totals)'}</td></tr>
+                        <tr class="subtotal-row"><td>Combined Tax Burden (EUR)</td><td>${formatCurrency(calc.combinedTaxEUR)}</td></tr>` : '';
+
+    // Per fiscal year split, only worth showing when the assignment spans more than one year
+    const taxYears = calc.taxYears || [];
+    const taxYearRows = taxYears.length > 1 ? `
+                    <table class="workings-table mt-4">
+                        <tr class="section-header"><td colspan="5">By Tax Year${calc.taxYearStart && calc.taxYearStart !== '01-01' ? ` (year starts ${calc.taxYearStart.split('-').reverse().join('/')})` : ''}</td></tr>
+                        <tr class="text-gray-500"><td>Year</td><td>Salary</td><td>Per Diem</td><td>Tax</td><td>Social Security</td></tr>
+                        ${taxYears.map(year => `
+                        <tr>
+                            <td>${year.label}<br><span class="text-gray-500">${year.startDate ? `${year.startDate} to ${year.endDate}` : `${year.months} months`}</span></td>
+                            <td>${formatCurrency(year.grossSalary)}</td>
+                            <td>${formatCurrency(year.perDiem)}</td>
+                            <td>${formatCurrency(year.taxAmountEUR)}</td>
+                            <td>${formatCurrency(year.socialSecurity)}</td>
+                        </tr>`).join('')}
+                    </table>` : '';
 
     workingsContainer.innerHTML = `
         <div class="space-y-3">
@@ -1712,7 +2642,7 @@ function updateCalculationWorkings(calc) {
                     </div>
                     <div class="grand-total-item">
                         <p class="grand-total-item-label">Tax</p>
-                        <p class="grand-total-item-value">${formatCurrency(calc.taxAmountEUR)}</p>
+                        <p class="grand-total-item-value">${formatCurrency(calc.taxCostEUR ?? calc.taxAmountEUR)}</p>
                     </div>
                     <div class="grand-total-item">
                         <p class="grand-total-item-label">Social Security</p>
@@ -1728,154 +2658,1052 @@ function updateCalculationWorkings(calc) {
                 </div>
             </div>
 
-            <!-- Collapsible Section: Salary & Per Diem Breakdown -->
-            <div id="accordion-income" class="accordion-section">
-                <div class="accordion-header" onclick="toggleAccordion('accordion-income')">
-                    <span class="accordion-title">
-                        <svg class="w-5 h-5 text-cozm-teal" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v8m0 0v1m0-1c-1.11 0-2.08-.402-2.599-1M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/></svg>
-                        Salary & Per Diem Breakdown
-                    </span>
-                    <svg class="accordion-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7"/></svg>
-                </div>
-                <div class="accordion-content">
-                    <table class="workings-table">
-                        <tr class="section-header"><td colspan="2">Salary Calculation</td></tr>
-                        <tr><td>Monthly Salary</td><td>${formatCurrency(calc.monthlySalary)}</td></tr>
-                        <tr><td>Assignment Length</td><td>× ${calc.assignmentLength} months</td></tr>
-                        <tr class="subtotal-row"><td>Gross Salary (EUR)</td><td>${formatCurrency(calc.grossSalary)}</td></tr>
-                        <tr class="section-header"><td colspan="2">Per Diem Calculation (Tax-Exempt)</td></tr>
-                        <tr><td>Daily Rate (${perDiemSourceMarkup})</td><td>${formatCurrency(calc.dailyAllowance)}</td></tr>
-                        <tr><td>Working Days</td><td>× ${calc.totalWorkingDays} days</td></tr>
-                        <tr class="subtotal-row"><td>Total Per Diem (EUR)</td><td>${formatCurrency(calc.totalPerDiem || calc.totalAllowances)}</td></tr>
-                    </table>
-                    <div class="info-box mt-4">
-                        <p class="info-box-title">
-                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/></svg>
-                            Per Diem Tax Treatment
-                        </p>
-                        <p class="info-box-text">Per diem allowances are tax-exempt in Brazil when properly documented (tied to actual business travel, reasonable amounts, and documented business purpose).</p>
-                    </div>
-                </div>
-            </div>
+            <!-- Collapsible Section: Salary & Per Diem Breakdown -->
+            <div id="accordion-income" class="accordion-section">
+                <div class="accordion-header" onclick="toggleAccordion('accordion-income')">
+                    <span class="accordion-title">
+                        <svg class="w-5 h-5 text-cozm-teal" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v8m0 0v1m0-1c-1.11 0-2.08-.402-2.599-1M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/></svg>
+                        Salary & Per Diem Breakdown
+                    </span>
+                    <svg class="accordion-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7"/></svg>
+                </div>
+                <div class="accordion-content">
+                    <table class="workings-table">
+                        <tr class="section-header"><td colspan="2">Salary Calculation</td></tr>
+                        <tr><td>Monthly Salary</td><td>${formatCurrency(calc.monthlySalary)}</td></tr>
+                        <tr><td>Assignment Length</td><td>× ${calc.assignmentLength} months</td></tr>
+                        <tr class="subtotal-row"><td>Gross Salary (EUR)</td><td>${formatCurrency(calc.grossSalary)}</td></tr>
+                        <tr class="section-header"><td colspan="2">Per Diem Calculation${calc.perDiemTaxableExcess ? '' : ' (Tax-Exempt)'}</td></tr>
+                        <tr><td>Daily Rate (${perDiemSourceMarkup})</td><td>${formatCurrency(calc.dailyAllowance)}</td></tr>
+                        ${calc.perDiemCitation ? `<tr><td colspan="2" class="text-xs text-gray-500">${calc.perDiemRegime ? `${calc.perDiemRegime}: ` : ''}${calc.perDiemCitation}</td></tr>` : ''}
+                        ${calc.perDiemPlan ? renderPerDiemPlanRows(calc.perDiemPlan) : `<tr><td>Working Days</td><td>× ${calc.totalWorkingDays} days</td></tr>`}
+                        <tr class="subtotal-row"><td>Total Per Diem (EUR)</td><td>${formatCurrency(calc.totalPerDiem || calc.totalAllowances)}</td></tr>
+                        ${!calc.perDiemPlan && perDiemTaxableExcess > 0 ? `
+                        <tr><td>Tax-Free Daily Rate</td><td>${formatCurrency(calc.perDiemStatutoryRate)}</td></tr>` : ''}
+                        ${calc.perDiemPlan || perDiemTaxableExcess > 0 ? `
+                        <tr><td>Tax-Free Per Diem</td><td>${formatCurrency(calc.perDiemTaxFree)}</td></tr>
+                        <tr><td>Taxable Excess Per Diem</td><td>${formatCurrency(perDiemTaxableExcess)}${perDiemTaxableExcess > 0 ? ' (taxed as salary)' : ''}</td></tr>` : ''}
+                        <tr class="section-header"><td colspan="2">Admin Fees - ${calc.feeProvider} (schedule v${calc.feeScheduleVersion})</td></tr>
+                        ${calc.adminFeeItems.map(item => `
+                        <tr><td>${item.label}${item.overridden ? ' (custom)' : ''}</td><td>${item.frequency === 'one-time' ? '' : `${formatFeeFrequency(item)} × ${item.frequency === 'monthly' ? calc.assignmentLength : `${calc.assignmentLength}/12`} = `}${formatCurrency(item.total)}</td></tr>`).join('')}
+                        <tr class="subtotal-row"><td>Total Admin Fees (EUR)</td><td>${formatCurrency(calc.totalAdminFees)}</td></tr>
+                        ${calc.assignmentCostItems.length ? `
+                        <tr class="section-header"><td colspan="2">Travel, Housing &amp; Relocation</td></tr>
+                        ${calc.assignmentCostItems.map(item => `
+                        <tr><td>${item.label}${item.taxable ? ' (taxable benefit)' : ''}</td><td>${item.quantity === 1 ? '' : `${formatCurrency(item.amount)} × ${item.quantity} = `}${formatCurrency(item.total)}</td></tr>`).join('')}
+                        <tr class="subtotal-row"><td>Total Travel, Housing &amp; Relocation (EUR)</td><td>${formatCurrency(calc.totalAssignmentCosts)}</td></tr>` : ''}
+                    </table>
+                    <div class="info-box mt-4">
+                        <p class="info-box-title">
+                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/></svg>
+                            Per Diem Tax Treatment
+                        </p>
+                        <p class="info-box-text">Per diem allowances are tax-exempt in Brazil when properly documented (tied to actual business travel, reasonable amounts, and documented business purpose).</p>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Collapsible Section: Tax Calculation Details -->
+            <div id="accordion-tax" class="accordion-section">
+                <div class="accordion-header" onclick="toggleAccordion('accordion-tax')">
+                    <span class="accordion-title">
+                        <svg class="w-5 h-5 text-cozm-teal" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 14l6-6m-5.5.5h.01m4.99 5h.01M19 21V5a2 2 0 00-2-2H7a2 2 0 00-2 2v16l3.5-2 3.5 2 3.5-2 3.5 2z"/></svg>
+                        Tax Calculation Details
+                        <span class="policy-tooltip">
+                            <svg class="policy-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/></svg>
+                            <span class="policy-content">Under Wärtsilä's mobility policy, the company covers host country tax obligations. The engineer's take-home pay is protected ("tax equalised").</span>
+                        </span>
+                    </span>
+                    <svg class="accordion-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7"/></svg>
+                </div>
+                <div class="accordion-content">
+                    <div class="info-box mb-4">
+                        <p class="info-box-title">
+                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/></svg>
+                            Tax Equalisation Policy
+                        </p>
+                        <p class="info-box-text">Under Wärtsilä's mobility policy, the company covers host country tax obligations. The engineer's take-home pay is protected ("tax equalised") so they pay no more than they would have in their home country.</p>
+                    </div>
+                    <table class="workings-table">
+                        <tr class="section-header"><td colspan="2">Tax Calculation - ${calc.config.name} (${calc.isResident ? 'Resident' : 'Non-Resident'})</td></tr>
+                        <tr><td>Residency Test</td><td>${calc.residency.sourceUrl ? `<a href="${calc.residency.sourceUrl}" target="_blank" rel="noopener noreferrer" class="text-cozm-teal hover:underline">${calc.residency.test}</a>` : calc.residency.test}</td></tr>
+                        <tr><td>Days on Site</td><td>${calc.residency.daysInHost}${calc.startDate ? ` (${calc.startDate} to ${calc.endDate})` : ''}</td></tr>
+                        <tr><td>Residency Decision</td><td>${formatResidencyStatus(calc.residency)}<br><span class="text-gray-500">${calc.residency.detail}</span></td></tr>
+                        <tr><td>Gross Salary (EUR)</td><td>${formatCurrency(calc.grossSalary)}</td></tr>
+                        <tr><td>Salary in ${calc.config.currency}</td><td>${formatLocalCurrency(calc.salaryLocal || calc.grossSalary * calc.exchangeRate, calc.hostCountry)}</td></tr>
+                        <tr><td>Taxable Base</td><td>${taxableBaseText === 'Salary' ? 'Salary only' : taxableBaseText} (${perDiemBaseNote})</td></tr>
+                        <tr><td>Taxable Income (${calc.config.currency})</td><td>${formatLocalCurrency(calc.taxableIncomeLocal, calc.hostCountry)}</td></tr>
+                        <tr><td>Calculation Method</td><td>${calc.taxCalculationMethod}</td></tr>
+                        <tr><td>Effective Rate</td><td>${calc.effectiveTaxRate.toFixed(1)}%</td></tr>
+                        <tr><td>Source</td><td><a href="${taxSourceUrl}" target="_blank" rel="noopener noreferrer" class="text-cozm-teal hover:underline">${taxSource}</a></td></tr>
+                        <tr><td>Tax (${calc.config.currency})</td><td>${formatLocalCurrency(calc.taxAmountLocal, calc.hostCountry)}</td></tr>
+                        <tr class="subtotal-row"><td>Tax (EUR)</td><td>${formatCurrency(calc.taxAmountEUR)}</td></tr>
+                        <tr><td>Tax Per Day (EUR)</td><td>${formatCurrencyDecimal(calc.taxPerDayEUR)}</td></tr>
+                        ${homeTaxRows}
+                        ${equalisationRows}
+                    </table>
+                    ${taxYearRows}
+                </div>
+            </div>
+
+            <!-- Collapsible Section: Social Security Details -->
+            <div id="accordion-social" class="accordion-section">
+                <div class="accordion-header" onclick="toggleAccordion('accordion-social')">
+                    <span class="accordion-title">
+                        <svg class="w-5 h-5 text-cozm-teal" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z"/></svg>
+                        Social Security Details
+                        ${!calc.hasAgreement ? '<span class="ml-2 px-2 py-0.5 bg-amber-100 text-amber-700 text-xs font-semibold rounded cursor-pointer" onclick="showSocialSecurityPopup(event)">No Reciprocal Agreement</span>' : ''}
+                    </span>
+                    <svg class="accordion-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7"/></svg>
+                </div>
+                <div class="accordion-content">
+                    ${!calc.hasAgreement ? `
+                    <div class="warning-box mb-4">
+                        <p class="warning-box-title">
+                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z"/></svg>
+                            No Totalization Agreement
+                        </p>
+                        <p class="warning-box-text">${calc.config.socialSecNote}</p>
+                    </div>
+                    ` : `
+                    <div class="success-box mb-4">
+                        <p class="success-box-title">
+                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"/></svg>
+                            Social Security Coverage
+                        </p>
+                        <p class="success-box-text">Under Wärtsilä's mobility policy, the company covers host country social security contributions. Where a totalization agreement exists, dual contributions may be avoided with proper documentation (A1/Certificate of Coverage).</p>
+                    </div>
+                    `}
+                    <table class="workings-table">
+                        <tr class="section-header"><td colspan="2">Social Security - ${calc.config.name}</td></tr>
+                        <tr><td>Contribution Base</td><td>${perDiemTaxableExcess > 0 ? 'Salary, taxable excess per diem and taxable benefits' : 'Salary and taxable benefits'} (${perDiemBaseNote})</td></tr>
+                        <tr><td>Gross Salary + ${perDiemTaxableExcess > 0 ? 'Taxable Per Diem + ' : ''}Taxable Benefits (EUR)</td><td>${formatCurrency(calc.grossSalary + perDiemTaxableExcess + calc.taxableBenefits)}</td></tr>
+                        ${certificate ? `<tr><td>Certificate of Coverage</td><td>${formatCertificateCoverage(calc)}</td></tr>` : ''}
+                        <tr><td>Host Contribution Months</td><td>${parseFloat(calc.socialSecurityHostMonths.toFixed(1))}${calc.socialSecExclusionReason && !calc.socialSecIncluded ? ` (${calc.socialSecExclusionReason})` : ''}</td></tr>
+                        <tr class="section-header"><td colspan="2">Employer Contributions</td></tr>
+                        ${contributionRows(calc.socialSecurityContributions, 'employer', ssCurrencySymbol)}
+                        <tr><td>Employer Total</td><td>${formatCurrency(calc.employerSocialSec)}</td></tr>
+                        <tr class="section-header"><td colspan="2">Employee Contributions</td></tr>
+                        ${contributionRows(calc.socialSecurityContributions, 'employee', ssCurrencySymbol)}
+                        <tr><td>Employee Total</td><td>${formatCurrency(calc.employeeSocialSec)}</td></tr>
+                        ${ssCeilings ? `<tr><td>Ceilings Applied</td><td>${ssCeilings}</td></tr>` : ''}
+                        ${calc.socialSecurityNote ? `<tr><td>Note</td><td>${calc.socialSecurityNote}</td></tr>` : ''}
+                        ${calc.socialSecuritySource || calc.config.socialSecSource ? `<tr><td>Source</td><td>${calc.socialSecuritySource || calc.config.socialSecSource}</td></tr>` : ''}
+                        ${homeSSRows}
+                        <tr class="subtotal-row"><td>Total Social Security (EUR)</td><td>${formatCurrency(calc.totalSocialSecurity || calc.socialSecurityCost)}</td></tr>
+                        <tr><td>Social Security Per Day (EUR)</td><td>${formatCurrencyDecimal((calc.totalSocialSecurity || calc.socialSecurityCost) / calc.totalCalendarDays)}</td></tr>
+                    </table>
+                    <div class="info-box mt-4">
+                        <p class="info-box-title">
+                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/></svg>
+                            Social Security Notes
+                        </p>
+                        <p class="info-box-text">Per diem allowances are NOT subject to social security contributions in ${calc.config.name} when properly documented as reimbursement for actual business travel expenses.</p>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Collapsible Section: Exchange Rate & Sources -->
+            <div id="accordion-fx" class="accordion-section">
+                <div class="accordion-header" onclick="toggleAccordion('accordion-fx')">
+                    <span class="accordion-title">
+                        <svg class="w-5 h-5 text-cozm-teal" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M3 6l3 1m0 0l-3 9a5.002 5.002 0 006.001 0M6 7l3 9M6 7l6-2m6 2l3-1m-3 1l-3 9a5.002 5.002 0 006.001 0M18 7l3 9m-3-9l-6-2m0-2v2m0 16V5m0 16H9m3 0h3"/></svg>
+                        Exchange Rate & Sources
+                    </span>
+                    <svg class="accordion-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7"/></svg>
+                </div>
+                <div class="accordion-content">
+                    <table class="workings-table">
+                        <tr class="section-header"><td colspan="2">Currency Conversion</td></tr>
+                        <tr><td>Exchange Rate</td><td>1 EUR = ${calc.exchangeRate.toFixed(3)} ${calc.config.currency}</td></tr>
+                        <tr><td>Source</td><td>${escapeHtml(calc.exchangeRateSource || 'Country defaults')}</td></tr>
+                        <tr><td>Rate Date</td><td>${escapeHtml(calc.exchangeRateDate || 'static fallback')}</td></tr>
+                        <tr class="section-header"><td colspan="2">Local Currency Values</td></tr>
+                        <tr><td>Gross Salary (${calc.config.currency})</td><td>${formatLocalCurrency(calc.grossSalary * calc.exchangeRate, calc.hostCountry)}</td></tr>
+                        <tr><td>Per Diem (${calc.config.currency})</td><td>${formatLocalCurrency((calc.totalPerDiem || calc.totalAllowances) * calc.exchangeRate, calc.hostCountry)}</td></tr>
+                        <tr><td>Admin Fees (${calc.config.currency})</td><td>${formatLocalCurrency(calc.totalAdminFees * calc.exchangeRate, calc.hostCountry)}</td></tr>
+                        <tr class="subtotal-row"><td>Total (${calc.config.currency})</td><td>${formatLocalCurrency(calc.grandTotal * calc.exchangeRate, calc.hostCountry)}</td></tr>
+                    </table>
+                </div>
+            </div>
+        </div>
+    `;
+
+    // Keep workings container hidden - the new UI shows breakdown in expandable groups
+    // workingsContainer.classList.remove('hidden');
+}
+
+// ===== SCENARIO COMPARISON =====
+
+// Pinned calculator scenarios (engine input + form state), compared side by side
+const MAX_PINNED_SCENARIOS = 4;
+let pinnedScenarios = [];
+
+// Rows of the comparison table; `delta` rows show the difference from the first scenario
+const COMPARISON_ROWS = [
+    { label: 'Gross Salary', value: calc => calc.grossSalary, delta: true },
+    { label: 'Tax', value: calc => calc.taxCostEUR, delta: true },
+    { label: 'Social Security', value: calc => calc.totalSocialSecurity, delta: true },
+    { label: 'Per Diem', value: calc => calc.totalPerDiem, delta: true },
+    { label: 'Admin Fees', value: calc => calc.totalAdminFees, delta: true },
+    { label: 'Travel & Housing', value: calc => calc.totalAssignmentCosts || 0, delta: true },
+    { label: 'Additional Cost', value: calc => calc.additionalCostTotal, delta: true, emphasis: true },
+    { label: 'Assignment Total', value: calc => calc.grandTotal, delta: true, emphasis: true }
+];
+
+function scenarioLabel(state, config) {
+    const city = state.hostCity && state.hostCity !== 'Standard (Other)' ? ` (${state.hostCity})` : '';
+    return `${state.homeCountry} → ${config?.name || state.hostCountry}${city}, ${state.assignmentLength} months`;
+}
+
+// Pin the current calculator inputs as a scenario to compare
+function pinCurrentScenario() {
+    if (!lastCalculationData) {
+        showToast('Generate an estimate first to pin it.', 'error');
+        return;
+    }
+    if (pinnedScenarios.length >= MAX_PINNED_SCENARIOS) {
+        showToast(`Up to ${MAX_PINNED_SCENARIOS} scenarios can be compared. Remove one first.`, 'error');
+        return;
+    }
+
+    const state = readFormState();
+    pinnedScenarios.push({
+        id: Date.now(),
+        label: scenarioLabel(state, lastCalculationData.config),
+        state,
+        input: readCalculatorInput()
+    });
+    renderScenarioComparison();
+    showToast(`Pinned scenario ${pinnedScenarios.length} of ${MAX_PINNED_SCENARIOS}.`, 'success');
+    document.getElementById('scenarioComparison')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function unpinScenario(id) {
+    pinnedScenarios = pinnedScenarios.filter(scenario => scenario.id !== id);
+    renderScenarioComparison();
+}
+
+function clearPinnedScenarios() {
+    pinnedScenarios = [];
+    renderScenarioComparison();
+}
+
+// Load a pinned scenario back into the form
+function openPinnedScenario(id) {
+    const scenario = pinnedScenarios.find(item => item.id === id);
+    if (!scenario) return;
+    switchTab('single');
+    applyFormState(scenario.state);
+    calculateCosts();
+}
+
+// Re-run every pinned scenario with the current settings and render the comparison table
+function renderScenarioComparison() {
+    const container = document.getElementById('scenarioComparison');
+    const table = document.getElementById('scenarioComparisonTable');
+    if (!container || !table) return;
+
+    container.classList.toggle('hidden', pinnedScenarios.length === 0);
+    if (!pinnedScenarios.length) {
+        table.innerHTML = '';
+        return;
+    }
+
+    const settings = getSettings();
+    const rules = getEngineRules();
+    const results = pinnedScenarios.map(scenario => {
+        try {
+            return CostEngine.estimateAssignmentCost({ ...scenario.input, settings }, rules);
+        } catch (error) {
+            console.warn('[COMPARE] Scenario failed:', error);
+            return null;
+        }
+    });
+    const base = results[0];
+
+    // Residency differs between scenarios: at least one crosses the host's residency threshold
+    const residencyFlip = results.some(result => result && base && result.isResident !== base.isResident);
+
+    const formatDelta = delta => {
+        if (Math.abs(delta) < 0.5) return '<span class="text-gray-400">±€0</span>';
+        const color = delta > 0 ? 'text-cozm-red' : 'text-green-700';
+        return `<span class="${color}">${delta > 0 ? '+' : '−'}${formatCurrency(Math.abs(delta))}</span>`;
+    };
+
+    const header = `
+        <tr>
+            <th class="px-4 py-3 text-left font-bold text-gray-700"></th>
+            ${pinnedScenarios.map((scenario, index) => `
+                <th class="px-4 py-3 text-right font-bold text-gray-700 align-top">
+                    <span class="block text-xs text-gray-500">${index === 0 ? 'Baseline' : `Scenario ${index + 1}`}</span>
+                    ${scenario.label}
+                    <span class="block mt-1 text-xs font-semibold">
+                        <button class="text-cozm-teal hover:underline" onclick="openPinnedScenario(${scenario.id})">Open</button>
+                        <button class="ml-2 text-cozm-red hover:underline" onclick="unpinScenario(${scenario.id})">Remove</button>
+                    </span>
+                </th>
+            `).join('')}
+        </tr>
+    `;
+
+    const rows = COMPARISON_ROWS.map(row => `
+        <tr class="${row.emphasis ? 'bg-gray-50 font-bold' : ''}">
+            <td class="px-4 py-2">${row.label}</td>
+            ${results.map((result, index) => {
+                if (!result) return '<td class="px-4 py-2 text-right text-gray-400">-</td>';
+                const value = row.value(result);
+                const delta = index > 0 && base ? `<span class="block text-xs">${formatDelta(value - row.value(base))}</span>` : '';
+                return `<td class="px-4 py-2 text-right">${formatCurrency(value)}${delta}</td>`;
+            }).join('')}
+        </tr>
+    `).join('');
+
+    const residencyRow = `
+        <tr>
+            <td class="px-4 py-2">Tax Residency</td>
+            ${results.map(result => {
+                if (!result) return '<td class="px-4 py-2 text-right text-gray-400">-</td>';
+                const crosses = residencyFlip && result.isResident !== base.isResident;
+                const detail = result.isResident
+                    ? `Resident${result.residency?.triggeredOn ? ` from ${result.residency.triggeredOn}` : ''}`
+                    : 'Non-resident';
+                return `
+                    <td class="px-4 py-2 text-right ${crosses ? 'bg-amber-50 text-amber-700 font-semibold' : ''}"
+                        title="${result.residency?.test || ''}">
+                        ${detail}
+                        <span class="block text-xs ${crosses ? '' : 'text-gray-500'}">${Math.round(result.residency?.daysInHost || 0)} days in host${crosses ? ' · crosses residency line' : ''}</span>
+                    </td>
+                `;
+            }).join('')}
+        </tr>
+    `;
+
+    table.innerHTML = `<thead class="bg-gray-50">${header}</thead><tbody class="divide-y divide-gray-100">${rows}${residencyRow}</tbody>`;
+
+    const noteEl = document.getElementById('scenarioComparisonNote');
+    if (noteEl) {
+        noteEl.textContent = residencyFlip
+            ? 'Highlighted scenarios fall on the other side of the tax residency threshold (e.g. 183 days) from the baseline, which changes how salary is taxed.'
+            : 'Deltas are against the baseline (first pinned scenario). All scenarios use the current settings.';
+        noteEl.className = `text-xs mt-3 ${residencyFlip ? 'text-amber-700' : 'text-gray-500'}`;
+    }
+    const countEl = document.getElementById('scenarioComparisonCount');
+    if (countEl) countEl.textContent = `${pinnedScenarios.length} of ${MAX_PINNED_SCENARIOS} pinned`;
+}
+
+// ===== SAVED ESTIMATES =====
+
+// Estimates loaded into the "My Estimates" list
+let savedEstimates = [];
+
+function getSupabaseClient() {
+    return window.SupabaseConfig?.init() || null;
+}
+
+// Rule versions an estimate was calculated with, stored alongside it
+function getRuleVersions(calc) {
+    return {
+        feeSchedule: calc.feeScheduleVersion || null,
+        socialSecurity: calc.socialSecurityRulesVersion || null,
+        assignmentCosts: calc.assignmentCostsVersion || null,
+        perDiem: calc.perDiemSourceYear || null,
+        countryRules: publishedCountryRules[calc.hostCountry]?.publishedAt || 'bundled',
+        countryRulesId: publishedCountryRules[calc.hostCountry]?.id || null,
+        ruleSets: calc.ruleSetVersions || null,
+        exchangeRate: {
+            rate: calc.exchangeRate,
+            date: calc.exchangeRateDate || null,
+            source: calc.exchangeRateSource || null,
+            pinned: calc.exchangeRatePinned
+        }
+    };
+}
+
+// Short description of the rule set versions behind a result,
+// e.g. "tax 2024.1/2025.1, social security 2026.1, admin fees 2026.1, per diem 2026.1"
+const RULE_SET_SHORT_LABELS = {
+    taxRules: 'tax',
+    socialSecurity: 'social security',
+    feeSchedule: 'admin fees',
+    perDiem: 'per diem'
+};
+
+function formatRuleSetVersions(versions) {
+    if (!versions) return 'bundled rules';
+    return Object.entries(RULE_SET_SHORT_LABELS)
+        .filter(([domain]) => versions[domain]?.length)
+        .map(([domain, label]) => `${label} ${versions[domain].join('/')}`)
+        .join(', ');
+}
+
+// Rule files whose version has changed since the estimate was saved
+function getChangedRuleVersions(savedVersions = {}, hostCountry = '') {
+    const current = {
+        feeSchedule: feeSchedule?.version,
+        socialSecurity: socialSecurityRules?.version,
+        assignmentCosts: assignmentCostDefaults?.version,
+        countryRules: publishedCountryRules[hostCountry]?.publishedAt || 'bundled'
+    };
+    return Object.keys(current).filter(key => savedVersions[key] && savedVersions[key] !== current[key]);
+}
+
+// Engine result without the config objects, which are rebuilt from the data files
+function toEstimateOutputs(calc) {
+    const { config, countryTaxRules, ...outputs } = calc;
+    return { ...outputs, hostCountryName: config?.name || calc.hostCountry };
+}
+
+function defaultEstimateName(calc) {
+    return `${calc.homeCountry} → ${calc.config?.name || calc.hostCountry}, ${calc.assignmentLength} months`;
+}
+
+async function insertEstimate(record) {
+    const supabase = getSupabaseClient();
+    if (!supabase) throw new Error('Supabase is not available');
+    const { error } = await supabase.from('estimates').insert(record);
+    if (error) throw new Error(error.message);
+}
+
+// Save the current estimate under a name
+async function saveCurrentEstimate() {
+    if (!lastCalculationData) {
+        showToast('Generate an estimate first to save it.', 'error');
+        return;
+    }
+
+    const name = prompt('Name this estimate', defaultEstimateName(lastCalculationData));
+    if (name === null) return;
+    if (!name.trim()) {
+        showToast('Estimate name cannot be empty.', 'error');
+        return;
+    }
+
+    try {
+        await insertEstimate({
+            name: name.trim(),
+            home_country: lastCalculationData.homeCountry,
+            host_country: lastCalculationData.hostCountry,
+            assignment_months: lastCalculationData.assignmentLength,
+            grand_total: Math.round(lastCalculationData.grandTotal * 100) / 100,
+            inputs: {
+                ...readFormState(),
+                settings: getSettings(),
+                rateDate: document.getElementById('rateDate')?.value || ''
+            },
+            outputs: toEstimateOutputs(lastCalculationData),
+            rule_versions: getRuleVersions(lastCalculationData)
+        });
+        showToast(`Saved "${name.trim()}".`, 'success');
+        loadSavedEstimates();
+    } catch (error) {
+        console.error('[ESTIMATES] Save failed:', error);
+        showToast(`Unable to save estimate: ${error.message}`, 'error');
+    }
+}
+
+async function loadSavedEstimates() {
+    const supabase = getSupabaseClient();
+    const statusEl = document.getElementById('savedEstimatesStatus');
+    if (!supabase) {
+        if (statusEl) statusEl.textContent = 'Saved estimates are unavailable offline.';
+        return;
+    }
+
+    // Superusers can read everyone's estimates; the list shows their own unless asked otherwise
+    const showAllLabel = document.getElementById('savedEstimatesShowAllLabel');
+    if (showAllLabel) showAllLabel.style.display = window.currentUserRole === 'superuser' ? 'flex' : 'none';
+    const showAll = window.currentUserRole === 'superuser' && document.getElementById('savedEstimatesShowAll')?.checked;
+    let query = supabase
+        .from('estimates')
+        .select('id, created_at, user_id, name, home_country, host_country, assignment_months, grand_total, inputs, outputs, rule_versions')
+        .order('created_at', { ascending: false });
+    if (!showAll && window.currentUser?.id) {
+        query = query.eq('user_id', window.currentUser.id);
+    }
+
+    if (statusEl) statusEl.textContent = 'Loading…';
+    const { data, error } = await query;
+    if (error) {
+        console.error('[ESTIMATES] Load failed:', error);
+        if (statusEl) statusEl.textContent = `Unable to load estimates: ${error.message}`;
+        return;
+    }
+
+    savedEstimates = data || [];
+    if (statusEl) statusEl.textContent = savedEstimates.length ? '' : 'No saved estimates yet. Use Save on an estimate to keep it here.';
+    renderSavedEstimates();
+}
+
+function renderSavedEstimates() {
+    const tbody = document.getElementById('savedEstimatesBody');
+    if (!tbody) return;
+
+    tbody.innerHTML = savedEstimates.map(estimate => {
+        const changed = getChangedRuleVersions(estimate.rule_versions, estimate.host_country);
+        const isOwner = !window.currentUser?.id || estimate.user_id === window.currentUser.id;
+        return `
+            <tr class="hover:bg-gray-50">
+                <td class="px-4 py-3 font-semibold">${escapeHtml(estimate.name)}</td>
+                <td class="px-4 py-3">${escapeHtml(estimate.home_country)} → ${escapeHtml(countryConfig[estimate.host_country]?.name || estimate.host_country)}</td>
+                <td class="px-4 py-3 text-right">${estimate.assignment_months} months</td>
+                <td class="px-4 py-3 text-right">${formatCurrency(Number(estimate.grand_total) || 0)}</td>
+                <td class="px-4 py-3">${new Date(estimate.created_at).toLocaleDateString('en-GB')}</td>
+                <td class="px-4 py-3 text-xs ${changed.length ? 'text-cozm-gold' : 'text-gray-500'}"
+                    title="${changed.length ? `Updated since saving: ${changed.join(', ')}` : 'Current rules'}">
+                    ${escapeHtml(estimate.rule_versions?.feeSchedule || '-')}${changed.length ? ' (rules updated)' : ''}
+                </td>
+                <td class="px-4 py-3 text-right whitespace-nowrap">
+                    <button class="text-cozm-teal font-semibold hover:underline" onclick="reopenEstimate('${estimate.id}')">Open</button>
+                    <button class="ml-3 text-cozm-teal font-semibold hover:underline" onclick="recomputeEstimate('${estimate.id}')"
+                        title="Recompute with the rule versions and exchange rate it was saved with">Recompute</button>
+                    <button class="ml-3 text-cozm-teal font-semibold hover:underline" onclick="duplicateEstimate('${estimate.id}')">Duplicate</button>
+                    ${isOwner ? `<button class="ml-3 text-cozm-red font-semibold hover:underline" onclick="deleteEstimate('${estimate.id}')">Delete</button>` : ''}
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+// Load a saved estimate into the form and recalculate with the current rules
+// Open a saved estimate in the calculator with the settings and exchange rate it was
+// saved with (held for this estimate only, like a shared link) and the current rules
+async function reopenEstimate(id) {
+    const estimate = savedEstimates.find(item => item.id === id);
+    if (!estimate) return;
+
+    const inputs = estimate.inputs || {};
+    const savedRate = estimate.rule_versions?.exchangeRate;
+    // Saved rows may belong to another user (superusers see all), so only ISO dates are used
+    const date = value => (typeof value === 'string' && CostEngine.parseISODate(value) ? value : '');
+    try {
+        await applyEstimateState({
+            ...inputs,
+            // Estimates saved before the rate date was stored reload the ECB date they were priced on
+            rateDate: date(inputs.rateDate ?? (savedRate?.pinned ? '' : savedRate?.date)),
+            pinnedRate: savedRate?.pinned ? { rate: Number(savedRate.rate), pinnedOn: date(savedRate.date) } : null
+        });
+    } catch (error) {
+        console.error('[ESTIMATES] Reopen failed:', error);
+        clearEstimateOverrides();
+        showToast(`Unable to reopen "${estimate.name}": ${error.message}`, 'error');
+        return;
+    }
+
+    const changed = getChangedRuleVersions(estimate.rule_versions, estimate.host_country);
+    const savedTotal = Number(estimate.grand_total) || 0;
+    const difference = lastCalculationData ? lastCalculationData.grandTotal - savedTotal : 0;
+    const notes = [];
+    if (savedRate?.rate && lastCalculationData && Math.abs(lastCalculationData.exchangeRate - savedRate.rate) > 1e-9) {
+        notes.push(`the ${lastCalculationData.config.currency} rate is now ${lastCalculationData.exchangeRate} (saved: ${savedRate.rate})`);
+    }
+    if (changed.length || Math.abs(difference) >= 1) {
+        notes.unshift(`total changed by ${formatCurrency(difference)} since it was saved${changed.length ? ` (updated: ${changed.join(', ')})` : ''}`);
+    }
+    const restored = inputs.settings
+        ? 'with its saved settings and exchange rate (yours are unchanged)'
+        : 'with its saved exchange rate and your settings (its settings were not saved)';
+    showToast(
+        `Reopened "${estimate.name}" ${restored}${notes.length ? `; ${notes.join('; ')}` : ''}.`,
+        notes.length || !inputs.settings ? 'default' : 'success'
+    );
+}
+
+// Engine input for a saved estimate with the rule set versions, exchange rate,
+// per diem rates and settings it was saved with
+function buildSavedEstimateInput(estimate) {
+    const inputs = estimate.inputs || {};
+    const outputs = estimate.outputs || {};
+    const versions = estimate.rule_versions || {};
+    const currency = countryConfig[inputs.hostCountry]?.currency;
+    const exchangeRates = getEffectiveExchangeRates();
+    if (currency && versions.exchangeRate?.rate) exchangeRates[currency] = versions.exchangeRate.rate;
+
+    return {
+        homeCountry: inputs.homeCountry,
+        hostCountry: inputs.hostCountry,
+        monthlySalary: inputs.monthlySalary,
+        assignmentLength: inputs.assignmentLength,
+        dailyAllowance: outputs.dailyAllowance,
+        workingDaysPerMonth: inputs.workingDaysPerMonth,
+        startDate: inputs.startDate,
+        endDate: inputs.endDate,
+        settings: inputs.settings || getSettings(),
+        perDiemPeriods: outputs.perDiemPeriods || [],
+        perDiemContext: outputs.perDiemPlan?.rules
+            || (outputs.perDiemStatutoryRate ? { rate: outputs.perDiemStatutoryRate } : null),
+        perDiemPlan: toPerDiemPlanInput(inputs.perDiemPlan),
+        feeOverrides: inputs.feeOverrides || {},
+        assignmentCosts: toAssignmentCostSelections(inputs.assignmentCosts || {}),
+        exchangeRates,
+        ruleVersionIds: versions.ruleSets || null
+    };
+}
+
+// Recompute a saved estimate under its original rules and compare with the saved total
+// (the form is left as it is; Open recalculates with the current rules)
+async function recomputeEstimate(id) {
+    const estimate = savedEstimates.find(item => item.id === id);
+    if (!estimate) return;
+
+    let result;
+    let savedRules;
+    try {
+        savedRules = await getSavedEstimateRules(estimate);
+        result = CostEngine.estimateAssignmentCost(buildSavedEstimateInput(estimate), savedRules || getEngineRules());
+    } catch (error) {
+        console.error('[ESTIMATES] Recompute failed:', error);
+        showToast(`Unable to recompute "${estimate.name}": ${error.message}`, 'error');
+        return;
+    }
+
+    const savedTotal = Number(estimate.grand_total) || 0;
+    const difference = result.grandTotal - savedTotal;
+    const caveats = [];
+    if (!estimate.rule_versions?.ruleSets) caveats.push('saved before rule versions were recorded, so current versions were used');
+    if (!estimate.inputs?.settings) caveats.push('calculation settings were not saved, so your current settings were used');
+    if (!savedRules) caveats.push('the country rules it used could not be loaded, so the current ones were used');
+    const outcome = Math.abs(difference) < 1
+        ? `${formatCurrency(result.grandTotal)}, matching the saved total`
+        : `${formatCurrency(result.grandTotal)}, ${formatCurrency(difference)} from the saved ${formatCurrency(savedTotal)}`;
+    showToast(
+        `Recomputed "${estimate.name}" under ${formatRuleSetVersions(result.ruleSetVersions)}: ${outcome}${caveats.length ? ` (${caveats.join('; ')})` : ''}.`,
+        caveats.length || Math.abs(difference) >= 1 ? 'default' : 'success'
+    );
+}
+
+async function duplicateEstimate(id) {
+    const estimate = savedEstimates.find(item => item.id === id);
+    if (!estimate) return;
+
+    const name = prompt('Name the copy', `Copy of ${estimate.name}`);
+    if (name === null || !name.trim()) return;
+
+    try {
+        const { id: _id, created_at: _createdAt, user_id: _userId, ...copy } = estimate;
+        await insertEstimate({ ...copy, name: name.trim() });
+        showToast(`Duplicated as "${name.trim()}".`, 'success');
+        loadSavedEstimates();
+    } catch (error) {
+        console.error('[ESTIMATES] Duplicate failed:', error);
+        showToast(`Unable to duplicate estimate: ${error.message}`, 'error');
+    }
+}
+
+async function deleteEstimate(id) {
+    const estimate = savedEstimates.find(item => item.id === id);
+    if (!estimate || !confirm(`Delete "${estimate.name}"? This cannot be undone.`)) return;
+
+    const supabase = getSupabaseClient();
+    if (!supabase) return;
+    const { error } = await supabase.from('estimates').delete().eq('id', id);
+    if (error) {
+        console.error('[ESTIMATES] Delete failed:', error);
+        showToast(`Unable to delete estimate: ${error.message}`, 'error');
+        return;
+    }
+    showToast(`Deleted "${estimate.name}".`, 'success');
+    loadSavedEstimates();
+}
+
+// ===== SHAREABLE LINKS =====
+// The calculator state travels in the URL hash (#estimate=<base64url JSON>) and is
+// restored once the user is signed in and rates and tax rules have loaded.
+
+const SHARE_HASH_PARAM = 'estimate';
+const SHARE_LINK_VERSION = 1;
+// Holds the hash across the sign-in redirect (set by the auth check in app.html)
+const SHARED_HASH_STORAGE_KEY = 'fse-shared-estimate-hash';
+
+let resolveAppDataReady;
+const appDataReady = new Promise(resolve => { resolveAppDataReady = resolve; });
+
+function encodeShareState(state) {
+    const bytes = new TextEncoder().encode(JSON.stringify(state));
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeShareState(encoded) {
+    const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    const state = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0))));
+    if (!state || typeof state !== 'object' || !state.homeCountry || !state.hostCountry) {
+        throw new Error('Shared link is missing the route');
+    }
+    return sanitizeShareState(state);
+}
+
+// Keep only the fields a link carries, each of the right type and in range; a
+// hand-edited or corrupted value is dropped and the form's own value is kept
+function sanitizeShareState(state) {
+    const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+    const number = (value, min, max) => (
+        typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max ? value : undefined
+    );
+    const flag = value => (typeof value === 'boolean' ? value : undefined);
+    const date = value => (typeof value === 'string' && CostEngine.parseISODate(value) ? value : '');
+    const entries = (value, check) => Object.fromEntries(
+        Object.entries(isObject(value) ? value : {})
+            .map(([key, item]) => [key, check(item)])
+            .filter(([, item]) => item !== undefined)
+    );
+
+    const plan = isObject(state.perDiemPlan) ? state.perDiemPlan : null;
+    const pinnedRate = isObject(state.pinnedRate) && number(state.pinnedRate.rate, Number.MIN_VALUE, Infinity)
+        ? { rate: state.pinnedRate.rate, pinnedOn: date(state.pinnedRate.pinnedOn) }
+        : null;
+
+    return {
+        v: state.v,
+        homeCountry: String(state.homeCountry),
+        hostCountry: String(state.hostCountry),
+        hostCity: typeof state.hostCity === 'string' ? state.hostCity : '',
+        monthlySalary: number(state.monthlySalary, 0, 10000000),
+        assignmentLength: Number.isInteger(state.assignmentLength) ? number(state.assignmentLength, 1, 60) : undefined,
+        startDate: date(state.startDate),
+        endDate: date(state.endDate),
+        workingDaysPerMonth: number(state.workingDaysPerMonth, 1, 31),
+        dailyAllowance: number(state.dailyAllowance, 0, 10000),
+        dailyAllowanceOverride: number(state.dailyAllowanceOverride, 0, 10000) ?? null,
+        assignmentCosts: entries(state.assignmentCosts, cost => {
+            if (!isObject(cost)) return undefined;
+            const amount = number(cost.amount, 0, 10000000);
+            return { include: !!cost.include, amount, edited: !!cost.edited && amount !== undefined };
+        }),
+        feeOverrides: entries(state.feeOverrides, amount => number(amount, 0, 10000000)),
+        perDiemPlan: plan ? {
+            enabled: !!plan.enabled,
+            travelDays: number(plan.travelDays, 0, 60),
+            includeRestDays: flag(plan.includeRestDays),
+            meals: entries(plan.meals, flag)
+        } : undefined,
+        settings: isObject(state.settings)
+            ? entries(Object.fromEntries(Object.keys(defaultSettings).map(key => [key, state.settings[key]])), flag)
+            : null,
+        rateDate: date(state.rateDate),
+        pinnedRate
+    };
+}
+
+// Form state plus what else changes the numbers: allowance, settings toggles and FX pin
+function readShareState() {
+    const hostCountry = document.getElementById('hostCountry').value;
+    const pinned = getPinnedRate(countryConfig[hostCountry]?.currency);
+    return {
+        v: SHARE_LINK_VERSION,
+        ...readFormState(),
+        dailyAllowance: parseFloat(document.getElementById('dailyAllowance').value) || 0,
+        settings: getSettings(),
+        rateDate: document.getElementById('rateDate')?.value || '',
+        pinnedRate: pinned ? { ...pinned } : null
+    };
+}
+
+function buildShareLink() {
+    const url = new URL(window.location.href);
+    url.hash = `${SHARE_HASH_PARAM}=${encodeShareState(readShareState())}`;
+    return url.toString();
+}
+
+function copyEstimateLink() {
+    if (!lastCalculationData) {
+        showToast('Generate an estimate first to copy a link.', 'error');
+        return;
+    }
+    copyTextToClipboard(buildShareLink(), 'Estimate link copied to clipboard.', 'Unable to copy link. Please try again.');
+}
+
+// Encoded state from the URL hash, or from before the sign-in redirect
+function readSharedHash() {
+    const hash = window.location.hash || sessionStorage.getItem(SHARED_HASH_STORAGE_KEY) || '';
+    sessionStorage.removeItem(SHARED_HASH_STORAGE_KEY);
+    return new URLSearchParams(hash.replace(/^#/, '')).get(SHARE_HASH_PARAM);
+}
+
+// Apply a shared link's settings, FX pin and form state, then recalculate
+async function restoreSharedEstimate() {
+    const encoded = readSharedHash();
+    if (!encoded) return;
+
+    let state;
+    try {
+        state = decodeShareState(encoded);
+    } catch (e) {
+        console.warn('[SHARE] Could not read shared estimate:', e);
+        showToast('This estimate link is invalid or incomplete.', 'error');
+        return;
+    }
+    if (!countryConfig[state.hostCountry]) {
+        showToast(`This estimate link uses an unknown host country (${state.hostCountry}).`, 'error');
+        return;
+    }
+    if (!getCountryKeys('home').includes(state.homeCountry)) {
+        showToast(`This estimate link uses an unknown home country (${state.homeCountry}).`, 'error');
+        return;
+    }
+
+    try {
+        await applySharedState(state);
+    } catch (error) {
+        // Leave nothing from the link behind to break later calculations
+        console.error('[SHARE] Could not restore shared estimate:', error);
+        clearEstimateOverrides();
+        showToast(`This estimate link could not be opened: ${error.message}`, 'error');
+    }
+
+    // Drop the hash so a refresh does not re-apply the link over later edits
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+}
+
+// Drop the settings, pin and fee overrides a shared link or saved estimate put in place
+function clearEstimateOverrides() {
+    estimateOverrides.settings = null;
+    estimateOverrides.pinnedRates = {};
+    Object.keys(getAdminFeeOverrides()).forEach(itemId => delete getAdminFeeOverrides()[itemId]);
+    applySettingsToUI();
+    applyExchangeRates();
+}
+
+// Put an estimate's settings, rate date, pinned rate and form fields into the calculator
+// and calculate. The settings and pin apply to this estimate only (estimateOverrides);
+// the user's saved ones are kept.
+async function applyEstimateState(state) {
+    estimateOverrides.settings = state.settings ? { ...defaultSettings, ...state.settings } : null;
+    estimateOverrides.pinnedRates = {};
+    applySettingsToUI();
+
+    const rateDateInput = document.getElementById('rateDate');
+    if (rateDateInput && (state.rateDate || '') !== rateDateInput.value) {
+        rateDateInput.value = state.rateDate || '';
+        await fetchExchangeRates(rateDateInput.value);
+    }
+    const currency = countryConfig[state.hostCountry].currency;
+    if (state.pinnedRate?.rate > 0 && currency !== 'EUR') {
+        estimateOverrides.pinnedRates[currency] = { rate: state.pinnedRate.rate, pinnedOn: state.pinnedRate.pinnedOn };
+    }
+    applyExchangeRates();
+
+    switchTab('single');
+    applyFormState(state);
+    renderExchangeRateControls();
+    calculateCosts();
+}
+
+// Apply a decoded link's settings, rates and form fields, then calculate
+async function applySharedState(state) {
+    await applyEstimateState(state);
+    const currency = countryConfig[state.hostCountry].currency;
+
+    const notes = [];
+    const allowance = parseFloat(document.getElementById('dailyAllowance').value) || 0;
+    if (state.dailyAllowance && Math.abs(allowance - state.dailyAllowance) > 0.005) {
+        notes.push(`per diem is now ${formatCurrencyDecimal(allowance)} (link: ${formatCurrencyDecimal(state.dailyAllowance)})`);
+    }
+    if (!state.pinnedRate && pinnedExchangeRates[currency]) {
+        notes.push(`your pinned ${currency} rate is applied`);
+    }
+    showToast(`Shared estimate opened with the link's settings (yours are unchanged)${notes.length ? `; ${notes.join(', ')}` : ''}.`, notes.length ? 'default' : 'success');
+}
+
+// A link pasted into an open tab only changes the hash
+window.addEventListener('hashchange', () => {
+    appDataReady.then(restoreSharedEstimate);
+});
+
+// ===== BULK CALCULATION =====
+
+// Rows parsed from the uploaded workbook and the results of the last batch run
+let bulkRows = [];
+let bulkResults = [];
+
+// Accepted headers per field; the first are the ones downloadTemplate ships
+const BULK_COLUMNS = {
+    name: ['Name', 'name'],
+    homeCountry: ['Home Country', 'Home'],
+    hostCountry: ['Host Country', 'Host'],
+    monthlySalary: ['Monthly Salary (EUR)', 'Salary'],
+    assignmentLength: ['Assignment Length (months)', 'Duration'],
+    dailyAllowance: ['Daily Allowance (EUR)', 'Daily Allowance'],
+    workingDaysPerMonth: ['Working Days/Month', 'Working Days']
+};
+
+// Working days used when the sheet leaves the column blank (matches the form default)
+const BULK_DEFAULT_WORKING_DAYS = 22;
+
+function readBulkCell(row, field) {
+    const header = BULK_COLUMNS[field].find(column => row[column] !== undefined && row[column] !== '');
+    return header ? row[header] : '';
+}
 
-            <!-- Collapsible Section: Tax Calculation Details -->
-            <div id="accordion-tax" class="accordion-section">
-                <div class="accordion-header" onclick="toggleAccordion('accordion-tax')">
-                    <span class="accordion-title">
-                        <svg class="w-5 h-5 text-cozm-teal" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 14l6-6m-5.5.5h.01m4.99 5h.01M19 21V5a2 2 0 00-2-2H7a2 2 0 00-2 2v16l3.5-2 3.5 2 3.5-2 3.5 2z"/></svg>
-                        Tax Calculation Details
-                        <span class="policy-tooltip">
-                            <svg class="policy-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/></svg>
-                            <span class="policy-content">Under Wärtsilä's mobility policy, the company covers host country tax obligations. The engineer's take-home pay is protected ("tax equalised").</span>
-                        </span>
-                    </span>
-                    <svg class="accordion-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7"/></svg>
-                </div>
-                <div class="accordion-content">
-                    <div class="info-box mb-4">
-                        <p class="info-box-title">
-                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/></svg>
-                            Tax Equalisation Policy
-                        </p>
-                        <p class="info-box-text">Under Wärtsilä's mobility policy, the company covers host country tax obligations. The engineer's take-home pay is protected ("tax equalised") so they pay no more than they would have in their home country.</p>
-                    </div>
-                    <table class="workings-table">
-                        <tr class="section-header"><td colspan="2">Tax Calculation - ${calc.config.name} (${calc.isResident ? 'Resident' : 'Non-Resident'})</td></tr>
-                        <tr><td>Gross Salary (EUR)</td><td>${formatCurrency(calc.grossSalary)}</td></tr>
-                        <tr><td>Salary in ${calc.config.currency}</td><td>${formatLocalCurrency(calc.salaryLocal || calc.grossSalary * calc.exchangeRate, calc.hostCountry)}</td></tr>
-                        <tr><td>Taxable Base</td><td>Salary only (per diem exempt)</td></tr>
-                        <tr><td>Taxable Income (${calc.config.currency})</td><td>${formatLocalCurrency(calc.taxableIncomeLocal, calc.hostCountry)}</td></tr>
-                        <tr><td>Calculation Method</td><td>${calc.taxCalculationMethod}</td></tr>
-                        <tr><td>Effective Rate</td><td>${calc.effectiveTaxRate.toFixed(1)}%</td></tr>
-                        <tr><td>Source</td><td><a href="${taxSourceUrl}" target="_blank" rel="noopener noreferrer" class="text-cozm-teal hover:underline">${taxSource}</a></td></tr>
-                        <tr><td>Tax (${calc.config.currency})</td><td>${formatLocalCurrency(calc.taxAmountLocal, calc.hostCountry)}</td></tr>
-                        <tr class="subtotal-row"><td>Tax (EUR)</td><td>${formatCurrency(calc.taxAmountEUR)}</td></tr>
-                        <tr><td>Tax Per Day (EUR)</td><td>${formatCurrencyDecimal(calc.taxPerDayEUR)}</td></tr>
-                    </table>
-                </div>
-            </div>
+// Parse 7000, "7000", "€7,000" or "6 months" into a number (NaN when blank or not numeric)
+function parseBulkNumber(value) {
+    if (typeof value === 'number') return value;
+    const cleaned = String(value ?? '').replace(/€|,|\s|months?/gi, '');
+    return cleaned === '' ? NaN : Number(cleaned);
+}
 
-            <!-- Collapsible Section: Social Security Details -->
-            <div id="accordion-social" class="accordion-section">
-                <div class="accordion-header" onclick="toggleAccordion('accordion-social')">
-                    <span class="accordion-title">
-                        <svg class="w-5 h-5 text-cozm-teal" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z"/></svg>
-                        Social Security Details
-                        ${calc.config.noTreatyWarning ? '<span class="ml-2 px-2 py-0.5 bg-amber-100 text-amber-700 text-xs font-semibold rounded cursor-pointer" onclick="showSocialSecurityPopup(event)">No Reciprocal Agreement</span>' : ''}
-                    </span>
-                    <svg class="accordion-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7"/></svg>
-                </div>
-                <div class="accordion-content">
-                    ${calc.config.noTreatyWarning ? `
-                    <div class="warning-box mb-4">
-                        <p class="warning-box-title">
-                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z"/></svg>
-                            No Totalization Agreement
-                        </p>
-                        <p class="warning-box-text">${calc.config.socialSecNote}</p>
-                    </div>
-                    ` : `
-                    <div class="success-box mb-4">
-                        <p class="success-box-title">
-                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"/></svg>
-                            Social Security Coverage
-                        </p>
-                        <p class="success-box-text">Under Wärtsilä's mobility policy, the company covers host country social security contributions. Where a totalization agreement exists, dual contributions may be avoided with proper documentation (A1/Certificate of Coverage).</p>
-                    </div>
-                    `}
-                    <table class="workings-table">
-                        <tr class="section-header"><td colspan="2">Social Security - ${calc.config.name}</td></tr>
-                        <tr><td>Contribution Base</td><td>Salary only (per diem exempt)</td></tr>
-                        <tr><td>Gross Salary (EUR)</td><td>${formatCurrency(calc.grossSalary)}</td></tr>
-                        <tr class="section-header"><td colspan="2">Employer Contributions</td></tr>
-                        <tr><td>Employer Rate</td><td>${employerSSRate}%</td></tr>
-                        <tr><td>Employer INSS + FGTS + RAT</td><td>${formatCurrency(calc.employerSocialSec)}</td></tr>
-                        <tr class="section-header"><td colspan="2">Employee Contributions</td></tr>
-                        <tr><td>Employee Rate</td><td>${employeeSSRate}%</td></tr>
-                        ${hasSSCap ? `<tr><td>Monthly Cap</td><td>${ssCapNote}</td></tr>` : ''}
-                        <tr><td>Employee INSS</td><td>${formatCurrency(calc.employeeSocialSec)}</td></tr>
-                        ${calc.config.socialSecSource ? `<tr><td>Source</td><td>${calc.config.socialSecSource}</td></tr>` : ''}
-                        <tr class="subtotal-row"><td>Total Social Security (EUR)</td><td>${formatCurrency(calc.totalSocialSecurity || calc.socialSecurityCost)}</td></tr>
-                        <tr><td>Social Security Per Day (EUR)</td><td>${formatCurrencyDecimal((calc.totalSocialSecurity || calc.socialSecurityCost) / calc.totalCalendarDays)}</td></tr>
-                    </table>
-                    <div class="info-box mt-4">
-                        <p class="info-box-title">
-                            <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/></svg>
-                            Social Security Notes
-                        </p>
-                        <p class="info-box-text">Per diem allowances are NOT subject to social security contributions in Brazil when properly documented as reimbursement for actual business travel expenses.</p>
-                    </div>
-                </div>
-            </div>
+// Match a country by registry key, name, ISO code or alias, e.g. "USA", "United States",
+// "south africa", "DE", "Holland". role limits the match to host or home countries.
+function findCountryKey(value, role = 'host') {
+    const normalise = text => String(text ?? '').replace(/\s+/g, '').toLowerCase();
+    const search = normalise(value);
+    if (!search) return null;
+    return getCountryKeys(role).find(key => {
+        const entry = countryRegistry[key];
+        return [key, entry.name, entry.iso2, entry.iso3, ...entry.aliases].some(name => normalise(name) === search);
+    }) || null;
+}
 
-            <!-- Collapsible Section: Exchange Rate & Sources -->
-            <div id="accordion-fx" class="accordion-section">
-                <div class="accordion-header" onclick="toggleAccordion('accordion-fx')">
-                    <span class="accordion-title">
-                        <svg class="w-5 h-5 text-cozm-teal" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M3 6l3 1m0 0l-3 9a5.002 5.002 0 006.001 0M6 7l3 9M6 7l6-2m6 2l3-1m-3 1l-3 9a5.002 5.002 0 006.001 0M18 7l3 9m-3-9l-6-2m0-2v2m0 16V5m0 16H9m3 0h3"/></svg>
-                        Exchange Rate & Sources
-                    </span>
-                    <svg class="accordion-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7"/></svg>
-                </div>
-                <div class="accordion-content">
-                    <table class="workings-table">
-                        <tr class="section-header"><td colspan="2">Currency Conversion</td></tr>
-                        <tr><td>Exchange Rate</td><td>1 EUR = ${calc.exchangeRate.toFixed(3)} ${calc.config.currency}</td></tr>
-                        <tr><td>Source</td><td>${exchangeRatesCache.source}</td></tr>
-                        <tr><td>Rate Date</td><td>${rateDate}</td></tr>
-                        <tr class="section-header"><td colspan="2">Local Currency Values</td></tr>
-                        <tr><td>Gross Salary (${calc.config.currency})</td><td>${formatLocalCurrency(calc.grossSalary * calc.exchangeRate, calc.hostCountry)}</td></tr>
-                        <tr><td>Per Diem (${calc.config.currency})</td><td>${formatLocalCurrency((calc.totalPerDiem || calc.totalAllowances) * calc.exchangeRate, calc.hostCountry)}</td></tr>
-                        <tr><td>Admin Fees (${calc.config.currency})</td><td>${formatLocalCurrency(calc.totalAdminFees * calc.exchangeRate, calc.hostCountry)}</td></tr>
-                        <tr class="subtotal-row"><td>Total (${calc.config.currency})</td><td>${formatLocalCurrency(calc.grandTotal * calc.exchangeRate, calc.hostCountry)}</td></tr>
-                    </table>
-                </div>
-            </div>
-        </div>
-    `;
+// Match a home country against the registry's home countries
+function findHomeCountry(value) {
+    return findCountryKey(value, 'home');
+}
 
-    // Keep workings container hidden - the new UI shows breakdown in expandable groups
-    // workingsContainer.classList.remove('hidden');
+// Acceptable ranges for the numeric columns; values outside are flagged before calculating
+const BULK_LIMITS = {
+    monthlySalary: { min: 500, max: 100000, label: 'Monthly salary', unit: '€' },
+    assignmentLength: { min: 1, max: 60, label: 'Assignment length', unit: ' months' },
+    dailyAllowance: { min: 0, max: 500, label: 'Daily allowance', unit: '€', optional: true },
+    workingDaysPerMonth: { min: 1, max: 31, label: 'Working days', unit: ' days', optional: true }
+};
+
+// Keep the cell text as uploaded so it can be edited inline and written back to the error workbook
+function parseBulkRow(row, index) {
+    const raw = {};
+    Object.keys(BULK_COLUMNS).forEach(field => {
+        raw[field] = String(readBulkCell(row, field)).trim();
+    });
+    return { rowNumber: index + 2, raw, ...parseBulkFields(raw), errors: {} }; // Row 1 holds the headers
+}
+
+function parseBulkFields(raw) {
+    return {
+        name: raw.name,
+        homeCountry: findHomeCountry(raw.homeCountry) || raw.homeCountry,
+        hostCountry: findCountryKey(raw.hostCountry) || raw.hostCountry,
+        monthlySalary: parseBulkNumber(raw.monthlySalary),
+        assignmentLength: parseBulkNumber(raw.assignmentLength),
+        dailyAllowance: parseBulkNumber(raw.dailyAllowance),
+        workingDaysPerMonth: parseBulkNumber(raw.workingDaysPerMonth)
+    };
+}
+
+// Validate every row and store per-cell messages on row.errors (keyed by BULK_COLUMNS field)
+function validateBulkRows(rows) {
+    const nameCounts = {};
+    rows.forEach(row => {
+        const key = row.name.toLowerCase();
+        if (key) nameCounts[key] = (nameCounts[key] || 0) + 1;
+    });
+
+    rows.forEach(row => {
+        const errors = {};
+
+        if (!row.name) {
+            errors.name = 'Name is required.';
+        } else if (nameCounts[row.name.toLowerCase()] > 1) {
+            errors.name = `Duplicate name "${row.name}".`;
+        }
+
+        if (!row.raw.homeCountry) {
+            errors.homeCountry = 'Home country is required.';
+        } else if (!findHomeCountry(row.raw.homeCountry)) {
+            errors.homeCountry = `Unknown home country "${row.raw.homeCountry}".`;
+        }
+
+        if (!row.raw.hostCountry) {
+            errors.hostCountry = 'Host country is required.';
+        } else if (!countryConfig[row.hostCountry]) {
+            errors.hostCountry = `Unknown host country "${row.raw.hostCountry}".`;
+        }
+
+        Object.entries(BULK_LIMITS).forEach(([field, limit]) => {
+            const value = row[field];
+            if (row.raw[field] === '') {
+                if (!limit.optional) errors[field] = `${limit.label} is required.`;
+            } else if (!Number.isFinite(value)) {
+                errors[field] = `${limit.label} "${row.raw[field]}" is not a number.`;
+            } else if (value < limit.min || value > limit.max) {
+                const range = limit.unit === '€'
+                    ? `€${limit.min.toLocaleString('en-GB')} and €${limit.max.toLocaleString('en-GB')}`
+                    : `${limit.min} and ${limit.max}${limit.unit}`;
+                errors[field] = `${limit.label} must be between ${range}.`;
+            }
+        });
+
+        row.errors = errors;
+    });
+    return rows;
+}
+
+function countBulkErrorRows() {
+    return bulkRows.filter(row => Object.keys(row.errors).length).length;
+}
+
+// Default per diem for a route without the calculator form (standard rate unless a
+// city is given). perDiemData defaults to the bundled per diem rates.
+function getDefaultPerDiem(homeCountry, hostCountry, { perDiemData = window.perDiemConfig || {}, hostCity = '' } = {}) {
+    const { cities, ...perDiem } = CostEngine.resolvePerDiem(perDiemData, homeCountry, hostCountry, {
+        hostCity,
+        hostName: countryConfig[hostCountry]?.name || hostCountry,
+        exchangeRates: getPerDiemExchangeRates()
+    });
+    return perDiem;
+}
+
+// Run the cost engine for a route outside the calculator form (an uploaded row, a
+// staff member) with the current settings and rates. A missing daily allowance or
+// working days falls back to the route's defaults; an allowance above the route's
+// tax-free rate is taxed on the excess.
+function estimateRouteCost(row) {
+    const hasAllowance = Number.isFinite(row.dailyAllowance);
+    const statutory = getDefaultPerDiem(row.homeCountry, row.hostCountry);
+    const perDiem = hasAllowance
+        ? {
+            ...statutory,
+            basisText: `Daily Allowance (EUR) column${statutory.rate > 0 ? `; tax-free up to ${formatCurrencyDecimal(statutory.rate)}/day` : ''}`
+        }
+        : statutory;
+
+    return CostEngine.estimateAssignmentCost({
+        homeCountry: row.homeCountry,
+        hostCountry: row.hostCountry,
+        monthlySalary: row.monthlySalary,
+        assignmentLength: row.assignmentLength,
+        dailyAllowance: hasAllowance ? row.dailyAllowance : perDiem.rate,
+        workingDaysPerMonth: Number.isFinite(row.workingDaysPerMonth) ? row.workingDaysPerMonth : BULK_DEFAULT_WORKING_DAYS,
+        settings: getSettings(),
+        perDiemContext: perDiem,
+        exchangeRates: getEffectiveExchangeRates(),
+        exchangeRateContext: getExchangeRateContext(row.hostCountry)
+    }, getEngineRules());
+}
+
+// Portfolio totals per host country, in first-seen order
+function summarizeBulkByHost(results) {
+    const byHost = new Map();
+    results.filter(entry => entry.result).forEach(({ result }) => {
+        const totals = byHost.get(result.hostCountry) || {
+            hostCountry: result.hostCountry,
+            name: result.config.name,
+            count: 0,
+            tax: 0,
+            socialSecurity: 0,
+            perDiem: 0,
+            adminFees: 0,
+            total: 0
+        };
+        totals.count += 1;
+        totals.tax += result.taxCostEUR;
+        totals.socialSecurity += result.totalSocialSecurity;
+        totals.perDiem += result.totalPerDiem;
+        totals.adminFees += result.totalAdminFees;
+        totals.total += result.grandTotal;
+        byHost.set(result.hostCountry, totals);
+    });
+    return Array.from(byHost.values());
 }
 
 // File upload handling using SheetJS
@@ -1891,37 +3719,12 @@ function handleFileUpload(event) {
                 const worksheet = workbook.Sheets[firstSheetName];
                 const jsonData = XLSX.utils.sheet_to_json(worksheet);
 
-                // Map Excel columns to our internal structure
-                // Expected columns: Name, Home Country, Host Country, Monthly Salary (EUR), Assignment Length (months)
-                const mappedData = jsonData.map(row => ({
-                    name: row['Name'] || row['name'] || 'Unknown',
-                    home: row['Home Country'] || row['Home'] || 'Unknown',
-                    host: row['Host Country'] || row['Host'] || 'Unknown',
-                    salary: typeof row['Monthly Salary (EUR)'] === 'number' ?
-                        `€${row['Monthly Salary (EUR)'].toLocaleString()}` :
-                        (row['Monthly Salary (EUR)'] || '0'),
-                    duration: typeof row['Assignment Length (months)'] === 'number' ?
-                        `${row['Assignment Length (months)']} months` :
-                        (row['Assignment Length (months)'] || '0')
-                }));
-
-                const tbody = document.getElementById('bulkPreviewBody');
-                if (tbody) {
-                    tbody.innerHTML = mappedData.map(row => `
-                        <tr class="hover:bg-gray-50">
-                            <td class="px-4 py-3">${row.name}</td>
-                            <td class="px-4 py-3">${row.home}</td>
-                            <td class="px-4 py-3">${row.host}</td>
-                            <td class="px-4 py-3 text-right">${row.salary}</td>
-                            <td class="px-4 py-3 text-right">${row.duration}</td>
-                        </tr>
-                    `).join('');
-                }
-
-                const previewEl = document.getElementById('bulkPreview');
-                if (previewEl) previewEl.classList.remove('hidden');
-
-                showToast(`Loaded ${mappedData.length} records`, 'success');
+                loadBulkRows(jsonData);
+                const errorRows = countBulkErrorRows();
+                showToast(
+                    errorRows ? `Loaded ${bulkRows.length} records; ${errorRows} need fixing` : `Loaded ${bulkRows.length} records`,
+                    errorRows ? 'error' : 'success'
+                );
 
             } catch (error) {
                 console.error('Error reading Excel file:', error);
@@ -1932,55 +3735,218 @@ function handleFileUpload(event) {
     }
 }
 
+// Parse sheet rows (SheetJS sheet_to_json output), validate them and show the preview
+function loadBulkRows(jsonData) {
+    bulkRows = validateBulkRows(jsonData.map(parseBulkRow));
+    bulkResults = [];
+    document.getElementById('bulkResults')?.classList.add('hidden');
+    renderBulkPreview();
+
+    const previewEl = document.getElementById('bulkPreview');
+    if (previewEl) previewEl.classList.remove('hidden');
+}
+
+// Inline fix from the preview table: re-parse the row and re-validate (duplicates span rows)
+function updateBulkCell(index, field, value) {
+    const row = bulkRows[index];
+    if (!row) return;
+    row.raw[field] = String(value).trim();
+    Object.assign(row, parseBulkFields(row.raw));
+    validateBulkRows(bulkRows);
+    bulkResults = [];
+    document.getElementById('bulkResults')?.classList.add('hidden');
+    renderBulkPreview();
+}
+
+function renderBulkPreview() {
+    const escapeAttr = value => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    const input = (row, index, field, placeholder = '') => {
+        const error = row.errors[field];
+        return `<input class="bulk-cell-input${error ? ' invalid' : ''}" value="${escapeAttr(row.raw[field])}"
+            placeholder="${placeholder}" aria-label="${BULK_COLUMNS[field][0]}, row ${row.rowNumber}"
+            ${error ? `title="${escapeAttr(error)}" aria-invalid="true"` : ''}
+            onchange="updateBulkCell(${index}, '${field}', this.value)">`;
+    };
+    const messages = (row, fields) => fields
+        .filter(field => row.errors[field])
+        .map(field => `<p class="bulk-cell-error">${escapeAttr(row.errors[field])}</p>`)
+        .join('');
+
+    const tbody = document.getElementById('bulkPreviewBody');
+    if (tbody) {
+        tbody.innerHTML = bulkRows.map((row, index) => `
+            <tr class="hover:bg-gray-50">
+                <td class="px-4 py-3">${input(row, index, 'name')}${messages(row, ['name'])}</td>
+                <td class="px-4 py-3">
+                    <div class="flex items-center gap-2">${input(row, index, 'homeCountry')} → ${input(row, index, 'hostCountry')}</div>
+                    ${messages(row, ['homeCountry', 'hostCountry'])}
+                </td>
+                <td class="px-4 py-3 text-right">${input(row, index, 'monthlySalary')}${messages(row, ['monthlySalary'])}</td>
+                <td class="px-4 py-3 text-right">${input(row, index, 'assignmentLength')}${messages(row, ['assignmentLength'])}</td>
+                <td class="px-4 py-3 text-right">${input(row, index, 'dailyAllowance', 'Default')}${messages(row, ['dailyAllowance'])}</td>
+                <td class="px-4 py-3 text-right">${input(row, index, 'workingDaysPerMonth', String(BULK_DEFAULT_WORKING_DAYS))}${messages(row, ['workingDaysPerMonth'])}</td>
+            </tr>
+        `).join('');
+    }
+
+    const errorRows = countBulkErrorRows();
+    const summaryEl = document.getElementById('bulkValidationSummary');
+    if (summaryEl) {
+        summaryEl.textContent = errorRows
+            ? `${errorRows} of ${bulkRows.length} rows have errors. Fix them in the table or download the error report.`
+            : `All ${bulkRows.length} rows are valid.`;
+        summaryEl.className = `text-sm mb-4 ${errorRows ? 'text-cozm-red' : 'text-gray-500'}`;
+    }
+    document.getElementById('bulkErrorReportBtn')?.classList.toggle('hidden', !errorRows);
+}
+
+// Annotated error workbook: the uploaded rows with an Errors column and a comment on each invalid cell
+function downloadBulkErrorReport() {
+    if (!bulkRows.length) return;
+
+    const fields = Object.keys(BULK_COLUMNS);
+    const headers = fields.map(field => BULK_COLUMNS[field][0]).concat('Errors');
+    const data = bulkRows.map(row => fields
+        .map(field => {
+            const value = row.raw[field];
+            return value !== '' && Number.isFinite(Number(value)) ? Number(value) : value;
+        })
+        .concat(Object.values(row.errors).join(' ')));
+
+    const worksheet = XLSX.utils.aoa_to_sheet([headers, ...data]);
+    bulkRows.forEach((row, rowIndex) => {
+        fields.forEach((field, columnIndex) => {
+            if (!row.errors[field]) return;
+            const address = XLSX.utils.encode_cell({ r: rowIndex + 1, c: columnIndex });
+            worksheet[address] = worksheet[address] || { t: 's', v: '' };
+            worksheet[address].c = [{ a: 'Validation', t: row.errors[field] }];
+        });
+    });
+    worksheet['!cols'] = headers.map(header => ({ wch: header === 'Errors' ? 60 : Math.max(header.length, 14) }));
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'FSE Data');
+    XLSX.writeFile(workbook, 'fse_bulk_upload_errors.xlsx');
+}
+
 // Download template
 function downloadTemplate() {
-    const excelContent = `<?xml version="1.0"?>
-<?mso-application progid="Excel.Sheet"?>
-<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet"
- xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">
- <Worksheet ss:Name="FSE Data">
-  <Table>
-   <Row>
-    <Cell><Data ss:Type="String">Name</Data></Cell>
-    <Cell><Data ss:Type="String">Home Country</Data></Cell>
-    <Cell><Data ss:Type="String">Host Country</Data></Cell>
-    <Cell><Data ss:Type="String">Monthly Salary (EUR)</Data></Cell>
-    <Cell><Data ss:Type="String">Assignment Length (months)</Data></Cell>
-    <Cell><Data ss:Type="String">Daily Allowance (EUR)</Data></Cell>
-    <Cell><Data ss:Type="String">Working Days/Month</Data></Cell>
-   </Row>
-   <Row>
-    <Cell><Data ss:Type="String">Mikko Virtanen</Data></Cell>
-    <Cell><Data ss:Type="String">Finland</Data></Cell>
-    <Cell><Data ss:Type="String">Brazil</Data></Cell>
-    <Cell><Data ss:Type="Number">7000</Data></Cell>
-    <Cell><Data ss:Type="Number">6</Data></Cell>
-    <Cell><Data ss:Type="Number">70</Data></Cell>
-    <Cell><Data ss:Type="Number">25</Data></Cell>
-   </Row>
-  </Table>
- </Worksheet>
-</Workbook>`;
-
-    const blob = new Blob([excelContent], { type: 'application/vnd.ms-excel' });
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'fse_cost_template.xls';
-    a.click();
-    window.URL.revokeObjectURL(url);
+    const headers = Object.values(BULK_COLUMNS).map(aliases => aliases[0]);
+    const worksheet = XLSX.utils.aoa_to_sheet([
+        headers,
+        ['Mikko Virtanen', 'Finland', 'Brazil', 7000, 6, 70, 25]
+    ]);
+    worksheet['!cols'] = headers.map(header => ({ wch: Math.max(header.length, 14) }));
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'FSE Data');
+    XLSX.writeFile(workbook, 'fse_cost_template.xlsx');
 }
 
-// Calculate bulk costs (mock)
+// Calculate bulk costs: run the cost engine for every uploaded row
 function calculateBulkCosts() {
-    document.getElementById('summaryTax').textContent = '€69,500';
-    document.getElementById('summarySocialSec').textContent = '€0';
-    document.getElementById('summaryAllowances').textContent = '€78,750';
-    document.getElementById('summaryAdminFees').textContent = '€14,200';
-    document.getElementById('summaryPerDay').textContent = '€495.23';
-    document.getElementById('summaryTotal').textContent = '€162,450';
-
-    const resultsEl = document.getElementById('resultsSection');
+    if (!bulkRows.length) {
+        showToast('Upload a spreadsheet first.', 'error');
+        return;
+    }
+    const errorRows = countBulkErrorRows();
+    if (errorRows) {
+        showToast(`Fix ${errorRows} row${errorRows === 1 ? '' : 's'} with errors before calculating.`, 'error');
+        return;
+    }
+
+    bulkResults = bulkRows.map(row => {
+        try {
+            return { row, result: estimateRouteCost(row), error: null };
+        } catch (error) {
+            return { row, result: null, error: error.message };
+        }
+    });
+    renderBulkResults(bulkResults);
+
+    const failed = bulkResults.filter(entry => entry.error).length;
+    showToast(
+        failed ? `Calculated ${bulkResults.length - failed} of ${bulkResults.length} rows; ${failed} failed.` : `Calculated ${bulkResults.length} rows.`,
+        failed ? 'error' : 'success'
+    );
+}
+
+// Export the last batch run to XLSX; rows that failed to calculate are left out
+function exportBulkXlsx() {
+    const entries = bulkResults
+        .filter(entry => entry.result)
+        .map(({ row, result }) => ({ name: row.name || `Row ${row.rowNumber}`, result }));
+    if (!entries.length) {
+        showToast('Process the batch first to export it.', 'error');
+        return;
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    downloadEstimateWorkbook(entries, `fse_bulk_estimate_${date}.xlsx`, {
+        title: 'FSE Deployment Cost Estimate – Batch',
+        settings: getSettings(),
+        generatedOn: date
+    });
+    showToast(`Exported ${entries.length} estimates to Excel.`, 'success');
+}
+
+// Per-row results table plus portfolio totals by host country
+function renderBulkResults(results) {
+    const cell = (value, align = 'text-right') => `<td class="px-4 py-3 ${align}">${value}</td>`;
+
+    const body = document.getElementById('bulkResultsBody');
+    if (body) {
+        body.innerHTML = results.map(({ row, result, error }) => `
+            <tr class="hover:bg-gray-50">
+                ${cell(escapeHtml(row.name || `Row ${row.rowNumber}`), 'text-left')}
+                ${cell(escapeHtml(`${row.homeCountry || '-'} → ${countryConfig[row.hostCountry]?.name || row.hostCountry || '-'}`), 'text-left')}
+                ${result ? `
+                ${cell(`${result.assignmentLength} months`)}
+                ${cell(formatCurrency(result.taxCostEUR))}
+                ${cell(formatCurrency(result.totalSocialSecurity))}
+                ${cell(formatCurrency(result.totalPerDiem))}
+                ${cell(formatCurrency(result.totalAdminFees))}
+                ${cell(`<strong>${formatCurrency(result.grandTotal)}</strong>`)}
+                ` : `<td class="px-4 py-3 text-cozm-gold" colspan="6">Row ${row.rowNumber}: ${escapeHtml(error)}</td>`}
+            </tr>
+        `).join('');
+    }
+
+    const portfolio = summarizeBulkByHost(results);
+    const sum = key => portfolio.reduce((total, host) => total + host[key], 0);
+
+    const footer = document.getElementById('bulkResultsFooter');
+    if (footer) {
+        footer.innerHTML = `
+            <tr>
+                ${cell(`Portfolio (${sum('count')} assignees)`, 'text-left')}
+                ${cell('', 'text-left')}
+                ${cell('')}
+                ${cell(formatCurrency(sum('tax')))}
+                ${cell(formatCurrency(sum('socialSecurity')))}
+                ${cell(formatCurrency(sum('perDiem')))}
+                ${cell(formatCurrency(sum('adminFees')))}
+                ${cell(formatCurrency(sum('total')))}
+            </tr>
+        `;
+    }
+
+    const portfolioBody = document.getElementById('bulkPortfolioBody');
+    if (portfolioBody) {
+        portfolioBody.innerHTML = portfolio.map(host => `
+            <tr class="hover:bg-gray-50">
+                ${cell(escapeHtml(host.name), 'text-left')}
+                ${cell(host.count)}
+                ${cell(formatCurrency(host.tax))}
+                ${cell(formatCurrency(host.socialSecurity))}
+                ${cell(formatCurrency(host.perDiem))}
+                ${cell(formatCurrency(host.adminFees))}
+                ${cell(`<strong>${formatCurrency(host.total)}</strong>`)}
+            </tr>
+        `).join('');
+    }
+
+    const resultsEl = document.getElementById('bulkResults');
     if (resultsEl) {
         resultsEl.classList.remove('hidden');
         resultsEl.scrollIntoView({ behavior: 'smooth', block: 'start' });
@@ -2230,14 +4196,30 @@ function selectOptimisation(type) {
     if (selectedOpt) selectedOpt.classList.add('selected');
 }
 
+// Routes missing from complianceData: EU/EEA members need no work permit between
+// them and post with an A1; the social security agreement comes from the rules file
+function getComplianceProfile(homeCountry, hostCountry) {
+    const listed = complianceData[homeCountry]?.[hostCountry];
+    if (listed) return listed;
+    const withinEea = !!(countryRegistry[homeCountry]?.eea && countryRegistry[hostCountry]?.eea);
+    return {
+        visaWeeks: withinEea ? 2 : 8,
+        complexity: withinEea ? 'low' : 'high',
+        workPermit: !withinEea,
+        a1Required: withinEea,
+        socialSecAgreement: !!socialSecurityRules.agreements[homeCountry]?.[hostCountry]
+    };
+}
+
 function calculateStaffScores(staff, hostCountry, duration) {
-    const compliance = complianceData[staff.home]?.[hostCountry] || { visaWeeks: 8, complexity: 'high' };
-    const config = countryConfig[hostCountry];
+    const compliance = getComplianceProfile(staff.home, hostCountry);
 
-    const totalSalary = staff.salary * duration;
-    const taxCost = totalSalary * config.taxRate;
-    const socialSecCost = totalSalary * config.socialSec;
-    const totalCost = totalSalary + taxCost + socialSecCost + 3200;
+    const { grandTotal: totalCost } = estimateRouteCost({
+        homeCountry: staff.home,
+        hostCountry,
+        monthlySalary: staff.salary,
+        assignmentLength: duration
+    });
     const maxCost = 15000 * duration;
     const costScore = Math.max(0, 100 - (totalCost / maxCost * 100));
 
@@ -2630,12 +4612,16 @@ function processVoiceCommand(transcript) {
 window.initApp = function () {
     console.log('[APP] initApp called - applying settings');
     applySettingsToUI();
+    appDataReady.then(restoreSharedEstimate);
 };
 
 document.addEventListener('DOMContentLoaded', async () => {
+    renderCountryOptions();
+
     const today = new Date().toISOString().split('T')[0];
     const startDateInput = document.getElementById('startDate');
     if (startDateInput) startDateInput.value = today;
+    syncEndDate();
 
     // Show admin button for superusers
     if (window.currentUserRole === 'superuser') {
@@ -2647,12 +4633,15 @@ document.addEventListener('DOMContentLoaded', async () => {
     applySettingsToUI();
 
     await loadTaxRules();
+    checkBundledCountryCoverage();
+    await loadPublishedCountryRules();
     await fetchExchangeRates();
     updateCountryInfo();
     setupTooltipAccessibility();
     attachInputWarningListeners();
     updateInputWarnings();
     initVoiceRecognition();
+    resolveAppDataReady();
 
     // Setup drag and drop
     setupDragAndDrop('dropZone', handleFileUpload);
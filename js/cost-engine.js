@@ -0,0 +1,2338 @@
+/**
+ * Cost Engine for FSE Deployment Cost Calculator
+ *
+ * Pure, DOM-free assignment cost estimation. Takes plain inputs plus the
+ * country/tax rule data and returns the same shape the calculator stores in
+ * lastCalculationData, so the calculator tab, bulk upload, staffing engine,
+ * voice assistant and screening wizard can all share one implementation.
+ *
+ * Browser: loaded as a classic script, exposes window.CostEngine
+ * Node:    const CostEngine = require('./js/cost-engine.js');
+ */
+
+(function (root) {
+    'use strict';
+
+    // =========================================================================
+    // DATE HELPERS
+    // =========================================================================
+
+    // Parse a 'YYYY-MM-DD' string into a UTC date (null when missing or invalid)
+    function parseISODate(value) {
+        if (!value) return null;
+        if (value instanceof Date) return isNaN(value) ? null : value;
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+        if (!match) return null;
+        const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+        return isNaN(date) ? null : date;
+    }
+
+    function formatISODate(date) {
+        return date.toISOString().split('T')[0];
+    }
+
+    // Add calendar months in UTC, clamping to the last day of the target month
+    function addMonths(date, months) {
+        const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+        const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+        target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+        return target;
+    }
+
+    const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+    function addDays(date, days) {
+        return new Date(date.getTime() + days * MS_PER_DAY);
+    }
+
+    // Inclusive day count between two UTC dates
+    function daysBetween(start, end) {
+        return Math.round((end.getTime() - start.getTime()) / MS_PER_DAY) + 1;
+    }
+
+    /**
+     * Resolve the assignment's first and last day on site.
+     * The end date defaults to the day before start + assignmentLength months.
+     * @returns {{ start: Date, end: Date, days: number }|null} null when no valid start date
+     */
+    function resolveAssignmentDates(startDate, endDate, assignmentLength) {
+        const start = parseISODate(startDate);
+        if (!start) return null;
+
+        let end = parseISODate(endDate);
+        if (!end || end < start) {
+            end = addDays(addMonths(start, assignmentLength), -1);
+        }
+        return { start, end, days: daysBetween(start, end) };
+    }
+
+    // Key of the tax year a date falls in; taxYearStart is 'MM-DD' (default calendar year)
+    function taxYearOf(date, taxYearStart = '01-01') {
+        const [month, day] = taxYearStart.split('-').map(Number);
+        const year = date.getUTCFullYear();
+        const yearStart = Date.UTC(year, month - 1, day);
+        return date.getTime() >= yearStart ? year : year - 1;
+    }
+
+    // Label a tax year key, e.g. 2026 or 2026/27 for non-calendar years
+    function formatTaxYear(year, taxYearStart = '01-01') {
+        return taxYearStart === '01-01' ? String(year) : `${year}/${String((year + 1) % 100).padStart(2, '0')}`;
+    }
+
+    // =========================================================================
+    // TAX HELPERS
+    // =========================================================================
+
+    // Calculate progressive tax using bracket-by-bracket method
+    function calculateProgressiveTax(income, brackets, returnBreakdown = false) {
+        let tax = 0;
+        const breakdown = [];
+
+        for (const bracket of brackets) {
+            if (income > bracket.min) {
+                const maxBracket = bracket.max || Infinity;
+                const taxableInBracket = Math.min(income, maxBracket) - bracket.min;
+                const taxInBracket = taxableInBracket * bracket.rate;
+                tax += taxInBracket;
+
+                // Store breakdown for display
+                breakdown.push({
+                    min: bracket.min,
+                    max: bracket.max,
+                    rate: bracket.rate,
+                    taxableAmount: taxableInBracket,
+                    taxAmount: taxInBracket
+                });
+            }
+        }
+
+        if (returnBreakdown) {
+            return { total: tax, breakdown: breakdown };
+        }
+        return tax;
+    }
+
+    // Bracket thresholds are declared per period in tax-rules.json (e.g. "taxBracketsPeriod"):
+    // monthly  - thresholds apply to each month's pay
+    // annual   - thresholds apply to each 12-month period counted from the assignment start
+    // tax-year - thresholds apply to the income received in each host tax year
+    const BRACKET_PERIOD_LABELS = {
+        monthly: 'monthly thresholds',
+        annual: '12-month thresholds',
+        'tax-year': 'per tax year'
+    };
+
+    /**
+     * Pick the bracket set or flat rate that applies to this assignment
+     * @returns {{ brackets: Array|null, flatRate: number|null, period: string|null, method: string }}
+     */
+    function selectTaxRule(config, countryTaxRules, isResident) {
+        // Admin-published rules may set the default rate; else the config's
+        const defaultRate = countryTaxRules?.defaultRate ?? config.taxRate;
+        const flat = (rate, label = 'Flat rate') => ({
+            brackets: null,
+            flatRate: rate,
+            period: null,
+            method: `${label} (${(rate * 100).toFixed(0)}%)`
+        });
+        const progressive = (key, label) => {
+            const period = countryTaxRules[`${key}Period`] || 'tax-year';
+            return {
+                brackets: countryTaxRules[key],
+                flatRate: null,
+                period,
+                method: `Progressive brackets (${label}) – ${BRACKET_PERIOD_LABELS[period] || period}`
+            };
+        };
+
+        if (!countryTaxRules) {
+            return flat(config.taxRate);
+        }
+
+        if (isResident) {
+            if (countryTaxRules.taxBrackets) {
+                return progressive('taxBrackets', 'Resident');
+            }
+            // Resident but no brackets? Fallback to the default flat rate (unlikely for these countries)
+            return flat(defaultRate);
+        }
+
+        if (countryTaxRules.nonResidentBrackets) {
+            return progressive('nonResidentBrackets', 'Non-Resident');
+        }
+        if (countryTaxRules.useResidentBracketsForNonResident && countryTaxRules.taxBrackets) {
+            return progressive('taxBrackets', 'Non-Resident - Same as Resident');
+        }
+        if (countryTaxRules.nonResidentRate !== undefined) {
+            return flat(countryTaxRules.nonResidentRate, 'Non-Resident Flat Rate');
+        }
+        // Only resident brackets (or nothing) specified: use the default flat rate
+        return flat(defaultRate);
+    }
+
+    /**
+     * Split the assignment across the host country's tax years.
+     * With dates, each year gets its share of the days on site; without dates
+     * the assignment is cut into 12-month years from the start.
+     * @returns {Array<{ label, startDate, endDate, days, months, share }>}
+     */
+    function splitByTaxYear(dates, assignmentLength, taxYearStart = '01-01') {
+        const years = [];
+
+        if (!dates) {
+            for (let i = 0; i < assignmentLength; i += 12) {
+                const months = Math.min(12, assignmentLength - i);
+                years.push({
+                    label: `Year ${i / 12 + 1}`,
+                    startDate: null,
+                    endDate: null,
+                    days: months * 30,
+                    months,
+                    share: months / assignmentLength
+                });
+            }
+            return years;
+        }
+
+        const [month, day] = taxYearStart.split('-').map(Number);
+        for (let year = taxYearOf(dates.start, taxYearStart); year <= taxYearOf(dates.end, taxYearStart); year++) {
+            const yearStart = new Date(Date.UTC(year, month - 1, day));
+            const yearEnd = addDays(new Date(Date.UTC(year + 1, month - 1, day)), -1);
+            const from = dates.start > yearStart ? dates.start : yearStart;
+            const to = dates.end < yearEnd ? dates.end : yearEnd;
+            const days = daysBetween(from, to);
+            years.push({
+                label: `Tax year ${formatTaxYear(year, taxYearStart)}`,
+                startDate: formatISODate(from),
+                endDate: formatISODate(to),
+                days,
+                months: assignmentLength * days / dates.days,
+                share: days / dates.days
+            });
+        }
+        return years;
+    }
+
+    /**
+     * Split the assignment into the periods a bracket set's thresholds apply to.
+     * @param {Array} taxYears - output of splitByTaxYear, used for 'tax-year' thresholds
+     * @returns {Array<{ label: string, months: number }>}
+     */
+    function splitIntoTaxPeriods(period, assignmentLength, taxYears) {
+        const periods = [];
+
+        if (period === 'monthly') {
+            for (let i = 0; i < assignmentLength; i++) {
+                periods.push({ label: `Month ${i + 1}`, months: Math.min(1, assignmentLength - i) });
+            }
+            return periods;
+        }
+
+        if (period === 'tax-year' && taxYears) {
+            return taxYears.map(({ label, months }) => ({ label, months }));
+        }
+
+        for (let i = 0; i < assignmentLength; i += 12) {
+            periods.push({ label: `Year ${i / 12 + 1}`, months: Math.min(12, assignmentLength - i) });
+        }
+        return periods;
+    }
+
+    /**
+     * Apply the selected tax rule to the assignment salary (local currency).
+     * Brackets are applied per period (see splitIntoTaxPeriods) with the annual
+     * deduction given once per period (pro-rated for monthly thresholds). A table
+     * that starts with a 0% band already holds the allowance, so the deduction
+     * (there for the flat-rate fallback) is not given again.
+     */
+    function applyTaxRule(taxRule, { monthlySalaryLocal, assignmentLength, taxYears, deduction }) {
+        if (!taxRule.brackets) {
+            const taxableIncomeLocal = Math.max(0, monthlySalaryLocal * assignmentLength - deduction);
+            const taxAmountLocal = taxableIncomeLocal * taxRule.flatRate;
+            return {
+                taxableIncomeLocal,
+                taxAmountLocal,
+                taxPeriods: [{ label: 'Assignment', months: assignmentLength, taxableIncomeLocal, taxAmountLocal }],
+                taxBracketBreakdown: [{
+                    min: 0,
+                    max: null,
+                    rate: taxRule.flatRate,
+                    taxableAmount: taxableIncomeLocal,
+                    taxAmount: taxAmountLocal
+                }]
+            };
+        }
+
+        const bracketDeduction = taxRule.brackets[0]?.rate === 0 ? 0 : deduction;
+        const bracketTotals = new Map();
+        const taxPeriods = splitIntoTaxPeriods(taxRule.period, assignmentLength, taxYears).map(period => {
+            const periodDeduction = taxRule.period === 'monthly' ? bracketDeduction * period.months / 12 : bracketDeduction;
+            const periodTaxable = Math.max(0, monthlySalaryLocal * period.months - periodDeduction);
+            const result = calculateProgressiveTax(periodTaxable, taxRule.brackets, true);
+
+            // Merge each period's bracket usage into one breakdown for display
+            for (const row of result.breakdown) {
+                const total = bracketTotals.get(row.min) || { ...row, taxableAmount: 0, taxAmount: 0 };
+                total.taxableAmount += row.taxableAmount;
+                total.taxAmount += row.taxAmount;
+                bracketTotals.set(row.min, total);
+            }
+
+            return { ...period, taxableIncomeLocal: periodTaxable, taxAmountLocal: result.total };
+        });
+
+        return {
+            taxableIncomeLocal: taxPeriods.reduce((sum, p) => sum + p.taxableIncomeLocal, 0),
+            taxAmountLocal: taxPeriods.reduce((sum, p) => sum + p.taxAmountLocal, 0),
+            taxPeriods,
+            taxBracketBreakdown: [...bracketTotals.values()]
+        };
+    }
+
+    // =========================================================================
+    // TAX EQUALISATION
+    // =========================================================================
+
+    const GROSS_UP_MAX_ITERATIONS = 100;
+    const GROSS_UP_TOLERANCE = 0.01;
+
+    /**
+     * Gross up host tax paid by the company. The tax paid (less any hypothetical
+     * tax recovered from the employee) is itself taxable income, so iterate
+     * tax = f(salary + tax - hypotheticalTax) until it stops moving.
+     * @param {number} hypotheticalTaxLocal - hypothetical home tax in host currency
+     * @returns {Object} applyTaxRule result plus grossUpLocal, iterations and converged
+     */
+    function grossUpTax(taxRule, params, hypotheticalTaxLocal = 0) {
+        const months = params.assignmentLength || 1;
+        let result = applyTaxRule(taxRule, params);
+        let grossUpLocal = 0;
+        const iterations = [result.taxAmountLocal];
+        let converged = false;
+
+        for (let i = 0; i < GROSS_UP_MAX_ITERATIONS; i++) {
+            grossUpLocal = Math.max(0, result.taxAmountLocal - hypotheticalTaxLocal);
+            const next = applyTaxRule(taxRule, {
+                ...params,
+                monthlySalaryLocal: params.monthlySalaryLocal + grossUpLocal / months
+            });
+            iterations.push(next.taxAmountLocal);
+            const change = Math.abs(next.taxAmountLocal - result.taxAmountLocal);
+            result = next;
+            if (change < GROSS_UP_TOLERANCE) {
+                converged = true;
+                break;
+            }
+        }
+
+        return { ...result, grossUpLocal, iterations, converged };
+    }
+
+    // =========================================================================
+    // HOME COUNTRY TAX
+    // =========================================================================
+
+    /**
+     * Tax on the assignment pay (salary plus taxable extras) under the home
+     * country's resident brackets.
+     * Used for hypothetical tax (equalisation) and for actual home tax before
+     * treaty relief.
+     * @param {number} exchangeRate - EUR to home currency (1 for euro countries)
+     * @returns {Object|null} null when the home country has no brackets
+     */
+    function calculateHomeCountryTax(homeTaxRules, { monthlySalary, assignmentLength, dates, exchangeRate = 1 }) {
+        if (!homeTaxRules?.taxBrackets) return null;
+
+        const taxRule = selectTaxRule({ taxRate: 0 }, homeTaxRules, true);
+        const result = applyTaxRule(taxRule, {
+            monthlySalaryLocal: monthlySalary * exchangeRate,
+            assignmentLength,
+            taxYears: splitByTaxYear(dates, assignmentLength, homeTaxRules.taxYearStart || '01-01'),
+            deduction: homeTaxRules.standardDeduction || 0
+        });
+
+        return {
+            taxAmountLocal: result.taxAmountLocal,
+            taxAmountEUR: result.taxAmountLocal / exchangeRate,
+            taxableIncomeEUR: result.taxableIncomeLocal / exchangeRate,
+            effectiveTaxRate: result.taxableIncomeLocal > 0 ? (result.taxAmountLocal / result.taxableIncomeLocal) * 100 : 0,
+            method: taxRule.method,
+            taxBracketBreakdown: result.taxBracketBreakdown,
+            source: homeTaxRules.taxSource || '',
+            sourceUrl: homeTaxRules.taxSourceUrl || ''
+        };
+    }
+
+    // True when the assignment lasts at least the given number of months
+    function lastsAtLeastMonths(dates, assignmentLength, months) {
+        if (!dates) return assignmentLength >= months;
+        return addDays(addMonths(dates.start, months), -1) <= dates.end;
+    }
+
+    /**
+     * Home country tax left to pay after relief for host tax, following the
+     * homeTax rules in tax-rules.json:
+     * - nonResidentAfterMonths: home residency lapses on long assignments
+     * - sixMonthRule: pay for work abroad lasting 6+ months is exempt (Finland), unless
+     *   a treaty leaves the host no right to tax it (host non-resident)
+     * - treatyReliefMethod / nonTreatyReliefMethod: 'exemption' or 'credit'
+     *   (the credit is capped at the home tax on the same income)
+     */
+    function calculateHomeTaxRelief(homeTaxRules, { homeTax, hostCountry, hostTaxEUR, assignmentLength, dates, isHostResident }) {
+        const relief = homeTaxRules?.homeTax;
+        if (!homeTax || !relief) return null;
+
+        const homeTaxEUR = homeTax.taxAmountEUR;
+        const treaty = (relief.treatyPartners || []).includes(hostCountry);
+        const result = {
+            treaty,
+            isResident: true,
+            dualResident: false,
+            reliefMethod: treaty ? relief.treatyReliefMethod : relief.nonTreatyReliefMethod,
+            reliefNote: '',
+            homeTaxEUR,
+            foreignTaxCreditEUR: 0,
+            residualHomeTaxEUR: homeTaxEUR,
+            source: relief.source || '',
+            sourceUrl: relief.sourceUrl || ''
+        };
+
+        if (relief.nonResidentAfterMonths && lastsAtLeastMonths(dates, assignmentLength, relief.nonResidentAfterMonths)) {
+            return {
+                ...result,
+                isResident: false,
+                reliefMethod: 'non-resident',
+                reliefNote: relief.nonResidentNote || '',
+                residualHomeTaxEUR: 0
+            };
+        }
+
+        result.dualResident = !!isHostResident;
+
+        const sixMonthRule = relief.sixMonthRule;
+        const hostMayTax = !treaty || !!isHostResident;
+        if (sixMonthRule && hostMayTax && lastsAtLeastMonths(dates, assignmentLength, sixMonthRule.months || 6)) {
+            return {
+                ...result,
+                reliefMethod: 'six-month rule',
+                reliefNote: sixMonthRule.note || '',
+                residualHomeTaxEUR: 0,
+                source: sixMonthRule.source || result.source,
+                sourceUrl: sixMonthRule.sourceUrl || result.sourceUrl
+            };
+        }
+
+        if (result.reliefMethod === 'exemption') {
+            return { ...result, reliefNote: relief.exemptionNote || '', residualHomeTaxEUR: 0 };
+        }
+
+        const foreignTaxCreditEUR = Math.min(hostTaxEUR, homeTaxEUR);
+        return {
+            ...result,
+            reliefMethod: 'credit',
+            reliefNote: relief.creditNote || '',
+            foreignTaxCreditEUR,
+            residualHomeTaxEUR: homeTaxEUR - foreignTaxCreditEUR
+        };
+    }
+
+    // =========================================================================
+    // TAX RESIDENCY
+    // =========================================================================
+
+    // Used when tax-rules.json declares no residencyRule for the host country
+    const DEFAULT_RESIDENCY_RULE = { test: 'rolling-days', days: 183, windowDays: 365 };
+
+    /**
+     * Walk each day on site and return the first day a residency test is met.
+     * check(date, dayIndex, counts) returns a description when the test passes.
+     * counts.byYear holds days per tax year (keyed by taxYearStart).
+     */
+    function findResidencyTrigger(dates, taxYearStart, check) {
+        const byYear = {};
+        for (let i = 0; i < dates.days; i++) {
+            const date = addDays(dates.start, i);
+            const year = taxYearOf(date, taxYearStart);
+            byYear[year] = (byYear[year] || 0) + 1;
+
+            const detail = check(date, i, { year, byYear });
+            if (detail) {
+                return { triggeredOn: formatISODate(date), detail };
+            }
+        }
+        return null;
+    }
+
+    const RESIDENCY_TESTS = {
+        // Present for N days within any rolling window (e.g. 183 days in any 12-month period)
+        'rolling-days': (rule, dates) => ({
+            label: `${rule.days} days in any ${Math.round(rule.windowDays / 30.4)}-month period`,
+            trigger: findResidencyTrigger(dates, '01-01', (date, i) => {
+                // Presence is continuous, so the rolling window count is the days so far (capped by the window)
+                const inWindow = Math.min(i + 1, rule.windowDays);
+                return inWindow >= rule.days ? `${rule.days}th day in country within ${rule.windowDays} days` : null;
+            })
+        }),
+
+        // Present for N days within one calendar year, optionally across two years for one continuous stay
+        'calendar-year-days': (rule, dates) => ({
+            label: `${rule.days} days in a calendar year`,
+            trigger: findResidencyTrigger(dates, '01-01', (date, i, { year, byYear }) => {
+                if (byYear[year] >= rule.days) {
+                    return `${rule.days} days in calendar year ${year}`;
+                }
+                const spansYears = dates.start.getUTCFullYear() !== dates.end.getUTCFullYear();
+                if (rule.allowSpanning && spansYears && dates.days >= rule.days && i + 1 >= rule.days) {
+                    return `Continuous stay of ${rule.days} days spanning two calendar years (administrative concession)`;
+                }
+                return null;
+            })
+        }),
+
+        // US substantial presence test: current year days + weighted days of the two prior years
+        'substantial-presence': (rule, dates) => ({
+            label: 'Substantial presence test',
+            trigger: findResidencyTrigger(dates, '01-01', (date, i, { year, byYear }) => {
+                const weights = rule.priorYearWeights || [1, 1 / 3, 1 / 6];
+                const weighted = weights.reduce((sum, weight, back) => sum + (byYear[year - back] || 0) * weight, 0);
+                if (byYear[year] >= (rule.minCurrentYearDays || 31) && weighted >= rule.days) {
+                    return `${Math.floor(weighted)} weighted days in ${year} (current year + ⅓ prior + ⅙ two years prior)`;
+                }
+                return null;
+            })
+        }),
+
+        // UK statutory residence test: automatic UK test, then sufficient ties day bands
+        'uk-srt': (rule, dates) => {
+            const tiesBand = (rule.sufficientTies || [])
+                .filter(band => band.ties <= (rule.assumedTies || 0))
+                .sort((a, b) => a.minDays - b.minDays)[0];
+            return {
+                label: 'UK statutory residence test',
+                trigger: findResidencyTrigger(dates, rule.taxYearStart, (date, i, { year, byYear }) => {
+                    const taxYear = formatTaxYear(year, rule.taxYearStart);
+                    if (byYear[year] >= rule.automaticDays) {
+                        return `Automatic UK test: ${rule.automaticDays} days in tax year ${taxYear}`;
+                    }
+                    if (tiesBand && byYear[year] >= tiesBand.minDays) {
+                        return `Sufficient ties test: ${tiesBand.minDays}+ days with ${rule.assumedTies} UK ties in tax year ${taxYear}`;
+                    }
+                    return null;
+                })
+            };
+        },
+
+        // India: 182 days in the financial year, or 60 days plus 365 days over the preceding four years
+        'india-days': (rule, dates) => ({
+            label: `${rule.days}-day / ${rule.shortStayDays}-day test`,
+            trigger: findResidencyTrigger(dates, rule.taxYearStart, (date, i, { year, byYear }) => {
+                const taxYear = formatTaxYear(year, rule.taxYearStart);
+                if (byYear[year] >= rule.days) {
+                    return `${rule.days} days in financial year ${taxYear}`;
+                }
+                let priorDays = 0;
+                for (let back = 1; back <= rule.lookbackYears; back++) {
+                    priorDays += byYear[year - back] || 0;
+                }
+                if (byYear[year] >= rule.shortStayDays && priorDays >= rule.lookbackDays) {
+                    return `${rule.shortStayDays} days in ${taxYear} and ${priorDays} days in the preceding ${rule.lookbackYears} years`;
+                }
+                return null;
+            })
+        })
+    };
+
+    /**
+     * Decide whether the assignment makes the employee tax resident in the host country.
+     * Uses the host's residencyRule from tax-rules.json against the actual days on site;
+     * without dates it falls back to 30-day months against 183 days.
+     * @returns {{ isResident: boolean, test: string, triggeredOn: string|null, detail: string, daysInHost: number }}
+     */
+    function determineTaxResidency(countryTaxRules, dates, assignmentLength) {
+        if (!dates) {
+            const days = assignmentLength * 30;
+            return {
+                isResident: days >= 183,
+                test: '183-day rule (approximate, 30-day months)',
+                triggeredOn: null,
+                detail: `${days} approximate days on site`,
+                daysInHost: days
+            };
+        }
+
+        const rule = {
+            taxYearStart: countryTaxRules?.taxYearStart || '01-01',
+            ...(countryTaxRules?.residencyRule || DEFAULT_RESIDENCY_RULE)
+        };
+        const runTest = RESIDENCY_TESTS[rule.test] || RESIDENCY_TESTS[DEFAULT_RESIDENCY_RULE.test];
+        const { label, trigger } = runTest(rule, dates);
+
+        return {
+            isResident: !!trigger,
+            test: label,
+            triggeredOn: trigger ? trigger.triggeredOn : null,
+            detail: trigger ? trigger.detail : `Test not met during ${dates.days} days on site`,
+            daysInHost: dates.days,
+            source: rule.source || null,
+            sourceUrl: rule.sourceUrl || null
+        };
+    }
+
+    // =========================================================================
+    // ADMIN FEES
+    // =========================================================================
+
+    /**
+     * Resolve the fee items for a route and duration from the fee schedule
+     * (data/fee-schedule.js): default -> host -> EU/EEA (home and host both members)
+     * -> home->host route -> duration band. Later layers replace earlier items with the same id.
+     * @returns {{ provider: string, items: Array }}
+     */
+    function resolveFeeSchedule(schedule, { homeCountry, hostCountry, assignmentLength }) {
+        const items = new Map();
+        let provider = '';
+        const applyLayer = (layer) => {
+            if (!layer) return;
+            if (layer.provider) provider = layer.provider;
+            for (const item of layer.items || []) {
+                items.set(item.id, { ...items.get(item.id), ...item });
+            }
+        };
+
+        const hostSchedule = schedule.countries?.[hostCountry];
+        applyLayer(schedule.default);
+        applyLayer(hostSchedule);
+        const eeaMembers = schedule.eea?.members || [];
+        if (eeaMembers.includes(homeCountry) && eeaMembers.includes(hostCountry)) {
+            applyLayer(schedule.eea);
+        }
+        applyLayer(hostSchedule?.routes?.[homeCountry]);
+        applyLayer((hostSchedule?.durationBands || []).find(band =>
+            assignmentLength >= (band.minMonths || 0) && assignmentLength <= (band.maxMonths ?? Infinity)
+        ));
+
+        return { provider, items: [...items.values()] };
+    }
+
+    /**
+     * Admin fees are employer costs, NOT included in employee's taxable income.
+     * @param {Object} options - { schedule, homeCountry, hostCountry, overrides }
+     *                           overrides maps item id to an amount (EUR) replacing the schedule
+     * @returns {{ total, breakdown: { visa, workPermit, other }, items, provider, scheduleVersion }}
+     */
+    function calculateAdminFees(assignmentLength, { schedule, homeCountry, hostCountry, overrides = {} } = {}) {
+        if (!schedule) {
+            throw new Error('Missing fee schedule (rules.feeSchedule)');
+        }
+
+        const resolved = resolveFeeSchedule(schedule, { homeCountry, hostCountry, assignmentLength });
+        const items = resolved.items.map(item => {
+            const override = overrides[item.id];
+            const overridden = override !== undefined && override !== null && override !== '';
+            const amount = overridden ? Number(override) : item.amount;
+            if (!Number.isFinite(amount) || amount < 0) {
+                throw new Error(`Invalid fee amount for ${item.id}: ${override}`);
+            }
+
+            // Annual fees are pro-rated; monthly fees charged for every month
+            const quantity = item.frequency === 'monthly'
+                ? assignmentLength
+                : item.frequency === 'annual' ? assignmentLength / 12 : 1;
+
+            return { ...item, scheduledAmount: item.amount, amount, overridden, total: amount * quantity };
+        });
+
+        const breakdown = { visa: 0, workPermit: 0, other: 0 };
+        for (const item of items) {
+            breakdown[item.category in breakdown ? item.category : 'other'] += item.total;
+        }
+
+        return {
+            total: items.reduce((sum, item) => sum + item.total, 0),
+            breakdown,
+            items,
+            provider: resolved.provider,
+            scheduleVersion: schedule.version || null
+        };
+    }
+
+    // =========================================================================
+    // ASSIGNMENT COSTS
+    // =========================================================================
+
+    /**
+     * Whether a cost is a taxable benefit in the host country, following the
+     * tax-rules.json flag named by the category (relocationTaxable, visaFeesTaxable).
+     * A 'partial' flag taxes cash allowances but not reimbursed costs.
+     */
+    function isTaxableBenefit(taxFlag, countryTaxRules, cashAllowance = false) {
+        const flag = taxFlag ? countryTaxRules?.[taxFlag] : false;
+        return flag === 'partial' ? cashAllowance : flag === true;
+    }
+
+    /**
+     * Optional costs selected for the assignment (data/assignment-costs.js).
+     * @param {Object} selections - category id -> { amount } for each included
+     *                              category; amount replaces the country default
+     * @returns {{ total, taxableTotal, items, version }}
+     */
+    function calculateAssignmentCosts(assignmentLength, { defaults, hostCountry, selections = {}, countryTaxRules }) {
+        const items = Object.entries(selections).map(([id, selection]) => {
+            const category = defaults?.categories?.[id];
+            if (!category) {
+                throw new Error(`Unknown assignment cost category: ${id}`);
+            }
+
+            const countryAmount = defaults.countries?.[hostCountry]?.[id];
+            const defaultAmount = countryAmount ?? category.amount;
+            const amount = selection?.amount ?? defaultAmount;
+            if (!Number.isFinite(amount) || amount < 0) {
+                throw new Error(`Invalid amount for ${id}: ${selection.amount}`);
+            }
+
+            let quantity = 1;
+            if (category.frequency === 'monthly') quantity = assignmentLength;
+            if (category.frequency === 'trip') quantity = Math.floor(Math.max(0, assignmentLength - 1) / (category.everyMonths || 3));
+
+            const taxable = isTaxableBenefit(category.taxFlag, countryTaxRules, category.cashAllowance);
+            return {
+                id,
+                label: category.label,
+                frequency: category.frequency,
+                amount,
+                defaultAmount,
+                quantity,
+                total: amount * quantity,
+                taxable,
+                taxFlag: category.taxFlag
+            };
+        });
+
+        return {
+            total: items.reduce((sum, item) => sum + item.total, 0),
+            taxableTotal: items.reduce((sum, item) => sum + (item.taxable ? item.total : 0), 0),
+            items,
+            version: defaults?.version || null
+        };
+    }
+
+    // =========================================================================
+    // SOCIAL SECURITY
+    // =========================================================================
+
+    const CONTRIBUTION_PERIOD_MONTHS = { monthly: 1, quarterly: 3, annual: 12 };
+
+    /**
+     * Apply contribution rules to a run of months at a constant monthly wage.
+     * Thresholds and ceilings are measured per each contribution's period
+     * (a trailing part period counts its own months only).
+     * @param {Array} contributions - Country contribution rules (data/social-security-rules.js)
+     * @param {Object} params - { monthlyEarningsLocal, months, exchangeRate }
+     * @returns {Object} { employer, employee, rows } - totals in EUR and one row per contribution
+     */
+    function calculateContributions(contributions, { monthlyEarningsLocal, months, exchangeRate }) {
+        const rows = (contributions || []).map(rule => {
+            const periodMonths = CONTRIBUTION_PERIOD_MONTHS[rule.period] || 1;
+            const threshold = rule.threshold || 0;
+            const band = rule.ceiling ? Math.max(0, rule.ceiling - threshold) : Infinity;
+            let baseLocal = 0;
+            let capped = false;
+
+            for (let done = 0; done < months; done += periodMonths) {
+                const earnings = monthlyEarningsLocal * Math.min(periodMonths, months - done);
+                const aboveThreshold = Math.max(0, earnings - threshold);
+                if (aboveThreshold > band) capped = true;
+                baseLocal += Math.min(aboveThreshold, band);
+            }
+
+            const amountLocal = baseLocal * rule.rate;
+            return {
+                id: rule.id,
+                label: rule.label,
+                payer: rule.payer,
+                rate: rule.rate,
+                period: rule.period || 'monthly',
+                threshold: rule.threshold || null,
+                ceiling: rule.ceiling || null,
+                baseLocal,
+                amountLocal,
+                amountEUR: amountLocal / exchangeRate,
+                capped
+            };
+        });
+
+        return {
+            employer: rows.reduce((sum, row) => sum + (row.payer === 'employer' ? row.amountEUR : 0), 0),
+            employee: rows.reduce((sum, row) => sum + (row.payer === 'employee' ? row.amountEUR : 0), 0),
+            rows
+        };
+    }
+
+    /**
+     * Sum per-year contribution rows into one row per contribution.
+     * @param {Array<Array>} rowsByYear - calculateContributions rows for each tax year
+     * @returns {Array} Merged rows (capped if any year hit the ceiling)
+     */
+    function mergeContributions(rowsByYear) {
+        const merged = new Map();
+        rowsByYear.flat().forEach(row => {
+            const existing = merged.get(row.id);
+            if (!existing) {
+                merged.set(row.id, { ...row });
+                return;
+            }
+            existing.baseLocal += row.baseLocal;
+            existing.amountLocal += row.amountLocal;
+            existing.amountEUR += row.amountEUR;
+            existing.capped = existing.capped || row.capped;
+        });
+        return Array.from(merged.values());
+    }
+
+    /**
+     * Look up the certificate of coverage (A1 / CoC) for a posting.
+     * @param {Object} ssRules - Social security rules (data/social-security-rules.js)
+     * @returns {Object|null} { certificate, maxMonths, source, sourceUrl } or null without an agreement
+     */
+    function findCertificate(ssRules, homeCountry, hostCountry) {
+        const homeAgreements = ssRules?.agreements?.[homeCountry];
+        const agreement = homeAgreements?.[hostCountry];
+        if (!agreement) return null;
+        return {
+            ...agreement,
+            source: agreement.source || homeAgreements.source || '',
+            sourceUrl: agreement.sourceUrl || homeAgreements.sourceUrl || ''
+        };
+    }
+
+    // Per diem is NOT subject to social security when properly documented.
+    // While a certificate of coverage is valid the employee stays insured at home;
+    // host contributions start once it expires. Settings decide whether host SS
+    // is included anyway based on agreement status.
+    function calculateSocialSecurity({
+        config, hostRules, homeRules, ssRules, certificate,
+        grossSalary, monthlySalary, assignmentLength, monthOffset = 0,
+        exchangeRate, homeExchangeRate = 1, settings
+    }) {
+        let employerSocialSec = 0;
+        let employeeSocialSec = 0;
+        let contributions = [];
+        let socialSecIncluded = true;
+        let socialSecExclusionReason = null;
+
+        // Without social security rules, fall back to the country config flag
+        // (noTreatyWarning=true means NO agreement)
+        const hasAgreement = ssRules ? !!certificate : !config.noTreatyWarning;
+
+        // Months of this tax year still inside the certificate's validity. The config
+        // flag carries no validity period, so an agreement there covers every month.
+        let coveredMonths = 0;
+        if (certificate) {
+            coveredMonths = Math.min(assignmentLength, Math.max(0, certificate.maxMonths - monthOffset));
+        } else if (!ssRules && hasAgreement) {
+            coveredMonths = assignmentLength;
+        }
+
+        let hostMonths = assignmentLength;
+        if (hasAgreement && !settings.includeSSWithAgreement) {
+            // Agreement exists, but user has toggled OFF host SS for agreement countries:
+            // only months beyond the certificate's validity remain
+            hostMonths = assignmentLength - coveredMonths;
+            if (hostMonths <= 0) {
+                socialSecIncluded = false;
+                socialSecExclusionReason = 'Excluded (A1/CoC exemption assumed)';
+            }
+        } else if (!hasAgreement && !settings.includeSSNoAgreement) {
+            // No agreement, but user has toggled OFF host SS for non-agreement countries
+            hostMonths = 0;
+            socialSecIncluded = false;
+            socialSecExclusionReason = 'Excluded by user setting';
+        }
+
+        if (socialSecIncluded) {
+            if (hostRules) {
+                const host = calculateContributions(hostRules.contributions, {
+                    monthlyEarningsLocal: monthlySalary * exchangeRate,
+                    months: hostMonths,
+                    exchangeRate
+                });
+                employerSocialSec = host.employer;
+                employeeSocialSec = host.employee;
+                contributions = host.rows;
+            } else {
+                // Fallback to flat config rates
+                const hostShare = assignmentLength > 0 ? hostMonths / assignmentLength : 0;
+                const totalRate = config.employerSocialSec !== undefined
+                    ? { employer: config.employerSocialSec, employee: config.employeeSocialSec }
+                    : { employer: config.socialSec * 0.7, employee: config.socialSec * 0.3 }; // Employer typically pays more
+                employerSocialSec = grossSalary * hostShare * totalRate.employer;
+                employeeSocialSec = grossSalary * hostShare * totalRate.employee;
+            }
+        }
+
+        // Home contributions stay payable while the certificate is valid, and for
+        // the whole posting where there is no agreement
+        const homeMonths = hasAgreement ? coveredMonths : assignmentLength;
+        const home = homeRules
+            ? calculateContributions(homeRules.contributions, {
+                monthlyEarningsLocal: monthlySalary * homeExchangeRate,
+                months: homeMonths,
+                exchangeRate: homeExchangeRate
+            })
+            : { employer: 0, employee: 0, rows: [] };
+
+        return {
+            employerSocialSec,
+            employeeSocialSec,
+            contributions,
+            socialSecIncluded,
+            socialSecExclusionReason,
+            hasAgreement,
+            coveredMonths,
+            hostMonths: socialSecIncluded ? hostMonths : 0,
+            homeMonths,
+            homeEmployerSocialSec: home.employer,
+            homeEmployeeSocialSec: home.employee,
+            homeContributions: home.rows
+        };
+    }
+
+    // =========================================================================
+    // EXCHANGE RATES
+    // =========================================================================
+
+    /**
+     * Units of a country's currency per 1 EUR. Rates supplied with the estimate
+     * (historical or pinned budget rates, keyed by currency code) win over the
+     * country config default.
+     * @param {Object} countryConfig - Entry from data/country-config.js (may be undefined)
+     * @param {Object} exchangeRates - { BRL: 6.43, ... }
+     * @returns {number}
+     */
+    function resolveExchangeRate(countryConfig, exchangeRates) {
+        if (!countryConfig) return 1;
+        return exchangeRates?.[countryConfig.currency] || countryConfig.exchangeRate || 1;
+    }
+
+    // =========================================================================
+    // RULE SETS
+    // =========================================================================
+
+    const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    /**
+     * Dates a rule version is in force for one jurisdiction: its own dates unless it
+     * lists others for that jurisdiction under `jurisdictions`
+     * @param {Object} version - Entry from data/rule-sets.js
+     * @param {string} [jurisdiction] - Country key
+     * @returns {{ effectiveFrom: string, effectiveTo: string|null }}
+     */
+    function ruleVersionDates(version, jurisdiction) {
+        const dates = (jurisdiction && version.jurisdictions?.[jurisdiction]) || version;
+        return { effectiveFrom: dates.effectiveFrom, effectiveTo: dates.effectiveTo || null };
+    }
+
+    // All versions of one rule domain (see data/rule-sets.js), newest first
+    function listRuleVersions(domainSets, jurisdiction = null) {
+        if (!domainSets) return [];
+        return [domainSets.current, ...(domainSets.history || [])]
+            .filter(Boolean)
+            .sort((a, b) => ruleVersionDates(b, jurisdiction).effectiveFrom
+                .localeCompare(ruleVersionDates(a, jurisdiction).effectiveFrom));
+    }
+
+    /**
+     * Pick the version of a rule domain in force on a date. Pinned ids (recorded on
+     * a saved estimate) restrict the choice to those versions, so the estimate can
+     * be recomputed under its original rules. Dates no version covers fall back to
+     * the latest version that started earlier, or the oldest one.
+     * @param {Object} domainSets - One domain of data/rule-sets.js, e.g. ruleSets.taxRules
+     * @param {string|null} date - 'YYYY-MM-DD'; null resolves the newest version
+     * @param {Array<string>} [pinnedIds]
+     * @param {string} [jurisdiction] - Country whose rules are wanted, for versions with
+     *                                  dates per jurisdiction
+     * @returns {{ version: Object, covered: boolean }|null} null when the domain has no versions
+     */
+    function resolveRuleVersion(domainSets, date, pinnedIds = null, jurisdiction = null) {
+        let versions = listRuleVersions(domainSets, jurisdiction);
+        if (!versions.length) return null;
+
+        const pinned = Array.isArray(pinnedIds) && pinnedIds.length > 0;
+        if (pinned) {
+            const missing = pinnedIds.filter(id => !versions.some(version => version.id === id));
+            if (missing.length) {
+                throw new Error(`Unknown ${domainSets.label || 'rule set'} version: ${missing.join(', ')}`);
+            }
+            versions = versions.filter(version => pinnedIds.includes(version.id));
+        }
+
+        if (!date) return { version: versions[0], covered: true };
+
+        const inForce = versions.find(version => {
+            const { effectiveFrom, effectiveTo } = ruleVersionDates(version, jurisdiction);
+            return effectiveFrom <= date && (!effectiveTo || date <= effectiveTo);
+        });
+        if (inForce) return { version: inForce, covered: true };
+
+        const earlier = versions.find(version => ruleVersionDates(version, jurisdiction).effectiveFrom <= date);
+        return { version: earlier || versions[versions.length - 1], covered: pinned && !!earlier };
+    }
+
+    // Merge a version's changes into the bundled rules: objects merge, arrays and values replace
+    function mergeRuleChanges(base, changes) {
+        if (!isPlainObject(base) || !isPlainObject(changes)) return changes;
+        const merged = { ...base };
+        for (const [key, value] of Object.entries(changes)) {
+            merged[key] = mergeRuleChanges(base[key], value);
+        }
+        return merged;
+    }
+
+    const appliedRuleVersions = new WeakMap();
+
+    /**
+     * Rules as they stood in a version: the bundled rules with the version's changes
+     * merged in (the current version has none and returns the bundled rules as-is).
+     * Rule files carrying a version field get the version id.
+     * @param {Object} base - Bundled rules, e.g. socialSecurityRules
+     * @param {Object} version - Entry from data/rule-sets.js
+     * @returns {Object}
+     */
+    function applyRuleVersion(base, version) {
+        if (!base || !version?.changes) return base;
+        const cached = appliedRuleVersions.get(version);
+        if (cached?.base === base) return cached.rules;
+
+        const rules = mergeRuleChanges(base, version.changes);
+        if (typeof base.version === 'string') rules.version = version.id;
+        appliedRuleVersions.set(version, { base, rules });
+        return rules;
+    }
+
+    /**
+     * Split a date range at the rule version changes within it.
+     * Without both dates the whole range uses the version at the start date (or the newest).
+     * @param {Object} domainSets - One domain of data/rule-sets.js
+     * @param {string} startDate - 'YYYY-MM-DD'
+     * @param {string} endDate - 'YYYY-MM-DD' (inclusive)
+     * @param {Array<string>} [pinnedIds]
+     * @param {string} [jurisdiction] - see resolveRuleVersion
+     * @returns {Array<{ version, covered, startDate, endDate, days, share }>}
+     */
+    function splitByRuleVersions(domainSets, startDate, endDate, pinnedIds = null, jurisdiction = null) {
+        const first = resolveRuleVersion(domainSets, startDate || null, pinnedIds, jurisdiction);
+        if (!first) return [];
+
+        const start = parseISODate(startDate);
+        const end = parseISODate(endDate);
+        if (!start || !end || end < start) {
+            return [{ ...first, startDate: startDate || null, endDate: endDate || null, days: null, share: 1 }];
+        }
+
+        // Versions can only change on the day one starts or the day after one ends
+        const changeDates = new Set();
+        for (const version of listRuleVersions(domainSets, jurisdiction)) {
+            const { effectiveFrom, effectiveTo } = ruleVersionDates(version, jurisdiction);
+            changeDates.add(effectiveFrom);
+            if (effectiveTo) changeDates.add(formatISODate(addDays(parseISODate(effectiveTo), 1)));
+        }
+        const from = formatISODate(start);
+        const to = formatISODate(end);
+        const boundaries = [...changeDates].filter(date => date > from && date <= to).sort();
+
+        const periods = [];
+        let periodStart = from;
+        for (const next of [...boundaries, null]) {
+            const periodEnd = next ? formatISODate(addDays(parseISODate(next), -1)) : to;
+            const resolved = resolveRuleVersion(domainSets, periodStart, pinnedIds, jurisdiction);
+            const days = daysBetween(parseISODate(periodStart), parseISODate(periodEnd));
+            const last = periods[periods.length - 1];
+            if (last && last.version === resolved.version && last.covered === resolved.covered) {
+                last.endDate = periodEnd;
+                last.days += days;
+            } else {
+                periods.push({ ...resolved, startDate: periodStart, endDate: periodEnd, days });
+            }
+            periodStart = next;
+        }
+
+        const totalDays = daysBetween(start, end);
+        return periods.map(period => ({ ...period, share: period.days / totalDays }));
+    }
+
+    /**
+     * Combine tax worked out separately for groups of tax years under different
+     * tax rule versions into one applyTaxRule / grossUpTax shaped result
+     * @param {Array<{ rule, result, years }>} segments
+     */
+    function combineTaxSegments(segments) {
+        if (segments.length === 1) return segments[0].result;
+
+        const sum = key => segments.reduce((total, segment) => total + (segment.result[key] || 0), 0);
+        const bracketTotals = new Map();
+        for (const { result } of segments) {
+            for (const row of result.taxBracketBreakdown) {
+                const key = `${row.min}-${row.max}-${row.rate}`;
+                const total = bracketTotals.get(key) || { ...row, taxableAmount: 0, taxAmount: 0 };
+                total.taxableAmount += row.taxableAmount;
+                total.taxAmount += row.taxAmount;
+                bracketTotals.set(key, total);
+            }
+        }
+
+        const combined = {
+            taxableIncomeLocal: sum('taxableIncomeLocal'),
+            taxAmountLocal: sum('taxAmountLocal'),
+            // Monthly and 12-month periods restart in each group, so name the group
+            taxPeriods: segments.flatMap(({ rule, result, years }) => result.taxPeriods.map(period => (
+                rule.period === 'tax-year' ? period : { ...period, label: `${period.label} (${years[0].label})` }
+            ))),
+            taxBracketBreakdown: [...bracketTotals.values()].sort((a, b) => a.min - b.min)
+        };
+        if (segments[0].result.iterations) {
+            combined.grossUpLocal = sum('grossUpLocal');
+            combined.iterations = segments.reduce((longest, { result }) =>
+                (result.iterations.length > longest.length ? result.iterations : longest), []);
+            combined.converged = segments.every(({ result }) => result.converged);
+        }
+        return combined;
+    }
+
+    /**
+     * Resolves rule versions for one estimate and collects the ids used and
+     * any dates no version covers
+     */
+    function createRuleSetResolver(rules, pins) {
+        const ruleSets = rules?.ruleSets || null;
+        const used = { taxRules: [], socialSecurity: [], feeSchedule: [], perDiem: [] };
+        const warnings = [];
+
+        const record = (domain, resolved, date, jurisdiction) => {
+            if (!resolved) return null;
+            if (!used[domain].includes(resolved.version.id)) used[domain].push(resolved.version.id);
+            if (!resolved.covered && date) {
+                const label = ruleSets[domain].label || domain;
+                const where = jurisdiction ? ` (${jurisdiction})` : '';
+                const warning = `${label}: no version on file for ${date}${where}, ${resolved.version.id} used`;
+                if (!warnings.includes(warning)) warnings.push(warning);
+            }
+            return resolved.version;
+        };
+
+        return {
+            enabled: !!ruleSets,
+            // Bundled rules for a domain as they stood on a date in a jurisdiction
+            at(domain, base, date, jurisdiction = null) {
+                if (!ruleSets?.[domain]) return base;
+                const resolved = resolveRuleVersion(ruleSets[domain], date || null, pins?.[domain], jurisdiction);
+                return applyRuleVersion(base, record(domain, resolved, date, jurisdiction));
+            },
+            // Record the versions behind per diem periods worked out by the caller
+            recordPeriods(domain, periods, jurisdiction = null) {
+                if (!ruleSets?.[domain]) return;
+                for (const period of periods) {
+                    const resolved = period.version?.id
+                        ? { version: period.version, covered: period.covered !== false }
+                        : resolveRuleVersion(ruleSets[domain], period.startDate || null, pins?.[domain], jurisdiction);
+                    record(domain, resolved, period.startDate, jurisdiction);
+                }
+            },
+            split(domain, startDate, endDate, jurisdiction = null) {
+                return ruleSets?.[domain]
+                    ? splitByRuleVersions(ruleSets[domain], startDate, endDate, pins?.[domain], jurisdiction)
+                    : [];
+            },
+            versions: () => (ruleSets ? used : null),
+            warnings: () => warnings
+        };
+    }
+
+    // =========================================================================
+    // PER DIEM
+    // =========================================================================
+
+    // City selector entry that means "use the country rate"
+    const STANDARD_CITY = 'Standard (Other)';
+    const MEALS = ['breakfast', 'lunch', 'dinner'];
+
+    // Table entries are a full-day rate or { full, partial }
+    const readDayRate = entry => (isPlainObject(entry)
+        ? { full: Number(entry.full) || 0, partial: entry.partial ?? null }
+        : { full: Number(entry) || 0, partial: null });
+
+    // How a home country's per diem regime finds the rate for a host.
+    // Each returns { entry, basisText, warnings?, usesFallback?, cities? }.
+    const PER_DIEM_REGIMES = {
+        // Rates by host country (optionally by city), default rate for hosts the table omits
+        'destination-table': (config, hostCountry, { hostCity, hostName }) => {
+            const cities = config.cityOverrides?.[hostCountry] || null;
+            const cityEntry = cities && hostCity ? cities[hostCity] : undefined;
+            const entry = cityEntry ?? config.rates?.[hostCountry];
+            if (entry === undefined || entry === null) {
+                return {
+                    entry: config.defaultRate,
+                    basisText: `${config.label} default rate (${hostName} not listed)`,
+                    warnings: [`No ${config.label} rate listed for ${hostName}; using the default rate.`],
+                    usesFallback: true,
+                    cities
+                };
+            }
+            const citySuffix = cityEntry !== undefined && hostCity !== STANDARD_CITY ? ` (${hostCity})` : '';
+            return { entry, basisText: `${config.label} for ${hostName}${citySuffix}`, cities };
+        },
+
+        // One rate wherever the assignment is
+        flat: config => ({
+            entry: config.flatRate,
+            basisText: config.basisText || `${config.label}, destination-independent`
+        })
+    };
+
+    /**
+     * Tax-free daily allowance for a home -> host route under the home country's
+     * per diem regime (data/per-diem-data.js, keyed by lowercase home country).
+     * Rates in another currency are converted to EUR with exchangeRates.
+     * @param {Object} perDiemConfig - perDiemConfig
+     * @param {string} homeCountry
+     * @param {string} hostCountry
+     * @param {Object} options - { hostCity, hostName, exchangeRates }
+     * @returns {Object} { rate, partialRate (EUR), localRate, localPartialRate, currency, regime,
+     *                     partialDayRule, mealDeductions, longStay, cities, sourceName, sourceUrl,
+     *                     sourceYear, citation, basisText, warnings, usesFallback }
+     */
+    function resolvePerDiem(perDiemConfig, homeCountry, hostCountry, { hostCity = '', hostName = hostCountry, exchangeRates = {} } = {}) {
+        const config = perDiemConfig?.[String(homeCountry || '').toLowerCase()];
+        const resolveRate = config && PER_DIEM_REGIMES[config.regime || 'destination-table'];
+        if (!resolveRate) {
+            return {
+                rate: 0, partialRate: 0, localRate: 0, localPartialRate: 0, currency: 'EUR',
+                regime: null, partialDayRule: '', mealDeductions: null, longStay: [], cities: null,
+                sourceName: '', sourceUrl: '', sourceYear: '', citation: '', basisText: '',
+                warnings: [`Home country "${homeCountry}" has no per diem regime configured.`],
+                usesFallback: true
+            };
+        }
+
+        const resolved = resolveRate(config, hostCountry, { hostCity, hostName });
+        const warnings = [...(resolved.warnings || []), ...(config.sourceNote ? [config.sourceNote] : [])];
+        const { full, partial } = readDayRate(resolved.entry);
+        const localPartial = partial ?? full * (config.partialDay?.share ?? 1);
+
+        const currency = config.currency || 'EUR';
+        let fx = 1;
+        if (currency !== 'EUR') {
+            fx = Number(exchangeRates?.[currency]) || 0;
+            if (!fx) {
+                warnings.push(`No ${currency} exchange rate; ${config.label} rates are shown unconverted.`);
+                fx = 1;
+            }
+        }
+        const toEUR = amount => Math.round(amount / fx * 100) / 100;
+
+        return {
+            rate: toEUR(full),
+            partialRate: toEUR(localPartial),
+            localRate: full,
+            localPartialRate: localPartial,
+            currency,
+            regime: config.regime || 'destination-table',
+            regimeLabel: config.label || '',
+            partialDayRule: config.partialDay?.rule || '',
+            mealDeductions: config.mealDeductions || null,
+            longStay: config.longStay || [],
+            cities: resolved.cities || null,
+            sourceName: config.sourceName || '',
+            sourceUrl: config.sourceUrl || '',
+            sourceYear: config.year || '',
+            citation: config.citation || '',
+            basisText: resolved.basisText,
+            warnings,
+            usesFallback: !!resolved.usesFallback
+        };
+    }
+
+    /**
+     * Share of the day rate still tax-free after monthsOnSite at the same place
+     * (longStay steps of a resolved per diem; 1 before the first step).
+     */
+    function longStayShare(perDiem, monthsOnSite) {
+        return (perDiem?.longStay || [])
+            .filter(step => monthsOnSite >= step.afterMonths)
+            .reduce((share, step) => step.share, 1);
+    }
+
+    // A day's amount less the meals provided: per-meal deductions are shares of the
+    // full-day amount; a meal-count rule pays a share of the day
+    function deductMeals(deductions, amount, fullDay, meals) {
+        const provided = MEALS.filter(meal => meals?.[meal]);
+        if (deductions?.type === 'per-meal') {
+            const deducted = provided.reduce((sum, meal) => sum + fullDay * (deductions[meal] || 0), 0);
+            return Math.max(0, amount - deducted);
+        }
+        if (deductions?.type === 'meal-count' && provided.length >= deductions.meals) {
+            return amount * deductions.payableShare;
+        }
+        return amount;
+    }
+
+    /**
+     * Tax-free allowance for one day under a resolved per diem (resolvePerDiem):
+     * the full or partial rate, less meals provided, times the long-stay share.
+     * Per-meal deductions are shares of the full-day rate, as the regimes define them.
+     * @param {Object} perDiem - resolvePerDiem result (or a saved per diem context)
+     * @param {Object} day - { partial, meals: { breakfast, lunch, dinner }, monthsOnSite }
+     * @returns {number} EUR
+     */
+    function perDiemForDay(perDiem, { partial = false, meals = {}, monthsOnSite = 0 } = {}) {
+        const base = partial ? perDiem.partialRate ?? perDiem.rate : perDiem.rate;
+        const amount = deductMeals(perDiem.mealDeductions, base, perDiem.rate, meals);
+        return Math.round(amount * longStayShare(perDiem, monthsOnSite) * 100) / 100;
+    }
+
+    const DAYS_PER_MONTH = 365.25 / 12;
+
+    /**
+     * Per diem by calendar day on site. Travel days (half at the start, half at the
+     * end) pay the partial share of the daily allowance; the other days are working
+     * days up to totalWorkingDays and rest days after that, paid when includeRestDays.
+     * Meals provided cut the payment by the regime's meal deductions, scaled to the
+     * allowance paid. What the regime allows for the day (perDiemForDay: partial rate,
+     * meals provided, long stays) is tax-free; the rest of the payment is taxable excess.
+     * @param {Object} perDiem - resolvePerDiem result (perDiemContext); without a rate
+     *                           the whole daily allowance is treated as tax-free
+     * @param {Object} plan - { travelDays, includeRestDays, meals: { breakfast, lunch, dinner } }
+     * @param {Object} stay - { dates, assignmentLength, totalWorkingDays, dailyAllowance,
+     *                          periods }; periods are perDiemPeriods, whose rate is paid
+     *                          and whose statutoryRate scales the regime's rates
+     * @returns {Object} { calendarDays, travelDays, workingDays, restDays, paidDays,
+     *                     totalPaid, taxFree, taxableExcess, lines: [{ type, days, paid, taxFree }] }
+     */
+    function planPerDiemDays(perDiem, plan = {}, stay = {}) {
+        const dailyAllowance = Number(stay.dailyAllowance) || 0;
+        const regime = perDiem?.rate > 0 ? perDiem : { rate: dailyAllowance, partialRate: dailyAllowance };
+        const partialShare = regime.rate > 0 ? (regime.partialRate ?? regime.rate) / regime.rate : 1;
+
+        const calendarDays = stay.dates ? stay.dates.days : Math.round((Number(stay.assignmentLength) || 0) * 30);
+        const travelDays = Math.min(calendarDays, Math.max(0, Math.round(plan.travelDays ?? 2)));
+        const daysOnSite = calendarDays - travelDays;
+        const workingDays = Math.min(Number(stay.totalWorkingDays) || 0, daysOnSite);
+        const restDays = daysOnSite - workingDays;
+        const includeRestDays = plan.includeRestDays !== false;
+        // Working and rest days are spread evenly over the days on site
+        const workingShare = daysOnSite ? workingDays / daysOnSite : 0;
+
+        const periods = Array.isArray(stay.periods) && stay.periods.length ? stay.periods : null;
+        const rateOn = index => {
+            if (!periods || !stay.dates) return { paid: dailyAllowance, regime };
+            const date = formatISODate(addDays(stay.dates.start, index));
+            const period = periods.find(item => (!item.startDate || date >= item.startDate) && (!item.endDate || date <= item.endDate));
+            if (!period) return { paid: dailyAllowance, regime };
+            const scale = period.statutoryRate && regime.rate ? period.statutoryRate / regime.rate : 1;
+            return {
+                paid: Number(period.rate) || 0,
+                regime: scale === 1 ? regime : { ...regime, rate: regime.rate * scale, partialRate: (regime.partialRate ?? regime.rate) * scale }
+            };
+        };
+
+        const firstTravelDays = Math.ceil(travelDays / 2);
+        const lines = {
+            travel: { type: 'travel', days: travelDays, paid: 0, taxFree: 0 },
+            working: { type: 'working', days: workingDays, paid: 0, taxFree: 0 },
+            rest: { type: 'rest', days: restDays, paid: 0, taxFree: 0 }
+        };
+        for (let i = 0; i < calendarDays; i++) {
+            const { paid, regime: dayRegime } = rateOn(i);
+            const isTravel = i < firstTravelDays || i >= calendarDays - (travelDays - firstTravelDays);
+            const day = { partial: isTravel, meals: plan.meals, monthsOnSite: i / DAYS_PER_MONTH };
+            const dayPaid = deductMeals(dayRegime.mealDeductions, isTravel ? paid * partialShare : paid, paid, plan.meals);
+            const dayTaxFree = Math.min(dayPaid, perDiemForDay(dayRegime, day));
+
+            if (isTravel) {
+                lines.travel.paid += dayPaid;
+                lines.travel.taxFree += dayTaxFree;
+            } else {
+                lines.working.paid += dayPaid * workingShare;
+                lines.working.taxFree += dayTaxFree * workingShare;
+                if (includeRestDays) {
+                    lines.rest.paid += dayPaid * (1 - workingShare);
+                    lines.rest.taxFree += dayTaxFree * (1 - workingShare);
+                }
+            }
+        }
+
+        const round = amount => Math.round(amount * 100) / 100;
+        const planLines = Object.values(lines).map(line => ({ ...line, paid: round(line.paid), taxFree: round(line.taxFree) }));
+        const totalPaid = round(planLines.reduce((sum, line) => sum + line.paid, 0));
+        const taxFree = round(planLines.reduce((sum, line) => sum + line.taxFree, 0));
+
+        return {
+            calendarDays,
+            travelDays,
+            workingDays,
+            restDays,
+            includeRestDays,
+            meals: { ...(plan.meals || {}) },
+            paidDays: travelDays + workingDays + (includeRestDays ? restDays : 0),
+            totalPaid,
+            taxFree,
+            taxableExcess: round(totalPaid - taxFree),
+            lines: planLines,
+            // The regime's day rules used, so a saved estimate can be planned again
+            rules: {
+                rate: regime.rate,
+                partialRate: regime.partialRate ?? regime.rate,
+                mealDeductions: regime.mealDeductions || null,
+                longStay: regime.longStay || []
+            }
+        };
+    }
+
+    // =========================================================================
+    // ESTIMATE
+    // =========================================================================
+
+    const DEFAULT_SETTINGS = {
+        includeSSNoAgreement: true,
+        includeSSWithAgreement: false,
+        taxGrossUp: false,
+        hypotheticalHomeTax: false,
+        includeHomeTax: true,
+        includeHomeSocialSecurity: false
+    };
+
+    /**
+     * Estimate the full cost of an assignment.
+     *
+     * METHODOLOGY (Jan 2026):
+     * 1. Salary for period (EUR)
+     * 2. Per Diem (EUR) - tax-exempt up to the home country's rate (perDiemContext.rate);
+     *    the excess above it is taxed as salary
+     * 3. Admin Fees (EUR) - employer costs from the fee schedule, NOT included in employee taxable income
+     *    (visa and work permit fees are where the host sets visaFeesTaxable)
+     * 3b. Assignment costs (EUR) - flights, housing, relocation etc.; taxable benefits
+     *    (relocationTaxable) are added to the tax and social security base
+     * 4. Subtotal in EUR
+     * 5. Convert salary to local currency
+     * 6. Apply deductions (if any)
+     * 7. Calculate tax on SALARY + TAXABLE PER DIEM EXCESS + TAXABLE BENEFITS, grossed up
+     *    for company-paid tax and net of hypothetical home tax when enabled
+     *    plus residual home country tax after treaty relief (home tax on the same base)
+     * 8. Calculate Social Security on SALARY + TAXABLE PER DIEM EXCESS + TAXABLE BENEFITS (employer +
+     *    employee, thresholds and ceilings applied per period), host contributions once any certificate of coverage expires
+     *    plus home contributions that stay payable during the posting
+     * 9. Total cost for period
+     * 10. Daily cost
+     *
+     * @param {Object} input - { homeCountry, hostCountry, monthlySalary, assignmentLength,
+     *                           dailyAllowance, workingDaysPerMonth, startDate, endDate,
+     *                           settings, perDiemContext, feeOverrides, assignmentCosts,
+     *                           exchangeRates, exchangeRateContext, perDiemPeriods, perDiemPlan,
+     *                           ruleVersionIds }
+     *                           perDiemPeriods: [{ startDate, endDate, share, rate, statutoryRate, version }]
+     *                           when the per diem rate changes during the assignment (see splitByRuleVersions);
+     *                           perDiemPlan: { travelDays, includeRestDays, meals } to pay per diem by
+     *                           calendar day under the perDiemContext regime (see planPerDiemDays);
+     *                           ruleVersionIds: rule set versions to recompute a saved estimate under
+     * @param {Object} rules - { countries: countryConfig, taxRules, feeSchedule, assignmentCosts,
+     *                          socialSecurity, ruleSets } (taxRules also holds home country brackets for home tax).
+     *                          With ruleSets (data/rule-sets.js) tax and social security use the versions
+     *                          in force in each host tax year, admin fees the version at the start date.
+     * @returns {Object} Calculation result (same shape as lastCalculationData)
+     */
+    function estimateAssignmentCost(input, rules) {
+        const countries = rules?.countries || {};
+        const bundledTaxRules = rules?.taxRules || null;
+
+        const hostCountry = input.hostCountry;
+        const config = countries[hostCountry];
+        if (!config) {
+            throw new Error(`Unknown host country: ${hostCountry}`);
+        }
+
+        const monthlySalary = Number(input.monthlySalary) || 0;
+        const assignmentLength = Number(input.assignmentLength) || 6;
+        const dailyAllowance = Number(input.dailyAllowance) || 0;
+        const workingDaysPerMonth = Number(input.workingDaysPerMonth) || 25;
+        const settings = { ...DEFAULT_SETTINGS, ...(input.settings || {}) };
+        const perDiemContext = input.perDiemContext || null;
+
+        // Actual days on site when dates are given, otherwise 30-day months
+        const assignmentDates = resolveAssignmentDates(input.startDate, input.endDate, assignmentLength);
+        const startDate = assignmentDates ? formatISODate(assignmentDates.start) : '';
+        const endDate = assignmentDates ? formatISODate(assignmentDates.end) : '';
+
+        // Rule versions in force at the start; tax and social security are re-resolved per tax year
+        const ruleSet = createRuleSetResolver(rules, input.ruleVersionIds);
+        const taxRules = ruleSet.at('taxRules', bundledTaxRules, startDate, hostCountry);
+
+        // Calculate totals
+        const totalWorkingDays = workingDaysPerMonth * assignmentLength;
+        const totalCalendarDays = assignmentDates ? assignmentDates.days : assignmentLength * 30;
+
+        // ===== STEP 1: SALARY =====
+        const grossSalary = monthlySalary * assignmentLength;
+
+        // ===== STEP 2: PER DIEM (Tax-exempt up to the statutory rate) =====
+        // Per diem is NOT included in tax or social security calculations
+        // when properly documented (tied to actual business travel, reasonable amounts)
+        // and no more than the home country's tax-free rate (perDiemContext.rate).
+        // When the rate changes mid-assignment each period is paid its share of the working days.
+        // With a day plan every calendar day on site is counted under the home country's
+        // regime, and the part of the payment it does not allow is taxable excess.
+        const perDiemPeriods = Array.isArray(input.perDiemPeriods) && input.perDiemPeriods.length
+            ? input.perDiemPeriods
+            : null;
+        const perDiemPlan = input.perDiemPlan
+            ? planPerDiemDays(perDiemContext, input.perDiemPlan, {
+                dates: assignmentDates,
+                assignmentLength,
+                totalWorkingDays,
+                dailyAllowance,
+                periods: perDiemPeriods
+            })
+            : null;
+        const totalPerDiem = perDiemPlan
+            ? perDiemPlan.totalPaid
+            : perDiemPeriods
+                ? perDiemPeriods.reduce((sum, period) => sum + (Number(period.rate) || 0) * totalWorkingDays * period.share, 0)
+                : dailyAllowance * totalWorkingDays;
+        // Without a plan the excess is the allowance above the statutory rate on each
+        // working day (each period's statutoryRate when the rate changes); no excess
+        // without a statutory rate
+        const statutoryRate = Number(perDiemContext?.rate) || 0;
+        const excessPerDay = (paid, statutory) => (statutory > 0 ? Math.max(0, (Number(paid) || 0) - statutory) : 0);
+        const perDiemTaxableExcess = perDiemPlan
+            ? perDiemPlan.taxableExcess
+            : Math.round((perDiemPeriods
+                ? perDiemPeriods.reduce((sum, period) => (
+                    sum + excessPerDay(period.rate, Number(period.statutoryRate) || statutoryRate) * totalWorkingDays * period.share
+                ), 0)
+                : excessPerDay(dailyAllowance, statutoryRate) * totalWorkingDays) * 100) / 100;
+        const perDiemTaxFree = perDiemPlan ? perDiemPlan.taxFree : totalPerDiem - perDiemTaxableExcess;
+        const monthlyPerDiemExcess = perDiemTaxableExcess / assignmentLength;
+        ruleSet.recordPeriods('perDiem', perDiemPeriods || [{ startDate }], input.homeCountry);
+
+        const countryTaxRules = taxRules ? taxRules[hostCountry] : null;
+
+        // ===== STEP 3: ADMIN FEES (Employer costs) =====
+        const adminFees = calculateAdminFees(assignmentLength, {
+            schedule: ruleSet.at('feeSchedule', rules?.feeSchedule, startDate),
+            homeCountry: input.homeCountry,
+            hostCountry,
+            overrides: input.feeOverrides || {}
+        });
+        const totalAdminFees = adminFees.total;
+
+        // ===== STEP 3b: ASSIGNMENT COSTS (flights, housing, relocation, insurance) =====
+        const assignmentCosts = calculateAssignmentCosts(assignmentLength, {
+            defaults: rules?.assignmentCosts,
+            hostCountry,
+            selections: input.assignmentCosts || {},
+            countryTaxRules
+        });
+        const totalAssignmentCosts = assignmentCosts.total;
+
+        // Benefits the host country taxes: flagged assignment costs, plus visa and
+        // work permit fees where visaFeesTaxable is set
+        const visaFeesTaxable = isTaxableBenefit('visaFeesTaxable', countryTaxRules);
+        const taxableVisaFees = visaFeesTaxable ? adminFees.breakdown.visa + adminFees.breakdown.workPermit : 0;
+        const taxableBenefits = assignmentCosts.taxableTotal + taxableVisaFees;
+        const monthlyTaxableBenefits = taxableBenefits / assignmentLength;
+
+        // ===== STEP 4: SUBTOTAL IN EUR =====
+        const subtotalEUR = grossSalary + totalPerDiem + totalAdminFees + totalAssignmentCosts;
+
+        // Get residency and exchange rate
+        const residency = determineTaxResidency(countryTaxRules, assignmentDates, assignmentLength);
+        const isResident = residency.isResident;
+
+        // Host fiscal years the assignment falls in (UK 6 Apr, India 1 Apr, Australia 1 Jul, else calendar)
+        const taxYearStart = countryTaxRules?.taxYearStart || '01-01';
+        const taxYearSplit = splitByTaxYear(assignmentDates, assignmentLength, taxYearStart);
+        const exchangeRate = resolveExchangeRate(config, input.exchangeRates);
+        const exchangeRateContext = input.exchangeRateContext || null;
+
+        // ===== STEP 5: CONVERT SALARY TO LOCAL CURRENCY =====
+        // Only salary, taxable per diem excess and taxable benefits are converted for
+        // tax calculation (per diem up to the statutory rate is tax-exempt)
+        const salaryLocal = grossSalary * exchangeRate;
+        const perDiemTaxableExcessLocal = perDiemTaxableExcess * exchangeRate;
+        const taxableBenefitsLocal = taxableBenefits * exchangeRate;
+
+        // ===== STEP 6 & 7: APPLY DEDUCTIONS AND CALCULATE TAX ON SALARY, PER DIEM EXCESS AND TAXABLE BENEFITS =====
+        // Brackets are applied per the period their thresholds are declared in
+        // (monthly pay, 12-month periods or tax years), never to the lump sum
+        const standardDeduction = countryTaxRules?.standardDeduction ?? (config.deduction || 0);
+        const taxRule = selectTaxRule(config, countryTaxRules, isResident);
+        const taxParams = {
+            monthlySalaryLocal: (monthlySalary + monthlyPerDiemExcess + monthlyTaxableBenefits) * exchangeRate,
+            assignmentLength,
+            taxYears: taxYearSplit,
+            deduction: standardDeduction
+        };
+
+        // Tax equalisation: the employee bears hypothetical home tax, the company
+        // pays the host tax and (in gross-up mode) the tax on that tax
+        const homeCountry = input.homeCountry || '';
+        const homeExchangeRate = resolveExchangeRate(countries[homeCountry], input.exchangeRates);
+        const homeTaxRules = taxRules?.[homeCountry];
+        // The home base is the same as the host's: per diem above the home country's
+        // tax-free rate and taxable benefits are pay at home too
+        const homeTax = calculateHomeCountryTax(homeTaxRules, {
+            monthlySalary: monthlySalary + monthlyPerDiemExcess + monthlyTaxableBenefits,
+            assignmentLength,
+            dates: assignmentDates,
+            exchangeRate: homeExchangeRate
+        });
+        const hypotheticalTax = settings.hypotheticalHomeTax ? homeTax : null;
+        const hypotheticalTaxEUR = hypotheticalTax ? hypotheticalTax.taxAmountEUR : 0;
+
+        // Tax years under the same tax rule version are taxed together; when the rules
+        // change during the assignment each group is taxed under its own version
+        const taxSegments = [];
+        for (const year of taxYearSplit) {
+            const yearTaxRules = ruleSet.at('taxRules', bundledTaxRules, year.startDate, hostCountry);
+            const last = taxSegments[taxSegments.length - 1];
+            if (last && last.taxRules === yearTaxRules) {
+                last.years.push(year);
+            } else {
+                taxSegments.push({ taxRules: yearTaxRules, years: [year] });
+            }
+        }
+        for (const segment of taxSegments) {
+            const single = taxSegments.length === 1;
+            segment.share = single ? 1 : segment.years.reduce((sum, year) => sum + year.share, 0);
+            segment.rule = selectTaxRule(config, segment.taxRules?.[hostCountry], isResident);
+            const params = single ? taxParams : {
+                ...taxParams,
+                assignmentLength: segment.years.reduce((sum, year) => sum + year.months, 0),
+                taxYears: segment.years
+            };
+            segment.result = settings.taxGrossUp
+                ? grossUpTax(segment.rule, params, hypotheticalTaxEUR * exchangeRate * segment.share)
+                : applyTaxRule(segment.rule, params);
+        }
+        const taxResult = combineTaxSegments(taxSegments);
+        const { taxableIncomeLocal, taxAmountLocal, taxPeriods, taxBracketBreakdown } = taxResult;
+        const taxMethod = [...new Set(taxSegments.map(segment => segment.rule.method))].join(' / ');
+        const taxCalculationMethod = settings.taxGrossUp ? `${taxMethod}, grossed up` : taxMethod;
+        const taxableIncomeEUR = taxableIncomeLocal / exchangeRate;
+        const effectiveTaxRate = taxRule.brackets || taxSegments.length > 1
+            ? (taxableIncomeLocal > 0 ? (taxAmountLocal / taxableIncomeLocal) * 100 : 0)
+            : taxRule.flatRate * 100;
+
+        const taxAmountEUR = taxAmountLocal / exchangeRate;
+        const taxPerDayLocal = taxAmountLocal / totalCalendarDays;
+        const taxPerDayEUR = taxAmountEUR / totalCalendarDays;
+
+        // Home country tax left after exemption or foreign tax credit for the host tax
+        const homeTaxRelief = calculateHomeTaxRelief(homeTaxRules, {
+            homeTax,
+            hostCountry,
+            hostTaxEUR: taxAmountEUR,
+            assignmentLength,
+            dates: assignmentDates,
+            isHostResident: isResident
+        });
+        const residualHomeTaxEUR = homeTaxRelief ? homeTaxRelief.residualHomeTaxEUR : 0;
+        const homeTaxDetails = homeTaxRelief ? {
+            ...homeTaxRelief,
+            country: homeCountry,
+            method: homeTax.method,
+            effectiveTaxRate: homeTax.effectiveTaxRate,
+            included: !!settings.includeHomeTax
+        } : null;
+        const combinedTaxEUR = taxAmountEUR + residualHomeTaxEUR;
+
+        // Company's tax cost: host tax (plus residual home tax when included)
+        // less what is recovered from the employee as hypothetical tax
+        const taxCostEUR = (settings.includeHomeTax ? combinedTaxEUR : taxAmountEUR) - hypotheticalTaxEUR;
+        const taxEqualisation = {
+            grossUp: !!settings.taxGrossUp,
+            grossUpLocal: taxResult.grossUpLocal || 0,
+            grossUpEUR: (taxResult.grossUpLocal || 0) / exchangeRate,
+            grossUpIterations: taxResult.iterations ? taxResult.iterations.length - 1 : 0,
+            grossUpConverged: taxResult.converged ?? true,
+            hypotheticalTax,
+            hypotheticalTaxEUR,
+            hostTaxEUR: taxAmountEUR,
+            taxCostEUR
+        };
+
+        // ===== STEP 8: CALCULATE SOCIAL SECURITY ON SALARY, PER DIEM EXCESS AND TAXABLE BENEFITS =====
+        // Calculated per tax year so annual ceilings apply to each year's earnings;
+        // monthOffset tracks how much of the certificate's validity is used up.
+        // Each year uses the social security rule version in force when it starts.
+        const socialSecurityRules = ruleSet.at('socialSecurity', rules?.socialSecurity || null, startDate, hostCountry);
+        const hostSocialSecurityRules = socialSecurityRules?.countries?.[hostCountry] || null;
+        // Home contributions follow the home country's own version dates
+        const socialSecurityAtHome = date => ruleSet.at('socialSecurity', rules?.socialSecurity || null, date, homeCountry);
+        const homeSocialSecurityRules = socialSecurityAtHome(startDate)?.countries?.[homeCountry] || null;
+        const certificate = findCertificate(socialSecurityRules, homeCountry, hostCountry);
+        let monthOffset = 0;
+        const socialSecurityByYear = taxYearSplit.map(year => {
+            const yearRules = ruleSet.at('socialSecurity', rules?.socialSecurity || null, year.startDate, hostCountry);
+            const yearSS = calculateSocialSecurity({
+                config,
+                hostRules: yearRules?.countries?.[hostCountry] || null,
+                homeRules: socialSecurityAtHome(year.startDate)?.countries?.[homeCountry] || null,
+                ssRules: yearRules,
+                certificate,
+                grossSalary: (grossSalary + perDiemTaxableExcess + taxableBenefits) * year.share,
+                monthlySalary: monthlySalary + monthlyPerDiemExcess + monthlyTaxableBenefits,
+                assignmentLength: year.months,
+                monthOffset,
+                exchangeRate,
+                homeExchangeRate,
+                settings
+            });
+            monthOffset += year.months;
+            return yearSS;
+        });
+        const sumByYear = key => socialSecurityByYear.reduce((sum, ss) => sum + ss[key], 0);
+        const socialSecurity = socialSecurityByYear.find(ss => ss.socialSecIncluded) || socialSecurityByYear[0];
+        const employerSocialSec = sumByYear('employerSocialSec');
+        const employeeSocialSec = sumByYear('employeeSocialSec');
+        const hostSocialSecurity = employerSocialSec + employeeSocialSec;
+        const coveredMonths = sumByYear('coveredMonths');
+
+        // Home contributions are always reported, but only costed when the setting is on
+        const homeSocialSecurity = homeSocialSecurityRules ? {
+            country: homeCountry,
+            employerSocialSec: sumByYear('homeEmployerSocialSec'),
+            employeeSocialSec: sumByYear('homeEmployeeSocialSec'),
+            total: sumByYear('homeEmployerSocialSec') + sumByYear('homeEmployeeSocialSec'),
+            months: sumByYear('homeMonths'),
+            contributions: mergeContributions(socialSecurityByYear.map(ss => ss.homeContributions)),
+            included: !!settings.includeHomeSocialSecurity,
+            note: homeSocialSecurityRules.note || '',
+            source: homeSocialSecurityRules.source || '',
+            sourceUrl: homeSocialSecurityRules.sourceUrl || ''
+        } : null;
+        const includedHomeSocialSecurity = homeSocialSecurity?.included ? homeSocialSecurity.total : 0;
+        const totalSocialSecurity = hostSocialSecurity + includedHomeSocialSecurity;
+
+        // Per-year view of salary, per diem, tax and social security.
+        // Tax comes straight from the bracket periods when they are tax years,
+        // otherwise it is allocated by each year's share of its rule version group.
+        const yearTaxes = taxSegments.flatMap(({ rule, result, share, years }) => years.map((year, index) => (
+            rule.period === 'tax-year'
+                ? result.taxPeriods[index]
+                : {
+                    taxableIncomeLocal: result.taxableIncomeLocal * year.share / share,
+                    taxAmountLocal: result.taxAmountLocal * year.share / share
+                }
+        )));
+        const taxYears = taxYearSplit.map((year, index) => {
+            const yearTax = yearTaxes[index];
+            const yearSS = socialSecurityByYear[index];
+            const yearHomeSS = homeSocialSecurity?.included
+                ? yearSS.homeEmployerSocialSec + yearSS.homeEmployeeSocialSec
+                : 0;
+            return {
+                ...year,
+                grossSalary: grossSalary * year.share,
+                workingDays: totalWorkingDays * year.share,
+                perDiem: totalPerDiem * year.share,
+                taxableIncomeLocal: yearTax.taxableIncomeLocal,
+                taxAmountLocal: yearTax.taxAmountLocal,
+                taxAmountEUR: yearTax.taxAmountLocal / exchangeRate,
+                employerSocialSec: yearSS.employerSocialSec,
+                employeeSocialSec: yearSS.employeeSocialSec,
+                homeSocialSecurity: yearHomeSS,
+                socialSecurity: yearSS.employerSocialSec + yearSS.employeeSocialSec + yearHomeSS
+            };
+        });
+
+        // ===== STEP 9: GRAND TOTALS =====
+        // Grand Total = Salary + Per Diem + Admin Fees + Assignment Costs + Tax + Social Security (full cost)
+        // Tax is the company's net cost (equals host tax unless hypothetical tax is deducted)
+        const grandTotal = grossSalary + totalPerDiem + totalAdminFees + totalAssignmentCosts + taxCostEUR + totalSocialSecurity;
+
+        // Additional Cost Total = everything except salary
+        // This is the incremental cost due to the international assignment
+        const additionalCostTotal = totalPerDiem + totalAdminFees + totalAssignmentCosts + taxCostEUR + totalSocialSecurity;
+
+        // ===== STEP 10: DAILY COST =====
+        // Daily additional cost (not including salary)
+        const costPerDay = additionalCostTotal / totalCalendarDays;
+
+        return {
+            // Core cost components
+            grossSalary,
+            totalPerDiem,
+            totalAdminFees,
+            adminFeesBreakdown: adminFees.breakdown,
+            adminFeeItems: adminFees.items,
+            feeProvider: adminFees.provider,
+            feeScheduleVersion: adminFees.scheduleVersion,
+            totalAssignmentCosts,
+            assignmentCostItems: assignmentCosts.items,
+            assignmentCostsVersion: assignmentCosts.version,
+            taxableBenefits,
+            taxableBenefitsLocal,
+            taxableVisaFees,
+            taxAmountEUR,
+            taxCostEUR,
+            totalSocialSecurity,
+            employerSocialSec,
+            employeeSocialSec,
+            subtotalEUR,
+            grandTotal,
+            additionalCostTotal,
+            costPerDay,
+
+            // Input values
+            homeCountry,
+            monthlySalary,
+            assignmentLength,
+            startDate,
+            endDate,
+            dailyAllowance,
+            perDiemPeriods: perDiemPeriods || [],
+            perDiemPlan,
+            perDiemTaxFree,
+            perDiemTaxableExcess,
+            perDiemTaxableExcessLocal,
+            perDiemStatutoryRate: statutoryRate,
+            workingDaysPerMonth,
+            totalWorkingDays,
+            totalCalendarDays,
+            perDiemSourceName: perDiemContext?.sourceName || '',
+            perDiemSourceUrl: perDiemContext?.sourceUrl || '',
+            perDiemSourceYear: perDiemContext?.sourceYear || '',
+            perDiemBasisText: perDiemContext?.basisText || '',
+            perDiemCitation: perDiemContext?.citation || '',
+            perDiemRegime: perDiemContext?.regimeLabel || '',
+            perDiemWarnings: perDiemContext?.warnings || [],
+
+            // Tax calculation details
+            taxableIncomeEUR,
+            taxableIncomeLocal,
+            salaryLocal,
+            taxAmountLocal,
+            taxPerDayLocal,
+            taxPerDayEUR,
+            effectiveTaxRate,
+            taxCalculationMethod,
+            taxBracketBreakdown,
+            taxBracketPeriod: taxRule.period,
+            taxPeriods,
+            taxYearStart,
+            taxYears,
+            taxEqualisation,
+            homeTax: homeTaxDetails,
+            residualHomeTaxEUR,
+            combinedTaxEUR,
+            exchangeRate,
+            exchangeRateDate: exchangeRateContext?.date || '',
+            exchangeRateSource: exchangeRateContext?.source || '',
+            exchangeRatePinned: !!exchangeRateContext?.pinned,
+
+            // Configuration
+            config,
+            hostCountry,
+            countryTaxRules,
+            isResident,
+            residency,
+
+            // Social Security settings status
+            socialSecIncluded: socialSecurity.socialSecIncluded,
+            socialSecExclusionReason: socialSecurity.socialSecExclusionReason,
+            hasAgreement: socialSecurity.hasAgreement,
+            socialSecurityContributions: mergeContributions(socialSecurityByYear.map(ss => ss.contributions)),
+            socialSecurityCertificate: certificate,
+            socialSecurityCoveredMonths: coveredMonths,
+            socialSecurityHostMonths: sumByYear('hostMonths'),
+            socialSecurityRulesVersion: socialSecurityRules?.version || null,
+            socialSecuritySource: hostSocialSecurityRules?.source || '',
+            socialSecuritySourceUrl: hostSocialSecurityRules?.sourceUrl || '',
+            socialSecurityNote: hostSocialSecurityRules?.note || '',
+            hostSocialSecurity,
+            homeSocialSecurity,
+
+            // Legacy compatibility
+            socialSecurityCost: totalSocialSecurity,
+            totalAllowances: totalPerDiem,
+
+            // Rule set versions used, per domain in date order (null without rule sets)
+            ruleSetVersions: ruleSet.versions(),
+            ruleSetWarnings: ruleSet.warnings()
+        };
+    }
+
+    // =========================================================================
+    // FX SENSITIVITY
+    // =========================================================================
+
+    // Moves of the host currency against EUR; +10% means the local currency
+    // strengthens by 10% (fewer units per EUR)
+    const FX_SENSITIVITY_MOVES = [-0.2, -0.1, -0.05, 0.05, 0.1, 0.2];
+
+    // Highest marginal rate the salary reaches (null for flat-rate countries)
+    function topBracketRate(result) {
+        const reached = (result.taxBracketBreakdown || []).filter(bracket => bracket.taxableAmount > 0);
+        if (!result.taxBracketPeriod || !reached.length) return null;
+        return Math.max(...reached.map(bracket => bracket.rate));
+    }
+
+    function cappedContributionIds(result) {
+        return (result.socialSecurityContributions || [])
+            .filter(contribution => contribution.capped)
+            .map(contribution => contribution.id)
+            .sort();
+    }
+
+    /**
+     * Re-run an estimate with the host currency moved against EUR, and at
+     * historical rates when given. Flags scenarios where the top tax bracket
+     * or the set of social security contributions hitting a ceiling changes.
+     * @param {Object} input - estimateAssignmentCost input
+     * @param {Object} rules - estimateAssignmentCost rules
+     * @param {Object} options - { moves, historicalRates: { min, max } } (units per EUR, so
+     *                            min is the strongest local currency)
+     * @returns {Object} { base, currency, scenarios, minTotal, maxTotal }
+     */
+    function estimateFxSensitivity(input, rules, { moves = FX_SENSITIVITY_MOVES, historicalRates = null } = {}) {
+        const base = estimateAssignmentCost(input, rules);
+        const currency = base.config.currency;
+        const baseTopRate = topBracketRate(base);
+        const baseCapped = cappedContributionIds(base).join(',');
+
+        // A EUR host has no currency exposure
+        if (currency === 'EUR') {
+            return { base, currency, scenarios: [], minTotal: base.grandTotal, maxTotal: base.grandTotal };
+        }
+
+        const runScenario = (id, label, exchangeRate, move) => {
+            const result = estimateAssignmentCost({
+                ...input,
+                exchangeRates: { ...(input.exchangeRates || {}), [currency]: exchangeRate }
+            }, rules);
+            const topRate = topBracketRate(result);
+            const capped = cappedContributionIds(result);
+            return {
+                id,
+                label,
+                move,
+                exchangeRate,
+                grandTotal: result.grandTotal,
+                additionalCostTotal: result.additionalCostTotal,
+                taxCostEUR: result.taxCostEUR,
+                totalSocialSecurity: result.totalSocialSecurity,
+                deltaEUR: result.grandTotal - base.grandTotal,
+                topBracketRate: topRate,
+                bracketFlip: topRate !== baseTopRate,
+                cappedContributions: capped,
+                capFlip: capped.join(',') !== baseCapped
+            };
+        };
+
+        const scenarios = moves.map(move => runScenario(
+            `move${move > 0 ? '+' : ''}${Math.round(move * 100)}`,
+            `${currency} ${move > 0 ? '+' : ''}${Math.round(move * 100)}%`,
+            base.exchangeRate / (1 + move),
+            move
+        ));
+        if (historicalRates?.min) {
+            scenarios.push(runScenario('historicalMin', `12-month strongest ${currency} (${historicalRates.min.toFixed(4)})`,
+                historicalRates.min, base.exchangeRate / historicalRates.min - 1));
+        }
+        if (historicalRates?.max) {
+            scenarios.push(runScenario('historicalMax', `12-month weakest ${currency} (${historicalRates.max.toFixed(4)})`,
+                historicalRates.max, base.exchangeRate / historicalRates.max - 1));
+        }
+
+        const totals = [base.grandTotal, ...scenarios.map(scenario => scenario.grandTotal)];
+        return {
+            base,
+            currency,
+            scenarios,
+            minTotal: Math.min(...totals),
+            maxTotal: Math.max(...totals)
+        };
+    }
+
+    // =========================================================================
+    // THRESHOLD FINDER
+    // =========================================================================
+
+    const THRESHOLD_DURATIONS = { min: 1, max: 24 };
+    // Each point is a full estimate, so a sweep is capped at this many
+    const MAX_THRESHOLD_POINTS = 61;
+
+    // One sweep point: the totals plus what drives a cost jump between points
+    function thresholdPoint(result) {
+        return {
+            grandTotal: result.grandTotal,
+            additionalCostTotal: result.additionalCostTotal,
+            costPerDay: result.costPerDay,
+            taxCostEUR: result.taxCostEUR,
+            totalSocialSecurity: result.totalSocialSecurity,
+            isResident: result.isResident,
+            residencyTest: result.residency?.test || '',
+            topBracketRate: topBracketRate(result),
+            cappedContributions: cappedContributionIds(result),
+            contributionLabels: Object.fromEntries((result.socialSecurityContributions || [])
+                .map(contribution => [contribution.id, contribution.label])),
+            hostSocialSecurityMonths: result.socialSecurityHostMonths || 0
+        };
+    }
+
+    // Compare neighbouring points and describe each change that makes the cost jump
+    function findDiscontinuities(points, describeAt) {
+        const events = [];
+        for (let i = 1; i < points.length; i++) {
+            const prev = points[i - 1];
+            const point = points[i];
+            const at = describeAt(point);
+            const event = (type, label, detail = '') => events.push({
+                type,
+                label,
+                detail,
+                index: i,
+                value: point.value,
+                stepEUR: point.additionalCostTotal - prev.additionalCostTotal
+            });
+
+            if (point.isResident && !prev.isResident) {
+                event('residency', `Becomes tax resident at ${at}`, point.residencyTest);
+            }
+            if (point.topBracketRate !== null && prev.topBracketRate !== null && point.topBracketRate > prev.topBracketRate) {
+                event('bracket', `Reaches the ${+(point.topBracketRate * 100).toFixed(2)}% tax bracket at ${at}`);
+            }
+            point.cappedContributions
+                .filter(id => !prev.cappedContributions.includes(id))
+                .forEach(id => event('ceiling', `${point.contributionLabels[id] || id} ceiling reached at ${at}`));
+        }
+        return events;
+    }
+
+    /**
+     * Sweep assignment duration and monthly salary through the estimate and label
+     * where the cost jumps: tax residency, a higher tax bracket, a social security
+     * ceiling, or the end of a certificate of coverage.
+     * @param {Object} input - estimateAssignmentCost input (endDate is ignored so each
+     *                         duration runs from startDate)
+     * @param {Object} rules - estimateAssignmentCost rules
+     * @param {Object} options - { durations: { min, max }, salaries: { min, max, step } }
+     *                           (salary range defaults to 50%-200% of the input salary).
+     *                           Each sweep has at most MAX_THRESHOLD_POINTS points: longer
+     *                           duration ranges are cut short and the salary step widened.
+     * @returns {Object} { durations: { points, events }, salaries: { points, events } }
+     */
+    function findCostThresholds(input, rules, { durations = THRESHOLD_DURATIONS, salaries = null } = {}) {
+        const baseInput = { ...input, endDate: '' };
+
+        // Duration sweep at the entered salary
+        const durationPoints = [];
+        let certificate = null;
+        const lastMonth = Math.min(durations.max, durations.min + MAX_THRESHOLD_POINTS - 1);
+        for (let months = durations.min; months <= lastMonth; months++) {
+            const result = estimateAssignmentCost({ ...baseInput, assignmentLength: months }, rules);
+            // Resolved under the social security version at the start date, as the estimate does
+            certificate = result.socialSecurityCertificate || null;
+            durationPoints.push({ value: months, ...thresholdPoint(result) });
+        }
+        const durationEvents = findDiscontinuities(durationPoints, point => `month ${point.value}`);
+
+        // The certificate keeps the employee insured at home up to maxMonths; host contributions start after
+        if (certificate && certificate.maxMonths >= durations.min && certificate.maxMonths <= lastMonth) {
+            const name = certificate.certificate.split(' (')[0];
+            const index = certificate.maxMonths - durations.min;
+            const next = durationPoints[index + 1] || thresholdPoint(
+                estimateAssignmentCost({ ...baseInput, assignmentLength: certificate.maxMonths + 1 }, rules));
+            durationEvents.push({
+                type: 'certificate',
+                label: `${/certificate/i.test(name) ? name : `${name} certificate`} expires at month ${certificate.maxMonths}`,
+                detail: certificate.certificate,
+                index,
+                value: certificate.maxMonths,
+                stepEUR: next.additionalCostTotal - durationPoints[index].additionalCostTotal
+            });
+        }
+        durationEvents.sort((a, b) => a.index - b.index);
+
+        // Salary sweep at the entered duration
+        const monthlySalary = input.monthlySalary || 0;
+        const requestedRange = salaries || {
+            min: Math.max(500, Math.round(monthlySalary * 0.5 / 500) * 500),
+            max: Math.max(1000, Math.round(monthlySalary * 2 / 500) * 500),
+            step: 250
+        };
+        const steps = Math.ceil((requestedRange.max - requestedRange.min) / requestedRange.step / (MAX_THRESHOLD_POINTS - 1));
+        const salaryRange = { ...requestedRange, step: requestedRange.step * Math.max(1, steps) };
+        const salaryPoints = [];
+        for (let salary = salaryRange.min; salary <= salaryRange.max; salary += salaryRange.step) {
+            const result = estimateAssignmentCost({ ...baseInput, monthlySalary: salary }, rules);
+            salaryPoints.push({ value: salary, ...thresholdPoint(result) });
+        }
+        const salaryEvents = findDiscontinuities(salaryPoints, point => `€${point.value.toLocaleString('en-GB')}/month`);
+
+        return {
+            durations: { points: durationPoints, events: durationEvents },
+            salaries: { points: salaryPoints, events: salaryEvents, range: salaryRange }
+        };
+    }
+
+    // =========================================================================
+    // RULE VALIDATION
+    // =========================================================================
+
+    // Bracket minimums may start at the previous maximum or one cent above it
+    const BRACKET_GAP_TOLERANCE = 0.01;
+    const isRate = value => typeof value === 'number' && value >= 0 && value <= 1;
+    const isAmount = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    const isSourceUrl = value => /^https?:\/\/\S+$/.test(value || '');
+
+    /**
+     * Check a bracket table: starts at 0, each bracket starts where the previous
+     * one ends, only the last is open-ended (max null), rates between 0 and 1.
+     * @returns {Array<string>} error messages (empty when valid)
+     */
+    function validateTaxBrackets(brackets, label = 'Tax brackets') {
+        if (!Array.isArray(brackets) || brackets.length === 0) {
+            return [`${label}: at least one bracket is required`];
+        }
+
+        const errors = [];
+        brackets.forEach((bracket, i) => {
+            const row = `${label} row ${i + 1}`;
+            const isLast = i === brackets.length - 1;
+            if (!isAmount(bracket.min)) errors.push(`${row}: minimum must be a number of 0 or more`);
+            if (!isRate(bracket.rate)) errors.push(`${row}: rate must be between 0 and 1`);
+            if (bracket.max === null || bracket.max === undefined) {
+                if (!isLast) errors.push(`${row}: only the last bracket can have no maximum`);
+            } else if (!isAmount(bracket.max) || bracket.max <= bracket.min) {
+                errors.push(`${row}: maximum must be above the minimum`);
+            } else if (isLast) {
+                errors.push(`${row}: the last bracket must have no maximum`);
+            }
+
+            if (i === 0) {
+                if (bracket.min !== 0) errors.push(`${row}: the first bracket must start at 0`);
+                return;
+            }
+            const previousMax = brackets[i - 1].max;
+            if (isAmount(previousMax) && isAmount(bracket.min)) {
+                const gap = Math.round((bracket.min - previousMax) * 100) / 100;
+                if (gap < 0 || gap > BRACKET_GAP_TOLERANCE) {
+                    errors.push(`${row}: starts at ${bracket.min} but the previous bracket ends at ${previousMax}`);
+                }
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Check one country's editable rules before they are published or loaded.
+     * @param {Object} rules - { tax: tax-rules.json fields, socialSecurity: { contributions, source, sourceUrl } }
+     * @returns {Array<string>} error messages (empty when valid)
+     */
+    function validateCountryRules({ tax, socialSecurity } = {}) {
+        const errors = [];
+
+        if (!tax) {
+            errors.push('Tax rules are missing');
+        } else {
+            errors.push(...validateTaxBrackets(tax.taxBrackets, 'Resident brackets'));
+            if (!BRACKET_PERIOD_LABELS[tax.taxBracketsPeriod]) {
+                errors.push(`Resident bracket period must be one of: ${Object.keys(BRACKET_PERIOD_LABELS).join(', ')}`);
+            }
+            if (tax.nonResidentBrackets) {
+                errors.push(...validateTaxBrackets(tax.nonResidentBrackets, 'Non-resident brackets'));
+                if (!BRACKET_PERIOD_LABELS[tax.nonResidentBracketsPeriod]) {
+                    errors.push(`Non-resident bracket period must be one of: ${Object.keys(BRACKET_PERIOD_LABELS).join(', ')}`);
+                }
+            }
+            if (tax.nonResidentRate !== undefined && !isRate(tax.nonResidentRate)) {
+                errors.push('Non-resident rate must be between 0 and 1');
+            }
+            if (tax.defaultRate !== undefined && !isRate(tax.defaultRate)) {
+                errors.push('Default rate must be between 0 and 1');
+            }
+            if (tax.standardDeduction !== undefined && !isAmount(tax.standardDeduction)) {
+                errors.push('Standard deduction must be a number of 0 or more');
+            }
+            if (!tax.taxSource) errors.push('Tax source is required');
+            if (!isSourceUrl(tax.taxSourceUrl)) errors.push('Tax source URL must start with http:// or https://');
+        }
+
+        if (!socialSecurity) {
+            errors.push('Social security rules are missing');
+            return errors;
+        }
+        const ids = new Set();
+        (socialSecurity.contributions || []).forEach((contribution, i) => {
+            const row = `Contribution row ${i + 1}`;
+            if (!contribution.id) {
+                errors.push(`${row}: id is required`);
+            } else if (ids.has(contribution.id)) {
+                errors.push(`${row}: id "${contribution.id}" is used twice`);
+            }
+            ids.add(contribution.id);
+            if (!contribution.label) errors.push(`${row}: label is required`);
+            if (!['employer', 'employee'].includes(contribution.payer)) errors.push(`${row}: payer must be employer or employee`);
+            if (!isRate(contribution.rate)) errors.push(`${row}: rate must be between 0 and 1`);
+            if (!CONTRIBUTION_PERIOD_MONTHS[contribution.period]) {
+                errors.push(`${row}: period must be one of: ${Object.keys(CONTRIBUTION_PERIOD_MONTHS).join(', ')}`);
+            }
+            if (contribution.threshold !== undefined && !isAmount(contribution.threshold)) {
+                errors.push(`${row}: threshold must be a number of 0 or more`);
+            }
+            if (contribution.ceiling !== undefined &&
+                (!isAmount(contribution.ceiling) || contribution.ceiling <= (contribution.threshold || 0))) {
+                errors.push(`${row}: ceiling must be above the threshold`);
+            }
+        });
+        if (!socialSecurity.source) errors.push('Social security source is required');
+        if (!isSourceUrl(socialSecurity.sourceUrl)) errors.push('Social security source URL must start with http:// or https://');
+
+        return errors;
+    }
+
+    /**
+     * Check that every data file covers the countries in the registry
+     * (data/country-registry.js) and names no country the registry lacks.
+     * Hosts need config, tax rules, a per diem rate, social security rules,
+     * assignment costs and an exchange rate; homes need homeTax, social
+     * security rules and a per diem regime. Omitted data sets are not checked.
+     * @param {Object} registry - countryRegistry
+     * @param {Object} data - { countries, taxRules, perDiemRates, perDiemRegimes, socialSecurity,
+     *                          assignmentCosts, exchangeRates }
+     * @returns {Array<string>} error messages (empty when consistent)
+     */
+    function checkCountryCoverage(registry, data = {}) {
+        const errors = [];
+        const { countries, taxRules, perDiemRates, perDiemRegimes, socialSecurity, assignmentCosts, exchangeRates } = data;
+        const keysOf = table => Object.keys(table || {}).filter(key => !['source', 'sourceUrl'].includes(key));
+        const hasRole = (key, role) => (registry[key]?.roles || []).includes(role);
+        const hosts = Object.keys(registry).filter(key => hasRole(key, 'host'));
+        const homes = Object.keys(registry).filter(key => hasRole(key, 'home'));
+        const requireKeys = (label, table, keys) => {
+            if (!table) return;
+            keys.filter(key => table[key] === undefined)
+                .forEach(key => errors.push(`${label}: missing ${key}`));
+        };
+        const rejectUnknown = (label, keys) => {
+            keys.filter(key => !registry[key])
+                .forEach(key => errors.push(`${label}: ${key} is not in the country registry`));
+        };
+
+        requireKeys('Country config', countries, hosts);
+        rejectUnknown('Country config', keysOf(countries));
+        hosts.filter(key => countries?.[key]?.currency && countries[key].currency !== registry[key].currency)
+            .forEach(key => errors.push(`Country config: ${key} currency ${countries[key].currency} does not match the registry (${registry[key].currency})`));
+
+        if (taxRules) {
+            hosts.filter(key => taxRules[key] && !taxRules[key].taxBrackets)
+                .forEach(key => errors.push(`Tax rules: ${key} has no tax brackets`));
+            homes.filter(key => taxRules[key] && !taxRules[key].homeTax)
+                .forEach(key => errors.push(`Tax rules: ${key} has no homeTax`));
+            Object.entries(taxRules).forEach(([key, rules]) => {
+                rejectUnknown(`Tax rules ${key} treaty partners`, rules.homeTax?.treatyPartners || []);
+            });
+        }
+        requireKeys('Tax rules', taxRules, [...new Set([...hosts, ...homes])]);
+        rejectUnknown('Tax rules', keysOf(taxRules));
+
+        requireKeys('Per diem rates', perDiemRates, hosts);
+        rejectUnknown('Per diem rates', keysOf(perDiemRates));
+
+        if (perDiemRegimes) {
+            homes.filter(key => !perDiemRegimes[key.toLowerCase()])
+                .forEach(key => errors.push(`Per diem regimes: missing ${key}`));
+            Object.entries(perDiemRegimes).forEach(([home, regime]) => {
+                if (!homes.some(key => key.toLowerCase() === home)) {
+                    errors.push(`Per diem regimes: ${home} is not a home country in the registry`);
+                }
+                if (!PER_DIEM_REGIMES[regime.regime || 'destination-table']) {
+                    errors.push(`Per diem regimes: ${home} has unknown regime "${regime.regime}"`);
+                }
+                rejectUnknown(`Per diem regime ${home}`, [
+                    ...keysOf(regime.rates),
+                    ...keysOf(regime.cityOverrides)
+                ]);
+                if (regime.currency && regime.currency !== 'EUR' && exchangeRates && !exchangeRates[regime.currency]) {
+                    errors.push(`Exchange rates: missing ${regime.currency} (${home} per diem)`);
+                }
+            });
+        }
+
+        if (socialSecurity) {
+            requireKeys('Social security', socialSecurity.countries, [...new Set([...hosts, ...homes])]);
+            rejectUnknown('Social security', keysOf(socialSecurity.countries));
+            Object.entries(socialSecurity.agreements || {}).forEach(([home, hostAgreements]) => {
+                rejectUnknown('Social security agreements', [home]);
+                rejectUnknown(`Social security agreements from ${home}`, keysOf(hostAgreements));
+            });
+        }
+
+        requireKeys('Assignment costs', assignmentCosts?.countries, hosts);
+        rejectUnknown('Assignment costs', keysOf(assignmentCosts?.countries));
+
+        if (exchangeRates) {
+            hosts.filter(key => registry[key].currency !== 'EUR' && !exchangeRates[registry[key].currency])
+                .forEach(key => errors.push(`Exchange rates: missing ${registry[key].currency} (${key})`));
+        }
+
+        // Bundled rules for each host must also pass the editor's validation
+        if (taxRules && socialSecurity) {
+            hosts.filter(key => taxRules[key] && socialSecurity.countries?.[key])
+                .forEach(key => {
+                    validateCountryRules({ tax: taxRules[key], socialSecurity: socialSecurity.countries[key] })
+                        .forEach(error => errors.push(`${key}: ${error}`));
+                });
+        }
+
+        return errors;
+    }
+
+    const CostEngine = {
+        estimateAssignmentCost,
+        estimateFxSensitivity,
+        findCostThresholds,
+        calculateProgressiveTax,
+        determineTaxResidency,
+        resolveAssignmentDates,
+        selectTaxRule,
+        splitIntoTaxPeriods,
+        splitByTaxYear,
+        applyTaxRule,
+        calculateHomeCountryTax,
+        calculateHomeTaxRelief,
+        grossUpTax,
+        resolveExchangeRate,
+        FX_SENSITIVITY_MOVES,
+        parseISODate,
+        formatISODate,
+        addMonths,
+        daysBetween,
+        taxYearOf,
+        formatTaxYear,
+        calculateAdminFees,
+        resolveFeeSchedule,
+        calculateAssignmentCosts,
+        isTaxableBenefit,
+        calculateContributions,
+        findCertificate,
+        calculateSocialSecurity,
+        validateTaxBrackets,
+        validateCountryRules,
+        checkCountryCoverage,
+        resolvePerDiem,
+        perDiemForDay,
+        planPerDiemDays,
+        resolveRuleVersion,
+        ruleVersionDates,
+        applyRuleVersion,
+        splitByRuleVersions,
+        DEFAULT_SETTINGS
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CostEngine;
+    } else {
+        root.CostEngine = CostEngine;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,606 @@
+// Estimate Export - XLSX workbooks and PDF reports for estimates
+// Builds Summary, Assignees and Workings sheets from CostEngine results with SheetJS (XLSX).
+// Totals are written as Excel formulas (with cached values) so Finance can audit them.
+// PDF reports for a single estimate are drawn with jsPDF (window.jspdf).
+
+// ===== XLSX WORKBOOK =====
+
+const EXPORT_FORMATS = {
+    eur: '"€"#,##0.00',
+    local: '#,##0.00',
+    rate: '0.00%',
+    fx: '0.0000',
+    months: '0.0'
+};
+
+const EXPORT_SETTING_LABELS = {
+    includeSSNoAgreement: 'Include social security (no agreement)',
+    includeSSWithAgreement: 'Include social security (with agreement)',
+    taxGrossUp: 'Tax gross-up',
+    hypotheticalHomeTax: 'Deduct hypothetical home tax',
+    includeHomeTax: 'Include residual home tax',
+    includeHomeSocialSecurity: 'Include home social security'
+};
+
+// Per-assignee columns; `formula` builds the cell formula from column letters and the row number
+const ASSIGNEE_EXPORT_COLUMNS = [
+    { key: 'name', header: 'Name', width: 22, value: entry => entry.name },
+    { key: 'home', header: 'Home Country', width: 14, value: entry => entry.result.homeCountry },
+    { key: 'host', header: 'Host Country', width: 16, value: entry => entry.result.config.name },
+    { key: 'start', header: 'Start Date', width: 12, value: entry => entry.result.startDate },
+    { key: 'end', header: 'End Date', width: 12, value: entry => entry.result.endDate },
+    { key: 'months', header: 'Months', format: 'months', value: entry => entry.result.assignmentLength },
+    { key: 'monthlySalary', header: 'Monthly Salary (EUR)', format: 'eur', value: entry => entry.result.monthlySalary },
+    { key: 'gross', header: 'Gross Salary (EUR)', format: 'eur', value: entry => entry.result.grossSalary },
+    { key: 'perDiem', header: 'Per Diem (EUR)', format: 'eur', value: entry => entry.result.totalPerDiem },
+    { key: 'admin', header: 'Admin Fees (EUR)', format: 'eur', value: entry => entry.result.totalAdminFees },
+    { key: 'assignmentCosts', header: 'Travel, Housing & Relocation (EUR)', format: 'eur', value: entry => entry.result.totalAssignmentCosts },
+    { key: 'tax', header: 'Tax Cost (EUR)', format: 'eur', value: entry => entry.result.taxCostEUR },
+    { key: 'employerSS', header: 'Employer SS (EUR)', format: 'eur', value: entry => entry.result.employerSocialSec },
+    { key: 'employeeSS', header: 'Employee SS (EUR)', format: 'eur', value: entry => entry.result.employeeSocialSec },
+    {
+        key: 'homeSS',
+        header: 'Home SS Included (EUR)',
+        format: 'eur',
+        value: entry => entry.result.homeSocialSecurity?.included ? entry.result.homeSocialSecurity.total : 0
+    },
+    {
+        key: 'totalSS',
+        header: 'Social Security (EUR)',
+        format: 'eur',
+        value: entry => entry.result.totalSocialSecurity,
+        formula: (col, row) => `${col.employerSS}${row}+${col.employeeSS}${row}+${col.homeSS}${row}`
+    },
+    {
+        key: 'total',
+        header: 'Assignment Total (EUR)',
+        format: 'eur',
+        value: entry => entry.result.grandTotal,
+        formula: (col, row) => ['gross', 'perDiem', 'admin', 'assignmentCosts', 'tax', 'totalSS'].map(key => `${col[key]}${row}`).join('+')
+    },
+    {
+        key: 'additional',
+        header: 'Additional Cost (EUR)',
+        format: 'eur',
+        value: entry => entry.result.additionalCostTotal,
+        formula: (col, row) => `${col.total}${row}-${col.gross}${row}`
+    },
+    { key: 'currency', header: 'Currency', width: 10, value: entry => entry.result.config.currency },
+    { key: 'fx', header: 'Exchange Rate (per EUR)', format: 'fx', value: entry => entry.result.exchangeRate },
+    { key: 'resident', header: 'Tax Resident', width: 12, value: entry => entry.result.isResident ? 'Yes' : 'No' },
+    { key: 'effectiveRate', header: 'Effective Tax Rate', format: 'rate', value: entry => entry.result.effectiveTaxRate / 100 }
+];
+
+// Summary sheet columns, summed per host country from the Assignees sheet
+const SUMMARY_EXPORT_COLUMNS = [
+    { key: 'gross', header: 'Gross Salary (EUR)' },
+    { key: 'tax', header: 'Tax (EUR)' },
+    { key: 'totalSS', header: 'Social Security (EUR)' },
+    { key: 'perDiem', header: 'Per Diem (EUR)' },
+    { key: 'admin', header: 'Admin Fees (EUR)' },
+    { key: 'assignmentCosts', header: 'Travel, Housing & Relocation (EUR)' },
+    { key: 'total', header: 'Assignment Total (EUR)' }
+];
+
+function exportCell(value, format) {
+    if (typeof value === 'number') {
+        return { t: 'n', v: Number.isFinite(value) ? value : 0, z: format ? EXPORT_FORMATS[format] : undefined };
+    }
+    return { t: 's', v: value ?? '' };
+}
+
+function exportFormula(formula, cachedValue, format) {
+    return { t: 'n', f: formula, v: Number.isFinite(cachedValue) ? cachedValue : 0, z: format ? EXPORT_FORMATS[format] : undefined };
+}
+
+function buildAssigneesSheet(entries) {
+    const col = {};
+    ASSIGNEE_EXPORT_COLUMNS.forEach((column, index) => {
+        col[column.key] = XLSX.utils.encode_col(index);
+    });
+
+    const rows = [ASSIGNEE_EXPORT_COLUMNS.map(column => exportCell(column.header))];
+    entries.forEach((entry, index) => {
+        const rowNumber = index + 2;
+        rows.push(ASSIGNEE_EXPORT_COLUMNS.map(column => column.formula
+            ? exportFormula(column.formula(col, rowNumber), column.value(entry), column.format)
+            : exportCell(column.value(entry), column.format)));
+    });
+
+    const sheet = XLSX.utils.aoa_to_sheet(rows);
+    sheet['!cols'] = ASSIGNEE_EXPORT_COLUMNS.map(column => ({ wch: column.width || Math.max(column.header.length, 12) }));
+    sheet['!autofilter'] = { ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: entries.length, c: ASSIGNEE_EXPORT_COLUMNS.length - 1 } }) };
+    return { sheet, col };
+}
+
+function buildSummarySheet(entries, col, meta) {
+    const lastRow = entries.length + 1;
+    const range = key => `Assignees!$${col[key]}$2:$${col[key]}$${lastRow}`;
+    const first = entries[0].result;
+
+    const rows = [
+        [exportCell(meta.title || 'FSE Deployment Cost Estimate')],
+        [exportCell('Generated'), exportCell(meta.generatedOn || new Date().toISOString().slice(0, 10))],
+        [exportCell('Assignees'), exportCell(entries.length)],
+        [exportCell('Fee schedule'), exportCell(`${first.feeProvider || ''} ${first.feeScheduleVersion || ''}`.trim())],
+        [exportCell('Social security rules'), exportCell(first.socialSecurityRulesVersion || '')],
+        [exportCell('Assignment cost defaults'), exportCell(first.assignmentCostsVersion || '')],
+        [exportCell('Rule versions'), exportCell(formatRuleSetVersions(first.ruleSetVersions))],
+        ...Object.entries(EXPORT_SETTING_LABELS).map(([key, label]) => [
+            exportCell(label),
+            exportCell(meta.settings?.[key] ? 'Yes' : 'No')
+        ]),
+        [],
+        [exportCell('Host Country'), exportCell('Assignees'), ...SUMMARY_EXPORT_COLUMNS.map(column => exportCell(column.header))]
+    ];
+
+    // One row per host country, in first-seen order
+    const hosts = [];
+    entries.forEach(({ result }) => {
+        if (!hosts.includes(result.config.name)) hosts.push(result.config.name);
+    });
+    const firstHostRow = rows.length + 1;
+    hosts.forEach((host, index) => {
+        const rowNumber = firstHostRow + index;
+        const hostEntries = entries.filter(({ result }) => result.config.name === host);
+        rows.push([
+            exportCell(host),
+            exportFormula(`COUNTIF(${range('host')},A${rowNumber})`, hostEntries.length),
+            ...SUMMARY_EXPORT_COLUMNS.map(column => {
+                const source = ASSIGNEE_EXPORT_COLUMNS.find(assigneeColumn => assigneeColumn.key === column.key);
+                const cached = hostEntries.reduce((sum, entry) => sum + source.value(entry), 0);
+                return exportFormula(`SUMIF(${range('host')},A${rowNumber},${range(column.key)})`, cached, 'eur');
+            })
+        ]);
+    });
+
+    const lastHostRow = firstHostRow + hosts.length - 1;
+    rows.push([
+        exportCell('Portfolio total'),
+        exportFormula(`SUM(B${firstHostRow}:B${lastHostRow})`, entries.length),
+        ...SUMMARY_EXPORT_COLUMNS.map((column, index) => {
+            const letter = XLSX.utils.encode_col(index + 2);
+            const source = ASSIGNEE_EXPORT_COLUMNS.find(assigneeColumn => assigneeColumn.key === column.key);
+            const cached = entries.reduce((sum, entry) => sum + source.value(entry), 0);
+            return exportFormula(`SUM(${letter}${firstHostRow}:${letter}${lastHostRow})`, cached, 'eur');
+        })
+    ]);
+
+    const sheet = XLSX.utils.aoa_to_sheet(rows);
+    sheet['!cols'] = [{ wch: 40 }, { wch: 12 }, ...SUMMARY_EXPORT_COLUMNS.map(column => ({ wch: Math.max(column.header.length, 14) }))];
+    return sheet;
+}
+
+// Workings: one block per assignee with tax brackets, FX, residency, social security and sources
+function buildWorkingsSheet(entries) {
+    const rows = [];
+    const add = (...cells) => {
+        rows.push(cells.map(cell => (cell && typeof cell === 'object') ? cell : exportCell(cell)));
+        return rows.length; // 1-based row number of the row just added
+    };
+
+    entries.forEach(({ name, result }) => {
+        const currency = result.config.currency;
+
+        add(`${name} – ${result.homeCountry} → ${result.config.name}`);
+        add('Period', `${result.startDate || '-'} to ${result.endDate || '-'}`, exportCell(result.assignmentLength, 'months'), 'months');
+
+        add('Exchange rate');
+        const fxRow = add('1 EUR =', exportCell(result.exchangeRate, 'fx'), currency);
+        add('Rate source', result.exchangeRateSource || 'Country defaults', result.exchangeRateDate || 'static', result.exchangeRatePinned ? 'Pinned budget rate' : '');
+        const fxRef = `$B$${fxRow}`;
+
+        add('Tax residency');
+        add('Tax resident', result.isResident ? 'Yes' : 'No');
+        add('Test', result.residency?.test || '');
+        add('Triggered on', result.residency?.triggeredOn || '-');
+        add('Detail', result.residency?.detail || '');
+        add('Days in host', exportCell(result.residency?.daysInHost ?? 0));
+
+        add('Tax brackets', result.taxCalculationMethod || '');
+        add(`From (${currency})`, `To (${currency})`, 'Rate', `Taxable (${currency})`, `Tax (${currency})`);
+        const brackets = result.taxBracketBreakdown || [];
+        const firstBracketRow = rows.length + 1;
+        brackets.forEach(bracket => {
+            const rowNumber = rows.length + 1;
+            add(
+                exportCell(bracket.min, 'local'),
+                bracket.max === null || bracket.max === undefined ? 'and above' : exportCell(bracket.max, 'local'),
+                exportCell(bracket.rate, 'rate'),
+                exportCell(bracket.taxableAmount, 'local'),
+                exportFormula(`C${rowNumber}*D${rowNumber}`, bracket.taxAmount, 'local')
+            );
+        });
+        const bracketTax = brackets.reduce((sum, bracket) => sum + bracket.taxAmount, 0);
+        const totalRow = add(
+            'Total', '', '',
+            exportFormula(brackets.length ? `SUM(D${firstBracketRow}:D${rows.length})` : '0', result.taxableIncomeLocal, 'local'),
+            exportFormula(brackets.length ? `SUM(E${firstBracketRow}:E${rows.length})` : '0', bracketTax, 'local')
+        );
+        add('Host tax (EUR)', '', '', '', exportFormula(`E${totalRow}/${fxRef}`, bracketTax / result.exchangeRate, 'eur'));
+        (result.taxPeriods || []).forEach(period => {
+            add(period.label, exportCell(period.months, 'months'), 'months', exportCell(period.taxableIncomeLocal, 'local'), exportCell(period.taxAmountLocal, 'local'));
+        });
+        if (result.taxEqualisation?.grossUp) {
+            add('Tax gross-up (EUR)', exportCell(result.taxEqualisation.grossUpEUR, 'eur'), `${result.taxEqualisation.grossUpIterations} iterations`);
+        }
+        if (result.taxEqualisation?.hypotheticalTaxEUR) {
+            add('Hypothetical home tax deducted (EUR)', exportCell(result.taxEqualisation.hypotheticalTaxEUR, 'eur'));
+        }
+        if (result.homeTax) {
+            add(`Residual ${result.homeCountry} tax (EUR)`, exportCell(result.residualHomeTaxEUR, 'eur'), result.homeTax.reliefMethod || '', result.homeTax.included ? 'Included' : 'Not included');
+        }
+        add('Tax cost to company (EUR)', exportCell(result.taxCostEUR, 'eur'));
+
+        add('Social security', result.socialSecurityCertificate?.certificate || (result.hasAgreement ? 'Agreement' : 'No agreement'));
+        add('Contribution', 'Payer', 'Rate', `Base (${currency})`, `Amount (${currency})`, 'Amount (EUR)');
+        (result.socialSecurityContributions || []).forEach(contribution => {
+            const rowNumber = rows.length + 1;
+            add(
+                contribution.label,
+                contribution.payer,
+                exportCell(contribution.rate, 'rate'),
+                exportCell(contribution.baseLocal, 'local'),
+                exportFormula(`C${rowNumber}*D${rowNumber}`, contribution.amountLocal, 'local'),
+                exportFormula(`E${rowNumber}/${fxRef}`, contribution.amountEUR, 'eur')
+            );
+        });
+        if (result.homeSocialSecurity?.contributions?.length) {
+            add(`Home contribution (${result.homeCountry})`, 'Payer', 'Rate', 'Base (EUR)', 'Status', 'Amount (EUR)');
+            result.homeSocialSecurity.contributions.forEach(contribution => {
+                add(
+                    contribution.label,
+                    contribution.payer,
+                    exportCell(contribution.rate, 'rate'),
+                    exportCell(contribution.baseLocal, 'eur'),
+                    result.homeSocialSecurity.included ? 'Included' : 'Not included',
+                    exportCell(contribution.amountEUR, 'eur')
+                );
+            });
+        }
+        add('Social security total (EUR)', exportCell(result.totalSocialSecurity, 'eur'));
+
+        add('Per diem', result.perDiemBasisText || '');
+        if (result.perDiemPlan) {
+            add('Days', 'Count', 'Paid (EUR)', 'Tax-free (EUR)');
+            result.perDiemPlan.lines.forEach(line => {
+                add(`${line.type.charAt(0).toUpperCase()}${line.type.slice(1)} days`, exportCell(line.days), exportCell(line.paid, 'eur'), exportCell(line.taxFree, 'eur'));
+            });
+            add('Taxable excess (EUR)', '', exportCell(result.perDiemTaxableExcess, 'eur'));
+        } else {
+            add('Daily rate (EUR)', exportCell(result.dailyAllowance, 'eur'), '× working days', exportCell(result.totalWorkingDays));
+            if (result.perDiemTaxableExcess > 0) {
+                add('Tax-free rate (EUR)', exportCell(result.perDiemStatutoryRate, 'eur'));
+                add('Taxable excess (EUR)', '', exportCell(result.perDiemTaxableExcess, 'eur'));
+            }
+        }
+        add('Per diem total (EUR)', '', exportCell(result.totalPerDiem, 'eur'));
+
+        add('Sources');
+        add('Tax rules', result.countryTaxRules?.taxSource || '', result.countryTaxRules?.taxSourceUrl || '');
+        add('Residency', result.residency?.source || 'Default 183-day test', result.residency?.sourceUrl || '');
+        add('Social security', result.socialSecuritySource || '', result.socialSecuritySourceUrl || '');
+        const perDiemYear = String(result.perDiemSourceName).includes(result.perDiemSourceYear) ? '' : result.perDiemSourceYear;
+        add('Per diem', [result.perDiemSourceName, perDiemYear].filter(Boolean).join(' '), result.perDiemSourceUrl || '');
+        if (result.perDiemCitation) add('Per diem basis', result.perDiemCitation);
+        add('Admin fees', `${result.feeProvider || ''} ${result.feeScheduleVersion || ''}`.trim());
+        add('Exchange rate', result.exchangeRateSource || 'Country defaults', result.exchangeRateDate || '');
+        add('Rule versions', formatRuleSetVersions(result.ruleSetVersions));
+        (result.ruleSetWarnings || []).forEach(warning => add('', warning));
+        add();
+    });
+
+    const sheet = XLSX.utils.aoa_to_sheet(rows);
+    sheet['!cols'] = [{ wch: 36 }, { wch: 18 }, { wch: 14 }, { wch: 18 }, { wch: 18 }, { wch: 16 }];
+    return sheet;
+}
+
+/**
+ * Build the estimate workbook
+ * @param {Array<{name: string, result: Object}>} entries - CostEngine.estimateAssignmentCost results
+ * @param {Object} meta - { title, settings, generatedOn }
+ * @returns {Object} SheetJS workbook
+ */
+function buildEstimateWorkbook(entries, meta = {}) {
+    if (!entries.length) {
+        throw new Error('No estimates to export');
+    }
+
+    const { sheet: assigneesSheet, col } = buildAssigneesSheet(entries);
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, buildSummarySheet(entries, col, meta), 'Summary');
+    XLSX.utils.book_append_sheet(workbook, assigneesSheet, 'Assignees');
+    XLSX.utils.book_append_sheet(workbook, buildWorkingsSheet(entries), 'Workings');
+    return workbook;
+}
+
+function downloadEstimateWorkbook(entries, filename, meta) {
+    XLSX.writeFile(buildEstimateWorkbook(entries, meta), filename);
+}
+
+// ===== PDF REPORT =====
+
+const REPORT_PAGE = { width: 210, height: 297, margin: 16 }; // A4, mm
+
+// Cost components in the order and colours used by renderCostChart
+const REPORT_COMPONENTS = [
+    { label: 'Per Diem', color: '#83849E', value: calc => calc.totalPerDiem },
+    { label: 'Admin Fees', color: '#BD8941', value: calc => calc.totalAdminFees },
+    { label: 'Travel & Housing', color: '#D9C4A0', value: calc => calc.totalAssignmentCosts || 0 },
+    { label: 'Tax', color: '#181C31', value: calc => calc.taxCostEUR },
+    { label: 'Social Security', color: '#3FAFBE', value: calc => calc.totalSocialSecurity }
+];
+
+// The standard PDF fonts only cover Latin-1 (plus €), so strip markup and swap the symbols we use
+function toReportText(value) {
+    return String(value ?? '')
+        .replace(/<[^>]*>/g, '')
+        .replace(/→/g, '->')
+        .replace(/≥/g, '>=')
+        .replace(/[^\x00-\xFF€–—‘’“”•]/g, '')
+        .trim();
+}
+
+/**
+ * Short fingerprint of an estimate's inputs, rule versions and totals, printed in
+ * the report footer so a printed copy can be matched to a re-run of the estimate.
+ * SHA-256 where Web Crypto is available, FNV-1a otherwise.
+ * @returns {Promise<string>} 16 hex characters (8 for the FNV-1a fallback)
+ */
+async function hashEstimate(calc) {
+    const payload = JSON.stringify([
+        calc.homeCountry, calc.hostCountry, calc.monthlySalary, calc.assignmentLength,
+        calc.startDate, calc.endDate, calc.dailyAllowance, calc.workingDaysPerMonth,
+        calc.exchangeRate, calc.exchangeRateDate, calc.feeScheduleVersion,
+        calc.socialSecurityRulesVersion, calc.assignmentCostsVersion, calc.ruleSetVersions,
+        Math.round(calc.grandTotal * 100), Math.round(calc.taxCostEUR * 100), Math.round(calc.totalSocialSecurity * 100)
+    ]);
+
+    if (window.crypto?.subtle && window.TextEncoder) {
+        const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(payload));
+        return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('').slice(0, 16);
+    }
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < payload.length; i++) {
+        hash = Math.imul(hash ^ payload.charCodeAt(i), 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+}
+
+// The donut chart as a PNG, or null when it has not been drawn
+function getCostChartImage() {
+    const canvas = document.getElementById('costChart');
+    try {
+        return canvas && canvas.width && canvas.height ? canvas.toDataURL('image/png') : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Build the estimate report
+ * @param {Object} calc - CostEngine.estimateAssignmentCost result (lastCalculationData)
+ * @param {Object} meta - { preparedBy, generatedOn, hash, chartImage }
+ * @returns {Object} jsPDF document
+ */
+function buildEstimateReport(calc, meta) {
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+    const { width, height, margin } = REPORT_PAGE;
+    const contentWidth = width - margin * 2;
+    const currency = calc.config.currency;
+    let y = margin;
+
+    const ensureSpace = needed => {
+        if (y + needed > height - margin - 10) {
+            doc.addPage();
+            y = margin;
+        }
+    };
+    const heading = text => {
+        ensureSpace(14);
+        y += 4;
+        doc.setFont('helvetica', 'bold').setFontSize(11).setTextColor('#181C31');
+        doc.text(toReportText(text), margin, y);
+        doc.setDrawColor('#3FAFBE').setLineWidth(0.4).line(margin, y + 1.5, margin + contentWidth, y + 1.5);
+        y += 7;
+    };
+    const paragraph = (text, { color = '#374151', size = 9 } = {}) => {
+        doc.setFont('helvetica', 'normal').setFontSize(size).setTextColor(color);
+        const lines = doc.splitTextToSize(toReportText(text), contentWidth);
+        ensureSpace(lines.length * 4.2);
+        doc.text(lines, margin, y);
+        y += lines.length * 4.2 + 1;
+    };
+    const keyValue = (label, value) => {
+        doc.setFont('helvetica', 'normal').setFontSize(9);
+        const lines = doc.splitTextToSize(toReportText(value), contentWidth - 55);
+        ensureSpace(lines.length * 4.2 + 1);
+        doc.setTextColor('#6B7280').text(toReportText(label), margin, y);
+        doc.setTextColor('#111827').text(lines, margin + 55, y);
+        y += lines.length * 4.2 + 1;
+    };
+    const table = (headers, rows, widths) => {
+        const rowHeight = 6;
+        const drawRow = (cells, bold) => {
+            ensureSpace(rowHeight);
+            doc.setFont('helvetica', bold ? 'bold' : 'normal').setFontSize(8.5).setTextColor('#111827');
+            let x = margin;
+            cells.forEach((cell, index) => {
+                const alignRight = index > 0;
+                doc.text(toReportText(cell), alignRight ? x + widths[index] - 1 : x + 1, y, { align: alignRight ? 'right' : 'left' });
+                x += widths[index];
+            });
+            doc.setDrawColor('#E5E7EB').setLineWidth(0.2).line(margin, y + 2, margin + contentWidth, y + 2);
+            y += rowHeight;
+        };
+        drawRow(headers, true);
+        rows.forEach(row => drawRow(row, row.bold));
+    };
+    const money = value => formatCurrency(value);
+    const local = value => `${currency} ${Math.round(value).toLocaleString('en-GB')}`;
+
+    // Header
+    doc.setFillColor('#181C31').rect(0, 0, width, 28, 'F');
+    doc.setFont('helvetica', 'bold').setFontSize(16).setTextColor('#FFFFFF');
+    doc.text('FSE Deployment Cost Estimate', margin, 13);
+    doc.setFont('helvetica', 'normal').setFontSize(10);
+    doc.text(toReportText(`${calc.homeCountry} -> ${calc.config.name} · ${calc.assignmentLength} months`), margin, 20);
+    doc.text(toReportText(`Prepared ${meta.generatedOn} by ${meta.preparedBy}`), width - margin, 20, { align: 'right' });
+    y = 38;
+
+    // Assignment summary card
+    const cardRows = [
+        ['Origin', calc.homeCountry],
+        ['Destination', calc.config.name],
+        ['Duration', `${calc.assignmentLength} months${calc.startDate ? ` (${calc.startDate} to ${calc.endDate})` : ''}`],
+        ['Monthly salary', money(calc.monthlySalary)],
+        ['Daily allowance', `${formatCurrencyDecimal(calc.dailyAllowance)} × ${calc.workingDaysPerMonth} days/month`],
+        ['Tax residency', calc.isResident ? `Resident (${calc.residency?.test || '183-day rule'})` : 'Non-resident']
+    ];
+    const cardTop = y - 6;
+    const cardHeight = cardRows.length * 5 + 24;
+    doc.setFillColor('#F3F7F8').setDrawColor('#D1E3E6').roundedRect(margin, cardTop, contentWidth, cardHeight, 3, 3, 'FD');
+    doc.setFont('helvetica', 'bold').setFontSize(11).setTextColor('#181C31').text('Assignment Summary', margin + 5, y);
+    y += 7;
+    cardRows.forEach(([label, value]) => {
+        doc.setFont('helvetica', 'normal').setFontSize(9).setTextColor('#6B7280').text(label, margin + 5, y);
+        doc.setTextColor('#111827').text(toReportText(value), margin + 50, y);
+        y += 5;
+    });
+    y += 3;
+    doc.setFont('helvetica', 'bold').setFontSize(10).setTextColor('#181C31');
+    doc.text(`Assignment total: ${money(calc.grandTotal)}`, margin + 5, y);
+    doc.text(`Additional cost: ${money(calc.additionalCostTotal)}`, margin + contentWidth / 2, y);
+    y += 5;
+    doc.setFont('helvetica', 'normal').setFontSize(9).setTextColor('#374151');
+    doc.text(`Gross salary ${money(calc.grossSalary)} · Daily additional cost ${money(calc.costPerDay)}/day`, margin + 5, y);
+    y = cardTop + cardHeight + 4;
+
+    // Cost breakdown: stacked bar, legend and the on-screen donut chart
+    heading('Cost Breakdown (excluding salary)');
+    const components = REPORT_COMPONENTS.map(component => ({ ...component, amount: component.value(calc) || 0 }));
+    const componentTotal = components.reduce((sum, component) => sum + component.amount, 0);
+    ensureSpace(60);
+    let barX = margin;
+    components.forEach(component => {
+        const segment = componentTotal > 0 ? contentWidth * component.amount / componentTotal : 0;
+        if (segment > 0) doc.setFillColor(component.color).rect(barX, y, segment, 6, 'F');
+        barX += segment;
+    });
+    y += 12;
+    const legendTop = y;
+    components.forEach(component => {
+        const pct = componentTotal > 0 ? (component.amount / componentTotal * 100).toFixed(1) : '0.0';
+        doc.setFillColor(component.color).circle(margin + 2, y - 1.2, 1.6, 'F');
+        doc.setFont('helvetica', 'normal').setFontSize(9).setTextColor('#374151').text(component.label, margin + 6, y);
+        doc.setTextColor('#111827').text(`${money(component.amount)} (${pct}%)`, margin + 85, y, { align: 'right' });
+        y += 6;
+    });
+    doc.setFont('helvetica', 'bold').text('Total', margin + 6, y);
+    doc.text(money(componentTotal), margin + 85, y, { align: 'right' });
+    y += 6;
+    if (meta.chartImage) {
+        doc.addImage(meta.chartImage, 'PNG', margin + contentWidth - 45, legendTop - 6, 42, 42);
+        y = Math.max(y, legendTop + 38);
+    }
+
+    // Tax
+    heading(`Host Tax – ${calc.config.name}`);
+    keyValue('Method', calc.taxCalculationMethod || '');
+    keyValue('Residency', calc.residency?.triggeredOn
+        ? `${calc.residency.test}: resident from ${calc.residency.triggeredOn} (${calc.residency.detail})`
+        : (calc.residency?.detail || (calc.isResident ? 'Resident' : 'Non-resident')));
+    keyValue('Effective rate', `${calc.effectiveTaxRate.toFixed(1)}%`);
+    y += 2;
+    const brackets = calc.taxBracketBreakdown || [];
+    table(
+        ['Bracket', 'Rate', `Taxable (${currency})`, `Tax (${currency})`],
+        [
+            ...brackets.map(bracket => [
+                bracket.max ? `${local(bracket.min)} – ${local(bracket.max)}` : `${local(bracket.min)} and above`,
+                `${(bracket.rate * 100).toFixed(bracket.rate * 100 % 1 ? 2 : 0)}%`,
+                local(bracket.taxableAmount),
+                local(bracket.taxAmount)
+            ]),
+            Object.assign(['Total', '', local(calc.taxableIncomeLocal), local(calc.taxAmountLocal)], { bold: true })
+        ],
+        [78, 22, 39, 39]
+    );
+    y += 2;
+    if (calc.homeTax) {
+        keyValue(`Residual ${calc.homeCountry} tax`, `${money(calc.residualHomeTaxEUR)} (${calc.homeTax.reliefMethod}${calc.homeTax.included ? '' : ', not included'})`);
+    }
+    keyValue('Tax cost to company', money(calc.taxCostEUR));
+    if (calc.countryTaxRules?.taxSource) {
+        keyValue('Source', `${calc.countryTaxRules.taxSource}${calc.countryTaxRules.taxSourceUrl ? ` – ${calc.countryTaxRules.taxSourceUrl}` : ''}`);
+    }
+
+    // Social security
+    heading('Social Security');
+    keyValue('Employer / employee', `${money(calc.employerSocialSec)} / ${money(calc.employeeSocialSec)}`);
+    if (calc.homeSocialSecurity) {
+        keyValue(`${calc.homeCountry} contributions`, `${money(calc.homeSocialSecurity.total)}${calc.homeSocialSecurity.included ? '' : ' (not included)'}`);
+    }
+    if (calc.socialSecurityCertificate) {
+        keyValue('Certificate', `${calc.socialSecurityCertificate.certificate}, up to ${calc.socialSecurityCertificate.maxMonths} months`);
+    }
+    if (calc.socialSecExclusionReason) {
+        keyValue('Host contributions', calc.socialSecExclusionReason);
+    }
+    if (!calc.hasAgreement) {
+        paragraph(`No reciprocal agreement: ${calc.config.socialSecNote || `${calc.homeCountry} has no social security agreement with ${calc.config.name}; host contributions are due from the first day.`}`, { color: '#B45309' });
+    }
+    const ssSource = calc.socialSecuritySource || calc.config.socialSecSource;
+    if (ssSource) {
+        keyValue('Source', `${ssSource}${calc.socialSecuritySourceUrl || calc.config.socialSecSourceUrl ? ` – ${calc.socialSecuritySourceUrl || calc.config.socialSecSourceUrl}` : ''}`);
+    }
+
+    // Per diem and exchange rate
+    heading('Per Diem & Exchange Rate');
+    if (calc.perDiemPlan) {
+        keyValue('Per diem total', `${money(calc.totalPerDiem)} (${formatCurrencyDecimal(calc.dailyAllowance)} a day; ${formatPerDiemPlanDays(calc.perDiemPlan)} days)`);
+        keyValue('Tax-free / taxable', `${money(calc.perDiemTaxFree)} / ${money(calc.perDiemTaxableExcess)}`);
+    } else {
+        keyValue('Per diem total', `${money(calc.totalPerDiem)} (${formatCurrencyDecimal(calc.dailyAllowance)} × ${Math.round(calc.totalWorkingDays)} working days)`);
+        if (calc.perDiemTaxableExcess > 0) {
+            keyValue('Tax-free / taxable', `${money(calc.perDiemTaxFree)} / ${money(calc.perDiemTaxableExcess)} (above the ${formatCurrencyDecimal(calc.perDiemStatutoryRate)} tax-free rate; taxed as salary)`);
+        }
+    }
+    if (calc.perDiemBasisText) keyValue('Basis', calc.perDiemBasisText);
+    if (calc.perDiemSourceName) {
+        keyValue('Source', [calc.perDiemSourceName, calc.perDiemSourceUrl].filter(Boolean).join(' – '));
+    }
+    if (calc.perDiemCitation) keyValue('Legal basis', calc.perDiemCitation);
+    (calc.perDiemWarnings || []).forEach(warning => paragraph(warning, { color: '#B45309' }));
+    keyValue('Exchange rate', `1 EUR = ${calc.exchangeRate.toFixed(4)} ${currency}`);
+    keyValue('Rate source', `${calc.exchangeRateSource || 'Country defaults'}, ${calc.exchangeRateDate || 'static rate'}${calc.exchangeRatePinned ? ' (pinned)' : ''}`);
+
+    // Sign-off
+    heading('Sign-off');
+    ensureSpace(24);
+    keyValue('Prepared by', `${meta.preparedBy} on ${meta.generatedOn}`);
+    y += 8;
+    doc.setDrawColor('#9CA3AF').setLineWidth(0.3);
+    doc.line(margin, y, margin + 80, y);
+    doc.line(margin + 100, y, margin + 150, y);
+    doc.setFont('helvetica', 'normal').setFontSize(8).setTextColor('#6B7280');
+    doc.text('Approved by', margin, y + 4);
+    doc.text('Date', margin + 100, y + 4);
+
+    // Footer with rule versions and the estimate hash on every page
+    const pageCount = doc.getNumberOfPages();
+    const ruleVersions = calc.ruleSetVersions
+        ? [`Rules: ${formatRuleSetVersions(calc.ruleSetVersions)}`]
+        : [`Fee schedule ${calc.feeScheduleVersion || '-'}`, `Social security rules ${calc.socialSecurityRulesVersion || '-'}`];
+    const footer = toReportText([...ruleVersions, `Estimate hash ${meta.hash}`].join(' · '));
+    for (let page = 1; page <= pageCount; page++) {
+        doc.setPage(page);
+        doc.setFont('helvetica', 'normal').setFontSize(7.5).setTextColor('#9CA3AF');
+        doc.text(footer, margin, height - 8);
+        doc.text(`Page ${page} of ${pageCount}`, width - margin, height - 8, { align: 'right' });
+    }
+
+    return doc;
+}
@@ -71,19 +71,21 @@ class StaffingEngine {
             speedScore = Math.max(0, 100 - (visaDetails.days * 1.6));
         }
 
-        // --- Cost Score (Salary + Flight) ---
+        // --- Cost Score (Cost Engine Estimate + Flight) ---
         // Logic: Dynamic anchors that scale with project duration
         const flightKey = `${candidate.current_location}_${project.country}`;
         const flightCost = this.flightCosts[flightKey] || 1000;
 
-        // Monthly Salary * Duration + Flight
-        const totalAssignmentCost = (candidate.base_salary_eur * project.durationMonths) + flightCost;
+        // The calculator's estimate for the route (salary, tax, social security, per diem,
+        // admin fees) + Flight
+        const { cost: routeCost, basis: costBasis } = this.estimateRouteCost(candidate, project);
+        const totalAssignmentCost = routeCost + flightCost;
 
         // Dynamic cost anchors based on duration
-        // Base monthly anchors: min €4,000/month, max €12,000/month (salary + proportional flight)
+        // Base monthly anchors: min €6,000/month, max €18,000/month (full employer cost)
         // This ensures fair scoring regardless of project length
-        const baseMinMonthly = 4000;  // Low-cost candidate (e.g., India-based)
-        const baseMaxMonthly = 12000; // High-cost candidate (e.g., senior Finland-based)
+        const baseMinMonthly = 6000;  // Low-cost candidate (e.g., India-based)
+        const baseMaxMonthly = 18000; // High-cost candidate (e.g., senior Finland-based)
 
         // Scale anchors by duration, add flight cost buffer
         const minCostAnchor = (baseMinMonthly * project.durationMonths) + 500;
@@ -179,7 +181,8 @@ class StaffingEngine {
             details: {
                 visaDays: visaDetails.days,
                 visaType: visaDetails.type,
-                totalCost: totalAssignmentCost,
+                totalCost: Math.round(totalAssignmentCost),
+                costBasis,
                 risks,
                 skillsMatch: {
                     percentage: skillsMatchPercentage,
@@ -190,6 +193,28 @@ class StaffingEngine {
         };
     }
 
+    /**
+     * Estimate the assignment with the calculator's cost engine (estimateRouteCost in
+     * app-logic.js), employed from the candidate's nationality. Destinations the
+     * calculator does not cover are costed on salary alone.
+     * @returns {{ cost: number, basis: string }}
+     */
+    estimateRouteCost(candidate, project) {
+        if (countryConfig[project.country]) {
+            const { grandTotal } = estimateRouteCost({
+                homeCountry: candidate.nationality,
+                hostCountry: project.country,
+                monthlySalary: candidate.base_salary_eur,
+                assignmentLength: project.durationMonths
+            });
+            return { cost: grandTotal, basis: 'Cost calculator estimate' };
+        }
+        return {
+            cost: candidate.base_salary_eur * project.durationMonths,
+            basis: 'Salary only (destination not in the cost calculator)'
+        };
+    }
+
     // Mock API Call - ready to be replaced with fetch('https://api.sherpa.com/...')
     async fetchVisaRequirements(nationality, destination) {
         // Simulating network latency for realism if needed, but keeping it fast for UI
@@ -180,6 +180,7 @@ async function runOptimization() {
                 </td>
                 <td class="px-6 py-4 font-medium" style="color: var(--cozm-dark-indigo);">
                     €${details.totalCost.toLocaleString()}
+                    <div class="text-xs mt-1" style="color: var(--cozm-light-sky-blue);">${details.costBasis} + flight</div>
                     <div class="${carbonIndicatorClass}">
                         <svg class="w-3 h-3" fill="currentColor" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M5.05 4.05a7 7 0 119.9 9.9L10 18.9l-4.95-4.95a7 7 0 010-9.9zM10 11a2 2 0 100-4 2 2 0 000 4z" clip-rule="evenodd"/></svg>
                         ${carbonKg > 0 ? carbonKg + ' kg CO₂' : 'No flight'}
@@ -304,16 +304,17 @@
                         const homeSelectId = isScreeningHome ? 'screenHomeCountry' : 'homeCountry';
                         const homeSelect = document.getElementById(homeSelectId);
                         if (homeSelect && args.country) {
-                            this.log(`Setting home country (${homeSelectId}) to: "${args.country}"`);
-                            homeSelect.value = args.country;
+                            const homeValue = findHomeCountry(args.country) || args.country;
+                            this.log(`Setting home country (${homeSelectId}) to: "${args.country}" -> "${homeValue}"`);
+                            homeSelect.value = homeValue;
                             homeSelect.dispatchEvent(new Event('change', { bubbles: true }));
 
-                            if (homeSelect.value === args.country) {
+                            if (homeSelect.value === homeValue) {
                                 result.message = `Home country set to ${args.country}`;
-                                this.log(`Home country successfully set to ${args.country}`);
+                                this.log(`Home country successfully set to ${homeValue}`);
                             } else {
                                 result.success = false;
-                                result.error = `Could not set home country to ${args.country}. Valid options are: Finland, Portugal`;
+                                result.error = `Could not set home country to ${args.country}. Valid options are: ${Array.from(homeSelect.options).map(o => o.text).join(', ')}`;
                                 this.error(`Failed to set home country. Current value: ${homeSelect.value}`);
                             }
                         } else {
@@ -333,17 +334,13 @@
                         const destSelect = document.getElementById(destSelectId);
 
                         if (destSelect && args.country) {
-                            // Map natural language country names to dropdown values
-                            const countryValueMap = {
-                                'United Kingdom': 'UK',
-                                'United States': 'USA',
-                                'United States of America': 'USA',
-                                'United Arab Emirates': 'UAE',
-                                'South Africa': 'SouthAfrica',
+                            // Map natural language names to dropdown values: staffing regions,
+                            // then countries by name, ISO code or alias from the country registry
+                            const regionValueMap = {
                                 'New England': 'NewEngland',
                                 'New York': 'NewYork'
                             };
-                            const countryValue = countryValueMap[args.country] || args.country;
+                            const countryValue = regionValueMap[args.country] || findCountryKey(args.country) || args.country;
                             this.log(`Setting destination (${destSelectId}): "${args.country}" -> "${countryValue}"`);
                             destSelect.value = countryValue;
                             destSelect.dispatchEvent(new Event('change', { bubbles: true }));
@@ -428,6 +425,7 @@
                         const allowanceInput = document.getElementById('dailyAllowance');
                         if (allowanceInput && args.amount !== undefined) {
                             allowanceInput.value = args.amount;
+                            allowanceInput.dispatchEvent(new Event('input', { bubbles: true }));
                             allowanceInput.dispatchEvent(new Event('change', { bubbles: true }));
                             result.message = `Daily allowance set to €${args.amount}`;
                             this.log(`Daily allowance set to €${args.amount}`);
@@ -1796,6 +1794,20 @@ Be helpful, concise, and use the tools provided when appropriate.`;
         console.log('[VOICE] Voice recognition initialised (Safari=' + isSafari + ')');
     }
 
+    /**
+     * Spoken keywords for each host country (key, name and aliases from data/country-registry.js)
+     */
+    function buildCountryMatches() {
+        const matches = {};
+        Object.entries(countryRegistry).forEach(([key, entry]) => {
+            if (!entry.roles.includes('host')) return;
+            [key, entry.name, ...entry.aliases].forEach(name => {
+                matches[name.toLowerCase()] = key;
+            });
+        });
+        return matches;
+    }
+
     /**
      * Handle voice command (fallback mode - keyword matching)
      */
@@ -1803,25 +1815,7 @@ Be helpful, concise, and use the tools provided when appropriate.`;
         showVoiceToast('Heard: "' + transcript + '"');
         console.log('[VOICE] Processing command:', transcript);
 
-        const countryMatches = {
-            'brazil': 'Brazil',
-            'usa': 'USA',
-            'united states': 'USA',
-            'america': 'USA',
-            'germany': 'Germany',
-            'uk': 'UK',
-            'united kingdom': 'UK',
-            'britain': 'UK',
-            'england': 'UK',
-            'uae': 'UAE',
-            'dubai': 'UAE',
-            'emirates': 'UAE',
-            'singapore': 'Singapore',
-            'australia': 'Australia',
-            'mexico': 'Mexico',
-            'india': 'India',
-            'south africa': 'SouthAfrica'
-        };
+        const countryMatches = buildCountryMatches();
 
         // Help command
         if (transcript.includes('help') || transcript.includes('commands')) {
@@ -0,0 +1,92 @@
+-- Migration: Saved Estimates
+-- Purpose: Persist calculator estimates (inputs, outputs and rule versions) so they can be reopened
+
+-- Create estimates table
+CREATE TABLE IF NOT EXISTS estimates (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    -- Owner (defaults to the signed-in user)
+    user_id UUID NOT NULL DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL CHECK (char_length(name) BETWEEN 1 AND 200),
+
+    -- Denormalised for listing without parsing the JSON
+    home_country TEXT NOT NULL,
+    host_country TEXT NOT NULL,
+    assignment_months NUMERIC(5,1),
+    grand_total DECIMAL(14,2),
+
+    -- Calculator form state, engine result and the rule versions it was calculated with
+    inputs JSONB NOT NULL,
+    outputs JSONB NOT NULL,
+    rule_versions JSONB NOT NULL DEFAULT '{}'::jsonb
+);
+
+-- Create indexes for efficient querying
+CREATE INDEX idx_estimates_user_created ON estimates(user_id, created_at DESC);
+CREATE INDEX idx_estimates_host_country ON estimates(host_country);
+
+-- Keep updated_at current on edits
+CREATE OR REPLACE FUNCTION set_estimates_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER estimates_updated_at
+    BEFORE UPDATE ON estimates
+    FOR EACH ROW
+    EXECUTE FUNCTION set_estimates_updated_at();
+
+-- Enable RLS
+ALTER TABLE estimates ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can insert their own estimates
+CREATE POLICY "Users can insert own estimates"
+    ON estimates
+    FOR INSERT
+    TO authenticated
+    WITH CHECK (auth.uid() = user_id);
+
+-- Policy: Users can read their own estimates
+CREATE POLICY "Users can read own estimates"
+    ON estimates
+    FOR SELECT
+    TO authenticated
+    USING (auth.uid() = user_id);
+
+-- Policy: Users can update their own estimates
+CREATE POLICY "Users can update own estimates"
+    ON estimates
+    FOR UPDATE
+    TO authenticated
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
+
+-- Policy: Users can delete their own estimates
+CREATE POLICY "Users can delete own estimates"
+    ON estimates
+    FOR DELETE
+    TO authenticated
+    USING (auth.uid() = user_id);
+
+-- Policy: Superusers can read all estimates (for review)
+CREATE POLICY "Superusers can read all estimates"
+    ON estimates
+    FOR SELECT
+    TO authenticated
+    USING (
+        EXISTS (
+            SELECT 1 FROM app_users
+            WHERE app_users.id = auth.uid()
+            AND app_users.role = 'superuser'
+        )
+    );
+
+COMMENT ON TABLE estimates IS 'Saved calculator estimates, scoped to their creator (superusers can read all)';
+COMMENT ON COLUMN estimates.inputs IS 'Calculator form state used to reopen the estimate (see readFormState in js/app-logic.js)';
+COMMENT ON COLUMN estimates.outputs IS 'CostEngine.estimateAssignmentCost result at save time';
+COMMENT ON COLUMN estimates.rule_versions IS 'Fee schedule, social security, assignment cost and exchange rate versions used';
@@ -0,0 +1,148 @@
+-- Migration: Country Rules
+-- Purpose: Let superusers edit tax brackets, social security contributions and sources
+-- from the admin panel (draft/publish) instead of deploying js/tax-rules.json and
+-- data/social-security-rules.js
+
+-- Create country_rules table
+CREATE TABLE IF NOT EXISTS country_rules (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    -- Country key as used in js/tax-rules.json and data/country-config.js (e.g. 'SouthAfrica')
+    country TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'published', 'archived')),
+
+    -- Replaces the country's entry fields in js/tax-rules.json:
+    -- taxBrackets, taxBracketsPeriod, non-resident rate/brackets, taxSource, taxSourceUrl
+    tax_rules JSONB NOT NULL,
+    -- Replaces the country's entry in socialSecurityRules.countries:
+    -- contributions, source, sourceUrl
+    social_security JSONB NOT NULL,
+    notes TEXT,
+
+    created_by UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE SET NULL,
+    published_at TIMESTAMPTZ,
+    published_by UUID REFERENCES auth.users(id) ON DELETE SET NULL
+);
+
+-- At most one draft and one published rule set per country
+CREATE UNIQUE INDEX idx_country_rules_one_draft ON country_rules(country) WHERE status = 'draft';
+CREATE UNIQUE INDEX idx_country_rules_one_published ON country_rules(country) WHERE status = 'published';
+CREATE INDEX idx_country_rules_country_created ON country_rules(country, created_at DESC);
+
+-- Keep updated_at current on edits
+CREATE OR REPLACE FUNCTION set_country_rules_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER country_rules_updated_at
+    BEFORE UPDATE ON country_rules
+    FOR EACH ROW
+    EXECUTE FUNCTION set_country_rules_updated_at();
+
+-- Publish a draft: archive the country's current published rules and promote the draft
+-- in one transaction, so the app never sees two or zero published sets mid-publish
+CREATE OR REPLACE FUNCTION publish_country_rules(draft_id UUID)
+RETURNS country_rules AS $$
+DECLARE
+    draft country_rules;
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM app_users
+        WHERE app_users.id = auth.uid()
+        AND app_users.role = 'superuser'
+    ) THEN
+        RAISE EXCEPTION 'Only superusers can publish country rules';
+    END IF;
+
+    SELECT * INTO draft FROM country_rules WHERE id = draft_id AND status = 'draft' FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Draft % not found', draft_id;
+    END IF;
+
+    UPDATE country_rules SET status = 'archived'
+        WHERE country = draft.country AND status = 'published';
+
+    UPDATE country_rules
+        SET status = 'published', published_at = NOW(), published_by = auth.uid()
+        WHERE id = draft_id
+        RETURNING * INTO draft;
+
+    RETURN draft;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Enable RLS
+ALTER TABLE country_rules ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Signed-in users can read published rules (loaded by the calculator)
+CREATE POLICY "Users can read published country rules"
+    ON country_rules
+    FOR SELECT
+    TO authenticated
+    USING (status = 'published');
+
+-- Policy: Superusers can read all rules, including drafts and history
+CREATE POLICY "Superusers can read all country rules"
+    ON country_rules
+    FOR SELECT
+    TO authenticated
+    USING (
+        EXISTS (
+            SELECT 1 FROM app_users
+            WHERE app_users.id = auth.uid()
+            AND app_users.role = 'superuser'
+        )
+    );
+
+-- Policy: Superusers can create drafts
+CREATE POLICY "Superusers can insert country rule drafts"
+    ON country_rules
+    FOR INSERT
+    TO authenticated
+    WITH CHECK (
+        status = 'draft'
+        AND EXISTS (
+            SELECT 1 FROM app_users
+            WHERE app_users.id = auth.uid()
+            AND app_users.role = 'superuser'
+        )
+    );
+
+-- Policy: Superusers can edit drafts (publishing goes through publish_country_rules)
+CREATE POLICY "Superusers can update country rule drafts"
+    ON country_rules
+    FOR UPDATE
+    TO authenticated
+    USING (
+        status = 'draft'
+        AND EXISTS (
+            SELECT 1 FROM app_users
+            WHERE app_users.id = auth.uid()
+            AND app_users.role = 'superuser'
+        )
+    )
+    WITH CHECK (status = 'draft');
+
+-- Policy: Superusers can discard drafts; published and archived rules are kept for audit
+CREATE POLICY "Superusers can delete country rule drafts"
+    ON country_rules
+    FOR DELETE
+    TO authenticated
+    USING (
+        status = 'draft'
+        AND EXISTS (
+            SELECT 1 FROM app_users
+            WHERE app_users.id = auth.uid()
+            AND app_users.role = 'superuser'
+        )
+    );
+
+COMMENT ON TABLE country_rules IS 'Admin-edited tax and social security rules per country; the calculator loads the published set over the bundled files';
+COMMENT ON COLUMN country_rules.tax_rules IS 'Fields merged over the country entry in js/tax-rules.json (validated by CostEngine.validateCountryRules)';
+COMMENT ON COLUMN country_rules.social_security IS 'Replaces the country entry in data/social-security-rules.js';
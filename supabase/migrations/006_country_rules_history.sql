@@ -0,0 +1,10 @@
+-- Migration: Country Rules History
+-- Purpose: Let signed-in users read archived country rules, so a saved estimate can be
+-- recomputed under the published set it was calculated with (rule_versions.countryRulesId)
+
+-- Policy: Signed-in users can read archived rules (published rules are covered in 005)
+CREATE POLICY "Users can read archived country rules"
+    ON country_rules
+    FOR SELECT
+    TO authenticated
+    USING (status = 'archived');
@@ -0,0 +1,212 @@
+-- Migration: Country Rules Validation
+-- Purpose: Check country rules in the database before they are published, with the same
+-- rules as CostEngine.validateCountryRules, so a draft written straight through the API
+-- cannot be published with broken brackets or rates
+
+-- A JSON number as NUMERIC, or NULL for anything else
+CREATE OR REPLACE FUNCTION country_rules_number(value JSONB)
+RETURNS NUMERIC AS $$
+    SELECT CASE WHEN jsonb_typeof(value) = 'number' THEN value::numeric END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- A JSON number of 0 or more
+CREATE OR REPLACE FUNCTION country_rules_is_amount(value JSONB)
+RETURNS BOOLEAN AS $$
+    SELECT COALESCE(country_rules_number(value) >= 0, FALSE);
+$$ LANGUAGE sql IMMUTABLE;
+
+-- A JSON number between 0 and 1
+CREATE OR REPLACE FUNCTION country_rules_is_rate(value JSONB)
+RETURNS BOOLEAN AS $$
+    SELECT COALESCE(country_rules_number(value) BETWEEN 0 AND 1, FALSE);
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Brackets start at 0, follow on without gaps or overlaps (0.01 tolerance) and only
+-- the last one has no maximum
+CREATE OR REPLACE FUNCTION country_rules_bracket_errors(brackets JSONB, label TEXT)
+RETURNS TEXT[] AS $$
+DECLARE
+    errors TEXT[] := '{}';
+    bracket JSONB;
+    previous_max JSONB;
+    row_label TEXT;
+    is_last BOOLEAN;
+    gap NUMERIC;
+BEGIN
+    IF jsonb_typeof(brackets) IS DISTINCT FROM 'array' THEN
+        RETURN ARRAY[label || ': at least one bracket is required'];
+    END IF;
+    IF jsonb_array_length(brackets) = 0 THEN
+        RETURN ARRAY[label || ': at least one bracket is required'];
+    END IF;
+
+    FOR i IN 0 .. jsonb_array_length(brackets) - 1 LOOP
+        bracket := brackets -> i;
+        row_label := format('%s row %s', label, i + 1);
+        is_last := i = jsonb_array_length(brackets) - 1;
+
+        IF NOT country_rules_is_amount(bracket -> 'min') THEN
+            errors := errors || (row_label || ': minimum must be a number of 0 or more');
+        END IF;
+        IF NOT country_rules_is_rate(bracket -> 'rate') THEN
+            errors := errors || (row_label || ': rate must be between 0 and 1');
+        END IF;
+        IF COALESCE(jsonb_typeof(bracket -> 'max'), 'null') = 'null' THEN
+            IF NOT is_last THEN
+                errors := errors || (row_label || ': only the last bracket can have no maximum');
+            END IF;
+        ELSIF NOT country_rules_is_amount(bracket -> 'max')
+            OR country_rules_number(bracket -> 'max') <= country_rules_number(bracket -> 'min') THEN
+            errors := errors || (row_label || ': maximum must be above the minimum');
+        ELSIF is_last THEN
+            errors := errors || (row_label || ': the last bracket must have no maximum');
+        END IF;
+
+        IF i = 0 THEN
+            IF country_rules_number(bracket -> 'min') IS DISTINCT FROM 0 THEN
+                errors := errors || (row_label || ': the first bracket must start at 0');
+            END IF;
+        ELSE
+            previous_max := brackets -> (i - 1) -> 'max';
+            IF country_rules_is_amount(previous_max) AND country_rules_is_amount(bracket -> 'min') THEN
+                gap := round(country_rules_number(bracket -> 'min') - country_rules_number(previous_max), 2);
+                IF gap < 0 OR gap > 0.01 THEN
+                    errors := errors || format('%s: starts at %s but the previous bracket ends at %s',
+                        row_label, bracket ->> 'min', previous_max #>> '{}');
+                END IF;
+            END IF;
+        END IF;
+    END LOOP;
+
+    RETURN errors;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Error messages for a country's tax_rules and social_security (empty when valid)
+CREATE OR REPLACE FUNCTION country_rules_errors(tax JSONB, social_security JSONB)
+RETURNS TEXT[] AS $$
+DECLARE
+    errors TEXT[] := '{}';
+    contribution JSONB;
+    row_index BIGINT;
+    row_label TEXT;
+    ids TEXT[] := '{}';
+    threshold NUMERIC;
+BEGIN
+    IF jsonb_typeof(tax) IS DISTINCT FROM 'object' THEN
+        errors := errors || 'Tax rules are missing'::TEXT;
+    ELSE
+        errors := errors || country_rules_bracket_errors(tax -> 'taxBrackets', 'Resident brackets');
+        IF COALESCE(tax ->> 'taxBracketsPeriod', '') NOT IN ('monthly', 'annual', 'tax-year') THEN
+            errors := errors || 'Resident bracket period must be one of: monthly, annual, tax-year'::TEXT;
+        END IF;
+        IF COALESCE(jsonb_typeof(tax -> 'nonResidentBrackets'), 'null') <> 'null' THEN
+            errors := errors || country_rules_bracket_errors(tax -> 'nonResidentBrackets', 'Non-resident brackets');
+            IF COALESCE(tax ->> 'nonResidentBracketsPeriod', '') NOT IN ('monthly', 'annual', 'tax-year') THEN
+                errors := errors || 'Non-resident bracket period must be one of: monthly, annual, tax-year'::TEXT;
+            END IF;
+        END IF;
+        IF tax ? 'nonResidentRate' AND NOT country_rules_is_rate(tax -> 'nonResidentRate') THEN
+            errors := errors || 'Non-resident rate must be between 0 and 1'::TEXT;
+        END IF;
+        IF tax ? 'defaultRate' AND NOT country_rules_is_rate(tax -> 'defaultRate') THEN
+            errors := errors || 'Default rate must be between 0 and 1'::TEXT;
+        END IF;
+        IF tax ? 'standardDeduction' AND NOT country_rules_is_amount(tax -> 'standardDeduction') THEN
+            errors := errors || 'Standard deduction must be a number of 0 or more'::TEXT;
+        END IF;
+        IF COALESCE(tax ->> 'taxSource', '') = '' THEN
+            errors := errors || 'Tax source is required'::TEXT;
+        END IF;
+        IF COALESCE(tax ->> 'taxSourceUrl', '') !~ '^https?://\S+$' THEN
+            errors := errors || 'Tax source URL must start with http:// or https://'::TEXT;
+        END IF;
+    END IF;
+
+    IF jsonb_typeof(social_security) IS DISTINCT FROM 'object' THEN
+        RETURN errors || 'Social security rules are missing'::TEXT;
+    END IF;
+
+    FOR contribution, row_index IN
+        SELECT value, ordinality FROM jsonb_array_elements(
+            CASE WHEN jsonb_typeof(social_security -> 'contributions') = 'array'
+                THEN social_security -> 'contributions' ELSE '[]'::JSONB END
+        ) WITH ORDINALITY
+    LOOP
+        row_label := format('Contribution row %s', row_index);
+        IF COALESCE(contribution ->> 'id', '') = '' THEN
+            errors := errors || (row_label || ': id is required');
+        ELSIF contribution ->> 'id' = ANY(ids) THEN
+            errors := errors || format('%s: id "%s" is used twice', row_label, contribution ->> 'id');
+        END IF;
+        ids := ids || (contribution ->> 'id');
+        IF COALESCE(contribution ->> 'label', '') = '' THEN
+            errors := errors || (row_label || ': label is required');
+        END IF;
+        IF COALESCE(contribution ->> 'payer', '') NOT IN ('employer', 'employee') THEN
+            errors := errors || (row_label || ': payer must be employer or employee');
+        END IF;
+        IF NOT country_rules_is_rate(contribution -> 'rate') THEN
+            errors := errors || (row_label || ': rate must be between 0 and 1');
+        END IF;
+        IF COALESCE(contribution ->> 'period', '') NOT IN ('monthly', 'quarterly', 'annual') THEN
+            errors := errors || (row_label || ': period must be one of: monthly, quarterly, annual');
+        END IF;
+        IF contribution ? 'threshold' AND NOT country_rules_is_amount(contribution -> 'threshold') THEN
+            errors := errors || (row_label || ': threshold must be a number of 0 or more');
+        END IF;
+        threshold := CASE WHEN country_rules_is_amount(contribution -> 'threshold')
+            THEN country_rules_number(contribution -> 'threshold') ELSE 0 END;
+        IF contribution ? 'ceiling' AND (NOT country_rules_is_amount(contribution -> 'ceiling')
+            OR country_rules_number(contribution -> 'ceiling') <= threshold) THEN
+            errors := errors || (row_label || ': ceiling must be above the threshold');
+        END IF;
+    END LOOP;
+
+    IF COALESCE(social_security ->> 'source', '') = '' THEN
+        errors := errors || 'Social security source is required'::TEXT;
+    END IF;
+    IF COALESCE(social_security ->> 'sourceUrl', '') !~ '^https?://\S+$' THEN
+        errors := errors || 'Social security source URL must start with http:// or https://'::TEXT;
+    END IF;
+
+    RETURN errors;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Publish a draft (see 005_country_rules.sql), now refusing rules that fail validation
+CREATE OR REPLACE FUNCTION publish_country_rules(draft_id UUID)
+RETURNS country_rules AS $$
+DECLARE
+    draft country_rules;
+    errors TEXT[];
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM app_users
+        WHERE app_users.id = auth.uid()
+        AND app_users.role = 'superuser'
+    ) THEN
+        RAISE EXCEPTION 'Only superusers can publish country rules';
+    END IF;
+
+    SELECT * INTO draft FROM country_rules WHERE id = draft_id AND status = 'draft' FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Draft % not found', draft_id;
+    END IF;
+
+    errors := country_rules_errors(draft.tax_rules, draft.social_security);
+    IF cardinality(errors) > 0 THEN
+        RAISE EXCEPTION 'Rules for % are invalid: %', draft.country, array_to_string(errors, '; ');
+    END IF;
+
+    UPDATE country_rules SET status = 'archived'
+        WHERE country = draft.country AND status = 'published';
+
+    UPDATE country_rules
+        SET status = 'published', published_at = NOW(), published_by = auth.uid()
+        WHERE id = draft_id
+        RETURNING * INTO draft;
+
+    RETURN draft;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
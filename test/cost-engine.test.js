@@ -0,0 +1,222 @@
+// Cost engine checks against figures worked out by hand from the bundled rules.
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const CostEngine = require('../js/cost-engine.js');
+const countryConfig = require('../data/country-config.js');
+const taxRules = require('../js/tax-rules.json');
+const feeSchedule = require('../data/fee-schedule.js');
+const socialSecurity = require('../data/social-security-rules.js');
+const perDiemConfig = require('../data/per-diem-data.js');
+
+const rules = { countries: countryConfig, taxRules, feeSchedule, socialSecurity };
+
+function estimate(input) {
+    return CostEngine.estimateAssignmentCost({ dailyAllowance: 0, workingDaysPerMonth: 22, ...input }, rules);
+}
+
+test('Brazil: monthly IRPF brackets, employer INSS/FGTS and capped employee INSS', () => {
+    // R$30,000 a month: 7.5% × (2,826.65 - 2,259.21) + 15% × (3,751.05 - 2,826.66)
+    // + 22.5% × (4,664.68 - 3,751.06) + 27.5% × (30,000 - 4,664.69) = R$7,353.99125 × 12
+    const result = estimate({
+        homeCountry: 'Finland',
+        hostCountry: 'Brazil',
+        monthlySalary: 5000,
+        assignmentLength: 12,
+        startDate: '2026-01-01',
+        exchangeRates: { BRL: 6 }
+    });
+    assert.equal(result.isResident, true);
+    assert.equal(result.taxableIncomeLocal, 360000);
+    assert.ok(Math.abs(result.taxAmountLocal - 88247.895) < 0.001);
+    // No Finland-Brazil agreement: employer 27.5% of R$360,000; employee 7.5% of the
+    // R$8,475.55 monthly ceiling
+    assert.ok(Math.abs(result.employerSocialSec - 16500) < 0.001);
+    assert.ok(Math.abs(result.employeeSocialSec - 7.5 * 8475.55 * 12 / 100 / 6) < 0.001);
+    // Default €3,200 less the €200 annual reports, plus €50 a month of eSocial reporting
+    assert.equal(result.totalAdminFees, 3600);
+    assert.ok(Math.abs(result.grandTotal - (60000 + 3600 + 88247.895 / 6 + 16500 + 1271.3325)) < 0.001);
+});
+
+test('USA: federal brackets on salary and taxable visa fees less the standard deduction', () => {
+    // $105,600 salary + $1,320 visa fees - $14,600 = $92,320 taxable:
+    // 10% × 11,925 + 12% × 36,550 + 22% × 43,845 = $15,224.40
+    const result = estimate({
+        homeCountry: 'Brazil',
+        hostCountry: 'USA',
+        monthlySalary: 8000,
+        assignmentLength: 12,
+        startDate: '2026-01-01',
+        exchangeRates: { USD: 1.1 }
+    });
+    assert.equal(result.isResident, true);
+    assert.ok(Math.abs(result.taxableIncomeLocal - 92320) < 0.001);
+    assert.ok(Math.abs(result.taxAmountLocal - 15224.4) < 0.001);
+    // No Brazil-US agreement on file: FICA 7.65% each side of $106,920 (under the wage base)
+    assert.ok(Math.abs(result.employerSocialSec - 106920 * 0.0765 / 1.1) < 0.001);
+    assert.ok(Math.abs(result.employeeSocialSec - 106920 * 0.0765 / 1.1) < 0.001);
+});
+
+test('USA: a certificate of coverage keeps the posting out of FICA', () => {
+    const result = estimate({
+        homeCountry: 'Portugal',
+        hostCountry: 'USA',
+        monthlySalary: 8000,
+        assignmentLength: 12,
+        startDate: '2026-01-01',
+        exchangeRates: { USD: 1.1 }
+    });
+    assert.ok(Math.abs(result.taxAmountLocal - 15224.4) < 0.001);
+    assert.equal(result.totalSocialSecurity, 0);
+});
+
+test('UK: personal allowance is given once (0% band, no extra deduction)', () => {
+    // £4,250 a month for 6 months in one tax year: (25,500 - 12,570) × 20% = £2,586
+    const result = estimate({
+        homeCountry: 'Portugal',
+        hostCountry: 'UK',
+        monthlySalary: 5000,
+        assignmentLength: 6,
+        startDate: '2025-04-06',
+        exchangeRates: { GBP: 0.85 }
+    });
+    assert.equal(result.taxableIncomeLocal, 25500);
+    assert.equal(result.taxAmountLocal, 2586);
+});
+
+test('Finland six-month rule: not applied where the treaty leaves the host no taxing right', () => {
+    // 181 days in the USA: six months, but not US resident, so the treaty leaves the
+    // pay to Finland, which taxes it with credit relief rather than exempting it
+    const result = estimate({
+        homeCountry: 'Finland',
+        hostCountry: 'USA',
+        monthlySalary: 7000,
+        assignmentLength: 6,
+        startDate: '2026-02-01',
+        endDate: '2026-07-31',
+        exchangeRates: { USD: 1.1 }
+    });
+    assert.equal(result.isResident, false);
+    assert.equal(result.homeTax.reliefMethod, 'credit');
+    assert.ok(result.residualHomeTaxEUR > 0);
+});
+
+test('Finland six-month rule: exempts pay the host may tax', () => {
+    const result = estimate({
+        homeCountry: 'Finland',
+        hostCountry: 'Brazil',
+        monthlySalary: 7000,
+        assignmentLength: 12,
+        startDate: '2026-01-01',
+        exchangeRates: { BRL: 6.4 }
+    });
+    assert.equal(result.homeTax.reliefMethod, 'six-month rule');
+    assert.equal(result.residualHomeTaxEUR, 0);
+});
+
+test('Per diem above the home tax-free rate is taxed at home as salary', () => {
+    // Finland's USA rate is €86: €200 a day over 66 working days leaves 114 × 66 = €7,524
+    // taxable, which home tax treats like €2,508 more salary a month
+    const perDiemContext = CostEngine.resolvePerDiem(perDiemConfig, 'Finland', 'USA', {});
+    const base = {
+        homeCountry: 'Finland',
+        hostCountry: 'USA',
+        assignmentLength: 3,
+        startDate: '2026-02-01',
+        perDiemContext,
+        exchangeRates: { USD: 1.1 },
+        settings: { hypotheticalHomeTax: true }
+    };
+    const withExcess = estimate({ ...base, monthlySalary: 7000, dailyAllowance: 200 });
+    const asSalary = estimate({ ...base, monthlySalary: 7000 + 7524 / 3, dailyAllowance: perDiemContext.rate });
+
+    assert.equal(withExcess.perDiemTaxableExcess, 7524);
+    assert.equal(withExcess.homeTax.homeTaxEUR, asSalary.homeTax.homeTaxEUR);
+    assert.equal(withExcess.taxEqualisation.hypotheticalTaxEUR, asSalary.taxEqualisation.hypotheticalTaxEUR);
+    assert.equal(withExcess.taxAmountEUR, asSalary.taxAmountEUR);
+});
+
+test('Without social security rules an agreement country is not charged when agreements are excluded', () => {
+    // The country config flag has no certificate period, so every month is covered
+    const input = {
+        dailyAllowance: 0,
+        workingDaysPerMonth: 22,
+        homeCountry: 'Portugal',
+        hostCountry: 'USA',
+        monthlySalary: 8000,
+        assignmentLength: 12,
+        exchangeRates: { USD: 1.1 }
+    };
+    const result = CostEngine.estimateAssignmentCost(input, { countries: countryConfig, taxRules, feeSchedule });
+    assert.equal(result.hasAgreement, true);
+    assert.equal(result.totalSocialSecurity, 0);
+    assert.equal(result.socialSecurityCoveredMonths, 12);
+});
+
+test('Per diem plan: meals provided cut the allowance paid, not only the tax-free part', () => {
+    // Breakfast is 20% of the day: €100 paid becomes €80, the €50 tax-free rate €40
+    const perDiem = { rate: 50, partialRate: 25, mealDeductions: { type: 'per-meal', breakfast: 0.2 } };
+    const plan = CostEngine.planPerDiemDays(perDiem, { travelDays: 0, meals: { breakfast: true } }, {
+        assignmentLength: 1,
+        dates: CostEngine.resolveAssignmentDates('2026-03-01', '2026-03-10'),
+        totalWorkingDays: 10,
+        dailyAllowance: 100
+    });
+    assert.equal(plan.totalPaid, 800);
+    assert.equal(plan.taxFree, 400);
+    assert.equal(plan.taxableExcess, 400);
+});
+
+test('Published default rate and standard deduction take precedence over the country config', () => {
+    // No deduction: 10% × 11,925 + 12% × 36,550 + 22% × 54,875 + 24% × (106,920 - 103,350)
+    // = $18,507.80
+    const usa = { ...taxRules.USA, standardDeduction: 0, defaultRate: 0.3 };
+    const input = {
+        dailyAllowance: 0,
+        workingDaysPerMonth: 22,
+        homeCountry: 'Brazil',
+        hostCountry: 'USA',
+        monthlySalary: 8000,
+        assignmentLength: 12,
+        startDate: '2026-01-01',
+        exchangeRates: { USD: 1.1 }
+    };
+    const result = CostEngine.estimateAssignmentCost(input, { ...rules, taxRules: { ...taxRules, USA: usa } });
+    assert.ok(Math.abs(result.taxableIncomeLocal - 106920) < 0.001);
+    assert.ok(Math.abs(result.taxAmountLocal - 18507.8) < 0.001);
+
+    // A non-resident with no non-resident rule pays the default rate
+    const { useResidentBracketsForNonResident, ...noNonResidentRule } = usa;
+    const nonResident = CostEngine.estimateAssignmentCost(
+        { ...input, homeCountry: 'Finland', monthlySalary: 7000, assignmentLength: 3, startDate: '2026-02-01' },
+        { ...rules, taxRules: { ...taxRules, USA: noNonResidentRule } }
+    );
+    assert.equal(nonResident.isResident, false);
+    assert.ok(Math.abs(nonResident.taxAmountLocal - 0.3 * nonResident.taxableIncomeLocal) < 0.001);
+
+    const errors = CostEngine.validateCountryRules({
+        tax: { ...usa, defaultRate: 1.5, standardDeduction: -1 },
+        socialSecurity: socialSecurity.countries.USA
+    });
+    assert.ok(errors.includes('Default rate must be between 0 and 1'));
+    assert.ok(errors.includes('Standard deduction must be a number of 0 or more'));
+});
+
+test('Admin fees: no visa or work permit between EU/EEA members', () => {
+    // 6 months: €500 registration + €1,500 a year of reports, return and provider fees × 6/12
+    const fees = route => CostEngine.calculateAdminFees(6, { schedule: feeSchedule, ...route }).total;
+    assert.equal(fees({ homeCountry: 'Finland', hostCountry: 'France' }), 1250);
+    assert.equal(fees({ homeCountry: 'Finland', hostCountry: 'Germany' }), 1250);
+    assert.equal(fees({ homeCountry: 'Sweden', hostCountry: 'Poland' }), 1250);
+    assert.equal(fees({ homeCountry: 'Finland', hostCountry: 'USA' }), 2450);
+});
+
+test('Admin fees: monthly items are charged for every month, annual ones pro-rated', () => {
+    const fees = CostEngine.calculateAdminFees(7, { schedule: feeSchedule, homeCountry: 'Finland', hostCountry: 'Brazil' });
+    const item = id => fees.items.find(feeItem => feeItem.id === id);
+    assert.equal(item('taxReports').frequency, 'monthly');
+    assert.equal(item('taxReports').total, 350);
+    assert.equal(item('serviceProvider').total, 1000 * 7 / 12);
+    assert.equal(item('visa').total, 200);
+});